@@ -0,0 +1,121 @@
+/**
+ * Activity log
+ *
+ * Records the hello-world:* events the plugin emits, with their timestamp,
+ * under the `activityLog` plugin-data key (newest first, capped at
+ * MAX_ACTIVITIES). The log is reactive, so every widget showing it updates
+ * as soon as an event is emitted.
+ */
+
+const { ref } = window.Vue || {};
+
+export const ACTIVITY_KEY = 'activityLog';
+export const MAX_ACTIVITIES = 200;
+
+/**
+ * Known event types. Class names are complete literals so Tailwind keeps them.
+ * Labels and details are translated when displayed (`t` from shared/i18n.js),
+ * so the log follows the current locale.
+ */
+export const ACTIVITY_TYPES = {
+  'hello-world:button-clicked': {
+    label: (t) => t('activity.buttonClicked'),
+    icon: 'pi pi-star',
+    iconClass: 'plugin-tone-warning',
+    describe: (payload, t) => t('page.totalClicks', { count: payload.count })
+  },
+  'hello-world:action': {
+    label: (t) => t('activity.action'),
+    icon: 'pi pi-bolt',
+    iconClass: 'plugin-tone-info',
+    describe: (payload) => payload.action || ''
+  },
+  'hello-world:installed': {
+    label: (t) => t('activity.installed'),
+    icon: 'pi pi-download',
+    iconClass: 'plugin-tone-success',
+    describe: (payload, t) => (payload.version ? t('activity.version', { version: payload.version }) : '')
+  },
+  'hello-world:updated': {
+    label: (t) => t('activity.updated'),
+    icon: 'pi pi-refresh',
+    iconClass: 'plugin-tone-accent',
+    describe: (payload, t) => t('activity.updatedFrom', { from: payload.from, to: payload.to })
+  }
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Relative label such as "now", "5 minutes ago" or "yesterday".
+ * @param {string} iso - Timestamp
+ * @param {object} [options]
+ * @param {number} [options.now] - Reference time in milliseconds
+ * @param {string} [options.locale]
+ */
+export const formatRelativeTime = (iso, { now = Date.now(), locale = 'en' } = {}) => {
+  const seconds = Math.round((new Date(iso).getTime() - now) / 1000);
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  if (Math.abs(seconds) < 45) return format.format(0, 'second');
+  const units = [
+    ['minute', 60],
+    ['hour', 60],
+    ['day', 24],
+    ['week', 7],
+    ['month', 4.345],
+    ['year', 12]
+  ];
+  let value = seconds / 60;
+  for (let i = 0; i < units.length; i++) {
+    const next = units[i + 1];
+    if (!next || Math.abs(value) < next[1]) return format.format(Math.round(value), units[i][0]);
+    value /= next[1];
+  }
+};
+
+/**
+ * Create the activity log of a plugin. Create it once per plugin module and
+ * emit the plugin's events through `emit` so they are recorded.
+ * @param {object} context - Plugin context
+ */
+export const createActivityLog = (context) => {
+  const read = () => {
+    const stored = context.getPluginData(ACTIVITY_KEY);
+    return Array.isArray(stored) ? stored : [];
+  };
+
+  const entries = ref(read());
+
+  const persist = (next) => {
+    entries.value = next;
+    context.setPluginData(ACTIVITY_KEY, next);
+  };
+
+  /**
+   * Record an event without emitting it.
+   */
+  const record = (type, payload = {}) => {
+    const entry = { id: newId(), type, at: new Date().toISOString(), payload };
+    // Re-read first: hooks and widgets may each hold an older copy
+    persist([entry, ...read()].slice(0, MAX_ACTIVITIES));
+    return entry;
+  };
+
+  /**
+   * Record an event, then emit it on the portal event bus.
+   */
+  const emit = (type, payload = {}) => {
+    record(type, payload);
+    if (context.emitEvent) context.emitEvent(type, payload);
+  };
+
+  const clear = () => persist([]);
+
+  return {
+    entries,
+    record,
+    emit,
+    clear,
+    reload: () => { entries.value = read(); }
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * Welcome banner dismissals
+ *
+ * Each user dismisses the banner for themselves. Dismissals are stored under
+ * the `bannerDismissals` plugin-data key:
+ *
+ *   {
+ *     revision: 3,                 // bumped when an admin publishes a new message
+ *     users: {
+ *       "42": { at: "2026-01-01T12:00:00.000Z", version: "1.2.0", revision: 3 }
+ *     }
+ *   }
+ *
+ * A dismissal no longer counts once it is older than `bannerReshowDays`
+ * (0 keeps it forever), when the plugin version changed and
+ * `bannerReshowOnUpdate` is on, or when its revision is not the current one.
+ */
+
+const { ref, computed } = window.Vue || {};
+
+export const DISMISSALS_KEY = 'bannerDismissals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visitors who are not signed in share one entry
+const ANONYMOUS_USER = 'anonymous';
+
+const emptyState = () => ({ revision: 0, users: {} });
+
+/**
+ * Storage key of a user: id, then username, then email.
+ */
+export const userKey = (user) => {
+  const id = user?.id ?? user?.username ?? user?.email;
+  return id === undefined || id === null ? ANONYMOUS_USER : String(id);
+};
+
+/**
+ * Whether a stored dismissal still hides the banner.
+ * @param {object|undefined} entry - { at, version, revision }
+ * @param {object} options
+ * @param {number} options.revision - Current message revision
+ * @param {string} options.version - Installed plugin version
+ * @param {number} options.reshowDays - Days after which the banner comes back (0: never)
+ * @param {boolean} options.reshowOnUpdate - Whether a new plugin version brings it back
+ * @param {number} [options.now]
+ */
+export const isDismissalActive = (entry, { revision, version, reshowDays, reshowOnUpdate, now = Date.now() }) => {
+  if (!entry || entry.revision !== revision) return false;
+  if (reshowOnUpdate && entry.version !== version) return false;
+  if (reshowDays > 0 && now - new Date(entry.at).getTime() >= reshowDays * DAY_MS) return false;
+  return true;
+};
+
+/**
+ * Create the dismissal store. Create it once per plugin module so the banner
+ * and the quick actions share it.
+ * @param {object} context - Plugin context
+ * @param {object} options
+ * @param {object} options.settings - Store from createPluginSettings() (reshow settings, welcome message)
+ * @param {string} options.version - Installed plugin version
+ * @param {string} options.adminPermission - Permission allowed to publish a new message for everyone
+ */
+export const createBannerDismissals = (context, { settings, version, adminPermission }) => {
+  const changedEvent = `${context.pluginId}:banner-dismissals-changed`;
+
+  const read = () => ({ ...emptyState(), ...context.getPluginData(DISMISSALS_KEY) });
+  const state = ref(read());
+
+  const persist = (next) => {
+    context.setPluginData(DISMISSALS_KEY, next);
+    state.value = next;
+    if (context.emitEvent) context.emitEvent(changedEvent, { revision: next.revision });
+  };
+
+  const currentUserKey = computed(() => userKey(context.currentUser?.value));
+
+  const isDismissed = computed(() => isDismissalActive(state.value.users[currentUserKey.value], {
+    revision: state.value.revision,
+    version,
+    reshowDays: settings.values.value.bannerReshowDays,
+    reshowOnUpdate: settings.values.value.bannerReshowOnUpdate
+  }));
+
+  const canPublish = computed(() => !!context.hasPermission?.(adminPermission));
+
+  /**
+   * Hide the banner for the current user.
+   */
+  const dismiss = () => {
+    const current = read();
+    persist({
+      ...current,
+      users: {
+        ...current.users,
+        [currentUserKey.value]: { at: new Date().toISOString(), version, revision: current.revision }
+      }
+    });
+  };
+
+  /**
+   * Show the banner again for the current user.
+   */
+  const restore = () => {
+    const current = read();
+    const users = { ...current.users };
+    delete users[currentUserKey.value];
+    persist({ ...current, users });
+  };
+
+  /**
+   * Admins only: save a new welcome message and show the banner to everyone again.
+   * @returns {{ ok: boolean, errors: object }}
+   */
+  const publish = (message) => {
+    if (!canPublish.value) return { ok: false, errors: {} };
+    const result = settings.save({ welcomeMessage: message });
+    if (!result.ok) return result;
+    persist({ revision: read().revision + 1, users: {} });
+    return result;
+  };
+
+  if (context.onEvent) {
+    context.onEvent(changedEvent, () => { state.value = read(); });
+  }
+
+  return {
+    isDismissed,
+    canPublish,
+    revision: computed(() => state.value.revision),
+    dismiss,
+    restore,
+    publish,
+    reload: () => { state.value = read(); }
+  };
+};
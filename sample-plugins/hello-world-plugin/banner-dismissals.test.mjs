@@ -0,0 +1,159 @@
+/**
+ * Welcome banner dismissals, on a controlled clock
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/hello-world-plugin/banner-dismissals.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { createPluginSettings } from '../shared/plugin-settings.js';
+import { DISMISSALS_KEY, createBannerDismissals, isDismissalActive, userKey } from './banner-dismissals.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-03-01T09:00:00.000Z');
+const ADMIN_PERMISSION = 'HELLO_WORLD_ADMIN';
+const ada = { id: 42, firstName: 'Ada' };
+const grace = { id: 7, firstName: 'Grace' };
+
+// Store on a fresh mock context whose clock starts at START
+const setup = (t, { version = manifest.version, settings: values = {} } = {}) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const context = createMockPluginContext(manifest.id, { manifest, user: ada });
+  const settings = createPluginSettings(context);
+  settings.save(values);
+  const open = (openedVersion = version) =>
+    createBannerDismissals(context, { settings, version: openedVersion, adminPermission: ADMIN_PERMISSION });
+  return { context, settings, open, dismissals: open() };
+};
+
+// ============================================================================
+// isDismissalActive
+// ============================================================================
+
+test('a dismissal counts until it expires, its version is replaced or its revision is bumped', () => {
+  const entry = { at: new Date(START).toISOString(), version: '1.2.0', revision: 3 };
+  const current = { revision: 3, version: '1.2.0', reshowDays: 7, reshowOnUpdate: true };
+  const cases = [
+    ['no entry', undefined, {}, false],
+    ['fresh', entry, { now: START }, true],
+    ['one millisecond before the end', entry, { now: START + 7 * DAY_MS - 1 }, true],
+    ['on the day it expires', entry, { now: START + 7 * DAY_MS }, false],
+    ['kept forever with 0 days', entry, { reshowDays: 0, now: START + 1000 * DAY_MS }, true],
+    ['new plugin version', entry, { version: '1.3.0', now: START }, false],
+    ['new plugin version, not shown again on update', entry, { version: '1.3.0', reshowOnUpdate: false, now: START }, true],
+    ['new revision', entry, { revision: 4, now: START }, false]
+  ];
+  for (const [label, stored, options, expected] of cases) {
+    assert.equal(isDismissalActive(stored, { ...current, ...options }), expected, label);
+  }
+});
+
+test('users are told apart by id, then username, then email', () => {
+  assert.equal(userKey({ id: 42, username: 'ada' }), '42');
+  assert.equal(userKey({ username: 'ada', email: 'ada@example.com' }), 'ada');
+  assert.equal(userKey({ email: 'ada@example.com' }), 'ada@example.com');
+  assert.equal(userKey(null), 'anonymous');
+});
+
+// ============================================================================
+// Expiry
+// ============================================================================
+
+test('a dismissal is kept for bannerReshowDays, then the banner comes back', (t) => {
+  const { context, dismissals } = setup(t, { settings: { bannerReshowDays: 7 } });
+  dismissals.dismiss();
+  assert.deepEqual(context.getPluginData(DISMISSALS_KEY).users['42'], {
+    at: '2026-03-01T09:00:00.000Z',
+    version: manifest.version,
+    revision: 0
+  });
+
+  t.mock.timers.tick(7 * DAY_MS - 1);
+  dismissals.reload();
+  assert.equal(dismissals.isDismissed.value, true);
+
+  t.mock.timers.tick(1);
+  dismissals.reload();
+  assert.equal(dismissals.isDismissed.value, false);
+});
+
+test('with bannerReshowDays at 0 a dismissal never expires', (t) => {
+  const { dismissals } = setup(t, { settings: { bannerReshowDays: 0 } });
+  dismissals.dismiss();
+
+  t.mock.timers.tick(365 * DAY_MS);
+  dismissals.reload();
+  assert.equal(dismissals.isDismissed.value, true);
+});
+
+test('a dismissal belongs to the user who made it', (t) => {
+  const { context, dismissals } = setup(t);
+  dismissals.dismiss();
+  assert.equal(dismissals.isDismissed.value, true);
+
+  context.setUser(grace);
+  assert.equal(dismissals.isDismissed.value, false);
+  context.setUser(ada);
+  dismissals.restore();
+  assert.equal(dismissals.isDismissed.value, false);
+});
+
+// ============================================================================
+// Plugin version and banner revision
+// ============================================================================
+
+test('a new plugin version brings the banner back only with bannerReshowOnUpdate', (t) => {
+  const { settings, open, dismissals } = setup(t, { version: '1.2.0', settings: { bannerReshowOnUpdate: true } });
+  dismissals.dismiss();
+
+  assert.equal(open('1.2.0').isDismissed.value, true);
+  assert.equal(open('1.3.0').isDismissed.value, false);
+
+  settings.save({ bannerReshowOnUpdate: false });
+  assert.equal(open('1.3.0').isDismissed.value, true);
+});
+
+test('publishing a new message resets every dismissal, on every open store', (t) => {
+  const { context, open, dismissals } = setup(t);
+  dismissals.dismiss();
+  context.setUser(grace);
+  dismissals.dismiss();
+  const other = open();
+  assert.equal(other.isDismissed.value, true);
+
+  // Only administrators publish
+  assert.deepEqual(dismissals.publish('Hello again'), { ok: false, errors: {} });
+  assert.equal(dismissals.revision.value, 0);
+
+  context.setUser(ada, { permissions: [ADMIN_PERMISSION] });
+  assert.equal(dismissals.publish('Hello again').ok, true);
+  assert.deepEqual(context.getPluginData(DISMISSALS_KEY), { revision: 1, users: {} });
+  assert.equal(dismissals.isDismissed.value, false);
+  // The other store follows through the changed event
+  assert.equal(other.revision.value, 1);
+  assert.equal(other.isDismissed.value, false);
+
+  // An entry left from an earlier revision no longer counts
+  context.setPluginData(DISMISSALS_KEY, {
+    revision: 1,
+    users: { 42: { at: new Date(START).toISOString(), version: manifest.version, revision: 0 } }
+  });
+  dismissals.reload();
+  assert.equal(dismissals.isDismissed.value, false);
+});
+
+test('a rejected message leaves the dismissals alone', (t) => {
+  const { context, dismissals } = setup(t);
+  context.setUser(ada, { permissions: [ADMIN_PERMISSION] });
+  dismissals.dismiss();
+
+  const result = dismissals.publish('');
+  assert.equal(result.ok, false);
+  assert.ok(result.errors.welcomeMessage);
+  assert.equal(dismissals.revision.value, 0);
+  assert.equal(dismissals.isDismissed.value, true);
+});
@@ -0,0 +1,46 @@
+/**
+ * Hello World data migrations (see shared/plugin-migrations.js)
+ *
+ * 1.1.0
+ * - Version 1.0.0 wrote every setting to the `settings` key on install, so
+ *   its defaults were stored as if the user had chosen them. Settings now
+ *   store only the values that differ from the defaults (shared/plugin-settings.js),
+ *   so values equal to the 1.0.0 defaults are dropped and future default
+ *   changes reach these users too.
+ *
+ * 1.2.0
+ * - The welcome banner is dismissed per user (`bannerDismissals`, see
+ *   banner-dismissals.js). The old global `welcomeBannerDismissed` flag
+ *   cannot be attributed to anyone, so it is dropped and the banner shows
+ *   again once for everyone.
+ */
+
+import { SETTINGS_KEY } from './shared/plugin-settings.js';
+
+// What the 1.0.0 onInstall hook stored
+const V1_DEFAULT_SETTINGS = {
+  welcomeMessage: 'Welcome to Hello World Plugin!',
+  showStatistics: true
+};
+
+const dropStoredDefaults = ({ [SETTINGS_KEY]: stored }) => {
+  if (!stored || typeof stored !== 'object') return {};
+  const overrides = Object.fromEntries(Object.entries(stored)
+    .filter(([key, value]) => V1_DEFAULT_SETTINGS[key] !== value));
+  return { [SETTINGS_KEY]: Object.keys(overrides).length ? overrides : undefined };
+};
+
+export const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Store only the settings that differ from the defaults',
+    keys: [SETTINGS_KEY],
+    up: dropStoredDefaults
+  },
+  {
+    version: '1.2.0',
+    description: 'Replace the global banner dismissal with per-user dismissals',
+    keys: ['welcomeBannerDismissed'],
+    up: () => ({})
+  }
+];
@@ -10,53 +10,218 @@
  * - Event communication
  */
 
+import { createPluginBootstrap } from './shared/plugin-bootstrap.js';
+import { createEventCatalog } from './shared/event-catalog.js';
+import { SETTINGS_KEY, createPluginSettings } from './shared/plugin-settings.js';
+import { createSettingsPage } from './shared/settings-page.js';
+import { createDataTransferPanel } from './shared/data-transfer-panel.js';
+import { downloadBackup } from './shared/plugin-backup.js';
+import { createPluginApi } from './shared/plugin-api.js';
+import { createI18n } from './shared/i18n.js';
+import { runMigrations, stampDataVersion } from './shared/plugin-migrations.js';
+import { WIDGET_PHASES, readWidgetPerformance, watchWidgetPerformance } from './shared/widget-performance.js';
+import { ACTIVITY_KEY, ACTIVITY_TYPES, createActivityLog, formatRelativeTime } from './activity-log.js';
+import { MIGRATIONS } from './data-migrations.js';
+import { DISMISSALS_KEY, createBannerDismissals } from './banner-dismissals.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+
 // Import Vue composition API functions (these are globals in the app)
-const { ref, computed, onMounted, onUnmounted } = window.Vue || {};
-
-// Get plugin context - this provides access to core app features
-let context;
-try {
-  // In production, this would be imported, but for demo we'll get it from window
-  const usePluginContext = window.usePluginContext;
-  if (usePluginContext) {
-    context = usePluginContext('hello-world-plugin');
-  } else {
-    console.warn('Plugin context not available - using mock');
-    context = {
-      showSuccess: console.log,
-      showInfo: console.log,
-      showWarning: console.log,
-      showError: console.error,
-      getPluginData: () => null,
-      setPluginData: () => {},
-      currentUser: { value: { firstName: 'User' } },
-      isAuthenticated: { value: true }
-    };
-  }
-} catch (error) {
-  console.error('Failed to get plugin context:', error);
-}
+const { ref, computed, watch, onMounted, onUnmounted } = window.Vue || {};
+
+// Plugin id and version, used everywhere below; keep plugin.json in step
+export const pluginInfo = {
+  id: 'hello-world-plugin',
+  name: 'Hello World Plugin',
+  version: '1.2.0'
+};
+
+// Plugin context - provides access to core app features. It is acquired on
+// first use and retried until the portal is ready (see shared/plugin-bootstrap.js),
+// so the stores below are created lazily, by the first widget that uses them.
+const plugin = createPluginBootstrap(pluginInfo.id, {
+  // In development, check every emitted and received event against the
+  // catalog declared under `events` in plugin.json (see EVENTS.md)
+  setup: (context) => createEventCatalog(context),
+  // Locates plugin.json for mock mode, and starts the load, setup and
+  // first-render timings of every widget at the download of this module
+  // (see shared/widget-performance.js)
+  moduleUrl: import.meta.url,
+  labels: () => ({
+    loading: t('bootstrap.loading'),
+    failed: t('bootstrap.failed'),
+    failedDetail: t('bootstrap.failedDetail'),
+    unavailableDetail: t('bootstrap.unavailableDetail'),
+    retry: t('bootstrap.retry'),
+    mock: t('bootstrap.mock')
+  })
+});
+const context = plugin.context;
+
+// Settings declared in plugin.json, shared by every component so they all
+// react as soon as the user saves the settings page. Labels, descriptions
+// and validation messages come from the catalogs below.
+const settings = plugin.lazy(() => createPluginSettings(context, {
+  translate: t,
+  messages: () => ({
+    boolean: t('settings.error.boolean'),
+    number: t('settings.error.number'),
+    integer: t('settings.error.integer'),
+    min: t('settings.error.min'),
+    max: t('settings.error.max'),
+    options: t('settings.error.options'),
+    text: t('settings.error.text'),
+    required: t('settings.error.required'),
+    minLength: t('settings.error.minLength'),
+    maxLength: t('settings.error.maxLength'),
+    pattern: t('settings.error.pattern')
+  })
+}));
+
+// UI texts in the user's language, English by default
+const i18n = createI18n(context, { messages: { en, fr }, fallbackLocale: 'en' });
+const { t } = i18n;
+
+// Every hello-world:* event goes through activity.emit() so it is recorded
+const activity = plugin.lazy(() => createActivityLog(context));
+
+// Backend plugin API (/api/plugins/...), used by the stats card
+const pluginApi = createPluginApi(context);
+
+// Provided by this plugin (plugin.json `permissions.provided`): changing the
+// settings, restoring backups, publishing the welcome message and clearing
+// the data on uninstall
+const ADMIN_PERMISSION = 'HELLO_WORLD_ADMIN';
+const isAdmin = () => !!context.hasPermission?.(ADMIN_PERMISSION);
+
+// Per-user welcome banner dismissals, shared by the banner and the quick actions
+const bannerDismissals = plugin.lazy(() => createBannerDismissals(context, {
+  settings,
+  version: pluginInfo.version,
+  adminPermission: ADMIN_PERMISSION
+}));
+
+const PLUGIN_ROUTE = '/plugins/hello-world';
+const settingsRoute = () => settings.configRoute || `${PLUGIN_ROUTE}/settings`;
+
+// Every plugin-data key, for backups (the storage API cannot list them)
+const DATA_KEYS = ['clickCount', DISMISSALS_KEY, 'installDate', SETTINGS_KEY, ACTIVITY_KEY];
+
+// ============================================================================
+// SETTINGS PAGE (route: settings.configRoute)
+// ============================================================================
+
+// Backup / restore section of the settings page, with a CSV export of the activity log
+const HelloWorldDataPanel = createDataTransferPanel(context, {
+  keys: DATA_KEYS,
+  migrations: MIGRATIONS,
+  csvExports: [
+    {
+      id: 'activity',
+      label: () => t('data.csvActivity'),
+      build: () => ({
+        columns: [
+          { key: 'at', label: t('data.column.date') },
+          { key: 'type', label: t('data.column.event') },
+          { key: 'details', label: t('data.column.details') }
+        ],
+        rows: activity.entries.value.map((entry) => {
+          const type = ACTIVITY_TYPES[entry.type];
+          return {
+            at: entry.at,
+            type: type ? type.label(t) : entry.type,
+            details: type ? type.describe(entry.payload || entry.detail || {}, t) : ''
+          };
+        })
+      })
+    }
+  ],
+  onImported: () => {
+    settings.reload();
+    activity.reload();
+    bannerDismissals.reload();
+  },
+  canRestore: isAdmin,
+  labels: () => ({
+    title: t('data.title'),
+    description: t('data.description'),
+    exportJson: t('data.exportJson'),
+    importJson: t('data.importJson'),
+    previewTitle: t('data.previewTitle'),
+    backupFrom: t('data.backupFrom'),
+    added: t('data.added'),
+    updated: t('data.updated'),
+    removed: t('data.removed'),
+    ignored: t('data.ignored'),
+    noChanges: t('data.noChanges'),
+    confirm: t('data.confirm'),
+    cancel: t('data.cancel'),
+    exported: t('data.exported'),
+    exportedDetail: t('data.exportedDetail'),
+    imported: t('data.imported'),
+    importedDetail: t('data.importedDetail'),
+    importFailed: t('data.importFailed'),
+    'error.invalid-json': t('data.error.invalidJson'),
+    'error.invalid-format': t('data.error.invalidFormat'),
+    'error.unsupported-version': t('data.error.unsupportedVersion'),
+    'error.wrong-plugin': t('data.error.wrongPlugin'),
+    'error.newer-data': t('data.error.newerData'),
+    'error.failed': t('data.error.failed')
+  })
+});
+
+const HelloWorldSettings = plugin.withErrorBoundary(createSettingsPage(context, settings, {
+  name: 'HelloWorldSettings',
+  backRoute: PLUGIN_ROUTE,
+  footer: HelloWorldDataPanel,
+  canEdit: isAdmin,
+  labels: () => ({
+    title: t('settings.title'),
+    save: t('settings.save'),
+    reset: t('settings.reset'),
+    back: t('settings.back'),
+    saved: t('settings.saved'),
+    savedDetail: t('settings.savedDetail'),
+    resetDone: t('settings.resetDone'),
+    resetDetail: t('settings.resetDetail'),
+    invalid: t('settings.invalid'),
+    defaultValue: t('settings.defaultValue'),
+    readOnly: t('settings.readOnly')
+  })
+}));
+
 
 // ============================================================================
 // MAIN PLUGIN COMPONENT (for plugin page route)
 // ============================================================================
 
-const HelloWorldPlugin = {
+const HelloWorldPlugin = plugin.withErrorBoundary({
   name: 'HelloWorldPlugin',
+  components: { HelloWorldSettings },
 
   setup() {
     const clickCount = ref(0);
-    const pluginData = ref(null);
+
+    // Admins can publish a new welcome message, which shows the banner to everyone again
+    const bannerDraft = ref(settings.values.value.welcomeMessage);
+    const bannerError = ref('');
+
+    const publishBanner = () => {
+      const result = bannerDismissals.publish(bannerDraft.value);
+      bannerError.value = result.errors.welcomeMessage || '';
+      if (result.ok) context.showSuccess(t('page.bannerPublished'), t('page.bannerPublishedDetail'));
+    };
+
+    // The portal mounts this component for every plugin route, including the settings page
+    const isSettingsRoute = computed(() => context.router?.currentRoute?.value?.path === settingsRoute());
 
     const handleClick = () => {
       clickCount.value++;
       context.setPluginData('clickCount', clickCount.value);
-      context.showSuccess('Button Clicked!', `Total clicks: ${clickCount.value}`);
+      context.showSuccess(t('page.clicked'), t('page.totalClicks', { count: clickCount.value }));
 
-      // Emit event for other plugins
-      if (context.emitEvent) {
-        context.emitEvent('hello-world:button-clicked', { count: clickCount.value });
-      }
+      // Emit event for other plugins (and the activity monitor)
+      activity.emit('hello-world:button-clicked', { count: clickCount.value });
     };
 
     onMounted(() => {
@@ -65,98 +230,125 @@ const HelloWorldPlugin = {
       if (savedCount) {
         clickCount.value = savedCount;
       }
-
-      // Load plugin data
-      pluginData.value = context.getPluginData('settings') || {
-        welcomeMessage: 'Welcome to Hello World Plugin!'
-      };
     });
 
     return {
       clickCount,
-      pluginData,
+      isSettingsRoute,
       handleClick,
-      currentUser: context.currentUser
+      canPublishBanner: bannerDismissals.canPublish,
+      bannerDraft,
+      bannerError,
+      publishBanner,
+      currentUser: context.currentUser,
+      t
     };
   },
 
   template: `
-    <div class="space-y-6">
-      <div class="bg-gradient-to-r from-purple-600 to-indigo-700 rounded-lg shadow-lg text-white p-8">
-        <h1 class="text-3xl font-bold mb-2">Hello World Plugin</h1>
-        <p class="text-purple-100">
-          Welcome {{ currentUser?.firstName }}! This is a sample plugin demonstrating the plugin system.
+    <HelloWorldSettings v-if="isSettingsRoute" />
+    <div v-else class="space-y-6">
+      <div class="plugin-bg-hero rounded-lg shadow-lg p-8">
+        <h1 class="text-3xl font-bold mb-2">{{ t('page.title') }}</h1>
+        <p class="plugin-text-on-hero-muted">
+          {{ t('page.welcome', { name: currentUser?.firstName || '' }) }}
         </p>
       </div>
 
       <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div class="bg-white rounded-lg shadow-lg border border-gray-100 p-6">
+        <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6">
           <h2 class="text-xl font-semibold mb-4 flex items-center">
-            <i class="pi pi-info-circle mr-2 text-blue-600"></i>
-            Plugin Features
+            <i class="pi pi-info-circle mr-2 plugin-text-info"></i>
+            {{ t('page.featuresTitle') }}
           </h2>
           <ul class="space-y-2">
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>Dashboard widgets in 4 different slots</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureWidgets') }}</span>
             </li>
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>Menu item in main navigation</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureMenu') }}</span>
             </li>
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>Plugin context API access</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureContext') }}</span>
             </li>
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>LocalStorage persistence</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureStorage') }}</span>
             </li>
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>Event communication system</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureEvents') }}</span>
             </li>
             <li class="flex items-start">
-              <i class="pi pi-check-circle text-green-600 mt-1 mr-2"></i>
-              <span>Lifecycle hooks (install/uninstall)</span>
+              <i class="pi pi-check-circle plugin-text-success mt-1 mr-2"></i>
+              <span>{{ t('page.featureHooks') }}</span>
             </li>
           </ul>
         </div>
 
-        <div class="bg-white rounded-lg shadow-lg border border-gray-100 p-6">
+        <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6">
           <h2 class="text-xl font-semibold mb-4 flex items-center">
-            <i class="pi pi-bolt mr-2 text-yellow-600"></i>
-            Interactive Demo
+            <i class="pi pi-bolt mr-2 plugin-text-warning"></i>
+            {{ t('page.demoTitle') }}
           </h2>
-          <p class="text-gray-600 mb-4">
-            Click the button to test plugin data persistence and event emission:
+          <p class="plugin-text-secondary mb-4">
+            {{ t('page.demoIntro') }}
           </p>
           <button
             @click="handleClick"
-            class="w-full bg-gradient-to-r from-purple-600 to-indigo-600 text-white font-semibold py-3 px-6 rounded-lg hover:from-purple-700 hover:to-indigo-700 transition-all transform hover:scale-105 shadow-lg"
+            class="w-full plugin-bg-accent plugin-text-on-primary plugin-hover-accent font-semibold py-3 px-6 rounded-lg transition-all transform hover:scale-105 shadow-lg"
           >
             <i class="pi pi-star mr-2"></i>
-            Click Me! ({{ clickCount }} times)
+            {{ t('page.clickMe', { count: clickCount }) }}
           </button>
-          <p class="text-sm text-gray-500 mt-3 text-center">
-            Your click count is persisted in LocalStorage
+          <p class="text-sm plugin-text-muted mt-3 text-center">
+            {{ t('page.persisted') }}
           </p>
         </div>
       </div>
 
-      <div class="bg-blue-50 border border-blue-200 rounded-lg p-6">
-        <h3 class="text-lg font-semibold text-blue-900 mb-2 flex items-center">
+      <form
+        v-if="canPublishBanner"
+        @submit.prevent="publishBanner"
+        class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6"
+        novalidate
+      >
+        <h2 class="text-xl font-semibold mb-2 flex items-center">
+          <i class="pi pi-megaphone mr-2 plugin-text-accent"></i>
+          {{ t('page.bannerAdminTitle') }}
+        </h2>
+        <p class="plugin-text-secondary mb-4">{{ t('page.bannerAdminIntro') }}</p>
+        <label for="hello-banner-message" class="block font-medium plugin-text mb-1">{{ t('page.bannerMessage') }}</label>
+        <div class="flex items-start gap-3">
+          <input
+            id="hello-banner-message"
+            v-model="bannerDraft"
+            type="text"
+            maxlength="120"
+            class="flex-1 px-3 py-2 border plugin-border-strong rounded-md"
+          />
+          <button type="submit" class="px-4 py-2 plugin-bg-accent plugin-text-on-primary rounded-md plugin-hover-accent">
+            {{ t('page.bannerPublish') }}
+          </button>
+        </div>
+        <p v-if="bannerError" class="text-sm plugin-text-danger mt-1">{{ bannerError }}</p>
+      </form>
+
+      <div class="plugin-bg-info-soft border plugin-border-info rounded-lg p-6">
+        <h3 class="text-lg font-semibold plugin-text-info mb-2 flex items-center">
           <i class="pi pi-lightbulb mr-2"></i>
-          Developer Tip
+          {{ t('page.tipTitle') }}
         </h3>
-        <p class="text-blue-800">
-          Check the dashboard to see this plugin's widgets in action!
-          Navigate back to the dashboard to view widgets in the top banner, stats grid, sidebar, and main content area.
+        <p class="plugin-text-info">
+          {{ t('page.tip') }}
         </p>
       </div>
     </div>
   `
-};
+});
 
 // ============================================================================
 // DASHBOARD WIDGETS
@@ -165,265 +357,577 @@ const HelloWorldPlugin = {
 /**
  * Welcome Banner Widget - Appears at dashboard-top
  */
-const WelcomeBanner = {
+const WelcomeBanner = plugin.withErrorBoundary({
   name: 'WelcomeBanner',
   props: {
     message: {
       type: String,
-      default: 'Hello from the plugin system!'
+      default: ''
     }
   },
   setup(props) {
-    const isDismissed = ref(false);
+    // The welcomeMessage setting wins over the manifest prop once it is set
+    const headline = computed(() =>
+      settings.values.value.welcomeMessage || props.message || t('banner.defaultMessage'));
 
+    // Dismissal is per user and may expire (see banner-dismissals.js)
     const handleDismiss = () => {
-      isDismissed.value = true;
-      context.setPluginData('welcomeBannerDismissed', true);
-      context.showInfo('Banner Dismissed', 'You can always see it again by reinstalling the plugin');
+      bannerDismissals.dismiss();
+      const days = settings.values.value.bannerReshowDays;
+      context.showInfo(
+        t('banner.dismissed'),
+        days > 0 ? t('banner.dismissedFor', { count: days }) : t('banner.dismissedDetail')
+      );
     };
 
-    onMounted(() => {
-      const dismissed = context.getPluginData('welcomeBannerDismissed');
-      if (dismissed) {
-        isDismissed.value = true;
-      }
-    });
-
     return {
-      isDismissed,
-      handleDismiss
+      isDismissed: bannerDismissals.isDismissed,
+      headline,
+      handleDismiss,
+      t
     };
   },
   template: `
-    <div v-if="!isDismissed" class="bg-gradient-to-r from-purple-500 to-indigo-600 rounded-lg shadow-lg text-white p-6">
+    <div v-if="!isDismissed" class="plugin-bg-hero rounded-lg shadow-lg p-6">
       <div class="flex items-center justify-between">
         <div class="flex items-center space-x-4">
-          <div class="bg-white bg-opacity-20 rounded-full p-3">
+          <div class="plugin-bg-on-hero rounded-full p-3">
             <i class="pi pi-gift text-2xl"></i>
           </div>
           <div>
-            <h3 class="text-xl font-bold">{{ message }}</h3>
-            <p class="text-purple-100 mt-1">
-              This is a sample widget from the Hello World plugin. It demonstrates the dashboard-top slot.
+            <h3 class="text-xl font-bold">{{ headline }}</h3>
+            <p class="plugin-text-on-hero-muted mt-1">
+              {{ t('banner.description') }}
             </p>
           </div>
         </div>
         <button
           @click="handleDismiss"
-          class="bg-white bg-opacity-20 hover:bg-opacity-30 rounded-full p-2 transition-all"
-          title="Dismiss"
+          class="plugin-bg-on-hero plugin-hover-on-hero rounded-full p-2 transition-all"
+          :title="t('banner.dismiss')"
         >
           <i class="pi pi-times"></i>
         </button>
       </div>
     </div>
   `
-};
+});
+
+// Events after which the plugin counts may have changed: the portal's
+// lifecycle events and this plugin's own install/uninstall events
+const PLUGIN_LIFECYCLE_EVENTS = [
+  'plugin:installed',
+  'plugin:uninstalled',
+  'hello-world:installed',
+  'hello-world:uninstalled'
+];
 
 /**
  * Plugin Stats Card - Appears in dashboard-stats grid
  */
-const PluginStatsCard = {
+const PluginStatsCard = plugin.withErrorBoundary({
   name: 'PluginStatsCard',
   setup() {
-    const pluginCount = ref(1);
-    const activePlugins = ref(1);
+    const counts = ref(null);
+    const loading = ref(false);
+    // { status } of the last failed request (0 when the server was unreachable)
+    const error = ref(null);
+    const unsubscribers = [];
+    let requestId = 0;
+
+    const loadCounts = async () => {
+      const id = ++requestId;
+      loading.value = true;
+      error.value = null;
+      try {
+        const [installed, uploaded, active] = await Promise.all([
+          pluginApi.listPlugins({ status: 'INSTALLED', limit: 1 }),
+          pluginApi.listPlugins({ status: 'UPLOADED', limit: 1 }),
+          pluginApi.listInstalled()
+        ]);
+        // A newer refresh started meanwhile: its result wins
+        if (id !== requestId) return;
+        counts.value = { installed: installed.total, uploaded: uploaded.total, active: active.length };
+      } catch (e) {
+        if (id !== requestId) return;
+        console.error('Hello World Plugin: failed to load plugin statistics', e);
+        error.value = { status: e.status || 0 };
+      } finally {
+        if (id === requestId) loading.value = false;
+      }
+    };
+
+    const isEmpty = computed(() =>
+      !!counts.value && counts.value.installed + counts.value.uploaded + counts.value.active === 0);
 
     onMounted(() => {
-      // Simulate loading plugin statistics
-      const savedCount = context.getPluginData('clickCount') || 0;
-      pluginCount.value = savedCount;
+      loadCounts();
+      if (context.onEvent) {
+        for (const eventName of PLUGIN_LIFECYCLE_EVENTS) {
+          const off = context.onEvent(eventName, loadCounts);
+          unsubscribers.push(typeof off === 'function' ? off : () => context.offEvent?.(eventName, loadCounts));
+        }
+      }
+    });
+
+    onUnmounted(() => {
+      unsubscribers.forEach((off) => off());
+      // Ignore any response still in flight
+      requestId += 1;
     });
 
+    const showStatistics = computed(() => settings.values.value.showStatistics !== false);
+
     return {
-      pluginCount,
-      activePlugins
+      counts,
+      loading,
+      error,
+      isEmpty,
+      loadCounts,
+      showStatistics,
+      t
     };
   },
   template: `
-    <div class="bg-white rounded-lg shadow-lg border border-gray-100 p-6 hover:shadow-xl transition-shadow">
+    <div v-if="showStatistics" class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6 hover:shadow-xl transition-shadow">
       <div class="flex items-center">
-        <div class="flex-shrink-0 rounded-lg p-3 bg-purple-100">
-          <i class="pi pi-puzzle text-purple-600 text-lg"></i>
+        <div class="flex-shrink-0 rounded-lg p-3 plugin-bg-accent-soft">
+          <i class="pi pi-puzzle plugin-text-accent text-lg"></i>
         </div>
-        <div class="ml-4">
-          <p class="text-sm font-medium text-gray-600">Plugin Interactions</p>
-          <p class="text-2xl font-bold text-gray-900">{{ pluginCount }}</p>
-          <p class="text-sm text-purple-600 flex items-center">
-            <i class="pi pi-check-circle mr-1"></i>
-            Plugin Active
+        <div class="ml-4 flex-1">
+          <p class="text-sm font-medium plugin-text-secondary">{{ t('stats.title') }}</p>
+
+          <p v-if="loading && !counts" class="text-sm plugin-text-muted flex items-center mt-1">
+            <i class="pi pi-spin pi-spinner mr-2"></i>
+            {{ t('stats.loading') }}
           </p>
+
+          <div v-else-if="error" class="mt-1">
+            <p class="text-sm plugin-text-danger flex items-center">
+              <i class="pi pi-exclamation-triangle mr-1"></i>
+              {{ t('stats.unavailable') }}
+            </p>
+            <p class="text-xs plugin-text-muted">
+              {{ error.status ? t('stats.serverStatus', { status: error.status }) : t('stats.unreachable') }}
+            </p>
+            <button @click="loadCounts" class="text-sm plugin-text-accent plugin-hover-primary-text mt-1">
+              <i class="pi pi-refresh mr-1"></i>
+              {{ t('stats.retry') }}
+            </button>
+          </div>
+
+          <p v-else-if="isEmpty" class="text-sm plugin-text-muted mt-1">
+            {{ t('stats.empty') }}
+          </p>
+
+          <template v-else-if="counts">
+            <p class="text-2xl font-bold plugin-text">
+              {{ counts.installed }}
+              <span class="text-sm font-medium plugin-text-muted">{{ t('stats.installed', { count: counts.installed }) }}</span>
+            </p>
+            <p class="text-sm plugin-text-secondary">
+              {{ t('stats.uploaded', { count: counts.uploaded }) }}
+            </p>
+            <p class="text-sm plugin-text-accent flex items-center">
+              <i class="pi pi-check-circle mr-1"></i>
+              {{ t('stats.active', { count: counts.active }) }}
+              <i v-if="loading" class="pi pi-spin pi-spinner ml-2 plugin-text-subtle"></i>
+            </p>
+          </template>
         </div>
       </div>
     </div>
   `
-};
+});
 
 /**
  * Quick Actions Widget - Appears in dashboard-sidebar
  */
-const QuickActionsWidget = {
+const QuickActionsWidget = plugin.withErrorBoundary({
   name: 'QuickActionsWidget',
   setup() {
     const handleAction = (actionName) => {
-      context.showSuccess(`Action: ${actionName}`, 'This is a demo action from the plugin');
+      context.showSuccess(t('actions.done', { action: actionName }), t('actions.doneDetail'));
 
       // Emit event
-      if (context.emitEvent) {
-        context.emitEvent('hello-world:action', { action: actionName });
-      }
+      activity.emit('hello-world:action', { action: actionName });
     };
 
     const navigateToPlugin = () => {
       if (context.navigateTo) {
-        context.navigateTo('/plugins/hello-world');
+        context.navigateTo(PLUGIN_ROUTE);
+      }
+    };
+
+    const openSettings = () => {
+      if (context.navigateTo) {
+        context.navigateTo(settingsRoute());
       }
     };
 
+    const showBanner = () => {
+      bannerDismissals.restore();
+      context.showSuccess(t('actions.bannerShown'), t('actions.bannerShownDetail'));
+    };
+
     return {
       handleAction,
-      navigateToPlugin
+      navigateToPlugin,
+      openSettings,
+      showBanner,
+      bannerDismissed: bannerDismissals.isDismissed,
+      t
     };
   },
   template: `
-    <div class="bg-white rounded-lg shadow-lg border border-gray-100">
-      <div class="px-6 py-4 border-b border-gray-200">
-        <h2 class="text-lg font-semibold text-gray-900 flex items-center">
-          <i class="pi pi-bolt mr-2 text-purple-600"></i>
-          Plugin Quick Actions
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border">
+      <div class="px-6 py-4 border-b plugin-border">
+        <h2 class="text-lg font-semibold plugin-text flex items-center">
+          <i class="pi pi-bolt mr-2 plugin-text-accent"></i>
+          {{ t('actions.title') }}
         </h2>
       </div>
       <div class="p-6">
         <div class="space-y-3">
           <button
             @click="navigateToPlugin"
-            class="w-full text-left px-4 py-3 bg-gradient-to-r from-purple-50 to-indigo-50 hover:from-purple-100 hover:to-indigo-100 rounded-lg border border-purple-200 transition-all"
+            class="w-full text-left px-4 py-3 plugin-bg-accent-soft plugin-hover-accent-soft rounded-lg border plugin-border-primary transition-all"
           >
             <div class="flex items-center justify-between">
               <div class="flex items-center">
-                <i class="pi pi-external-link text-purple-600 mr-3"></i>
+                <i class="pi pi-external-link plugin-text-accent mr-3"></i>
                 <div>
-                  <p class="font-medium text-gray-900">Open Plugin</p>
-                  <p class="text-xs text-gray-500">View plugin page</p>
+                  <p class="font-medium plugin-text">{{ t('actions.open') }}</p>
+                  <p class="text-xs plugin-text-muted">{{ t('actions.openDetail') }}</p>
                 </div>
               </div>
-              <i class="pi pi-chevron-right text-gray-400"></i>
+              <i class="pi pi-chevron-right plugin-text-muted"></i>
             </div>
           </button>
 
           <button
             @click="handleAction('Demo Action 1')"
-            class="w-full text-left px-4 py-3 bg-gray-50 hover:bg-gray-100 rounded-lg border border-gray-200 transition-all"
+            class="w-full text-left px-4 py-3 plugin-bg-surface-alt plugin-hover-control rounded-lg border plugin-border transition-all"
           >
             <div class="flex items-center justify-between">
               <div class="flex items-center">
-                <i class="pi pi-star text-yellow-600 mr-3"></i>
+                <i class="pi pi-star plugin-text-warning mr-3"></i>
                 <div>
-                  <p class="font-medium text-gray-900">Demo Action</p>
-                  <p class="text-xs text-gray-500">Test plugin functionality</p>
+                  <p class="font-medium plugin-text">{{ t('actions.demo') }}</p>
+                  <p class="text-xs plugin-text-muted">{{ t('actions.demoDetail') }}</p>
                 </div>
               </div>
-              <i class="pi pi-chevron-right text-gray-400"></i>
+              <i class="pi pi-chevron-right plugin-text-subtle"></i>
             </div>
           </button>
 
           <button
-            @click="handleAction('Settings')"
-            class="w-full text-left px-4 py-3 bg-gray-50 hover:bg-gray-100 rounded-lg border border-gray-200 transition-all"
+            v-if="bannerDismissed"
+            @click="showBanner"
+            class="w-full text-left px-4 py-3 plugin-bg-surface-alt plugin-hover-control rounded-lg border plugin-border transition-all"
           >
             <div class="flex items-center justify-between">
               <div class="flex items-center">
-                <i class="pi pi-cog text-gray-600 mr-3"></i>
+                <i class="pi pi-eye plugin-text-accent mr-3"></i>
                 <div>
-                  <p class="font-medium text-gray-900">Settings</p>
-                  <p class="text-xs text-gray-500">Configure plugin</p>
+                  <p class="font-medium plugin-text">{{ t('actions.showBanner') }}</p>
+                  <p class="text-xs plugin-text-muted">{{ t('actions.showBannerDetail') }}</p>
                 </div>
               </div>
-              <i class="pi pi-chevron-right text-gray-400"></i>
+              <i class="pi pi-chevron-right plugin-text-subtle"></i>
+            </div>
+          </button>
+
+          <button
+            @click="openSettings"
+            class="w-full text-left px-4 py-3 plugin-bg-surface-alt plugin-hover-control rounded-lg border plugin-border transition-all"
+          >
+            <div class="flex items-center justify-between">
+              <div class="flex items-center">
+                <i class="pi pi-cog plugin-text-secondary mr-3"></i>
+                <div>
+                  <p class="font-medium plugin-text">{{ t('actions.settings') }}</p>
+                  <p class="text-xs plugin-text-muted">{{ t('actions.settingsDetail') }}</p>
+                </div>
+              </div>
+              <i class="pi pi-chevron-right plugin-text-subtle"></i>
             </div>
           </button>
         </div>
       </div>
     </div>
   `
-};
+});
 
 /**
  * Activity Chart Widget - Appears in dashboard-main
  */
-const ActivityChartWidget = {
+const ACTIVITY_PAGE_SIZE = 5;
+const ACTIVITY_TICK_MS = 15000;
+// The badge pulses while the latest event is more recent than this
+const RECENT_ACTIVITY_MS = 60000;
+
+const ActivityChartWidget = plugin.withErrorBoundary({
   name: 'ActivityChartWidget',
   setup() {
-    const activities = ref([
-      { id: 1, label: 'Plugin Installed', time: 'Just now', icon: 'pi-download', color: 'green' },
-      { id: 2, label: 'Widgets Loaded', time: '1 min ago', icon: 'pi-th-large', color: 'blue' },
-      { id: 3, label: 'Context Initialized', time: '2 min ago', icon: 'pi-check-circle', color: 'purple' },
-    ]);
-
-    const stats = ref({
-      totalActions: 3,
-      successRate: 100,
-      avgLoadTime: '125ms'
+    const now = ref(Date.now());
+    const filter = ref('all');
+    const page = ref(0);
+    const isLive = ref(false);
+    // Timings of every plugin's widgets on this page (shared/widget-performance.js)
+    const timings = ref([]);
+    let timer = null;
+    let stopTimings = null;
+
+    const entries = activity.entries;
+
+    const typeOptions = computed(() => Object.entries(ACTIVITY_TYPES).map(([type, meta]) => ({
+      type,
+      label: meta.label(t),
+      count: entries.value.filter((entry) => entry.type === type).length
+    })));
+
+    const filtered = computed(() =>
+      (filter.value === 'all' ? entries.value : entries.value.filter((entry) => entry.type === filter.value)));
+
+    const pageCount = computed(() => Math.max(1, Math.ceil(filtered.value.length / ACTIVITY_PAGE_SIZE)));
+
+    const visible = computed(() => filtered.value
+      .slice(page.value * ACTIVITY_PAGE_SIZE, (page.value + 1) * ACTIVITY_PAGE_SIZE)
+      .map((entry) => {
+        const meta = ACTIVITY_TYPES[entry.type];
+        return {
+          ...entry,
+          label: meta ? meta.label(t) : entry.type,
+          // Entries recorded before payloads were kept only have a `detail` text
+          detail: meta && entry.payload ? meta.describe(entry.payload, t) : entry.detail || '',
+          icon: meta ? meta.icon : 'pi pi-circle',
+          iconClass: meta ? meta.iconClass : 'plugin-bg-control plugin-text-secondary',
+          time: formatRelativeTime(entry.at, { now: now.value, locale: i18n.locale.value })
+        };
+      }));
+
+    // Counters computed from the recorded events
+    const stats = computed(() => {
+      const dayAgo = now.value - 24 * 60 * 60 * 1000;
+      const latest = entries.value[0];
+      return {
+        totalEvents: entries.value.length,
+        lastDay: entries.value.filter((entry) => new Date(entry.at).getTime() >= dayAgo).length,
+        lastActivity: latest
+          ? formatRelativeTime(latest.at, { now: now.value, locale: i18n.locale.value })
+          : t('activity.never')
+      };
     });
 
+    // One line per plugin (all its widgets pooled), then one per widget
+    const timingRows = computed(() => timings.value.flatMap((plugin) => [
+      { key: plugin.pluginId, label: plugin.pluginId, phases: plugin.phases, isPlugin: true },
+      ...plugin.widgets.map((widget) => ({
+        key: `${plugin.pluginId}:${widget.widget}`,
+        label: widget.widget,
+        phases: widget.phases,
+        isPlugin: false
+      }))
+    ]));
+
+    const formatMs = (value) => new Intl.NumberFormat(i18n.locale.value || undefined, {
+      maximumFractionDigits: value < 10 ? 1 : 0
+    }).format(value);
+
+    const timingText = (stats) => (stats ? t('activity.timing', { p50: formatMs(stats.p50), p95: formatMs(stats.p95) }) : '–');
+
+    const refreshTimings = () => {
+      timings.value = readWidgetPerformance().plugins;
+    };
+
+    const isRecent = computed(() =>
+      !!entries.value[0] && now.value - new Date(entries.value[0].at).getTime() < RECENT_ACTIVITY_MS);
+
+    const setFilter = (type) => {
+      filter.value = type;
+      page.value = 0;
+    };
+
+    const goToPage = (n) => {
+      page.value = Math.min(Math.max(n, 0), pageCount.value - 1);
+    };
+
+    const clearActivity = () => {
+      activity.clear();
+      page.value = 0;
+      context.showInfo(t('activity.cleared'), t('activity.clearedDetail'));
+    };
+
+    // A new event refreshes the relative times right away
+    watch(entries, () => { now.value = Date.now(); });
+    watch(pageCount, () => goToPage(page.value));
+
+    onMounted(() => {
+      activity.reload();
+      timer = setInterval(() => { now.value = Date.now(); }, ACTIVITY_TICK_MS);
+      isLive.value = true;
+      refreshTimings();
+      stopTimings = watchWidgetPerformance(refreshTimings);
+    });
+
+    onUnmounted(() => {
+      clearInterval(timer);
+      if (stopTimings) stopTimings();
+      isLive.value = false;
+    });
+
+    const showStatistics = computed(() => settings.values.value.showStatistics !== false);
+
     return {
-      activities,
-      stats
+      filter,
+      page,
+      pageCount,
+      typeOptions,
+      filtered,
+      visible,
+      stats,
+      isLive,
+      isRecent,
+      setFilter,
+      goToPage,
+      clearActivity,
+      showStatistics,
+      timingRows,
+      timingText,
+      phases: WIDGET_PHASES,
+      t
     };
   },
   template: `
-    <div class="bg-white rounded-lg shadow-lg border border-gray-100">
-      <div class="px-6 py-4 border-b border-gray-200">
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border">
+      <div class="px-6 py-4 border-b plugin-border">
         <div class="flex items-center justify-between">
-          <h2 class="text-lg font-semibold text-gray-900 flex items-center">
-            <i class="pi pi-chart-line mr-2 text-purple-600"></i>
-            Plugin Activity Monitor
+          <h2 class="text-lg font-semibold plugin-text flex items-center">
+            <i class="pi pi-chart-line mr-2 plugin-text-accent"></i>
+            {{ t('activity.title') }}
           </h2>
-          <span class="text-xs bg-purple-100 text-purple-800 px-3 py-1 rounded-full font-medium">
-            Live
+          <span
+            v-if="isLive"
+            class="text-xs plugin-tone-accent px-3 py-1 rounded-full font-medium flex items-center"
+            :title="t('activity.liveTitle')"
+          >
+            <span class="h-2 w-2 rounded-full mr-2" :class="isRecent ? 'plugin-bg-success animate-pulse' : 'plugin-bg-accent'"></span>
+            {{ t('activity.live') }}
           </span>
         </div>
       </div>
 
       <div class="p-6">
         <!-- Stats Grid -->
-        <div class="grid grid-cols-3 gap-4 mb-6">
-          <div class="text-center p-4 bg-gradient-to-br from-green-50 to-green-100 rounded-lg">
-            <p class="text-2xl font-bold text-green-700">{{ stats.totalActions }}</p>
-            <p class="text-xs text-green-600 mt-1">Total Actions</p>
+        <div v-if="showStatistics" class="grid grid-cols-3 gap-4 mb-6">
+          <div class="text-center p-4 plugin-tone-success rounded-lg">
+            <p class="text-2xl font-bold">{{ stats.totalEvents }}</p>
+            <p class="text-xs mt-1">{{ t('activity.totalEvents') }}</p>
           </div>
-          <div class="text-center p-4 bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg">
-            <p class="text-2xl font-bold text-blue-700">{{ stats.successRate }}%</p>
-            <p class="text-xs text-blue-600 mt-1">Success Rate</p>
+          <div class="text-center p-4 plugin-tone-info rounded-lg">
+            <p class="text-2xl font-bold">{{ stats.lastDay }}</p>
+            <p class="text-xs mt-1">{{ t('activity.lastDay') }}</p>
           </div>
-          <div class="text-center p-4 bg-gradient-to-br from-purple-50 to-purple-100 rounded-lg">
-            <p class="text-2xl font-bold text-purple-700">{{ stats.avgLoadTime }}</p>
-            <p class="text-xs text-purple-600 mt-1">Avg Load Time</p>
+          <div class="text-center p-4 plugin-tone-accent rounded-lg">
+            <p class="text-2xl font-bold">{{ stats.lastActivity }}</p>
+            <p class="text-xs mt-1">{{ t('activity.lastActivity') }}</p>
+          </div>
+        </div>
+
+        <!-- Widget Performance -->
+        <div v-if="showStatistics" class="mb-6">
+          <h3 class="text-sm font-semibold plugin-text-secondary mb-1">{{ t('activity.performance') }}</h3>
+          <p class="text-xs plugin-text-muted mb-3">{{ t('activity.performanceHint') }}</p>
+          <p v-if="!timingRows.length" class="text-sm plugin-text-muted p-3 plugin-bg-surface-alt rounded-lg">
+            {{ t('activity.performanceEmpty') }}
+          </p>
+          <div v-else class="overflow-x-auto">
+            <table class="w-full text-sm">
+              <thead>
+                <tr class="text-left text-xs plugin-text-muted border-b plugin-border">
+                  <th class="py-2 pr-3 font-medium">{{ t('activity.performanceWidget') }}</th>
+                  <th v-for="phase in phases" :key="phase" class="py-2 px-3 font-medium text-right">{{ t('activity.phase.' + phase) }}</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr v-for="row in timingRows" :key="row.key" :class="row.isPlugin ? 'plugin-bg-surface-alt font-medium' : ''">
+                  <td class="py-1.5 pr-3 plugin-text truncate" :class="row.isPlugin ? 'pl-2' : 'pl-6'">{{ row.label }}</td>
+                  <td
+                    v-for="phase in phases"
+                    :key="phase"
+                    class="py-1.5 px-3 text-right whitespace-nowrap"
+                    :class="row.phases[phase]?.slow ? 'plugin-text-warning' : 'plugin-text-secondary'"
+                    :title="row.phases[phase]?.slow ? t('activity.performanceSlow', { budget: row.phases[phase].budget }) : null"
+                  >
+                    <i v-if="row.phases[phase]?.slow" class="pi pi-exclamation-triangle mr-1" aria-hidden="true"></i>
+                    {{ timingText(row.phases[phase]) }}
+                    <span v-if="row.phases[phase]?.slow" class="sr-only">{{ t('activity.performanceSlow', { budget: row.phases[phase].budget }) }}</span>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
           </div>
         </div>
 
         <!-- Activity Log -->
         <div class="space-y-3">
-          <h3 class="text-sm font-semibold text-gray-700 mb-3">Recent Activity</h3>
+          <div class="flex items-center justify-between mb-3">
+            <h3 class="text-sm font-semibold plugin-text-secondary">{{ t('activity.recent') }}</h3>
+            <select
+              :value="filter"
+              @change="setFilter($event.target.value)"
+              class="text-sm px-2 py-1 border plugin-border-strong rounded-md plugin-bg-surface"
+              :aria-label="t('activity.filter')"
+            >
+              <option value="all">{{ t('activity.allEvents') }}</option>
+              <option v-for="option in typeOptions" :key="option.type" :value="option.type">
+                {{ option.label }} ({{ option.count }})
+              </option>
+            </select>
+          </div>
+
+          <p v-if="!filtered.length" class="text-sm plugin-text-muted p-3 plugin-bg-surface-alt rounded-lg">
+            {{ t('activity.empty') }}
+          </p>
+
           <div
-            v-for="activity in activities"
-            :key="activity.id"
-            class="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+            v-for="entry in visible"
+            :key="entry.id"
+            class="flex items-center space-x-3 p-3 plugin-bg-surface-alt rounded-lg plugin-hover-control transition-colors"
           >
-            <div :class="[\`bg-\${activity.color}-100 rounded-full p-2\`]">
-              <i :class="[\`pi \${activity.icon} text-\${activity.color}-600\`]"></i>
+            <div class="rounded-full p-2" :class="entry.iconClass">
+              <i :class="entry.icon"></i>
             </div>
             <div class="flex-1">
-              <p class="text-sm font-medium text-gray-900">{{ activity.label }}</p>
-              <p class="text-xs text-gray-500">{{ activity.time }}</p>
+              <p class="text-sm font-medium plugin-text">{{ entry.label }}</p>
+              <p class="text-xs plugin-text-muted">
+                <span v-if="entry.detail">{{ entry.detail }} · </span>
+                <time :datetime="entry.at" :title="entry.at">{{ entry.time }}</time>
+              </p>
+            </div>
+          </div>
+
+          <div v-if="filtered.length" class="flex items-center justify-between pt-2 text-sm">
+            <button @click="clearActivity" class="plugin-text-muted plugin-hover-danger">
+              <i class="pi pi-trash mr-1"></i>
+              {{ t('activity.clear') }}
+            </button>
+            <div v-if="pageCount > 1" class="flex items-center space-x-2">
+              <button @click="goToPage(page - 1)" :disabled="page === 0" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('activity.newer')">
+                <i class="pi pi-angle-left"></i>
+              </button>
+              <span class="plugin-text-secondary">{{ t('activity.page', { page: page + 1, pages: pageCount }) }}</span>
+              <button @click="goToPage(page + 1)" :disabled="page >= pageCount - 1" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('activity.older')">
+                <i class="pi pi-angle-right"></i>
+              </button>
             </div>
-            <i class="pi pi-check-circle text-green-500"></i>
           </div>
         </div>
       </div>
     </div>
   `
-};
+});
 
 // ============================================================================
 // LIFECYCLE HOOKS
@@ -435,26 +939,45 @@ const ActivityChartWidget = {
 const onInstall = async () => {
   console.log('Hello World Plugin: onInstall hook called');
 
-  // Initialize plugin data
+  // Initialize plugin data (settings defaults come from plugin.json)
   context.setPluginData('installDate', new Date().toISOString());
-  context.setPluginData('settings', {
-    welcomeMessage: 'Welcome to Hello World Plugin!',
-    showStatistics: true
-  });
+  stampDataVersion(context, pluginInfo.version);
 
   // Show success notification
-  context.showSuccess(
-    'Hello World Plugin Installed!',
-    'The plugin has been successfully installed. Check the dashboard to see the widgets!'
-  );
+  context.showSuccess(t('install.title'), t('install.detail'));
 
   // Emit installation event
-  if (context.emitEvent) {
-    context.emitEvent('hello-world:installed', {
-      timestamp: new Date().toISOString(),
-      version: '1.0.0'
-    });
+  activity.emit('hello-world:installed', {
+    timestamp: new Date().toISOString(),
+    version: pluginInfo.version
+  });
+};
+
+/**
+ * Called when the plugin is updated: migrates the stored data
+ * (see data-migrations.js). A failed step restores the data untouched.
+ */
+const onUpdate = async (fromVersion, toVersion = pluginInfo.version) => {
+  console.log(`Hello World Plugin: onUpdate hook called (${fromVersion} -> ${toVersion})`);
+
+  const result = runMigrations(context, MIGRATIONS, { fromVersion, toVersion });
+  if (!result.ok) {
+    console.error('Hello World Plugin: data migration failed', result.failedStep?.description, result.error);
+    context.showError(t('update.failed'), t('update.failedDetail', { version: result.from }));
+    throw result.error;
   }
+
+  // The stores read the pre-migration values when the module loaded
+  settings.reload();
+  bannerDismissals.reload();
+
+  context.showSuccess(t('update.title'), t('update.detail', { version: result.to }));
+
+  activity.emit('hello-world:updated', {
+    timestamp: new Date().toISOString(),
+    from: result.from,
+    to: result.to
+  });
 };
 
 /**
@@ -463,19 +986,40 @@ const onInstall = async () => {
 const onUninstall = () => {
   console.log('Hello World Plugin: onUninstall hook called');
 
-  // Clean up plugin data
-  context.clearPluginData();
+  // Only administrators may wipe the data; otherwise it stays for a reinstall
+  // or an administrator's cleanup
+  const canClear = isAdmin();
+
+  // Download a backup first, unless the user turned it off in the settings
+  let backedUp = false;
+  let backupFailed = false;
+  if (canClear && settings.get('backupOnUninstall')) {
+    try {
+      downloadBackup(context, { keys: DATA_KEYS, pluginVersion: pluginInfo.version });
+      backedUp = true;
+    } catch (error) {
+      console.error('Hello World Plugin: backup before uninstall failed', error);
+      backupFailed = true;
+    }
+  }
+
+  // Clean up plugin data, unless the backup the user asked for failed
+  const dataCleared = canClear && !backupFailed;
+  if (dataCleared) context.clearPluginData();
 
-  // Show info notification
-  context.showInfo(
-    'Hello World Plugin Uninstalled',
-    'Thank you for trying the Hello World plugin! All plugin data has been cleared.'
-  );
+  // Show the outcome
+  if (backupFailed) {
+    context.showError(t('uninstall.backupFailedTitle'), t('uninstall.backupFailedDetail'));
+  } else {
+    const detail = !canClear ? t('uninstall.keptDetail') : backedUp ? t('uninstall.backedUpDetail') : t('uninstall.detail');
+    context.showInfo(t('uninstall.title'), detail);
+  }
 
   // Emit uninstallation event
   if (context.emitEvent) {
     context.emitEvent('hello-world:uninstalled', {
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      dataCleared
     });
   }
 };
@@ -490,12 +1034,8 @@ export default HelloWorldPlugin;
 // Export dashboard widgets
 export { WelcomeBanner, PluginStatsCard, QuickActionsWidget, ActivityChartWidget };
 
-// Export lifecycle hooks
-export { onInstall, onUninstall };
+// Export the generated settings page (also rendered by the default component on its route)
+export { HelloWorldSettings };
 
-// Export additional utilities if needed
-export const pluginInfo = {
-  id: 'hello-world-plugin',
-  name: 'Hello World Plugin',
-  version: '1.0.0'
-};
+// Export lifecycle hooks
+export { onInstall, onUpdate, onUninstall };
@@ -0,0 +1,158 @@
+/**
+ * Hello World plugin, mounted on the mock context
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/hello-world-plugin
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { click, downloads, flush, mount } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginBackend } from '../shared/mock-plugin-backend.js';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+const context = createMockPluginContext(manifest.id, { manifest });
+window.usePluginContext = () => context;
+
+// The plugin API client uses the global fetch, read when the module loads
+const backend = createMockPluginBackend({
+  plugins: [
+    { pluginId: 'hello-world-plugin', name: 'Hello World', status: 'INSTALLED' },
+    { pluginId: 'morpion-plugin', name: 'Morpion', status: 'INSTALLED' },
+    { pluginId: 'charts-plugin', name: 'Charts', status: 'UPLOADED' }
+  ]
+});
+globalThis.fetch = backend.fetch;
+
+const { default: HelloWorldPlugin, WelcomeBanner, PluginStatsCard, onInstall, onUninstall } = await import('./index.js');
+
+const banner = manifest.widgets.find((widget) => widget.component === 'WelcomeBanner');
+
+const emitted = (eventName) => context.emittedEvents.filter((event) => event.eventName === eventName);
+const lastNotification = () => context.notifications[context.notifications.length - 1];
+
+test('the page greets the signed-in user', async () => {
+  const page = await mount(HelloWorldPlugin);
+  assert.match(page.text(), /Welcome User! This is a sample plugin/);
+  page.unmount();
+});
+
+test('clicking the button counts, stores, notifies and emits', async () => {
+  const page = await mount(HelloWorldPlugin);
+  await click(page.button('Click Me!'));
+  await click(page.button('Click Me!'));
+
+  assert.ok(page.button('Click Me! (2 times)'));
+  assert.equal(context.getPluginData('clickCount'), 2);
+  assert.deepEqual(lastNotification(), { severity: 'success', summary: 'Button Clicked!', detail: 'Total clicks: 2' });
+  assert.deepEqual(emitted('hello-world:button-clicked').map((event) => event.payload.count), [1, 2]);
+  page.unmount();
+
+  // The count survives a new visit
+  const again = await mount(HelloWorldPlugin);
+  assert.ok(again.button('Click Me! (2 times)'));
+  again.unmount();
+});
+
+// welcomeMessage is required and has a default, so it always wins over the prop
+test('the banner shows the welcome message setting rather than the manifest prop', async () => {
+  const widget = await mount(WelcomeBanner, banner.props);
+  assert.match(widget.text(), /Welcome to Hello World Plugin!/);
+  assert.doesNotMatch(widget.text(), new RegExp(banner.props.message));
+  widget.unmount();
+});
+
+test('dismissing the banner hides it and says how to get it back', async () => {
+  const widget = await mount(WelcomeBanner, banner.props);
+  await click(widget.button('Dismiss'));
+
+  assert.equal(widget.text(), '');
+  assert.equal(lastNotification().summary, 'Banner Dismissed');
+  widget.unmount();
+});
+
+test('the stats card shows the counts of the plugin backend', async () => {
+  backend.requests.length = 0;
+  const card = await mount(PluginStatsCard);
+
+  assert.deepEqual(backend.requests.sort(), [
+    '/api/plugins/installed',
+    '/api/plugins?status=INSTALLED&limit=1',
+    '/api/plugins?status=UPLOADED&limit=1'
+  ]);
+  assert.match(card.text(), /2 installed/);
+  assert.match(card.text(), /1 awaiting install/);
+  assert.match(card.text(), /2 active/);
+  card.unmount();
+});
+
+test('the stats card reloads after an install and recovers from a failing backend', async () => {
+  const card = await mount(PluginStatsCard);
+
+  backend.failWith(500);
+  context.bus.emit('plugin:installed', { pluginId: 'charts-plugin' });
+  await flush();
+  assert.match(card.text(), /Statistics unavailable/);
+  assert.match(card.text(), /The server answered 500\./);
+
+  backend.failWith(null);
+  await backend.fetch('/api/plugins/charts-plugin/install', { method: 'POST' });
+  await click(card.button('Retry'));
+  assert.match(card.text(), /3 installed/);
+  assert.match(card.text(), /0 awaiting install/);
+  card.unmount();
+});
+
+test('an unmounted stats card no longer reloads on plugin events', async () => {
+  const card = await mount(PluginStatsCard);
+  card.unmount();
+  backend.requests.length = 0;
+
+  context.bus.emit('plugin:installed', { pluginId: 'charts-plugin' });
+  await flush();
+  assert.deepEqual(backend.requests, []);
+});
+
+test('onInstall stamps the data and announces the install', async () => {
+  await onInstall();
+
+  assert.ok(context.getPluginData('installDate'));
+  assert.equal(lastNotification().summary, 'Hello World Plugin Installed!');
+  assert.equal(emitted('hello-world:installed').at(-1).payload.version, manifest.version);
+});
+
+test('onUninstall keeps the data of a user who is not an administrator', () => {
+  onUninstall();
+
+  assert.ok(context.getPluginData('installDate'));
+  assert.equal(lastNotification().detail, 'The plugin data was kept: only Hello World administrators can clear it.');
+  assert.equal(emitted('hello-world:uninstalled').at(-1).payload.dataCleared, false);
+});
+
+test('onUninstall keeps the data of an administrator when the backup fails', (t) => {
+  context.setUser({ id: 'admin', firstName: 'Ada' }, { permissions: ['HELLO_WORLD_ADMIN'] });
+  t.mock.method(URL, 'createObjectURL', () => { throw new Error('Downloads are blocked'); });
+  t.mock.method(console, 'error', () => {});
+  onUninstall();
+
+  assert.equal(context.getPluginData('clickCount'), 2);
+  assert.deepEqual(lastNotification(), {
+    severity: 'error',
+    summary: 'Backup failed',
+    detail: 'The backup could not be downloaded, so the plugin data was kept. Turn off the backup on uninstall in the settings to clear it without one.'
+  });
+  assert.equal(emitted('hello-world:uninstalled').at(-1).payload.dataCleared, false);
+});
+
+test('onUninstall backs up, then clears the data of an administrator', async () => {
+  context.setUser({ id: 'admin', firstName: 'Ada' }, { permissions: ['HELLO_WORLD_ADMIN'] });
+  onUninstall();
+
+  const backup = JSON.parse(await downloads.at(-1).blob.text());
+  assert.equal(backup.pluginVersion, manifest.version);
+  assert.equal(backup.data.clickCount, 2);
+  assert.deepEqual(context.dumpPluginData(), {});
+  assert.match(lastNotification().detail, /A backup was downloaded/);
+  assert.equal(emitted('hello-world:uninstalled').at(-1).payload.dataCleared, true);
+});
@@ -0,0 +1,185 @@
+/**
+ * Hello World messages - English (fallback language)
+ */
+
+export default {
+  // Plugin page
+  'page.title': 'Hello World Plugin',
+  'page.welcome': 'Welcome {name}! This is a sample plugin demonstrating the plugin system.',
+  'page.featuresTitle': 'Plugin Features',
+  'page.featureWidgets': 'Dashboard widgets in 4 different slots',
+  'page.featureMenu': 'Menu item in main navigation',
+  'page.featureContext': 'Plugin context API access',
+  'page.featureStorage': 'LocalStorage persistence',
+  'page.featureEvents': 'Event communication system',
+  'page.featureHooks': 'Lifecycle hooks (install/update/uninstall)',
+  'page.demoTitle': 'Interactive Demo',
+  'page.demoIntro': 'Click the button to test plugin data persistence and event emission:',
+  'page.clickMe': { one: 'Click Me! ({count} time)', other: 'Click Me! ({count} times)' },
+  'page.persisted': 'Your click count is persisted in LocalStorage',
+  'page.tipTitle': 'Developer Tip',
+  'page.tip': "Check the dashboard to see this plugin's widgets in action! Navigate back to the dashboard to view widgets in the top banner, stats grid, sidebar, and main content area.",
+  'page.clicked': 'Button Clicked!',
+  'page.totalClicks': 'Total clicks: {count}',
+  'page.bannerAdminTitle': 'Welcome Banner',
+  'page.bannerAdminIntro': 'Publish a new message to show the welcome banner again to every user, including those who dismissed it.',
+  'page.bannerMessage': 'Message',
+  'page.bannerPublish': 'Publish to everyone',
+  'page.bannerPublished': 'Message Published',
+  'page.bannerPublishedDetail': 'Every user will see the welcome banner again',
+
+  // Welcome banner
+  'banner.defaultMessage': 'Hello from the plugin system!',
+  'banner.description': 'This is a sample widget from the Hello World plugin. It demonstrates the dashboard-top slot.',
+  'banner.dismiss': 'Dismiss',
+  'banner.dismissed': 'Banner Dismissed',
+  'banner.dismissedDetail': 'Use "Show welcome banner" in the quick actions to see it again',
+  'banner.dismissedFor': { one: 'It will come back tomorrow', other: 'It will come back in {count} days' },
+
+  // Stats card
+  'stats.title': 'Portal Plugins',
+  'stats.loading': 'Loading...',
+  'stats.unavailable': 'Statistics unavailable',
+  'stats.serverStatus': 'The server answered {status}.',
+  'stats.unreachable': 'The server could not be reached.',
+  'stats.retry': 'Retry',
+  'stats.empty': 'No plugins uploaded yet.',
+  'stats.installed': 'installed',
+  'stats.uploaded': '{count} awaiting install',
+  'stats.active': '{count} active',
+
+  // Quick actions
+  'actions.title': 'Plugin Quick Actions',
+  'actions.open': 'Open Plugin',
+  'actions.openDetail': 'View plugin page',
+  'actions.demo': 'Demo Action',
+  'actions.demoDetail': 'Test plugin functionality',
+  'actions.settings': 'Settings',
+  'actions.settingsDetail': 'Configure plugin',
+  'actions.showBanner': 'Show welcome banner',
+  'actions.showBannerDetail': 'Bring back the banner you dismissed',
+  'actions.bannerShown': 'Banner Restored',
+  'actions.bannerShownDetail': 'The welcome banner is back on your dashboard',
+  'actions.done': 'Action: {action}',
+  'actions.doneDetail': 'This is a demo action from the plugin',
+
+  // Activity monitor
+  'activity.title': 'Plugin Activity Monitor',
+  'activity.live': 'Live',
+  'activity.liveTitle': 'Updates as soon as the plugin emits an event',
+  'activity.totalEvents': 'Total Events',
+  'activity.lastDay': 'Last 24 Hours',
+  'activity.lastActivity': 'Last Activity',
+  'activity.never': 'never',
+  'activity.recent': 'Recent Activity',
+  'activity.filter': 'Filter by event type',
+  'activity.allEvents': 'All events',
+  'activity.empty': 'No activity recorded yet. Click the button on the plugin page or use a quick action.',
+  'activity.clear': 'Clear',
+  'activity.cleared': 'Activity Cleared',
+  'activity.clearedDetail': 'The activity history has been emptied.',
+  'activity.newer': 'Newer',
+  'activity.older': 'Older',
+  'activity.page': 'Page {page} of {pages}',
+  'activity.buttonClicked': 'Button Clicked',
+  'activity.action': 'Quick Action',
+  'activity.installed': 'Plugin Installed',
+  'activity.version': 'Version {version}',
+  'activity.updated': 'Plugin Updated',
+  'activity.updatedFrom': 'From {from} to {to}',
+  'activity.performance': 'Widget Performance',
+  'activity.performanceHint': 'Median / 95th percentile since the page loaded, measured with the Performance API',
+  'activity.performanceEmpty': 'No widget has been measured yet.',
+  'activity.performanceWidget': 'Widget',
+  'activity.performanceSlow': 'p95 over the {budget} ms budget',
+  'activity.phase.load': 'Load',
+  'activity.phase.setup': 'Setup',
+  'activity.phase.render': 'First render',
+  'activity.timing': '{p50} / {p95} ms',
+
+  // Settings page
+  'settings.title': 'Hello World Settings',
+  'settings.save': 'Save',
+  'settings.reset': 'Reset to defaults',
+  'settings.back': 'Back',
+  'settings.saved': 'Settings saved',
+  'settings.savedDetail': 'Your changes are now active.',
+  'settings.resetDone': 'Settings reset',
+  'settings.resetDetail': 'All settings are back to their default values.',
+  'settings.invalid': 'Please fix the highlighted fields',
+  'settings.defaultValue': 'Default',
+  'settings.readOnly': 'Only Hello World administrators can change these settings.',
+  'settings.welcomeMessage.label': 'Welcome message',
+  'settings.welcomeMessage.description': 'Message shown in the welcome banner',
+  'settings.showStatistics.label': 'Show statistics',
+  'settings.showStatistics.description': 'Show plugin statistics',
+  'settings.bannerReshowDays.label': 'Show the banner again after (days)',
+  'settings.bannerReshowDays.description': 'Days after which a dismissed welcome banner comes back (0: it stays hidden)',
+  'settings.bannerReshowOnUpdate.label': 'Show the banner again after an update',
+  'settings.bannerReshowOnUpdate.description': 'Bring a dismissed welcome banner back when a new plugin version is installed',
+  'settings.backupOnUninstall.label': 'Back up data on uninstall',
+  'settings.backupOnUninstall.description': 'Download a backup of the plugin data before uninstalling clears it',
+  'settings.error.boolean': '{label} must be true or false',
+  'settings.error.number': '{label} must be a number',
+  'settings.error.integer': '{label} must be a whole number',
+  'settings.error.min': '{label} must be at least {min}',
+  'settings.error.max': '{label} must be at most {max}',
+  'settings.error.options': '{label} must be one of: {options}',
+  'settings.error.text': '{label} must be text',
+  'settings.error.required': '{label} is required',
+  'settings.error.minLength': '{label} must be at least {minLength} characters',
+  'settings.error.maxLength': '{label} must be at most {maxLength} characters',
+  'settings.error.pattern': '{label} has an invalid format',
+
+  // Data backup
+  'data.title': 'Data',
+  'data.description': 'Download a backup of the click counter, settings and activity log, or restore one.',
+  'data.exportJson': 'Download backup',
+  'data.importJson': 'Restore a backup',
+  'data.csvActivity': 'Activity log (CSV)',
+  'data.column.date': 'Date',
+  'data.column.event': 'Event',
+  'data.column.details': 'Details',
+  'data.previewTitle': 'Changes to apply',
+  'data.backupFrom': 'Backup of {date}, version {version}',
+  'data.added': 'Added',
+  'data.updated': 'Replaced',
+  'data.removed': 'Removed',
+  'data.ignored': 'Ignored (unknown): {keys}',
+  'data.noChanges': 'This backup matches the current data.',
+  'data.confirm': 'Restore',
+  'data.cancel': 'Cancel',
+  'data.exported': 'Backup Downloaded',
+  'data.exportedDetail': 'Keep the file to restore the data later.',
+  'data.imported': 'Backup Restored',
+  'data.importedDetail': 'The plugin data has been replaced with the backup.',
+  'data.importFailed': 'Backup Not Restored',
+  'data.error.invalidJson': 'The file is not valid JSON.',
+  'data.error.invalidFormat': 'The file is not a plugin data backup.',
+  'data.error.unsupportedVersion': 'This backup format is not supported.',
+  'data.error.wrongPlugin': 'This backup belongs to another plugin ({pluginId}).',
+  'data.error.newerData': 'This backup comes from a newer version ({version}). Update the plugin first.',
+  'data.error.failed': 'The data could not be written; nothing was changed.',
+
+  // Lifecycle
+  'install.title': 'Hello World Plugin Installed!',
+  'install.detail': 'The plugin has been successfully installed. Check the dashboard to see the widgets!',
+  'update.title': 'Hello World Plugin Updated',
+  'update.detail': 'Version {version} is ready. Your settings and activity have been kept.',
+  'update.failed': 'Hello World Plugin Update Failed',
+  'update.failedDetail': 'Your data was restored and is still at version {version}.',
+  'uninstall.title': 'Hello World Plugin Uninstalled',
+  'uninstall.detail': 'Thank you for trying the Hello World plugin! All plugin data has been cleared.',
+  'uninstall.backedUpDetail': 'All plugin data has been cleared. A backup was downloaded so you can restore it after reinstalling.',
+  'uninstall.keptDetail': 'The plugin data was kept: only Hello World administrators can clear it.',
+  'uninstall.backupFailedTitle': 'Backup failed',
+  'uninstall.backupFailedDetail': 'The backup could not be downloaded, so the plugin data was kept. Turn off the backup on uninstall in the settings to clear it without one.',
+
+  // Widget fallback card (shared/plugin-bootstrap.js)
+  'bootstrap.loading': 'Connecting to the portal…',
+  'bootstrap.failed': 'This widget is unavailable',
+  'bootstrap.failedDetail': 'Something went wrong while displaying it. The problem has been reported.',
+  'bootstrap.unavailableDetail': 'The portal did not respond. Check your connection and try again.',
+  'bootstrap.retry': 'Try again',
+  'bootstrap.mock': 'Mock data: nothing is saved to the portal'
+};
@@ -0,0 +1,185 @@
+/**
+ * Hello World messages - French
+ */
+
+export default {
+  // Plugin page
+  'page.title': 'Plugin Hello World',
+  'page.welcome': 'Bienvenue {name} ! Ce plugin d’exemple présente le système de plugins.',
+  'page.featuresTitle': 'Fonctionnalités du plugin',
+  'page.featureWidgets': 'Widgets de tableau de bord dans 4 emplacements',
+  'page.featureMenu': 'Entrée dans la navigation principale',
+  'page.featureContext': 'Accès à l’API du contexte de plugin',
+  'page.featureStorage': 'Persistance dans le LocalStorage',
+  'page.featureEvents': 'Communication par événements',
+  'page.featureHooks': 'Hooks de cycle de vie (installation/mise à jour/désinstallation)',
+  'page.demoTitle': 'Démo interactive',
+  'page.demoIntro': 'Cliquez sur le bouton pour tester la persistance des données et l’émission d’événements :',
+  'page.clickMe': 'Cliquez ! ({count} fois)',
+  'page.persisted': 'Le nombre de clics est conservé dans le LocalStorage',
+  'page.tipTitle': 'Astuce',
+  'page.tip': 'Ouvrez le tableau de bord pour voir les widgets de ce plugin : bannière en haut, grille de statistiques, barre latérale et zone principale.',
+  'page.clicked': 'Bouton cliqué !',
+  'page.totalClicks': { one: '{count} clic au total', other: '{count} clics au total' },
+  'page.bannerAdminTitle': 'Bannière de bienvenue',
+  'page.bannerAdminIntro': 'Publiez un nouveau message pour réafficher la bannière à tous les utilisateurs, y compris ceux qui l’ont masquée.',
+  'page.bannerMessage': 'Message',
+  'page.bannerPublish': 'Publier pour tous',
+  'page.bannerPublished': 'Message publié',
+  'page.bannerPublishedDetail': 'Tous les utilisateurs verront à nouveau la bannière',
+
+  // Welcome banner
+  'banner.defaultMessage': 'Bonjour de la part du système de plugins !',
+  'banner.description': 'Ce widget d’exemple du plugin Hello World illustre l’emplacement dashboard-top.',
+  'banner.dismiss': 'Masquer',
+  'banner.dismissed': 'Bannière masquée',
+  'banner.dismissedDetail': 'Utilisez « Afficher la bannière » dans les actions rapides pour la revoir',
+  'banner.dismissedFor': { one: 'Elle reviendra demain', other: 'Elle reviendra dans {count} jours' },
+
+  // Stats card
+  'stats.title': 'Plugins du portail',
+  'stats.loading': 'Chargement...',
+  'stats.unavailable': 'Statistiques indisponibles',
+  'stats.serverStatus': 'Le serveur a répondu {status}.',
+  'stats.unreachable': 'Le serveur est injoignable.',
+  'stats.retry': 'Réessayer',
+  'stats.empty': 'Aucun plugin téléversé pour le moment.',
+  'stats.installed': { one: 'installé', other: 'installés' },
+  'stats.uploaded': '{count} en attente d’installation',
+  'stats.active': { one: '{count} actif', other: '{count} actifs' },
+
+  // Quick actions
+  'actions.title': 'Actions rapides du plugin',
+  'actions.open': 'Ouvrir le plugin',
+  'actions.openDetail': 'Voir la page du plugin',
+  'actions.demo': 'Action de démo',
+  'actions.demoDetail': 'Tester le plugin',
+  'actions.settings': 'Paramètres',
+  'actions.settingsDetail': 'Configurer le plugin',
+  'actions.showBanner': 'Afficher la bannière',
+  'actions.showBannerDetail': 'Réafficher la bannière que vous avez masquée',
+  'actions.bannerShown': 'Bannière réaffichée',
+  'actions.bannerShownDetail': 'La bannière de bienvenue est de retour sur votre tableau de bord',
+  'actions.done': 'Action : {action}',
+  'actions.doneDetail': 'Ceci est une action de démonstration du plugin',
+
+  // Activity monitor
+  'activity.title': 'Activité du plugin',
+  'activity.live': 'En direct',
+  'activity.liveTitle': 'Mis à jour dès que le plugin émet un événement',
+  'activity.totalEvents': 'Événements',
+  'activity.lastDay': 'Dernières 24 h',
+  'activity.lastActivity': 'Dernière activité',
+  'activity.never': 'jamais',
+  'activity.recent': 'Activité récente',
+  'activity.filter': 'Filtrer par type d’événement',
+  'activity.allEvents': 'Tous les événements',
+  'activity.empty': 'Aucune activité pour le moment. Cliquez sur le bouton de la page du plugin ou utilisez une action rapide.',
+  'activity.clear': 'Effacer',
+  'activity.cleared': 'Activité effacée',
+  'activity.clearedDetail': 'L’historique d’activité a été vidé.',
+  'activity.newer': 'Plus récents',
+  'activity.older': 'Plus anciens',
+  'activity.page': 'Page {page} sur {pages}',
+  'activity.buttonClicked': 'Bouton cliqué',
+  'activity.action': 'Action rapide',
+  'activity.installed': 'Plugin installé',
+  'activity.version': 'Version {version}',
+  'activity.updated': 'Plugin mis à jour',
+  'activity.updatedFrom': 'De la {from} à la {to}',
+  'activity.performance': 'Performances des widgets',
+  'activity.performanceHint': 'Médiane / 95e centile depuis le chargement de la page, mesurés avec l’API Performance',
+  'activity.performanceEmpty': 'Aucun widget mesuré pour le moment.',
+  'activity.performanceWidget': 'Widget',
+  'activity.performanceSlow': 'p95 au-delà du budget de {budget} ms',
+  'activity.phase.load': 'Chargement',
+  'activity.phase.setup': 'Setup',
+  'activity.phase.render': 'Premier rendu',
+  'activity.timing': '{p50} / {p95} ms',
+
+  // Settings page
+  'settings.title': 'Paramètres Hello World',
+  'settings.save': 'Enregistrer',
+  'settings.reset': 'Valeurs par défaut',
+  'settings.back': 'Retour',
+  'settings.saved': 'Paramètres enregistrés',
+  'settings.savedDetail': 'Les modifications sont actives.',
+  'settings.resetDone': 'Paramètres réinitialisés',
+  'settings.resetDetail': 'Les valeurs par défaut ont été restaurées.',
+  'settings.invalid': 'Veuillez corriger les champs en erreur',
+  'settings.defaultValue': 'Par défaut',
+  'settings.readOnly': 'Seuls les administrateurs de Hello World peuvent modifier ces paramètres.',
+  'settings.welcomeMessage.label': 'Message de bienvenue',
+  'settings.welcomeMessage.description': 'Message affiché dans la bannière de bienvenue',
+  'settings.showStatistics.label': 'Afficher les statistiques',
+  'settings.showStatistics.description': 'Affiche les statistiques du plugin',
+  'settings.bannerReshowDays.label': 'Réafficher la bannière après (jours)',
+  'settings.bannerReshowDays.description': 'Nombre de jours après lequel une bannière de bienvenue masquée réapparaît (0 : elle reste masquée)',
+  'settings.bannerReshowOnUpdate.label': 'Réafficher la bannière après une mise à jour',
+  'settings.bannerReshowOnUpdate.description': 'Fait réapparaître une bannière de bienvenue masquée quand une nouvelle version du plugin est installée',
+  'settings.backupOnUninstall.label': 'Sauvegarder les données à la désinstallation',
+  'settings.backupOnUninstall.description': 'Télécharge une sauvegarde des données du plugin avant que la désinstallation ne les supprime',
+  'settings.error.boolean': '{label} doit valoir vrai ou faux',
+  'settings.error.number': '{label} doit être un nombre',
+  'settings.error.integer': '{label} doit être un nombre entier',
+  'settings.error.min': '{label} doit valoir au moins {min}',
+  'settings.error.max': '{label} doit valoir au plus {max}',
+  'settings.error.options': '{label} doit être l’une des valeurs : {options}',
+  'settings.error.text': '{label} doit être du texte',
+  'settings.error.required': '{label} est obligatoire',
+  'settings.error.minLength': '{label} doit comporter au moins {minLength} caractères',
+  'settings.error.maxLength': '{label} doit comporter au plus {maxLength} caractères',
+  'settings.error.pattern': '{label} n’a pas un format valide',
+
+  // Data backup
+  'data.title': 'Données',
+  'data.description': 'Téléchargez une sauvegarde du compteur de clics, des paramètres et du journal d’activité, ou restaurez-en une.',
+  'data.exportJson': 'Télécharger une sauvegarde',
+  'data.importJson': 'Restaurer une sauvegarde',
+  'data.csvActivity': 'Journal d’activité (CSV)',
+  'data.column.date': 'Date',
+  'data.column.event': 'Événement',
+  'data.column.details': 'Détails',
+  'data.previewTitle': 'Modifications à appliquer',
+  'data.backupFrom': 'Sauvegarde du {date}, version {version}',
+  'data.added': 'Ajouté',
+  'data.updated': 'Remplacé',
+  'data.removed': 'Supprimé',
+  'data.ignored': 'Ignoré (inconnu) : {keys}',
+  'data.noChanges': 'Cette sauvegarde correspond aux données actuelles.',
+  'data.confirm': 'Restaurer',
+  'data.cancel': 'Annuler',
+  'data.exported': 'Sauvegarde téléchargée',
+  'data.exportedDetail': 'Conservez le fichier pour restaurer les données plus tard.',
+  'data.imported': 'Sauvegarde restaurée',
+  'data.importedDetail': 'Les données du plugin ont été remplacées par la sauvegarde.',
+  'data.importFailed': 'Sauvegarde non restaurée',
+  'data.error.invalidJson': 'Le fichier n’est pas un JSON valide.',
+  'data.error.invalidFormat': 'Le fichier n’est pas une sauvegarde de données de plugin.',
+  'data.error.unsupportedVersion': 'Ce format de sauvegarde n’est pas pris en charge.',
+  'data.error.wrongPlugin': 'Cette sauvegarde appartient à un autre plugin ({pluginId}).',
+  'data.error.newerData': 'Cette sauvegarde vient d’une version plus récente ({version}). Mettez d’abord le plugin à jour.',
+  'data.error.failed': 'Les données n’ont pas pu être écrites ; rien n’a été modifié.',
+
+  // Lifecycle
+  'install.title': 'Plugin Hello World installé !',
+  'install.detail': 'Le plugin a bien été installé. Ouvrez le tableau de bord pour voir ses widgets !',
+  'update.title': 'Plugin Hello World mis à jour',
+  'update.detail': 'La version {version} est prête. Vos paramètres et votre activité ont été conservés.',
+  'update.failed': 'Échec de la mise à jour du plugin Hello World',
+  'update.failedDetail': 'Vos données ont été restaurées et restent en version {version}.',
+  'uninstall.title': 'Plugin Hello World désinstallé',
+  'uninstall.detail': 'Merci d’avoir essayé le plugin Hello World ! Toutes ses données ont été supprimées.',
+  'uninstall.backedUpDetail': 'Toutes ses données ont été supprimées. Une sauvegarde a été téléchargée pour les restaurer après une réinstallation.',
+  'uninstall.keptDetail': 'Les données du plugin ont été conservées : seuls les administrateurs de Hello World peuvent les supprimer.',
+  'uninstall.backupFailedTitle': 'Échec de la sauvegarde',
+  'uninstall.backupFailedDetail': 'La sauvegarde n’a pas pu être téléchargée : les données du plugin ont été conservées. Désactivez la sauvegarde à la désinstallation dans les paramètres pour les supprimer sans sauvegarde.',
+
+  // Carte de secours des widgets (shared/plugin-bootstrap.js)
+  'bootstrap.loading': 'Connexion au portail…',
+  'bootstrap.failed': 'Ce widget est indisponible',
+  'bootstrap.failedDetail': 'Une erreur est survenue lors de son affichage. Le problème a été signalé.',
+  'bootstrap.unavailableDetail': 'Le portail ne répond pas. Vérifiez votre connexion puis réessayez.',
+  'bootstrap.retry': 'Réessayer',
+  'bootstrap.mock': 'Données fictives : rien n’est enregistré dans le portail'
+};
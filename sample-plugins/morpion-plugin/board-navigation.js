@@ -0,0 +1,66 @@
+/**
+ * Navigation au clavier dans le plateau du Morpion
+ *
+ * Le plateau suit le motif "grid" d'ARIA: une seule case est atteignable
+ * avec Tab, les flèches déplacent le focus d'une case à l'autre, Entrée ou
+ * Espace jouent la case. Sur un 3×3, le pavé numérique reproduit le
+ * plateau (7 en haut à gauche, 3 en bas à droite) et les chiffres 1 à 9 du
+ * clavier suivent l'ordre de lecture.
+ *
+ * Fonctions pures, sans dépendance à Vue.
+ */
+
+// Pavé numérique: la rangée 7-8-9 est en haut
+const NUMPAD_LAYOUT = { 7: 0, 8: 1, 9: 2, 4: 3, 5: 4, 6: 5, 1: 6, 2: 7, 3: 8 };
+
+const COLUMN_NAMES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export const cellRow = (index, size) => Math.floor(index / size);
+export const cellColumn = (index, size) => index % size;
+
+/**
+ * Nom d'une case, colonne en lettre et ligne en chiffre, ex. "B2" pour le centre du 3×3
+ */
+export const cellName = (index, size) => `${COLUMN_NAMES[cellColumn(index, size)]}${cellRow(index, size) + 1}`;
+
+/**
+ * Case qui reçoit le focus quand la partie commence: le centre (ou la case
+ * juste au-dessus à gauche du centre sur un plateau de taille paire)
+ */
+export const centerCell = (size) => {
+  const middle = Math.floor((size - 1) / 2);
+  return middle * size + middle;
+};
+
+/**
+ * Case atteinte avec une touche depuis `index`, ou null si la touche ne
+ * sert pas à la navigation. Le focus s'arrête aux bords (pas de retour à
+ * l'autre extrémité), comme le recommande le motif "grid".
+ * @param {number} index - Case qui a le focus
+ * @param {KeyboardEvent|{ key: string, code?: string, ctrlKey?: boolean }} event
+ * @param {number} size - Cases par côté
+ * @returns {number|null}
+ */
+export const targetCell = (index, { key, code = '', ctrlKey = false }, size) => {
+  const row = cellRow(index, size);
+  const column = cellColumn(index, size);
+  const last = size - 1;
+
+  switch (key) {
+    case 'ArrowUp': return Math.max(row - 1, 0) * size + column;
+    case 'ArrowDown': return Math.min(row + 1, last) * size + column;
+    case 'ArrowLeft': return row * size + Math.max(column - 1, 0);
+    case 'ArrowRight': return row * size + Math.min(column + 1, last);
+    case 'Home': return ctrlKey ? 0 : row * size;
+    case 'End': return ctrlKey ? size * size - 1 : row * size + last;
+    default: break;
+  }
+
+  if (size !== 3) return null;
+  // Verrouillage numérique désactivé, le pavé envoie des flèches (traitées
+  // plus haut); activé, `code` distingue ses chiffres de ceux du clavier
+  const numpad = /^Numpad([1-9])$/.exec(code);
+  if (numpad) return NUMPAD_LAYOUT[numpad[1]];
+  if (/^[1-9]$/.test(key)) return Number(key) - 1;
+  return null;
+};
@@ -0,0 +1,145 @@
+/**
+ * Accessibilité du plateau: rôles ARIA, déplacement au clavier et annonces
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/morpion-plugin/board-navigation.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { click, mount, press } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { cellName, centerCell, targetCell } from './board-navigation.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+const context = createMockPluginContext(manifest.id, { manifest, locale: 'en' });
+window.usePluginContext = () => context;
+
+const { default: MorpionPlugin } = await import('./index.js');
+
+const mountGame = async () => {
+  const page = await mount(MorpionPlugin);
+  await click(page.button('New game'));
+  const cell = (i) => page.find(`[data-cell="${i}"]`);
+  return {
+    page,
+    cell,
+    play: async (...cells) => { for (const i of cells) await click(cell(i)); },
+    focused: () => Number(document.activeElement?.dataset?.cell),
+    announcement: () => page.find('[aria-live]').textContent.trim()
+  };
+};
+
+// ============================================================================
+// Fonctions pures
+// ============================================================================
+
+test('cells are named by column letter and row number', () => {
+  assert.equal(cellName(0, 3), 'A1');
+  assert.equal(cellName(4, 3), 'B2');
+  assert.equal(cellName(224, 15), 'O15');
+  assert.equal(centerCell(3), 4);
+  assert.equal(centerCell(4), 5);
+});
+
+test('arrows stop at the edges of the board', () => {
+  assert.equal(targetCell(4, { key: 'ArrowUp' }, 3), 1);
+  assert.equal(targetCell(4, { key: 'ArrowRight' }, 3), 5);
+  assert.equal(targetCell(0, { key: 'ArrowLeft' }, 3), 0);
+  assert.equal(targetCell(8, { key: 'ArrowDown' }, 3), 8);
+  assert.equal(targetCell(4, { key: 'Home' }, 3), 3);
+  assert.equal(targetCell(4, { key: 'End', ctrlKey: true }, 3), 8);
+});
+
+test('the number pad mirrors the 3×3 board, digits follow reading order', () => {
+  assert.equal(targetCell(4, { key: '7', code: 'Numpad7' }, 3), 0);
+  assert.equal(targetCell(4, { key: '3', code: 'Numpad3' }, 3), 8);
+  assert.equal(targetCell(4, { key: '7', code: 'Digit7' }, 3), 6);
+  assert.equal(targetCell(4, { key: '7', code: 'Digit7' }, 5), null);
+  assert.equal(targetCell(4, { key: 'a' }, 3), null);
+});
+
+// ============================================================================
+// Plateau monté
+// ============================================================================
+
+test('the board is a labelled grid of rows and cells', async () => {
+  const { page, cell, play } = await mountGame();
+  const grid = page.find('[role="grid"]');
+
+  assert.equal(grid.getAttribute('aria-label'), 'Game board, 3×3 · 3 in a row');
+  assert.equal(grid.getAttribute('aria-rowcount'), '3');
+  assert.equal(grid.getAttribute('aria-colcount'), '3');
+  assert.equal(page.find(`#${grid.getAttribute('aria-describedby')}`)?.textContent.includes('Arrow keys'), true);
+
+  const rows = page.findAll('[role="row"]');
+  assert.deepEqual(rows.map((row) => row.getAttribute('aria-rowindex')), ['1', '2', '3']);
+  assert.deepEqual(rows.map((row) => row.querySelectorAll('[role="gridcell"]').length), [3, 3, 3]);
+
+  assert.equal(cell(0).getAttribute('aria-label'), 'A1: empty');
+  assert.equal(cell(5).getAttribute('aria-colindex'), '3');
+  await play(4);
+  assert.equal(cell(4).getAttribute('aria-label'), 'B2: X');
+  assert.equal(cell(4).getAttribute('aria-disabled'), 'true');
+  assert.equal(cell(0).getAttribute('aria-disabled'), 'false');
+  page.unmount();
+});
+
+test('only one cell is in the tab order, the center first', async () => {
+  const { page } = await mountGame();
+  const tabbable = page.findAll('[role="gridcell"]').filter((el) => el.getAttribute('tabindex') === '0');
+  assert.deepEqual(tabbable.map((el) => el.dataset.cell), ['4']);
+  page.unmount();
+});
+
+test('arrow keys move the focus between cells', async () => {
+  const { page, cell, focused } = await mountGame();
+  cell(4).focus();
+
+  await press(cell(4), 'ArrowUp');
+  assert.equal(focused(), 1);
+  await press(cell(1), 'ArrowLeft');
+  assert.equal(focused(), 0);
+  await press(cell(0), 'ArrowLeft');
+  assert.equal(focused(), 0);
+  await press(cell(0), 'End');
+  assert.equal(focused(), 2);
+  await press(cell(2), 'ArrowDown');
+  assert.equal(focused(), 5);
+  assert.equal(cell(5).getAttribute('tabindex'), '0');
+  assert.equal(cell(4).getAttribute('tabindex'), '-1');
+  page.unmount();
+});
+
+test('the number pad and digits jump straight to a cell', async () => {
+  const { page, cell, focused } = await mountGame();
+  cell(4).focus();
+
+  await press(cell(4), '7', { code: 'Numpad7' });
+  assert.equal(focused(), 0);
+  await press(cell(0), '3', { code: 'Numpad3' });
+  assert.equal(focused(), 8);
+  await press(cell(8), '2', { code: 'Digit2' });
+  assert.equal(focused(), 1);
+  page.unmount();
+});
+
+test('moves, wins and draws are announced in the live region', async () => {
+  const { page, play, announcement } = await mountGame();
+  const live = page.find('[aria-live]');
+  assert.equal(live.getAttribute('role'), 'status');
+  assert.equal(live.getAttribute('aria-live'), 'polite');
+
+  await play(4);
+  assert.equal(announcement(), "X plays B2. O's turn");
+
+  await play(0, 3, 1, 5);
+  assert.equal(announcement(), 'X plays C2. Winner: X');
+  assert.match(page.find('[data-cell="3"]').getAttribute('aria-label'), /winning line/);
+  page.unmount();
+
+  const draw = await mountGame();
+  await draw.play(0, 1, 2, 4, 3, 5, 7, 6, 8);
+  assert.equal(draw.announcement(), 'X plays C3. Draw');
+  draw.page.unmount();
+});
@@ -0,0 +1,193 @@
+/**
+ * Joueur ordinateur du Morpion
+ * - easy: coup au hasard
+ * - medium: gagne si possible, bloque l'adversaire, sinon la case qui ouvre
+ *   ou ferme le plus d'alignements
+ * - unbeatable: minimax avec élagage alpha-bêta. Exhaustif sur le 3×3 (et en
+ *   fin de partie); sur les grands plateaux, recherche limitée en profondeur
+ *   aux cases voisines des coups joués, pour rester rapide.
+ */
+
+import { DEFAULT_RULES, emptyCells, findWinner, getWindows, otherPlayer } from './game-rules.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'unbeatable'];
+
+// Au-delà de ce nombre de cases libres, la recherche n'est plus exhaustive.
+const EXHAUSTIVE_LIMIT = 9;
+const SEARCH_DEPTH = 3;
+const SEARCH_WIDTH = 8;
+const WIN_SCORE = 1e9;
+
+const randomItem = (items, random) => items[Math.floor(random() * items.length)];
+
+const cellWindowCache = new Map();
+
+// Fenêtres d'alignement contenant chaque case
+const windowsByCell = (rules) => {
+  const windows = getWindows(rules);
+  if (cellWindowCache.has(windows)) return cellWindowCache.get(windows);
+  const byCell = Array.from({ length: rules.size * rules.size }, () => []);
+  for (const cells of windows) {
+    for (const i of cells) byCell[i].push(cells);
+  }
+  cellWindowCache.set(windows, byCell);
+  return byCell;
+};
+
+const countIn = (board, cells, symbol) => cells.reduce((n, i) => n + (board[i] === symbol ? 1 : 0), 0);
+
+/**
+ * Case qui complète un alignement pour `symbol`, ou null
+ */
+const findCompletingMove = (board, symbol, rules) => {
+  for (const cells of getWindows(rules)) {
+    const free = cells.filter((i) => !board[i]);
+    if (free.length === 1 && countIn(board, cells, symbol) === rules.winLength - 1) return free[0];
+  }
+  return null;
+};
+
+// Intérêt d'une case: alignements qu'elle prolonge pour nous ou qu'elle coupe chez l'adversaire
+const cellScore = (board, cell, symbol, rules) => {
+  const opponent = otherPlayer(symbol);
+  let score = 0;
+  for (const cells of windowsByCell(rules)[cell]) {
+    const mine = countIn(board, cells, symbol);
+    const theirs = countIn(board, cells, opponent);
+    if (!theirs) score += 4 ** (mine + 1);
+    if (!mine) score += 4 ** theirs * 3;
+  }
+  return score;
+};
+
+// Cases libres proches d'un coup déjà joué (le centre sur un plateau vide)
+const candidateCells = (board, { size }) => {
+  const cells = [];
+  for (let i = 0; i < board.length; i++) {
+    if (board[i]) continue;
+    const row = Math.floor(i / size);
+    const col = i % size;
+    let near = false;
+    for (let dr = -1; dr <= 1 && !near; dr++) {
+      for (let dc = -1; dc <= 1 && !near; dc++) {
+        const r = row + dr;
+        const c = col + dc;
+        near = r >= 0 && r < size && c >= 0 && c < size && !!board[r * size + c];
+      }
+    }
+    if (near) cells.push(i);
+  }
+  if (cells.length) return cells;
+  const center = Math.floor(size / 2) * size + Math.floor(size / 2);
+  return board[center] ? emptyCells(board) : [center];
+};
+
+const rankedCandidates = (board, symbol, rules) =>
+  candidateCells(board, rules)
+    .map((cell) => ({ cell, score: cellScore(board, cell, symbol, rules) }))
+    .sort((a, b) => b.score - a.score);
+
+// Évaluation statique du point de vue de `me`
+const evaluate = (board, me, rules) => {
+  const opponent = otherPlayer(me);
+  let score = 0;
+  for (const cells of getWindows(rules)) {
+    const mine = countIn(board, cells, me);
+    const theirs = countIn(board, cells, opponent);
+    if (mine && !theirs) score += 10 ** mine;
+    else if (theirs && !mine) score -= 10 ** theirs;
+  }
+  return score;
+};
+
+const easyMove = (board, symbol, rules, random) => randomItem(emptyCells(board), random);
+
+const mediumMove = (board, symbol, rules, random) => {
+  const win = findCompletingMove(board, symbol, rules);
+  if (win !== null) return win;
+  const block = findCompletingMove(board, otherPlayer(symbol), rules);
+  if (block !== null) return block;
+  const ranked = rankedCandidates(board, symbol, rules);
+  const best = ranked.filter(({ score }) => score === ranked[0].score);
+  return randomItem(best, random).cell;
+};
+
+// Score du point de vue de `me`: une victoire rapide vaut plus qu'une victoire tardive.
+const minimax = (board, me, turn, depth, alpha, beta, rules, lastCell) => {
+  const winner = findWinner(board, rules, lastCell);
+  if (winner) return winner === me ? WIN_SCORE - depth : depth - WIN_SCORE;
+  const free = emptyCells(board);
+  if (!free.length) return 0;
+  const exhaustive = free.length <= EXHAUSTIVE_LIMIT;
+  if (!exhaustive && depth >= SEARCH_DEPTH) return evaluate(board, me, rules);
+  const cells = exhaustive
+    ? free
+    : rankedCandidates(board, turn, rules).slice(0, SEARCH_WIDTH).map(({ cell }) => cell);
+
+  const maximizing = turn === me;
+  let best = maximizing ? -Infinity : Infinity;
+  for (const i of cells) {
+    board[i] = turn;
+    const score = minimax(board, me, otherPlayer(turn), depth + 1, alpha, beta, rules, i);
+    board[i] = '';
+    if (maximizing) {
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+    } else {
+      best = Math.min(best, score);
+      beta = Math.min(beta, score);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+};
+
+const unbeatableMove = (board, symbol, rules, random) => {
+  const exhaustive = emptyCells(board).length <= EXHAUSTIVE_LIMIT;
+  if (!exhaustive) {
+    const win = findCompletingMove(board, symbol, rules);
+    if (win !== null) return win;
+    const block = findCompletingMove(board, otherPlayer(symbol), rules);
+    if (block !== null) return block;
+  }
+  const work = [...board];
+  const cells = exhaustive
+    ? emptyCells(work)
+    : rankedCandidates(work, symbol, rules).slice(0, SEARCH_WIDTH).map(({ cell }) => cell);
+  let bestScore = -Infinity;
+  let bestMoves = [];
+  for (const i of cells) {
+    work[i] = symbol;
+    const score = minimax(work, symbol, otherPlayer(symbol), 1, -Infinity, Infinity, rules, i);
+    work[i] = '';
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [i];
+    } else if (score === bestScore) {
+      bestMoves.push(i);
+    }
+  }
+  return randomItem(bestMoves, random);
+};
+
+const STRATEGIES = {
+  easy: easyMove,
+  medium: mediumMove,
+  unbeatable: unbeatableMove
+};
+
+/**
+ * Choisit la case jouée par l'ordinateur.
+ * @param {string[]} board - Plateau courant (non modifié)
+ * @param {'X'|'O'} symbol - Symbole de l'ordinateur
+ * @param {'easy'|'medium'|'unbeatable'} difficulty
+ * @param {object} [options]
+ * @param {{ size: number, winLength: number }} [options.rules] - Taille du plateau et alignement gagnant
+ * @param {() => number} [options.random] - Source aléatoire (Math.random par défaut)
+ * @returns {number|null} Index de la case, ou null si la partie est terminée
+ */
+export const chooseMove = (board, symbol, difficulty = 'medium', { rules = DEFAULT_RULES, random = Math.random } = {}) => {
+  if (!emptyCells(board).length || findWinner(board, rules)) return null;
+  const strategy = STRATEGIES[difficulty] || STRATEGIES.medium;
+  return strategy(board, symbol, rules, random);
+};
@@ -0,0 +1,117 @@
+/**
+ * Joueur ordinateur: coups légaux, victoire immédiate, parade et niveau
+ * imbattable sur le 3×3
+ *
+ *   node --test sample-plugins/morpion-plugin/computer-player.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseMove, DIFFICULTIES } from './computer-player.js';
+import { createBoard, emptyCells, findWinner, isFull, otherPlayer } from './game-rules.js';
+
+const CLASSIC = { size: 3, winLength: 3 };
+const GOMOKU = { size: 15, winLength: 5 };
+
+// Plateau décrit ligne par ligne: "X", "O" ou "." pour une case vide
+const board = (rows) => rows.join('').split('').map((cell) => (cell === '.' ? '' : cell));
+
+// Sources aléatoires extrêmes: premier ou dernier des coups équivalents
+const RANDOMS = [() => 0, () => 0.999];
+
+// Générateur pseudo-aléatoire reproductible (mulberry32)
+const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Joue toutes les suites de coups de l'adversaire contre l'ordinateur
+ * imbattable et renvoie le nombre de parties perdues par l'ordinateur.
+ */
+const lossesAgainstEveryLine = (computer, random) => {
+  let losses = 0;
+  let games = 0;
+  const play = (cells, turn) => {
+    const winner = findWinner(cells, CLASSIC);
+    if (winner || isFull(cells)) {
+      games += 1;
+      if (winner && winner !== computer) losses += 1;
+      return;
+    }
+    if (turn === computer) {
+      const next = [...cells];
+      next[chooseMove(cells, computer, 'unbeatable', { rules: CLASSIC, random })] = computer;
+      play(next, otherPlayer(turn));
+      return;
+    }
+    for (const cell of emptyCells(cells)) {
+      const next = [...cells];
+      next[cell] = turn;
+      play(next, otherPlayer(turn));
+    }
+  };
+  play(createBoard(3), 'X');
+  return { losses, games };
+};
+
+test('the unbeatable level never loses on 3×3, whoever starts', () => {
+  for (const computer of ['X', 'O']) {
+    for (const random of RANDOMS) {
+      const { losses, games } = lossesAgainstEveryLine(computer, random);
+      assert.ok(games > 0);
+      assert.equal(losses, 0, `playing ${computer}`);
+    }
+  }
+});
+
+test('medium and unbeatable block an immediate loss, and take an immediate win first', () => {
+  for (const difficulty of ['medium', 'unbeatable']) {
+    for (const random of RANDOMS) {
+      // X menace la ligne du haut: O pare en 2
+      assert.equal(chooseMove(board(['XX.', '.O.', '...']), 'O', difficulty, { rules: CLASSIC, random }), 2, `${difficulty} blocks`);
+      // O peut aussi compléter la ligne du milieu en 5: il gagne plutôt que parer
+      assert.equal(chooseMove(board(['XX.', 'OO.', 'X..']), 'O', difficulty, { rules: CLASSIC, random }), 5, `${difficulty} wins`);
+    }
+  }
+});
+
+test('medium and unbeatable block an immediate loss on a large board', () => {
+  const rows = Array(15).fill('...............');
+  rows[7] = '....XXXX.......';
+  rows[8] = '....OOO........';
+  const cells = board(rows);
+  for (const difficulty of ['medium', 'unbeatable']) {
+    const move = chooseMove(cells, 'O', difficulty, { rules: GOMOKU, random: () => 0 });
+    assert.ok([7 * 15 + 3, 7 * 15 + 8].includes(move), `${difficulty} played ${move}`);
+  }
+  // Avec sa propre victoire disponible, il la prend
+  rows[8] = '....OOOO.......';
+  rows[7] = '....XXX........';
+  assert.ok([8 * 15 + 3, 8 * 15 + 8].includes(chooseMove(board(rows), 'O', 'unbeatable', { rules: GOMOKU, random: () => 0 })));
+});
+
+test('every level only plays free cells of a large board until the game ends', () => {
+  const rules = { size: 9, winLength: 5 };
+  for (const [i, difficulty] of DIFFICULTIES.entries()) {
+    const random = seeded(i + 1);
+    const cells = createBoard(rules.size);
+    let turn = 'X';
+    let moves = 0;
+    while (!findWinner(cells, rules) && !isFull(cells)) {
+      // L'ordinateur joue X, un adversaire au hasard joue O
+      const move = turn === 'X'
+        ? chooseMove(cells, 'X', difficulty, { rules, random })
+        : chooseMove(cells, 'O', 'easy', { rules, random });
+      assert.ok(Number.isInteger(move) && move >= 0 && move < cells.length, `${difficulty}: ${move}`);
+      assert.equal(cells[move], '', `${difficulty}: cell ${move} is taken`);
+      cells[move] = turn;
+      turn = otherPlayer(turn);
+      moves += 1;
+    }
+    assert.ok(moves >= 9, difficulty);
+    assert.equal(chooseMove(cells, turn, difficulty, { rules, random }), null, difficulty);
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * Migrations des données du Morpion (voir shared/plugin-migrations.js)
+ *
+ * 1.1.0
+ * - Les scores globaux de la 1.0 (`scores`, `computerScores`, `boardScores`)
+ *   ne sont rattachés à aucun joueur: ils sont regroupés par plateau sous
+ *   `legacyScores` puis supprimés. Les fiches par joueur (`playerRecords`)
+ *   repartent de zéro; le classement affiche les anciens totaux à part
+ *   (readLegacyScores).
+ * - Chaque partie de l'historique porte sa propre configuration (taille,
+ *   alignement), son mode et ses joueurs, y compris les parties 3×3
+ *   enregistrées avant ces champs.
+ */
+
+import { normalizeRules, rulesKey } from './game-rules.js';
+import { HISTORY_KEY } from './game-history.js';
+
+export const LEGACY_SCORES_KEY = 'legacyScores';
+
+const count = (value) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : 0);
+
+const tally = (entry = {}) => ({ wins: count(entry.wins), losses: count(entry.losses), draws: count(entry.draws) });
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Regroupe les anciens scores globaux par plateau:
+ *   { byBoard: { "3x3-3": { size, winLength, X, O, draws, computer: { wins, losses, draws } } },
+ *     vsComputer: { easy: { wins, losses, draws }, ... }, migratedAt }
+ */
+const groupLegacyScores = ({ scores, computerScores, boardScores, [LEGACY_SCORES_KEY]: legacyScores }) => {
+  const byBoard = { ...(legacyScores?.byBoard || {}) };
+
+  if (isObject(boardScores)) {
+    for (const entry of Object.values(boardScores)) {
+      if (!isObject(entry)) continue;
+      const rules = normalizeRules(entry);
+      byBoard[rulesKey(rules)] = {
+        ...rules,
+        X: count(entry.X),
+        O: count(entry.O),
+        draws: count(entry.draws),
+        computer: tally(entry.computer)
+      };
+    }
+  } else if (isObject(scores)) {
+    // Avant les plateaux configurables, toutes les parties étaient en 3×3
+    const rules = normalizeRules();
+    byBoard[rulesKey(rules)] = { ...rules, X: count(scores.X), O: count(scores.O), draws: count(scores.draws) };
+  }
+
+  const vsComputer = { ...(legacyScores?.vsComputer || {}) };
+  if (isObject(computerScores)) {
+    for (const [level, entry] of Object.entries(computerScores)) vsComputer[level] = tally(entry);
+  }
+
+  const hasScores = Object.keys(byBoard).length > 0 || Object.keys(vsComputer).length > 0;
+  const migratedAt = legacyScores?.migratedAt || new Date().toISOString();
+  // Les anciennes clés, absentes du résultat, sont supprimées
+  return { [LEGACY_SCORES_KEY]: hasScores ? { byBoard, vsComputer, migratedAt } : undefined };
+};
+
+const addTally = (total, entry) => ({
+  wins: total.wins + count(entry.wins),
+  losses: total.losses + count(entry.losses),
+  draws: total.draws + count(entry.draws)
+});
+
+/**
+ * Totaux des anciens scores, tous plateaux et niveaux confondus:
+ *   { twoPlayers: { X, O, draws }, vsComputer: { wins, losses, draws } }
+ * null s'il n'y en a pas.
+ */
+export const readLegacyScores = (context) => {
+  const legacy = context.getPluginData(LEGACY_SCORES_KEY);
+  if (!isObject(legacy)) return null;
+  const boards = Object.values(legacy.byBoard || {}).filter(isObject);
+  const twoPlayers = boards.reduce(
+    (total, board) => ({ X: total.X + count(board.X), O: total.O + count(board.O), draws: total.draws + count(board.draws) }),
+    { X: 0, O: 0, draws: 0 }
+  );
+  // En 1.0, chaque partie contre l'ordinateur était comptée par niveau et par
+  // plateau: le détail par niveau suffit, celui par plateau sert à défaut
+  const levels = Object.values(legacy.vsComputer || {}).filter(isObject);
+  const vsComputer = (levels.length ? levels : boards.map((board) => board.computer).filter(isObject))
+    .reduce(addTally, { wins: 0, losses: 0, draws: 0 });
+  const games = twoPlayers.X + twoPlayers.O + twoPlayers.draws + vsComputer.wins + vsComputer.losses + vsComputer.draws;
+  return games > 0 ? { twoPlayers, vsComputer } : null;
+};
+
+const completeHistory = (data) => {
+  const games = data[HISTORY_KEY];
+  if (!Array.isArray(games)) return data;
+  return {
+    [HISTORY_KEY]: games.map((game) => ({
+      ...game,
+      ...normalizeRules(game),
+      mode: game.mode || 'human',
+      difficulty: game.difficulty ?? null,
+      players: game.players || {}
+    }))
+  };
+};
+
+export const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Regroupe les anciens scores globaux par plateau',
+    keys: ['scores', 'computerScores', 'boardScores', LEGACY_SCORES_KEY],
+    up: groupLegacyScores
+  },
+  {
+    version: '1.1.0',
+    description: "Complète la configuration des parties de l'historique",
+    keys: [HISTORY_KEY],
+    up: completeHistory
+  }
+];
@@ -0,0 +1,87 @@
+/**
+ * Migration des données de la 1.0: les anciens scores restent visibles
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/morpion-plugin/data-migrations.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mount } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { LEGACY_SCORES_KEY, readLegacyScores } from './data-migrations.js';
+import { RECORDS_KEY } from './player-records.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+
+// Données telles que la 1.0 les enregistrait: chaque partie contre
+// l'ordinateur compte à la fois par niveau et par plateau
+const VERSION_1_0 = {
+  scores: { X: 5, O: 3, draws: 2 },
+  computerScores: {
+    easy: { wins: 4, losses: 0, draws: 1 },
+    hard: { wins: 0, losses: 2, draws: 0 }
+  },
+  boardScores: {
+    '3x3-3': { size: 3, winLength: 3, X: 4, O: 3, draws: 2, computer: { wins: 3, losses: 2, draws: 1 } },
+    '9x9-5': { size: 9, winLength: 5, X: 1, O: 0, draws: 0, computer: { wins: 1, losses: 0, draws: 0 } }
+  },
+  history: [{ id: 'g1', moves: [], winner: 'X', finishedAt: '2024-01-01T00:00:00.000Z' }]
+};
+
+const context = createMockPluginContext(manifest.id, { manifest, locale: 'en', data: VERSION_1_0 });
+window.usePluginContext = () => context;
+
+const { LeaderboardWidget, onUpdate } = await import('./index.js');
+
+test('readLegacyScores counts each old game once', () => {
+  const scores = (data) => readLegacyScores(createMockPluginContext(manifest.id, { data }));
+
+  assert.equal(scores({}), null);
+  assert.deepEqual(scores({
+    [LEGACY_SCORES_KEY]: {
+      byBoard: { '3x3-3': { X: 2, O: 1, draws: 0, computer: { wins: 9, losses: 9, draws: 9 } } },
+      vsComputer: { easy: { wins: 1, losses: 0, draws: 2 } }
+    }
+  }), { twoPlayers: { X: 2, O: 1, draws: 0 }, vsComputer: { wins: 1, losses: 0, draws: 2 } });
+  // Sans détail par niveau, celui par plateau
+  assert.deepEqual(scores({
+    [LEGACY_SCORES_KEY]: { byBoard: { '3x3-3': { X: 0, O: 0, draws: 0, computer: { wins: 1, losses: 2, draws: 0 } } } }
+  }).vsComputer, { wins: 1, losses: 2, draws: 0 });
+});
+
+test('after the update from 1.0, the leaderboard still shows the old scores', async () => {
+  const leaderboard = await mount(LeaderboardWidget);
+  assert.match(leaderboard.text(), /No games played yet/);
+
+  await onUpdate('1.0.0', '1.1.0');
+
+  // Anciennes clés remplacées par legacyScores, fiches des joueurs vierges
+  const data = context.dumpPluginData();
+  assert.equal(data.scores, undefined);
+  assert.equal(data.computerScores, undefined);
+  assert.equal(data.boardScores, undefined);
+  assert.ok(data[LEGACY_SCORES_KEY]);
+
+  // Le widget déjà affiché se met à jour
+  const text = leaderboard.text();
+  assert.doesNotMatch(text, /No games played yet/);
+  assert.match(text, /Before version 1\.1/);
+  assert.match(text, /Two players: X 5 · O 3 · draws 2/);
+  assert.match(text, /Against the computer: 4 W · 2 L · 1 D/);
+  leaderboard.unmount();
+});
+
+test('the old scores are shown apart from the players of 1.1', async () => {
+  context.setPluginData(RECORDS_KEY, {
+    u1: { id: 'u1', name: 'Ada', wins: 2, losses: 1, draws: 0, streak: 1, bestStreak: 2, vsComputer: {}, byBoard: {} }
+  });
+  const leaderboard = await mount(LeaderboardWidget);
+
+  const rows = leaderboard.findAll('ol li');
+  assert.equal(rows.length, 1);
+  assert.match(rows[0].textContent, /Ada/);
+  assert.match(rows[0].textContent, /2 W · 1 L · 67%/);
+  assert.match(leaderboard.text(), /Two players: X 5 · O 3 · draws 2/);
+  leaderboard.unmount();
+});
@@ -0,0 +1,193 @@
+/**
+ * Historique des parties de Morpion
+ * - Chaque partie terminée est enregistrée avec la liste ordonnée de ses coups
+ * - Vue "Historique" avec relecture coup par coup
+ */
+
+import { applyMoves, normalizeRules, otherPlayer } from './game-rules.js';
+
+const { ref, computed } = window.Vue || {};
+
+export const HISTORY_KEY = 'gameHistory';
+export const MAX_HISTORY = 50;
+
+export const readHistory = (context) => context.getPluginData(HISTORY_KEY) || [];
+
+/**
+ * Ajoute une partie terminée en tête de l'historique (limité à MAX_HISTORY)
+ * @param {object} game - { id, startedAt, finishedAt, startingPlayer, mode, difficulty, size, winLength,
+ *   moves, winner, endReason, players: { X?: { id, name }, O?: { id, name } } }
+ * @returns {object[]|null} Nouvel historique, ou null si la partie était déjà
+ *   enregistrée (partie en ligne dont l'autre onglet partage le même stockage)
+ */
+export const recordGame = (context, game) => {
+  const previous = readHistory(context);
+  if (previous.some((g) => g.id === game.id)) return null;
+  const history = [game, ...previous].slice(0, MAX_HISTORY);
+  context.setPluginData(HISTORY_KEY, history);
+  if (context.emitEvent) {
+    context.emitEvent('morpion:game-recorded', { id: game.id, winner: game.winner, moves: game.moves.length });
+  }
+  return history;
+};
+
+/**
+ * Libellé du résultat d'une partie
+ * @param {object} game
+ * @param {Function} t - Traduction (voir shared/i18n.js)
+ */
+export const describeResult = (game, t) => {
+  // Nom du joueur identifié qui jouait ce symbole, sinon le symbole
+  const nameOf = (symbol) => game.players?.[symbol]?.name || symbol;
+  if (game.mode === 'online') {
+    if (game.endReason === 'resign') return t('history.onlineResign', { player: nameOf(otherPlayer(game.winner)) });
+    return game.winner ? t('history.onlineWinner', { player: nameOf(game.winner) }) : t('history.onlineDraw');
+  }
+  if (!game.winner) return t('history.draw');
+  if (game.mode === 'computer') {
+    return game.winner === game.startingPlayer ? t('history.computerLost') : t('history.computerWon');
+  }
+  return t('history.winner', { player: nameOf(game.winner) });
+};
+
+/**
+ * Configuration d'une partie enregistrée (les anciennes parties sont en 3×3)
+ */
+export const gameRules = (game) => normalizeRules(game);
+
+/**
+ * Vue historique + relecture
+ * @param {object} context
+ * @param {object} i18n - Traductions du plugin (createI18n)
+ */
+export const createGameHistoryView = (context, i18n) => ({
+  name: 'MorpionGameHistory',
+  emits: ['close'],
+
+  setup() {
+    const games = ref(readHistory(context));
+    const selected = ref(null);
+    const step = ref(0);
+
+    const replayRules = computed(() => gameRules(selected.value || {}));
+
+    const replayBoard = computed(() =>
+      selected.value ? applyMoves(selected.value.moves.slice(0, step.value), replayRules.value.size) : []);
+
+    // Le plateau de relecture garde une largeur raisonnable quelle que soit la taille
+    const replayGridStyle = computed(() => ({
+      gridTemplateColumns: `repeat(${replayRules.value.size}, minmax(0, 1fr))`,
+      width: `${Math.min(replayRules.value.size * 4, 18)}rem`
+    }));
+
+    const replayCellClass = computed(() => (replayRules.value.size > 3 ? 'text-xs' : 'text-2xl'));
+
+    const lastCell = computed(() =>
+      selected.value && step.value > 0 ? selected.value.moves[step.value - 1].cell : null);
+
+    const formatDate = (iso) => new Date(iso).toLocaleString(i18n.locale.value, {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+
+    const open = (game) => {
+      selected.value = game;
+      step.value = 0;
+    };
+
+    const goTo = (n) => {
+      if (!selected.value) return;
+      step.value = Math.min(Math.max(n, 0), selected.value.moves.length);
+    };
+
+    const clearHistory = () => {
+      context.setPluginData(HISTORY_KEY, []);
+      games.value = [];
+      selected.value = null;
+      context.showInfo?.(i18n.t('history.cleared'), i18n.t('history.clearedDetail'));
+    };
+
+    return {
+      games,
+      selected,
+      step,
+      replayBoard,
+      replayGridStyle,
+      replayCellClass,
+      lastCell,
+      formatDate,
+      describeResult: (game) => describeResult(game, i18n.t),
+      rulesSummary: (game) => i18n.t('rules.summary', gameRules(game)),
+      t: i18n.t,
+      open,
+      goTo,
+      clearHistory
+    };
+  },
+
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-5 space-y-4">
+      <div class="flex items-center justify-between">
+        <h2 class="text-lg font-semibold flex items-center">
+          <i class="pi pi-history mr-2 plugin-text-primary"></i>
+          {{ t('history.title') }}
+        </h2>
+        <button @click="$emit('close')" class="text-sm plugin-text-secondary plugin-hover-text">
+          <i class="pi pi-times mr-1"></i>
+          {{ t('history.close') }}
+        </button>
+      </div>
+
+      <p v-if="!games.length" class="text-sm plugin-text-muted">{{ t('history.empty') }}</p>
+
+      <div v-else class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ul class="divide-y plugin-divide max-h-80 overflow-y-auto">
+          <li
+            v-for="game in games"
+            :key="game.id"
+            class="flex items-center justify-between py-2"
+            :class="selected && selected.id === game.id ? 'plugin-bg-primary-soft' : ''"
+          >
+            <div>
+              <p class="text-sm font-medium plugin-text">{{ describeResult(game) }}</p>
+              <p class="text-xs plugin-text-muted">{{ formatDate(game.finishedAt) }} · {{ rulesSummary(game) }} · {{ t('history.moves', { count: game.moves.length }) }}</p>
+            </div>
+            <button @click="open(game)" class="px-3 py-1 text-sm plugin-bg-control plugin-hover-control-strong rounded-md plugin-text-secondary">
+              {{ t('history.replay') }}
+            </button>
+          </li>
+        </ul>
+
+        <div v-if="selected" class="space-y-3">
+          <div class="grid gap-1 select-none" :style="replayGridStyle">
+            <div
+              v-for="(cell, i) in replayBoard"
+              :key="i"
+              class="aspect-square flex items-center justify-center font-bold rounded border plugin-border"
+              :class="[replayCellClass, i === lastCell ? 'plugin-bg-warning-soft' : 'plugin-bg-surface']"
+            >{{ cell }}</div>
+          </div>
+          <div class="flex items-center space-x-2">
+            <button @click="goTo(0)" :disabled="step === 0" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('history.first')">
+              <i class="pi pi-angle-double-left"></i>
+            </button>
+            <button @click="goTo(step - 1)" :disabled="step === 0" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('history.previous')">
+              <i class="pi pi-angle-left"></i>
+            </button>
+            <span class="text-sm plugin-text-secondary">{{ t('history.step', { step, total: selected.moves.length }) }}</span>
+            <button @click="goTo(step + 1)" :disabled="step === selected.moves.length" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('history.next')">
+              <i class="pi pi-angle-right"></i>
+            </button>
+            <button @click="goTo(selected.moves.length)" :disabled="step === selected.moves.length" class="px-2 py-1 rounded plugin-bg-control disabled:opacity-50" :title="t('history.last')">
+              <i class="pi pi-angle-double-right"></i>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <button v-if="games.length" @click="clearHistory" class="text-sm plugin-text-danger plugin-hover-danger">
+        {{ t('history.clear') }}
+      </button>
+    </div>
+  `
+});
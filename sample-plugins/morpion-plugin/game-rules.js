@@ -0,0 +1,125 @@
+/**
+ * Règles du Morpion (plateau N×N, K symboles alignés pour gagner)
+ * Fonctions pures, partagées par la page de jeu, l'historique et le joueur
+ * ordinateur. Le plateau est un tableau à plat de size * size cases.
+ */
+
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 15;
+export const MIN_WIN_LENGTH = 3;
+export const MAX_WIN_LENGTH = 5;
+
+export const DEFAULT_RULES = { size: 3, winLength: 3 };
+
+// Directions d'alignement: ligne, colonne, diagonale, anti-diagonale
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Ramène une configuration dans les bornes autorisées. L'alignement ne peut
+ * pas dépasser la taille du plateau.
+ */
+export const normalizeRules = ({ size, winLength } = {}) => {
+  const s = clamp(Math.round(Number(size)) || DEFAULT_RULES.size, MIN_SIZE, MAX_SIZE);
+  const w = clamp(Math.round(Number(winLength)) || DEFAULT_RULES.winLength, MIN_WIN_LENGTH, Math.min(MAX_WIN_LENGTH, s));
+  return { size: s, winLength: w };
+};
+
+/**
+ * Clé de regroupement des scores, ex. "3x3-3"
+ */
+export const rulesKey = ({ size, winLength }) => `${size}x${size}-${winLength}`;
+
+export const createBoard = (size = DEFAULT_RULES.size) => Array(size * size).fill('');
+
+export const otherPlayer = (symbol) => (symbol === 'X' ? 'O' : 'X');
+
+const windowCache = new Map();
+
+/**
+ * Toutes les fenêtres de `winLength` cases alignées (mises en cache par
+ * configuration). Sur un 3×3 ce sont les 8 lignes gagnantes classiques.
+ * @returns {number[][]}
+ */
+export const getWindows = (rules = DEFAULT_RULES) => {
+  const key = rulesKey(rules);
+  if (windowCache.has(key)) return windowCache.get(key);
+  const { size, winLength } = rules;
+  const windows = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      for (const [dr, dc] of DIRECTIONS) {
+        const endRow = row + dr * (winLength - 1);
+        const endCol = col + dc * (winLength - 1);
+        if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) continue;
+        const cells = [];
+        for (let k = 0; k < winLength; k++) cells.push((row + dr * k) * size + col + dc * k);
+        windows.push(cells);
+      }
+    }
+  }
+  windowCache.set(key, windows);
+  return windows;
+};
+
+// Alignement passant par `cell`, ou null
+const lineThrough = (board, { size, winLength }, cell) => {
+  const symbol = board[cell];
+  if (!symbol) return null;
+  const row = Math.floor(cell / size);
+  const col = cell % size;
+  for (const [dr, dc] of DIRECTIONS) {
+    const line = [cell];
+    for (const sign of [1, -1]) {
+      let r = row + dr * sign;
+      let c = col + dc * sign;
+      while (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === symbol) {
+        line.push(r * size + c);
+        r += dr * sign;
+        c += dc * sign;
+      }
+    }
+    if (line.length >= winLength) return line.sort((a, b) => a - b);
+  }
+  return null;
+};
+
+/**
+ * Cases de l'alignement gagnant, ou null.
+ * @param {string[]} board
+ * @param {{ size: number, winLength: number }} [rules]
+ * @param {number} [lastCell] - Dernière case jouée: seule cette case est examinée
+ */
+export const findWinningLine = (board, rules = DEFAULT_RULES, lastCell) => {
+  if (lastCell !== undefined && lastCell !== null) return lineThrough(board, rules, lastCell);
+  for (let cell = 0; cell < board.length; cell++) {
+    const line = lineThrough(board, rules, cell);
+    if (line) return line;
+  }
+  return null;
+};
+
+/**
+ * Symbole gagnant ('X' ou 'O'), ou null
+ */
+export const findWinner = (board, rules = DEFAULT_RULES, lastCell) => {
+  const line = findWinningLine(board, rules, lastCell);
+  return line ? board[line[0]] : null;
+};
+
+export const emptyCells = (board) =>
+  board.reduce((cells, cell, i) => (cell ? cells : [...cells, i]), []);
+
+export const isFull = (board) => board.every((cell) => cell);
+
+/**
+ * Rejoue une liste de coups `{ cell, player }` sur un plateau vide
+ */
+export const applyMoves = (moves, size = DEFAULT_RULES.size) => {
+  const board = createBoard(size);
+  for (const { cell, player } of moves) {
+    board[cell] = player;
+  }
+  return board;
+};
@@ -0,0 +1,108 @@
+/**
+ * Règles: alignements gagnants sur un plateau N×N, partie nulle et bornes
+ * de la configuration
+ *
+ *   node --test sample-plugins/morpion-plugin/game-rules.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findWinner, findWinningLine, getWindows, isFull, normalizeRules } from './game-rules.js';
+
+// Plateau décrit ligne par ligne: "X", "O" ou "." pour une case vide
+const board = (rows) => rows.join('').split('').map((cell) => (cell === '.' ? '' : cell));
+
+// Cases d'un plateau `size` × `size` en [ligne, colonne]
+const cells = (size, ...coordinates) => coordinates.map(([row, col]) => row * size + col).sort((a, b) => a - b);
+
+test('winning lines are found in every direction, up to the edges', () => {
+  for (const { label, rules, rows, winner, line } of [
+    { label: '3×3 row', rules: { size: 3, winLength: 3 }, rows: ['...', 'OOO', 'X.X'], winner: 'O', line: cells(3, [1, 0], [1, 1], [1, 2]) },
+    { label: '3×3 column', rules: { size: 3, winLength: 3 }, rows: ['X.O', 'X.O', '.XO'], winner: 'O', line: cells(3, [0, 2], [1, 2], [2, 2]) },
+    { label: '3×3 diagonal', rules: { size: 3, winLength: 3 }, rows: ['XO.', 'OX.', '..X'], winner: 'X', line: cells(3, [0, 0], [1, 1], [2, 2]) },
+    { label: '3×3 anti-diagonal', rules: { size: 3, winLength: 3 }, rows: ['X.O', 'XO.', 'O.X'], winner: 'O', line: cells(3, [0, 2], [1, 1], [2, 0]) },
+    {
+      label: '7×7 row against the right edge',
+      rules: { size: 7, winLength: 4 },
+      rows: ['...XXXX', '.......', '.......', '.......', '.......', '.......', '.......'],
+      winner: 'X',
+      line: cells(7, [0, 3], [0, 4], [0, 5], [0, 6])
+    },
+    {
+      label: '7×7 column against the bottom edge',
+      rules: { size: 7, winLength: 4 },
+      rows: ['.......', '.......', '.......', '......O', '......O', '......O', '......O'],
+      winner: 'O',
+      line: cells(7, [3, 6], [4, 6], [5, 6], [6, 6])
+    },
+    {
+      label: '7×7 diagonal into the bottom-right corner',
+      rules: { size: 7, winLength: 4 },
+      rows: ['.......', '.......', '.......', '...X...', '....X..', '.....X.', '......X'],
+      winner: 'X',
+      line: cells(7, [3, 3], [4, 4], [5, 5], [6, 6])
+    },
+    {
+      label: '7×7 anti-diagonal from the top-right corner',
+      rules: { size: 7, winLength: 4 },
+      rows: ['......O', '.....O.', '....O..', '...O...', '.......', '.......', '.......'],
+      winner: 'O',
+      line: cells(7, [0, 6], [1, 5], [2, 4], [3, 3])
+    },
+    {
+      label: '7×7 anti-diagonal into the bottom-left corner',
+      rules: { size: 7, winLength: 4 },
+      rows: ['.......', '.......', '.......', '...X...', '..X....', '.X.....', 'X......'],
+      winner: 'X',
+      line: cells(7, [3, 3], [4, 2], [5, 1], [6, 0])
+    },
+    {
+      label: 'a line longer than the alignment wins whole',
+      rules: { size: 7, winLength: 4 },
+      rows: ['.OOOOO.', '.......', '.......', '.......', '.......', '.......', '.......'],
+      winner: 'O',
+      line: cells(7, [0, 1], [0, 2], [0, 3], [0, 4], [0, 5])
+    }
+  ]) {
+    assert.equal(findWinner(board(rows), rules), winner, label);
+    assert.deepEqual(findWinningLine(board(rows), rules), line, label);
+  }
+});
+
+test('a line shorter than the alignment, or split by an edge, does not win', () => {
+  for (const { label, rules, rows } of [
+    { label: 'four in a row when five are needed', rules: { size: 7, winLength: 5 }, rows: ['XXXX...', '.......', '.......', '.......', '.......', '.......', '.......'] },
+    { label: 'end of one row and start of the next', rules: { size: 5, winLength: 4 }, rows: ['...XX', 'XX...', '.....', '.....', '.....'] },
+    { label: 'diagonal wrapping past the right edge', rules: { size: 5, winLength: 3 }, rows: ['....O', 'O....', '.O...', '.....', '.....'] },
+    { label: 'interrupted by the other symbol', rules: { size: 5, winLength: 4 }, rows: ['XXOXX', '.....', '.....', '.....', '.....'] },
+    { label: 'empty board', rules: { size: 15, winLength: 5 }, rows: Array(15).fill('...............') }
+  ]) {
+    assert.equal(findWinner(board(rows), rules), null, label);
+  }
+});
+
+test('with the last cell played, only the lines through it are examined', () => {
+  const rules = { size: 3, winLength: 3 };
+  const full = board(['XXX', 'O.O', '...']);
+  assert.equal(findWinner(full, rules, 1), 'X');
+  assert.equal(findWinner(full, rules, 3), null);
+  assert.equal(findWinner(full, rules, 4), null);
+});
+
+test('a full board without an alignment is a draw', () => {
+  const rules = { size: 3, winLength: 3 };
+  const drawn = board(['XOX', 'XOO', 'OXX']);
+  assert.equal(isFull(drawn), true);
+  assert.equal(findWinner(drawn, rules), null);
+  assert.equal(isFull(board(['XOX', 'XO.', 'OXX'])), false);
+});
+
+test('the rules are brought within bounds, the alignment within the board', () => {
+  assert.deepEqual(normalizeRules(), { size: 3, winLength: 3 });
+  assert.deepEqual(normalizeRules({ size: 4, winLength: 5 }), { size: 4, winLength: 4 });
+  assert.deepEqual(normalizeRules({ size: 40, winLength: 9 }), { size: 15, winLength: 5 });
+  assert.deepEqual(normalizeRules({ size: '7.4', winLength: 'x' }), { size: 7, winLength: 3 });
+  assert.equal(getWindows({ size: 3, winLength: 3 }).length, 8);
+  // 5×5 avec 4 alignés: 2 fenêtres par ligne et par colonne, 4 par sens de diagonale
+  assert.equal(getWindows({ size: 5, winLength: 4 }).length, 28);
+});
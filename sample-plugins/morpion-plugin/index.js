@@ -2,213 +2,1526 @@
  * Morpion (Tic-Tac-Toe) Plugin
  * - Page de jeu Morpion
  * - Widget de score pour le dashboard
+ * - Mini-plateau du dashboard, synchronisé avec la page de jeu
  */
 
-const { ref, computed, onMounted, onUnmounted } = window.Vue || {};
-
-let context;
-try {
-  const usePluginContext = window.usePluginContext;
-  if (usePluginContext) {
-    context = usePluginContext('morpion-plugin');
-  } else {
-    console.warn('Plugin context not available - using mock');
-    context = {
-      showSuccess: console.log,
-      showInfo: console.log,
-      showWarning: console.log,
-      showError: console.error,
-      getPluginData: () => null,
-      setPluginData: () => {},
-      emitEvent: () => {},
-      onEvent: () => () => {},
-      currentUser: { value: { firstName: 'User' } },
-      isAuthenticated: { value: true }
-    };
-  }
-} catch (e) {
-  console.error('Failed to get plugin context:', e);
-}
+import { createPluginBootstrap } from './shared/plugin-bootstrap.js';
+import { createEventCatalog } from './shared/event-catalog.js';
+import { SETTINGS_KEY, createPluginSettings } from './shared/plugin-settings.js';
+import { createSettingsPage } from './shared/settings-page.js';
+import { createDataTransferPanel } from './shared/data-transfer-panel.js';
+import { downloadBackup } from './shared/plugin-backup.js';
+import { createI18n } from './shared/i18n.js';
+import { runMigrations, stampDataVersion } from './shared/plugin-migrations.js';
+import { LEGACY_SCORES_KEY, MIGRATIONS, readLegacyScores } from './data-migrations.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import {
+  DEFAULT_RULES,
+  applyMoves,
+  findWinningLine,
+  isFull,
+  normalizeRules,
+  otherPlayer,
+  rulesKey
+} from './game-rules.js';
+import { DIFFICULTIES, chooseMove } from './computer-player.js';
+import { cellName, centerCell, targetCell } from './board-navigation.js';
+import { HISTORY_KEY, createGameHistoryView } from './game-history.js';
+import { createOnlineSession, createRoomCode } from './online-session.js';
+import { createOnlinePanel } from './online-panel.js';
+import {
+  TOURNAMENTS_KEY,
+  abandonTournament,
+  createTournament,
+  readTournaments,
+  runningTournament,
+  saveTournament,
+  tournamentSummary
+} from './tournament.js';
+import { createTournamentPanel } from './tournament-panel.js';
+import {
+  LIVE_GAME_KEY,
+  clearLiveGame,
+  createGameId,
+  isResumable,
+  localPlayers,
+  newLiveGame,
+  playerToMove,
+  readLiveGame,
+  recordFinishedGame,
+  saveLiveGame,
+  tournamentAnnouncement
+} from './live-game.js';
+import { createSyncTransport } from './shared/sync-transport.js';
+import {
+  ADMIN_PERMISSION,
+  RECORDS_KEY,
+  gamesPlayed,
+  notifyScoreUpdate,
+  playerFromUser,
+  rankRecords,
+  readRecord,
+  readRecords,
+  resetRecords
+} from './player-records.js';
+
+const { ref, computed, watch, nextTick, onMounted, onUnmounted } = window.Vue || {};
+
+// Contexte du plugin: obtenu à la première utilisation et redemandé tant
+// que le portail n'est pas prêt (voir shared/plugin-bootstrap.js); les
+// stockages ci-dessous sont donc créés au premier widget qui s'en sert.
+const plugin = createPluginBootstrap('morpion-plugin', {
+  // En développement, vérifie les événements émis et reçus d'après le
+  // catalogue `events` de plugin.json (voir EVENTS.md)
+  setup: (context) => createEventCatalog(context),
+  // Situe plugin.json pour le mode mock; les temps de chargement, setup et
+  // premier rendu de chaque widget (voir shared/widget-performance.js)
+  // partent du téléchargement de ce module
+  moduleUrl: import.meta.url,
+  labels: () => ({
+    loading: t('bootstrap.loading'),
+    failed: t('bootstrap.failed'),
+    failedDetail: t('bootstrap.failedDetail'),
+    unavailableDetail: t('bootstrap.unavailableDetail'),
+    retry: t('bootstrap.retry'),
+    mock: t('bootstrap.mock')
+  })
+});
+const context = plugin.context;
+
+// Paramètres déclarés dans plugin.json (joueur de départ, taille du plateau, alignement);
+// libellés, descriptions et messages de validation viennent des catalogues
+const settings = plugin.lazy(() => createPluginSettings(context, {
+  translate: t,
+  messages: () => ({
+    boolean: t('settings.error.boolean'),
+    number: t('settings.error.number'),
+    integer: t('settings.error.integer'),
+    min: t('settings.error.min'),
+    max: t('settings.error.max'),
+    options: t('settings.error.options'),
+    text: t('settings.error.text'),
+    required: t('settings.error.required'),
+    minLength: t('settings.error.minLength'),
+    maxLength: t('settings.error.maxLength'),
+    pattern: t('settings.error.pattern')
+  })
+}));
+
+// Textes de l'interface: langue de l'utilisateur, français par défaut
+const i18n = createI18n(context, { messages: { fr, en }, fallbackLocale: 'fr' });
+const { t } = i18n;
+
+const GAME_ROUTE = '/plugins/morpion';
+const settingsRoute = () => settings.configRoute || `${GAME_ROUTE}/settings`;
+
+const COMPUTER_DELAY_MS = 400;
+
+// Permission fournie par le plugin (plugin.json `permissions.provided`):
+// paramètres, restauration, remise à zéro de tous les scores et effacement
+// des données à la désinstallation
+const isAdmin = () => !!context.hasPermission?.(ADMIN_PERMISSION);
+
+// Seul le contexte de test renvoie une fonction de désabonnement depuis
+// onEvent : sans elle, offEvent retire le gestionnaire d'une vue démontée
+const listen = (eventName, handler) => {
+  if (!context.onEvent) return () => {};
+  const off = context.onEvent(eventName, handler);
+  return typeof off === 'function' ? off : () => context.offEvent?.(eventName, handler);
+};
+
+const MorpionGameHistory = createGameHistoryView(context, i18n);
+const MorpionOnlinePanel = createOnlinePanel(i18n);
+const MorpionTournamentPanel = createTournamentPanel(i18n);
+
+const OPPONENT_MODES = ['human', 'computer', 'online', 'tournament'];
+
+// Toutes les clés enregistrées, pour les sauvegardes (le stockage ne sait pas les lister)
+const DATA_KEYS = [RECORDS_KEY, HISTORY_KEY, TOURNAMENTS_KEY, LIVE_GAME_KEY, SETTINGS_KEY, 'opponent', LEGACY_SCORES_KEY];
+
+const currentRules = () => normalizeRules({
+  size: settings.values.value.boardSize,
+  winLength: settings.values.value.winLength
+});
+
+// ============================================================================
+// PAGE: Paramètres (route: settings.configRoute)
+// ============================================================================
+
+// Sauvegarde / restauration des données, avec export CSV du classement
+const MorpionDataPanel = createDataTransferPanel(context, {
+  keys: DATA_KEYS,
+  migrations: MIGRATIONS,
+  csvExports: [
+    {
+      id: 'scores',
+      label: () => t('data.csvScores'),
+      build: () => ({
+        columns: [
+          { key: 'rank', label: t('data.column.rank') },
+          { key: 'name', label: t('data.column.player') },
+          { key: 'wins', label: t('scoreboard.wins') },
+          { key: 'losses', label: t('scoreboard.losses') },
+          { key: 'draws', label: t('scoreboard.draws') },
+          { key: 'winRate', label: t('data.column.winRate') },
+          { key: 'streak', label: t('data.column.streak') },
+          { key: 'bestStreak', label: t('data.column.bestStreak') },
+          { key: 'lastPlayedAt', label: t('data.column.lastPlayedAt') }
+        ],
+        rows: rankRecords(readRecords(context))
+      })
+    }
+  ],
+  onImported: () => {
+    settings.reload();
+    notifyScoreUpdate(context);
+  },
+  canRestore: isAdmin,
+  labels: () => ({
+    title: t('data.title'),
+    description: t('data.description'),
+    exportJson: t('data.exportJson'),
+    importJson: t('data.importJson'),
+    previewTitle: t('data.previewTitle'),
+    backupFrom: t('data.backupFrom'),
+    added: t('data.added'),
+    updated: t('data.updated'),
+    removed: t('data.removed'),
+    ignored: t('data.ignored'),
+    noChanges: t('data.noChanges'),
+    confirm: t('data.confirm'),
+    cancel: t('data.cancel'),
+    exported: t('data.exported'),
+    exportedDetail: t('data.exportedDetail'),
+    imported: t('data.imported'),
+    importedDetail: t('data.importedDetail'),
+    importFailed: t('data.importFailed'),
+    'error.invalid-json': t('data.error.invalidJson'),
+    'error.invalid-format': t('data.error.invalidFormat'),
+    'error.unsupported-version': t('data.error.unsupportedVersion'),
+    'error.wrong-plugin': t('data.error.wrongPlugin'),
+    'error.newer-data': t('data.error.newerData'),
+    'error.failed': t('data.error.failed')
+  })
+});
+
+const MorpionSettings = plugin.withErrorBoundary(createSettingsPage(context, settings, {
+  name: 'MorpionSettings',
+  backRoute: GAME_ROUTE,
+  footer: MorpionDataPanel,
+  canEdit: isAdmin,
+  labels: () => ({
+    title: t('settings.title'),
+    save: t('settings.save'),
+    reset: t('settings.reset'),
+    back: t('settings.back'),
+    saved: t('settings.saved'),
+    savedDetail: t('settings.savedDetail'),
+    resetDone: t('settings.resetDone'),
+    resetDetail: t('settings.resetDetail'),
+    invalid: t('settings.invalid'),
+    defaultValue: t('settings.defaultValue'),
+    readOnly: t('settings.readOnly')
+  })
+}));
+
 
 // ============================================================================
 // PAGE: Morpion (route: /plugins/morpion)
 // ============================================================================
 
-const MorpionPlugin = {
+const MorpionPlugin = plugin.withErrorBoundary({
   name: 'MorpionPlugin',
+  components: { MorpionSettings, MorpionGameHistory, MorpionOnlinePanel, MorpionTournamentPanel },
   setup() {
-    const winningCombos = [
-      [0,1,2],[3,4,5],[6,7,8],
-      [0,3,6],[1,4,7],[2,5,8],
-      [0,4,8],[2,4,6]
-    ];
-
-    const board = ref(Array(9).fill(''));
-    const currentPlayer = ref('X');
+    // Le portail monte ce composant pour toutes les routes du plugin
+    const isSettingsRoute = computed(() => context.router?.currentRoute?.value?.path === settingsRoute());
+
     const gameOver = ref(false);
     const winner = ref(null);
-    const moves = ref(0);
+    const showHistory = ref(false);
+
+    // Adversaire: 'human' (deux joueurs sur le même écran), 'computer',
+    // 'online' (deux onglets ou deux sessions) ou 'tournament' (joueurs
+    // nommés sur le même écran, voir tournament.js)
+    const savedOpponent = context.getPluginData('opponent') || {};
+    const opponentMode = ref(OPPONENT_MODES.includes(savedOpponent.mode) ? savedOpponent.mode : 'human');
+    const difficulty = ref(DIFFICULTIES.includes(savedOpponent.difficulty) ? savedOpponent.difficulty : 'medium');
+    const computerThinking = ref(false);
+    let computerTimer = null;
+
+    const startingPlayer = () => (settings.values.value.startingPlayer === 'O' ? 'O' : 'X');
+
+    // Dernier tournoi, en cours ou terminé (affiché jusqu'au suivant)
+    const isTournament = computed(() => opponentMode.value === 'tournament');
+    const tournament = ref(readTournaments(context)[0] || null);
+
+    const newGame = () => newLiveGame({
+      mode: opponentMode.value,
+      difficulty: difficulty.value,
+      rules: currentRules(),
+      startingPlayer: startingPlayer(),
+      tournament: isTournament.value ? runningTournament(context) : null
+    });
+
+    // Partie interrompue (page quittée, ou jouée depuis le mini-plateau du
+    // tableau de bord): reprise telle quelle si elle correspond au mode choisi
+    const resumable = (saved) =>
+      isResumable(saved, runningTournament(context)) && saved.game.mode === opponentMode.value;
+    const saved = readLiveGame(context);
+    const resumed = resumable(saved) ? saved : null;
+
+    // La partie est une liste ordonnée de coups { cell, player }. `cursor` est le
+    // nombre de coups appliqués: les coups au-delà peuvent être rejoués (redo).
+    const game = ref(resumed ? resumed.game : newGame());
+    const cursor = ref(resumed ? resumed.cursor : 0);
+    gameOver.value = !!resumed?.gameOver;
+    winner.value = resumed?.winner ?? null;
+
+    // Chaque partie garde la configuration avec laquelle elle a commencé
+    const gameRules = computed(() => normalizeRules(game.value));
+
+    const playedMoves = computed(() => game.value.moves.slice(0, cursor.value));
+    const board = computed(() => applyMoves(playedMoves.value, gameRules.value.size));
+    const lastCell = computed(() => (cursor.value > 0 ? playedMoves.value[cursor.value - 1].cell : null));
+
+    // Cases de l'alignement gagnant, mises en évidence en fin de partie
+    const winningLine = computed(() =>
+      (winner.value ? findWinningLine(board.value, gameRules.value, lastCell.value) || [] : []));
+
+    const currentPlayer = computed(() => playerToMove(game.value, cursor.value));
+
+    // Contre l'ordinateur, l'humain joue le symbole qui commence
+    const humanSymbol = computed(() => game.value.startingPlayer);
+    const computerSymbol = computed(() => otherPlayer(humanSymbol.value));
+    const vsComputer = computed(() => opponentMode.value === 'computer');
+
+    // Utilisateur connecté ({ id, name }), null s'il joue sans être identifié
+    const me = computed(() => playerFromUser(context.currentUser?.value));
+
+    // Partie en ligne: la session (online-session.js) fait foi, la page affiche
+    // son état. `online` vaut null tant qu'aucune salle n'est ouverte.
+    const isOnline = computed(() => opponentMode.value === 'online');
+    const online = ref(null);
+    const roomCode = ref('');
+    let session = null;
+    let offSession = null;
+
+    const isMyTurn = computed(() =>
+      !!online.value
+      && online.value.status === 'playing'
+      && online.value.peerConnected
+      && currentPlayer.value === online.value.mySymbol);
+
+    const onlineMessage = () => {
+      const state = online.value;
+      if (!state || state.status === 'idle') return t('online.idle');
+      if (state.status === 'waiting') return t('online.waiting');
+      if (state.status === 'joining') return t('online.joining');
+      if (state.result) {
+        const won = state.result.winner === state.mySymbol;
+        if (state.result.reason === 'resign') return won ? t('online.opponentResigned') : t('online.youResigned');
+        if (!state.result.winner) return t('game.draw');
+        return won ? t('game.youWon') : t('online.opponentWon');
+      }
+      if (!state.peerConnected) return t('online.opponentLeft');
+      return isMyTurn.value
+        ? t('game.yourTurn', { player: state.mySymbol })
+        : t('online.opponentTurn', { player: otherPlayer(state.mySymbol) });
+    };
+
+    const tournamentMessage = () => {
+      const seat = game.value.tournament;
+      if (!seat) return t('tournament.noTournament');
+      if (gameOver.value) return winner.value ? t('game.winner', { player: seat.players[winner.value].name }) : t('game.draw');
+      return t('tournament.turn', { name: seat.players[currentPlayer.value].name, player: currentPlayer.value });
+    };
 
     const message = computed(() => {
+      if (isOnline.value) return onlineMessage();
+      if (isTournament.value) return tournamentMessage();
       if (gameOver.value) {
-        return winner.value ? `Gagnant: ${winner.value}` : 'Match nul';
+        if (!winner.value) return t('game.draw');
+        if (vsComputer.value) {
+          return winner.value === humanSymbol.value ? t('game.youWon') : t('game.computerWon');
+        }
+        return t('game.winner', { player: winner.value });
       }
-      return `Au tour de ${currentPlayer.value}`;
+      if (vsComputer.value) {
+        return currentPlayer.value === computerSymbol.value
+          ? t('game.computerThinking')
+          : t('game.yourTurn', { player: currentPlayer.value });
+      }
+      return t('game.turn', { player: currentPlayer.value });
     });
 
-    const readScores = () => {
-      return (
-        context.getPluginData('scores') || { X: 0, O: 0, draws: 0 }
-      );
+    // Symbole joué par l'utilisateur connecté: le sien en ligne, celui qui
+    // commence contre l'ordinateur. À deux sur le même écran, rien ne dit
+    // lequel des deux symboles il a joué: la partie n'est comptée pour personne
+    const mySymbol = computed(() =>
+      (isOnline.value ? online.value?.mySymbol : vsComputer.value ? humanSymbol.value : null));
+
+    // Joueurs de la partie, par symbole (l'adversaire local n'est pas identifié).
+    // Une partie contre soi-même (deux onglets du même compte) n'est pas comptée.
+    const gamePlayers = () => {
+      const players = {};
+      const opponent = isOnline.value ? online.value?.opponent : null;
+      if (opponent && me.value && opponent.id === me.value.id) return players;
+      if (me.value && mySymbol.value) players[mySymbol.value] = me.value;
+      if (opponent && mySymbol.value) players[otherPlayer(mySymbol.value)] = opponent;
+      return players;
+    };
+
+    const finishGame = (w, endReason = w ? 'line' : 'draw') => {
+      gameOver.value = true;
+      winner.value = w;
+      // Les joueurs d'un tournoi sont nommés mais sans fiche de score
+      const inTournament = !!game.value.tournament;
+      const players = inTournament ? game.value.tournament.players : gamePlayers();
+      const { tournamentResult } = recordFinishedGame(context, { ...game.value, moves: playedMoves.value }, {
+        winner: w,
+        endReason,
+        players
+      });
+      // Fin de rencontre ou de tournoi: une seule annonce
+      if (tournamentResult) {
+        tournament.value = tournamentResult.tournament;
+        const news = tournamentAnnouncement(tournamentResult, t);
+        if (news?.severity === 'success') {
+          context.showSuccess?.(news.summary, news.detail);
+          return;
+        }
+        if (news) {
+          context.showInfo?.(news.summary, news.detail);
+          return;
+        }
+      }
+      if (w) {
+        context.showSuccess?.(t('game.over'), vsComputer.value || isOnline.value || inTournament ? message.value : t('game.winner', { player: w }));
+      } else {
+        context.showInfo?.(t('game.draw'), t('game.drawDetail'));
+      }
     };
 
-    const writeScores = (scores) => {
-      context.setPluginData('scores', scores);
-      if (context.emitEvent) {
-        context.emitEvent('morpion:score-updated', { scores });
+    // Jouer un nouveau coup efface les coups annulés
+    const placeMark = (idx) => {
+      game.value = {
+        ...game.value,
+        moves: [...playedMoves.value, { cell: idx, player: currentPlayer.value }]
+      };
+      cursor.value = game.value.moves.length;
+      // Seuls les alignements passant par la case jouée peuvent être nouveaux
+      const line = findWinningLine(board.value, gameRules.value, idx);
+      const w = line ? board.value[idx] : null;
+      if (w || isFull(board.value)) {
+        finishGame(w);
+        return;
       }
+      if (isComputerTurn()) scheduleComputerMove();
     };
 
-    const updateScores = (winnerSymbol) => {
-      const scores = readScores();
-      if (winnerSymbol === 'X') scores.X += 1;
-      else if (winnerSymbol === 'O') scores.O += 1;
-      else scores.draws += 1;
-      writeScores(scores);
+    const isComputerTurn = () => vsComputer.value && currentPlayer.value === computerSymbol.value;
+
+    const cancelComputerMove = () => {
+      clearTimeout(computerTimer);
+      computerTimer = null;
+      computerThinking.value = false;
     };
 
-    const checkWin = () => {
-      for (const [a,b,c] of winningCombos) {
-        if (board.value[a] && board.value[a] === board.value[b] && board.value[a] === board.value[c]) {
-          return board.value[a];
-        }
-      }
-      return null;
+    // Court délai pour que le coup de l'ordinateur reste lisible
+    const scheduleComputerMove = () => {
+      computerThinking.value = true;
+      computerTimer = setTimeout(() => {
+        computerThinking.value = false;
+        computerTimer = null;
+        if (gameOver.value || !isComputerTurn()) return;
+        const idx = chooseMove(board.value, computerSymbol.value, game.value.difficulty, { rules: gameRules.value });
+        if (idx !== null) placeMark(idx);
+      }, COMPUTER_DELAY_MS);
     };
 
     const play = (idx) => {
-      if (gameOver.value || board.value[idx]) return;
-      board.value[idx] = currentPlayer.value;
-      moves.value += 1;
-      const w = checkWin();
-      if (w) {
-        winner.value = w;
-        gameOver.value = true;
-        updateScores(w);
-        context.showSuccess?.('Partie terminée', `Gagnant: ${w}`);
+      if (gameOver.value || board.value[idx] || computerThinking.value) return;
+      if (isTournament.value && !game.value.tournament) return;
+      if (isOnline.value && !isMyTurn.value) return;
+      if (isOnline.value) {
+        // La session vérifie le tour et transmet le coup à l'adversaire
+        session?.play(idx);
         return;
       }
-      if (moves.value === 9) {
-        gameOver.value = true;
-        updateScores(null);
-        context.showInfo?.('Match nul', 'Aucun gagnant cette fois.');
-        return;
+      placeMark(idx);
+    };
+
+    // Une manche de tournoi en cours compte au classement: ni annulation ni
+    // nouvelle partie avant sa fin
+    const tournamentGameInProgress = computed(() => !!game.value.tournament && !gameOver.value);
+
+    // Pas d'annulation en ligne (l'adversaire a déjà vu le coup) ni en tournoi
+    const canUndo = computed(() => !isOnline.value && !tournamentGameInProgress.value && !gameOver.value && cursor.value > 0);
+    const canRedo = computed(() =>
+      !isOnline.value && !tournamentGameInProgress.value && !gameOver.value && cursor.value < game.value.moves.length);
+
+    // Contre l'ordinateur, annuler revient au dernier tour du joueur humain
+    const undo = () => {
+      if (!canUndo.value) return;
+      cancelComputerMove();
+      cursor.value -= 1;
+      while (vsComputer.value && cursor.value > 0 && isComputerTurn()) {
+        cursor.value -= 1;
+      }
+    };
+
+    const redo = () => {
+      if (!canRedo.value) return;
+      cursor.value += 1;
+      while (vsComputer.value && cursor.value < game.value.moves.length && isComputerTurn()) {
+        cursor.value += 1;
       }
-      currentPlayer.value = currentPlayer.value === 'X' ? 'O' : 'X';
+      if (isComputerTurn()) scheduleComputerMove();
     };
 
     const reset = () => {
-      board.value = Array(9).fill('');
+      cancelComputerMove();
+      game.value = newGame();
+      cursor.value = 0;
       gameOver.value = false;
       winner.value = null;
-      moves.value = 0;
-      // Optionnel: alterner le joueur de départ
-      const start = context.getPluginData('settings')?.startingPlayer || 'X';
-      currentPlayer.value = start === 'O' ? 'O' : 'X';
     };
 
+    // ------------------------------------------------------------------------
+    // Accessibilité du plateau (voir board-navigation.js): une seule case
+    // dans l'ordre de tabulation, déplacement aux flèches, annonces des coups
+    // et des résultats dans une zone live
+    // ------------------------------------------------------------------------
+    const boardEl = ref(null);
+    const focusedCell = ref(centerCell(gameRules.value.size));
+    const announcement = ref('');
+
+    const rows = computed(() => {
+      const size = gameRules.value.size;
+      return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, column) => row * size + column));
+    });
+
+    const cellLabel = (i) => {
+      const params = { cell: cellName(i, gameRules.value.size), state: board.value[i] || t('board.empty') };
+      return winningLine.value.includes(i) ? t('board.cellWinning', params) : t('board.cell', params);
+    };
+
+    const isCellUnavailable = (i) =>
+      gameOver.value || !!board.value[i] || computerThinking.value || (isOnline.value && !isMyTurn.value)
+      || (isTournament.value && !game.value.tournament);
+
+    const focusCell = (i) => {
+      focusedCell.value = i;
+      nextTick(() => boardEl.value?.querySelector(`[data-cell="${i}"]`)?.focus());
+    };
+
+    const onBoardKeydown = (event) => {
+      const index = Number(event.target.dataset?.cell);
+      if (Number.isNaN(index) || event.altKey || event.metaKey) return;
+      const target = targetCell(index, event, gameRules.value.size);
+      if (target === null) return;
+      event.preventDefault();
+      focusCell(target);
+    };
+
+    // Vider puis remplir la zone live fait relire un texte identique au précédent
+    const announce = (text) => {
+      announcement.value = '';
+      nextTick(() => { announcement.value = text; });
+    };
+
+    watch(() => [game.value.id, cursor.value, gameOver.value], ([id, count], [previousId, previousCount]) => {
+      let change = '';
+      if (id !== previousId) {
+        change = t('board.newGame', { rules: t('rules.summary', gameRules.value) });
+      } else if (count > previousCount) {
+        const move = playedMoves.value[count - 1];
+        change = t('board.move', { player: move.player, cell: cellName(move.cell, gameRules.value.size) });
+      } else if (count < previousCount) {
+        change = t('board.undone');
+      }
+      announce([change, message.value].filter(Boolean).join(' '));
+    });
+
+    // Le focus revient au centre d'un plateau qui change de taille
+    watch(() => gameRules.value.size, (size) => { focusedCell.value = centerCell(size); });
+
+    // "Nouvelle partie" au clavier: le focus passe sur le plateau, prêt à jouer
+    const startNewGame = () => {
+      reset();
+      focusCell(centerCell(gameRules.value.size));
+    };
+
+    // Le plateau et le joueur de départ sont ceux des paramètres au lancement du tournoi
+    const startTournament = (setup) => {
+      tournament.value = saveTournament(context, createTournament({
+        ...setup,
+        rules: currentRules(),
+        startingSymbol: startingPlayer()
+      }));
+      startNewGame();
+    };
+
+    const abandonCurrentTournament = () => {
+      if (tournament.value?.status !== 'running') return;
+      tournament.value = saveTournament(context, abandonTournament(tournament.value));
+      reset();
+    };
+
+    // En tournoi, le plateau n'apparaît qu'avec une manche à jouer (ou la dernière jouée)
+    const showBoard = computed(() => !isTournament.value || !!game.value.tournament);
+    const tournamentRunning = computed(() => tournament.value?.status === 'running');
+
+    // Reflète l'état de la session dans la partie affichée
+    const syncFromSession = (state) => {
+      online.value = state;
+      if (!state.game) return;
+      if (game.value.id !== state.game.id) {
+        game.value = { ...state.game, mode: 'online', difficulty: null };
+        gameOver.value = false;
+        winner.value = null;
+      } else {
+        game.value = { ...game.value, moves: state.game.moves };
+      }
+      cursor.value = state.game.moves.length;
+      if (state.result && !gameOver.value) finishGame(state.result.winner, state.result.reason);
+    };
+
+    const closeSession = () => {
+      if (session) {
+        offSession();
+        session.leave();
+        session = null;
+      }
+      online.value = null;
+      roomCode.value = '';
+    };
+
+    const openSession = (code) => {
+      closeSession();
+      roomCode.value = code;
+      const transport = createSyncTransport(`morpion-plugin:${code}`, {
+        serverUrl: settings.values.value.onlineServerUrl
+      });
+      session = createOnlineSession(transport, { player: me.value });
+      offSession = session.subscribe(syncFromSession);
+      return session;
+    };
+
+    const hostOnlineGame = () => {
+      reset();
+      openSession(createRoomCode()).host({ rules: currentRules(), startingPlayer: startingPlayer() });
+    };
+
+    const joinOnlineGame = (code) => {
+      reset();
+      openSession(code).join();
+    };
+
+    const leaveOnlineGame = () => {
+      closeSession();
+      reset();
+    };
+
+    const saveOpponent = () => {
+      context.setPluginData('opponent', { mode: opponentMode.value, difficulty: difficulty.value });
+    };
+
+    // Changer d'adversaire ou de niveau démarre une nouvelle partie
+    const setOpponentMode = (mode) => {
+      if (opponentMode.value === mode) return;
+      if (isOnline.value) closeSession();
+      opponentMode.value = mode;
+      saveOpponent();
+      reset();
+    };
+
+    const setDifficulty = (level) => {
+      difficulty.value = level;
+      saveOpponent();
+      reset();
+    };
+
+    const openSettings = () => {
+      if (context.navigateTo) context.navigateTo(settingsRoute());
+    };
+
+    // ------------------------------------------------------------------------
+    // Partie en cours (voir live-game.js): enregistrée à chaque changement,
+    // rechargée quand le mini-plateau du tableau de bord la modifie
+    // ------------------------------------------------------------------------
+    const viewId = `page-${createGameId()}`;
+    const liveState = () => ({ game: game.value, cursor: cursor.value, gameOver: gameOver.value, winner: winner.value });
+    let savedSnapshot = resumed ? JSON.stringify(liveState()) : null;
+
+    watch(() => [game.value, cursor.value, gameOver.value, winner.value], () => {
+      if (isOnline.value) {
+        clearLiveGame(context, viewId);
+        return;
+      }
+      const snapshot = JSON.stringify(liveState());
+      if (snapshot === savedSnapshot) return;
+      savedSnapshot = snapshot;
+      saveLiveGame(context, liveState(), viewId);
+    }, { immediate: true });
+
+    // Le coup de l'ordinateur est joué par la vue qui a joué le coup précédent
+    const onLiveGameUpdated = ({ source }) => {
+      if (source === viewId || isOnline.value) return;
+      const saved = readLiveGame(context);
+      if (!saved || saved.game.mode !== opponentMode.value) return;
+      cancelComputerMove();
+      savedSnapshot = JSON.stringify({ game: saved.game, cursor: saved.cursor, gameOver: saved.gameOver, winner: saved.winner });
+      game.value = saved.game;
+      cursor.value = saved.cursor;
+      gameOver.value = saved.gameOver;
+      winner.value = saved.winner;
+    };
+
+    const refreshTournament = () => {
+      tournament.value = readTournaments(context)[0] || null;
+    };
+
+    let offLiveGame;
+    let offTournament;
+
+    // Prévient l'adversaire quand l'onglet est fermé
     onMounted(() => {
-      // Init joueur de départ
-      const start = context.getPluginData('settings')?.startingPlayer || 'X';
-      currentPlayer.value = start === 'O' ? 'O' : 'X';
+      window.addEventListener('pagehide', closeSession);
+      offLiveGame = listen('morpion:live-game-updated', onLiveGameUpdated);
+      offTournament = listen('morpion:tournament-updated', refreshTournament);
+      // Partie reprise au tour de l'ordinateur
+      if (!gameOver.value && isComputerTurn()) scheduleComputerMove();
+    });
+    onUnmounted(() => {
+      cancelComputerMove();
+      closeSession();
+      window.removeEventListener('pagehide', closeSession);
+      if (offLiveGame) offLiveGame();
+      if (offTournament) offTournament();
     });
 
-    return { board, currentPlayer, gameOver, winner, message, play, reset };
+    // Un changement de paramètre s'applique tout de suite si la partie n'a pas
+    // commencé, sinon à la partie suivante
+    watch(() => [startingPlayer(), rulesKey(currentRules())].join('|'), () => {
+      if (!game.value.moves.length && !isOnline.value) reset();
+    });
+
+    const rulesLabel = computed(() => t('rules.summary', gameRules.value));
+
+    // Grille générée en style inline: les classes Tailwind dynamiques
+    // (grid-cols-N) ne seraient pas présentes dans la feuille de style.
+    // Chaque ligne (role="row") est sa propre grille de `size` colonnes.
+    const boardStyle = computed(() => {
+      const size = gameRules.value.size;
+      const cellRem = size <= 3 ? 6 : size <= 7 ? 3 : 2.25;
+      return { width: '100%', maxWidth: `${size * cellRem}rem` };
+    });
+
+    const rowStyle = computed(() => ({ gridTemplateColumns: `repeat(${gameRules.value.size}, minmax(0, 1fr))` }));
+
+    const gridClass = computed(() => (gameRules.value.size <= 3 ? 'gap-2' : 'gap-1'));
+
+    const cellClass = computed(() => {
+      const size = gameRules.value.size;
+      if (size <= 3) return 'text-3xl rounded-lg';
+      if (size <= 7) return 'text-xl rounded-md';
+      return 'text-sm rounded';
+    });
+
+    const cellStateClass = (i) => {
+      if (winningLine.value.includes(i)) return 'plugin-bg-success-soft plugin-border-success';
+      if (i === lastCell.value) return 'plugin-bg-primary-soft plugin-border-primary';
+      return 'plugin-bg-surface plugin-border plugin-hover-surface-alt';
+    };
+
+    return {
+      isSettingsRoute,
+      board,
+      rulesLabel,
+      boardStyle,
+      rowStyle,
+      gridClass,
+      boardEl,
+      rows,
+      focusedCell,
+      announcement,
+      cellLabel,
+      isCellUnavailable,
+      onBoardKeydown,
+      startNewGame,
+      cellClass,
+      cellStateClass,
+      currentPlayer,
+      gameOver,
+      winner,
+      message,
+      opponentMode,
+      difficulty,
+      difficulties: DIFFICULTIES,
+      computerThinking,
+      isOnline,
+      isMyTurn,
+      online,
+      isTournament,
+      tournament,
+      tournamentRunning,
+      showBoard,
+      startTournament,
+      abandonCurrentTournament,
+      roomCode,
+      hostOnlineGame,
+      joinOnlineGame,
+      leaveOnlineGame,
+      resign: () => session?.resign(),
+      offerRematch: () => session?.offerRematch(),
+      acceptRematch: () => session?.acceptRematch(),
+      declineRematch: () => session?.declineRematch(),
+      tournamentGameInProgress,
+      canUndo,
+      canRedo,
+      showHistory,
+      play,
+      undo,
+      redo,
+      reset,
+      setOpponentMode,
+      setDifficulty,
+      openSettings,
+      t
+    };
   },
 
   template: `
-    <div class="space-y-6">
-      <div class="bg-gradient-to-r from-indigo-600 to-blue-700 rounded-lg shadow-lg text-white p-6">
-        <h1 class="text-2xl font-bold">Morpion</h1>
-        <p class="text-blue-100">{{ message }}</p>
+    <MorpionSettings v-if="isSettingsRoute" />
+    <div v-else class="space-y-6">
+      <div class="plugin-bg-hero rounded-lg shadow-lg p-6">
+        <div class="flex items-center justify-between">
+          <h1 class="text-2xl font-bold">{{ t('plugin.title') }}</h1>
+          <span class="text-sm plugin-text-on-hero-muted">{{ rulesLabel }}</span>
+        </div>
+        <p class="plugin-text-on-hero-muted">{{ message }}</p>
       </div>
 
-      <div class="grid grid-cols-3 gap-2 w-72 select-none">
-        <button
-          v-for="(cell, i) in board"
-          :key="i"
-          @click="play(i)"
-          class="h-20 text-3xl font-bold rounded-lg border border-gray-200 bg-white hover:bg-gray-50 focus:outline-none"
-        >{{ cell }}</button>
+      <div class="flex flex-wrap items-center gap-3">
+        <div class="inline-flex rounded-md border plugin-border overflow-hidden">
+          <button
+            @click="setOpponentMode('human')"
+            :aria-pressed="opponentMode === 'human'"
+            :class="opponentMode === 'human' ? 'plugin-bg-primary plugin-text-on-primary' : 'plugin-bg-surface plugin-text-secondary plugin-hover-surface-alt'"
+            class="px-4 py-2 text-sm"
+          >
+            <i class="pi pi-users mr-1"></i>
+            {{ t('mode.human') }}
+          </button>
+          <button
+            @click="setOpponentMode('computer')"
+            :aria-pressed="opponentMode === 'computer'"
+            :class="opponentMode === 'computer' ? 'plugin-bg-primary plugin-text-on-primary' : 'plugin-bg-surface plugin-text-secondary plugin-hover-surface-alt'"
+            class="px-4 py-2 text-sm"
+          >
+            <i class="pi pi-desktop mr-1"></i>
+            {{ t('mode.computer') }}
+          </button>
+          <button
+            @click="setOpponentMode('online')"
+            :aria-pressed="opponentMode === 'online'"
+            :class="opponentMode === 'online' ? 'plugin-bg-primary plugin-text-on-primary' : 'plugin-bg-surface plugin-text-secondary plugin-hover-surface-alt'"
+            class="px-4 py-2 text-sm"
+          >
+            <i class="pi pi-globe mr-1"></i>
+            {{ t('mode.online') }}
+          </button>
+          <button
+            @click="setOpponentMode('tournament')"
+            :aria-pressed="opponentMode === 'tournament'"
+            :class="opponentMode === 'tournament' ? 'plugin-bg-primary plugin-text-on-primary' : 'plugin-bg-surface plugin-text-secondary plugin-hover-surface-alt'"
+            class="px-4 py-2 text-sm"
+          >
+            <i class="pi pi-sitemap mr-1"></i>
+            {{ t('mode.tournament') }}
+          </button>
+        </div>
+        <label v-if="opponentMode === 'computer'" class="flex items-center space-x-2 text-sm plugin-text-secondary">
+          <span>{{ t('difficulty.label') }}</span>
+          <select
+            :value="difficulty"
+            @change="setDifficulty($event.target.value)"
+            class="px-3 py-2 border plugin-border-strong rounded-md plugin-bg-surface"
+          >
+            <option v-for="level in difficulties" :key="level" :value="level">{{ t('difficulty.' + level) }}</option>
+          </select>
+        </label>
+      </div>
+
+      <MorpionOnlinePanel
+        v-if="isOnline"
+        :state="online"
+        :room-code="roomCode"
+        @host="hostOnlineGame"
+        @join="joinOnlineGame"
+        @resign="resign"
+        @offer-rematch="offerRematch"
+        @accept-rematch="acceptRematch"
+        @decline-rematch="declineRematch"
+        @leave="leaveOnlineGame"
+      />
+
+      <MorpionTournamentPanel
+        v-if="isTournament"
+        :tournament="tournament"
+        @start="startTournament"
+        @abandon="abandonCurrentTournament"
+      />
+
+      <div
+        v-if="showBoard"
+        ref="boardEl"
+        role="grid"
+        :aria-label="t('board.label', { rules: rulesLabel })"
+        :aria-rowcount="rows.length"
+        :aria-colcount="rows.length"
+        aria-describedby="morpion-board-help"
+        class="flex flex-col select-none"
+        :class="gridClass"
+        :style="boardStyle"
+        @keydown="onBoardKeydown"
+      >
+        <div v-for="(row, r) in rows" :key="r" role="row" :aria-rowindex="r + 1" class="grid" :class="gridClass" :style="rowStyle">
+          <button
+            v-for="(i, c) in row"
+            :key="i"
+            type="button"
+            role="gridcell"
+            :data-cell="i"
+            :aria-colindex="c + 1"
+            :aria-label="cellLabel(i)"
+            :aria-disabled="isCellUnavailable(i)"
+            :tabindex="i === focusedCell ? 0 : -1"
+            @focus="focusedCell = i"
+            @click="play(i)"
+            class="relative aspect-square font-bold border focus:outline-none focus-visible:z-10 focus-visible:ring-4 plugin-ring-primary focus-visible:ring-offset-2"
+            :class="[cellClass, cellStateClass(i)]"
+          ><span aria-hidden="true">{{ board[i] }}</span></button>
+        </div>
       </div>
+      <p v-if="showBoard" id="morpion-board-help" class="text-xs plugin-text-muted">
+        {{ t('board.help') }}
+        <template v-if="rows.length === 3">{{ t('board.helpNumpad') }}</template>
+      </p>
+      <div class="sr-only" role="status" aria-live="polite" aria-atomic="true">{{ announcement }}</div>
 
       <div class="flex items-center space-x-3">
-        <button @click="reset" class="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
-          Nouvelle partie
+        <template v-if="!isOnline && showBoard">
+          <button
+            v-if="!isTournament || tournamentRunning"
+            @click="startNewGame"
+            :disabled="tournamentGameInProgress"
+            :title="tournamentGameInProgress ? t('tournament.gameLocked') : null"
+            class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary disabled:opacity-50"
+          >
+            {{ isTournament && gameOver ? t('tournament.nextGame') : t('game.new') }}
+          </button>
+          <button @click="undo" :disabled="!canUndo" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong disabled:opacity-50" :title="tournamentGameInProgress ? t('tournament.gameLocked') : t('game.undoTitle')">
+            <i class="pi pi-undo mr-1"></i>
+            {{ t('game.undo') }}
+          </button>
+          <button @click="redo" :disabled="!canRedo" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong disabled:opacity-50" :title="t('game.redoTitle')">
+            <i class="pi pi-refresh mr-1"></i>
+            {{ t('game.redo') }}
+          </button>
+        </template>
+        <button @click="showHistory = !showHistory" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+          <i class="pi pi-history mr-1"></i>
+          {{ t('game.history') }}
+        </button>
+        <button @click="openSettings" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+          <i class="pi pi-cog mr-1"></i>
+          {{ t('game.settings') }}
         </button>
       </div>
+
+      <MorpionGameHistory v-if="showHistory" @close="showHistory = false" />
     </div>
   `
-};
+});
 
 // ============================================================================
 // WIDGET: Scoreboard
 // ============================================================================
 
-const ScoreboardWidget = {
+const ScoreboardWidget = plugin.withErrorBoundary({
   name: 'ScoreboardWidget',
   setup() {
-    const scores = ref({ X: 0, O: 0, draws: 0 });
+    const player = computed(() => playerFromUser(context.currentUser?.value));
+    const record = ref(null);
+    const canResetAll = computed(isAdmin);
+    // Tournoi en cours: rencontre en cours et joueur en tête (tournamentSummary)
+    const tournament = ref(null);
     let off;
+    let offTournament;
+
+    // Totaux contre l'ordinateur, tous niveaux confondus
+    const computerTotals = computed(() => Object.values(record.value?.vsComputer || {}).reduce(
+      (total, level) => ({
+        wins: total.wins + level.wins,
+        losses: total.losses + level.losses,
+        draws: total.draws + level.draws
+      }),
+      { wins: 0, losses: 0, draws: 0 }
+    ));
+
+    const hasComputerGames = computed(() => gamesPlayed(computerTotals.value) > 0);
+
+    // Une ligne par configuration jouée, de la plus petite à la plus grande
+    const boardGroups = computed(() => Object.entries(record.value?.byBoard || {})
+      .map(([key, entry]) => ({ key, label: t('rules.summary', normalizeRules(entry)), ...entry }))
+      .sort((a, b) => a.size - b.size || a.winLength - b.winLength));
+
+    // Inutile de détailler si seul le morpion classique a été joué
+    const showBoardGroups = computed(() =>
+      boardGroups.value.length > 1
+      || (boardGroups.value.length === 1 && boardGroups.value[0].key !== rulesKey(DEFAULT_RULES)));
 
     const refresh = () => {
-      const s = context.getPluginData('scores');
-      scores.value = s || { X: 0, O: 0, draws: 0 };
+      record.value = readRecord(context, player.value);
     };
 
-    const resetScores = () => {
-      const zero = { X: 0, O: 0, draws: 0 };
-      context.setPluginData('scores', zero);
-      if (context.emitEvent) {
-        context.emitEvent('morpion:score-updated', { scores: zero });
-      }
-      context.showInfo?.('Scores réinitialisés', 'Le tableau des scores a été remis à zéro.');
-      refresh();
+    const refreshTournament = () => {
+      tournament.value = tournamentSummary(runningTournament(context));
+    };
+
+    // Chacun ne remet à zéro que sa propre fiche
+    const resetMyScores = () => {
+      if (!player.value) return;
+      resetRecords(context, player.value.id);
+      context.showInfo?.(t('scoreboard.resetDone'), t('scoreboard.resetMineDetail'));
     };
 
+    const resetAllScores = () => {
+      if (!canResetAll.value) return;
+      resetRecords(context);
+      context.showInfo?.(t('scoreboard.resetDone'), t('scoreboard.resetAllDetail'));
+    };
+
+    watch(player, refresh);
+
     onMounted(() => {
       refresh();
-      if (context.onEvent) {
-        off = context.onEvent('morpion:score-updated', refresh);
-      }
+      refreshTournament();
+      off = listen('morpion:score-updated', refresh);
+      offTournament = listen('morpion:tournament-updated', refreshTournament);
+    });
+    onUnmounted(() => {
+      if (off) off();
+      if (offTournament) offTournament();
     });
-    onUnmounted(() => { if (off) off(); });
 
-    return { scores, resetScores };
+    return {
+      player,
+      record,
+      tournament,
+      canResetAll,
+      computerTotals,
+      hasComputerGames,
+      boardGroups,
+      showBoardGroups,
+      resetMyScores,
+      resetAllScores,
+      t
+    };
   },
   template: `
-    <div class="bg-white rounded-lg shadow-lg border border-gray-100 p-5">
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-5">
       <h2 class="text-lg font-semibold mb-3 flex items-center">
-        <i class="pi pi-chart-bar mr-2 text-indigo-600"></i>
-        Score Morpion
+        <i class="pi pi-chart-bar mr-2 plugin-text-primary"></i>
+        {{ t('scoreboard.title') }}
+        <span v-if="player" class="ml-auto text-sm font-normal plugin-text-muted">{{ player.name }}</span>
       </h2>
-      <div class="grid grid-cols-3 text-center">
-        <div>
-          <div class="text-sm text-gray-500">X</div>
-          <div class="text-2xl font-bold">{{ scores.X }}</div>
+      <div v-if="tournament" class="mb-4 p-3 rounded-md plugin-bg-primary-soft text-sm">
+        <div class="flex items-center justify-between text-xs plugin-text-primary">
+          <span class="font-medium"><i class="pi pi-sitemap mr-1"></i>{{ t('tournament.inProgress') }}</span>
+          <span>
+            <template v-if="tournament.format === 'round-robin' && tournament.match">{{ t('tournament.round', { number: tournament.match.round }) }} · </template>
+            {{ t('tournament.bestOf', { count: tournament.bestOf }) }}
+          </span>
         </div>
-        <div>
-          <div class="text-sm text-gray-500">O</div>
-          <div class="text-2xl font-bold">{{ scores.O }}</div>
+        <div v-if="tournament.match" class="mt-1 flex items-center justify-between">
+          <span class="truncate plugin-text">{{ tournament.match.players[0].name }}</span>
+          <span class="px-2 font-bold plugin-text-primary whitespace-nowrap">{{ tournament.match.players[0].wins }} – {{ tournament.match.players[1].wins }}</span>
+          <span class="truncate plugin-text text-right">{{ tournament.match.players[1].name }}</span>
         </div>
-        <div>
-          <div class="text-sm text-gray-500">Nuls</div>
-          <div class="text-2xl font-bold">{{ scores.draws }}</div>
+        <div class="mt-1 text-xs plugin-text-secondary">
+          <i class="pi pi-crown mr-1 plugin-text-warning"></i>
+          {{ tournament.leader ? t('tournament.leader', { name: tournament.leader.name }) : t('tournament.noLeader') }}
         </div>
       </div>
-      <button @click="resetScores" class="mt-4 w-full px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-md text-gray-700">
-        Réinitialiser le score
+      <p v-if="!record" class="text-sm plugin-text-muted">{{ t('scoreboard.signIn') }}</p>
+      <template v-else>
+        <div class="grid grid-cols-3 text-center">
+          <div>
+            <div class="text-sm plugin-text-muted">{{ t('scoreboard.wins') }}</div>
+            <div class="text-2xl font-bold plugin-text-success">{{ record.wins }}</div>
+          </div>
+          <div>
+            <div class="text-sm plugin-text-muted">{{ t('scoreboard.losses') }}</div>
+            <div class="text-2xl font-bold plugin-text-danger">{{ record.losses }}</div>
+          </div>
+          <div>
+            <div class="text-sm plugin-text-muted">{{ t('scoreboard.draws') }}</div>
+            <div class="text-2xl font-bold">{{ record.draws }}</div>
+          </div>
+        </div>
+        <div class="mt-3 flex justify-between text-sm plugin-text-secondary">
+          <span><i class="pi pi-bolt mr-1 plugin-text-warning"></i>{{ t('scoreboard.streak', { count: record.streak }) }}</span>
+          <span>{{ t('scoreboard.bestStreak', { count: record.bestStreak }) }}</span>
+        </div>
+        <div v-if="hasComputerGames" class="mt-4 pt-3 border-t plugin-border">
+          <div class="text-xs font-medium plugin-text-muted mb-2 flex items-center">
+            <i class="pi pi-desktop mr-1"></i>
+            {{ t('scoreboard.vsComputer') }}
+          </div>
+          <div class="grid grid-cols-3 text-center">
+            <div>
+              <div class="text-sm plugin-text-muted">{{ t('scoreboard.wins') }}</div>
+              <div class="text-xl font-bold plugin-text-success">{{ computerTotals.wins }}</div>
+            </div>
+            <div>
+              <div class="text-sm plugin-text-muted">{{ t('scoreboard.losses') }}</div>
+              <div class="text-xl font-bold plugin-text-danger">{{ computerTotals.losses }}</div>
+            </div>
+            <div>
+              <div class="text-sm plugin-text-muted">{{ t('scoreboard.draws') }}</div>
+              <div class="text-xl font-bold">{{ computerTotals.draws }}</div>
+            </div>
+          </div>
+        </div>
+        <div v-if="showBoardGroups" class="mt-4 pt-3 border-t plugin-border">
+          <div class="text-xs font-medium plugin-text-muted mb-2 flex items-center">
+            <i class="pi pi-th-large mr-1"></i>
+            {{ t('scoreboard.byBoard') }}
+          </div>
+          <ul class="space-y-1 text-sm">
+            <li v-for="group in boardGroups" :key="group.key" class="flex items-center justify-between">
+              <span class="plugin-text-secondary">{{ group.label }}</span>
+              <span class="plugin-text-muted">{{ t('scoreboard.boardTally', group) }}</span>
+            </li>
+          </ul>
+        </div>
+        <button @click="resetMyScores" class="mt-4 w-full px-3 py-2 plugin-bg-control plugin-hover-control-strong rounded-md plugin-text-secondary">
+          {{ t('scoreboard.resetMine') }}
+        </button>
+      </template>
+      <button
+        v-if="canResetAll"
+        @click="resetAllScores"
+        class="mt-2 w-full px-3 py-2 plugin-tone-danger plugin-hover-danger-soft rounded-md"
+      >
+        {{ t('scoreboard.resetAll') }}
       </button>
     </div>
   `
+});
+
+// ============================================================================
+// WIDGET: Mini-plateau (dashboard-main)
+// ============================================================================
+
+// Adversaire choisi sur la page de jeu, repris par le mini-plateau
+const readOpponent = () => {
+  const saved = context.getPluginData('opponent') || {};
+  return {
+    mode: OPPONENT_MODES.includes(saved.mode) ? saved.mode : 'human',
+    difficulty: DIFFICULTIES.includes(saved.difficulty) ? saved.difficulty : 'medium'
+  };
+};
+
+const MiniBoardWidget = plugin.withErrorBoundary({
+  name: 'MiniBoardWidget',
+  setup() {
+    // Même partie que la page de jeu (voir live-game.js): { game, cursor, gameOver, winner }
+    const live = ref(null);
+    const opponent = ref(readOpponent());
+    const tournamentRunning = ref(false);
+    const computerThinking = ref(false);
+    const me = computed(() => playerFromUser(context.currentUser?.value));
+    const viewId = `mini-board-${createGameId()}`;
+    let computerTimer = null;
+    let offLiveGame;
+    let offTournament;
+
+    const game = computed(() => live.value?.game || null);
+    const rules = computed(() => normalizeRules(game.value || currentRules()));
+    const playedMoves = computed(() => (game.value ? game.value.moves.slice(0, live.value.cursor) : []));
+    const board = computed(() => applyMoves(playedMoves.value, rules.value.size));
+    const lastCell = computed(() => (playedMoves.value.length ? playedMoves.value[playedMoves.value.length - 1].cell : null));
+    const currentPlayer = computed(() => (game.value ? playerToMove(game.value, live.value.cursor) : null));
+    const winningLine = computed(() =>
+      (live.value?.winner ? findWinningLine(board.value, rules.value, lastCell.value) || [] : []));
+
+    // Contre l'ordinateur, l'humain joue le symbole qui commence
+    const vsComputer = computed(() => game.value?.mode === 'computer');
+    const computerSymbol = computed(() => (game.value ? otherPlayer(game.value.startingPlayer) : null));
+    const isComputerTurn = () => vsComputer.value && !live.value.gameOver && currentPlayer.value === computerSymbol.value;
+
+    const message = computed(() => {
+      if (!live.value) {
+        if (opponent.value.mode === 'online') return t('miniBoard.online');
+        if (opponent.value.mode === 'tournament' && !tournamentRunning.value) return t('miniBoard.noTournament');
+        return t('miniBoard.noGame');
+      }
+      const { gameOver, winner } = live.value;
+      const seat = game.value.tournament;
+      if (seat) {
+        if (gameOver) return winner ? t('game.winner', { player: seat.players[winner].name }) : t('game.draw');
+        return t('tournament.turn', { name: seat.players[currentPlayer.value].name, player: currentPlayer.value });
+      }
+      if (gameOver && !winner) return t('game.draw');
+      if (vsComputer.value) {
+        if (gameOver) return winner === computerSymbol.value ? t('game.computerWon') : t('game.youWon');
+        return currentPlayer.value === computerSymbol.value
+          ? t('game.computerThinking')
+          : t('game.yourTurn', { player: currentPlayer.value });
+      }
+      return gameOver ? t('game.winner', { player: winner }) : t('game.turn', { player: currentPlayer.value });
+    });
+
+    // Une manche de tournoi en cours doit être terminée (elle compte au classement)
+    const canStart = computed(() =>
+      opponent.value.mode !== 'online' && (opponent.value.mode !== 'tournament' || tournamentRunning.value)
+      && !(live.value?.game.tournament && !live.value.gameOver && tournamentRunning.value));
+
+    const reload = () => {
+      live.value = readLiveGame(context);
+      opponent.value = readOpponent();
+      tournamentRunning.value = !!runningTournament(context);
+    };
+
+    const save = () => saveLiveGame(context, live.value, viewId);
+
+    const cancelComputerMove = () => {
+      clearTimeout(computerTimer);
+      computerTimer = null;
+      computerThinking.value = false;
+    };
+
+    const finishGame = (w) => {
+      live.value = { ...live.value, gameOver: true, winner: w };
+      const { tournamentResult } = recordFinishedGame(context, { ...game.value, moves: playedMoves.value }, {
+        winner: w,
+        endReason: w ? 'line' : 'draw',
+        players: localPlayers(game.value, me.value)
+      });
+      const news = tournamentResult ? tournamentAnnouncement(tournamentResult, t) : null;
+      if (news?.severity === 'success') {
+        context.showSuccess?.(news.summary, news.detail);
+      } else if (news) {
+        context.showInfo?.(news.summary, news.detail);
+      } else if (w) {
+        context.showSuccess?.(t('game.over'), message.value);
+      } else {
+        context.showInfo?.(t('game.draw'), t('game.drawDetail'));
+      }
+    };
+
+    // Jouer un nouveau coup efface les coups annulés, comme sur la page
+    const placeMark = (idx) => {
+      const moves = [...playedMoves.value, { cell: idx, player: currentPlayer.value }];
+      live.value = { ...live.value, game: { ...game.value, moves }, cursor: moves.length };
+      const w = findWinningLine(board.value, rules.value, idx) ? board.value[idx] : null;
+      if (w || isFull(board.value)) finishGame(w);
+      save();
+      if (isComputerTurn()) scheduleComputerMove();
+    };
+
+    // Le coup n'est joué que si personne n'a touché à la partie entre-temps
+    const scheduleComputerMove = () => {
+      const expected = JSON.stringify(readLiveGame(context));
+      computerThinking.value = true;
+      computerTimer = setTimeout(() => {
+        computerThinking.value = false;
+        computerTimer = null;
+        if (JSON.stringify(readLiveGame(context)) !== expected || !isComputerTurn()) return;
+        const idx = chooseMove(board.value, computerSymbol.value, game.value.difficulty, { rules: rules.value });
+        if (idx !== null) placeMark(idx);
+      }, COMPUTER_DELAY_MS);
+    };
+
+    const isCellUnavailable = (i) =>
+      !live.value || live.value.gameOver || !!board.value[i] || computerThinking.value || isComputerTurn();
+
+    const play = (i) => {
+      if (isCellUnavailable(i)) return;
+      placeMark(i);
+    };
+
+    // Nouvelle partie avec l'adversaire et les paramètres de la page de jeu
+    const startNewGame = () => {
+      reload();
+      if (!canStart.value) return;
+      cancelComputerMove();
+      const { mode, difficulty } = opponent.value;
+      const next = newLiveGame({
+        mode,
+        difficulty,
+        rules: currentRules(),
+        startingPlayer: settings.values.value.startingPlayer === 'O' ? 'O' : 'X',
+        tournament: runningTournament(context)
+      });
+      live.value = { game: next, cursor: 0, gameOver: false, winner: null };
+      save();
+    };
+
+    const openGame = () => {
+      if (context.navigateTo) context.navigateTo(GAME_ROUTE);
+    };
+
+    // La page de jeu (ou un autre mini-plateau) a modifié la partie
+    const onLiveGameUpdated = ({ source }) => {
+      if (source === viewId) return;
+      cancelComputerMove();
+      reload();
+    };
+
+    onMounted(() => {
+      reload();
+      offLiveGame = listen('morpion:live-game-updated', onLiveGameUpdated);
+      offTournament = listen('morpion:tournament-updated', reload);
+      // Partie laissée au tour de l'ordinateur
+      if (live.value && isComputerTurn()) scheduleComputerMove();
+    });
+    onUnmounted(() => {
+      cancelComputerMove();
+      if (offLiveGame) offLiveGame();
+      if (offTournament) offTournament();
+    });
+
+    const rows = computed(() => {
+      const size = rules.value.size;
+      return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, column) => row * size + column));
+    });
+
+    // Grille en style inline, comme sur la page (classes Tailwind dynamiques)
+    const boardStyle = computed(() => ({ width: '100%', maxWidth: `${rules.value.size <= 3 ? 9 : rules.value.size * 1.5}rem` }));
+    const rowStyle = computed(() => ({ gridTemplateColumns: `repeat(${rules.value.size}, minmax(0, 1fr))` }));
+    const cellClass = computed(() => (rules.value.size <= 3 ? 'text-2xl rounded-md' : 'text-xs rounded-sm'));
+
+    const cellStateClass = (i) => {
+      if (winningLine.value.includes(i)) return 'plugin-bg-success-soft plugin-border-success';
+      if (i === lastCell.value) return 'plugin-bg-primary-soft plugin-border-primary';
+      return 'plugin-bg-surface plugin-border plugin-hover-surface-alt';
+    };
+
+    const cellLabel = (i) =>
+      t('board.cell', { cell: cellName(i, rules.value.size), state: board.value[i] || t('board.empty') });
+
+    const rulesLabel = computed(() => t('rules.summary', rules.value));
+
+    return {
+      live,
+      board,
+      rows,
+      message,
+      rulesLabel,
+      canStart,
+      boardStyle,
+      rowStyle,
+      cellClass,
+      cellStateClass,
+      cellLabel,
+      isCellUnavailable,
+      play,
+      startNewGame,
+      openGame,
+      t
+    };
+  },
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-5">
+      <h2 class="text-lg font-semibold mb-3 flex items-center">
+        <i class="pi pi-th-large mr-2 plugin-text-primary"></i>
+        {{ t('miniBoard.title') }}
+        <span v-if="live" class="ml-auto text-sm font-normal plugin-text-muted">{{ rulesLabel }}</span>
+      </h2>
+      <p class="text-sm plugin-text-secondary mb-3" role="status" aria-live="polite">{{ message }}</p>
+      <div
+        v-if="live"
+        role="grid"
+        :aria-label="t('miniBoard.label')"
+        class="flex flex-col gap-1 mx-auto select-none"
+        :style="boardStyle"
+      >
+        <div v-for="(row, r) in rows" :key="r" role="row" class="grid gap-1" :style="rowStyle">
+          <button
+            v-for="i in row"
+            :key="i"
+            type="button"
+            role="gridcell"
+            :aria-label="cellLabel(i)"
+            :disabled="isCellUnavailable(i)"
+            @click="play(i)"
+            class="aspect-square font-bold border focus:outline-none focus-visible:ring-2 plugin-ring-primary"
+            :class="[cellClass, cellStateClass(i)]"
+          ><span aria-hidden="true">{{ board[i] }}</span></button>
+        </div>
+      </div>
+      <div class="mt-4 flex items-center space-x-2">
+        <button
+          v-if="canStart"
+          @click="startNewGame"
+          class="flex-1 px-3 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary"
+        >
+          {{ live && live.game.tournament && live.gameOver ? t('tournament.nextGame') : t('game.new') }}
+        </button>
+        <button @click="openGame" class="flex-1 px-3 py-2 plugin-bg-control plugin-hover-control-strong rounded-md plugin-text-secondary">
+          <i class="pi pi-external-link mr-1"></i>
+          {{ t('miniBoard.open') }}
+        </button>
+      </div>
+    </div>
+  `
+});
+
+// ============================================================================
+// WIDGET: Classement
+// ============================================================================
+
+const LEADERBOARD_SIZE = 10;
+
+const LeaderboardWidget = plugin.withErrorBoundary({
+  name: 'LeaderboardWidget',
+  setup() {
+    const player = computed(() => playerFromUser(context.currentUser?.value));
+    const records = ref({});
+    // Scores de la 1.0, sans joueur associé (voir data-migrations.js)
+    const legacy = ref(null);
+    let off;
+
+    const ranking = computed(() => rankRecords(records.value));
+    const top = computed(() => ranking.value.slice(0, LEADERBOARD_SIZE));
+
+    // Rang de l'utilisateur connecté, affiché à part s'il est hors du top
+    const myEntry = computed(() =>
+      (player.value ? ranking.value.find((entry) => entry.id === player.value.id) || null : null));
+    const showMyEntry = computed(() => !!myEntry.value && !top.value.includes(myEntry.value));
+
+    const isMe = (entry) => !!player.value && entry.id === player.value.id;
+
+    const refresh = () => {
+      records.value = readRecords(context);
+      legacy.value = readLegacyScores(context);
+    };
+
+    onMounted(() => {
+      refresh();
+      off = listen('morpion:score-updated', refresh);
+    });
+    onUnmounted(() => { if (off) off(); });
+
+    return { top, myEntry, showMyEntry, legacy, isMe, t };
+  },
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-5">
+      <h2 class="text-lg font-semibold mb-3 flex items-center">
+        <i class="pi pi-crown mr-2 plugin-text-warning"></i>
+        {{ t('leaderboard.title') }}
+      </h2>
+      <p v-if="!top.length && !legacy" class="text-sm plugin-text-muted">{{ t('leaderboard.empty') }}</p>
+      <ol v-if="top.length" class="space-y-1">
+        <li
+          v-for="entry in top"
+          :key="entry.id"
+          class="flex items-center justify-between px-2 py-1 rounded-md text-sm"
+          :class="isMe(entry) ? 'plugin-bg-primary-soft font-medium' : ''"
+        >
+          <span class="flex items-center min-w-0">
+            <span class="w-6 plugin-text-muted">{{ entry.rank }}.</span>
+            <span class="truncate plugin-text">{{ entry.name }}</span>
+            <i v-if="entry.streak >= 2" class="pi pi-bolt ml-1 plugin-text-warning" :title="t('leaderboard.streak', { count: entry.streak })"></i>
+          </span>
+          <span class="plugin-text-muted whitespace-nowrap">{{ t('leaderboard.tally', entry) }}</span>
+        </li>
+      </ol>
+      <div v-if="showMyEntry" class="mt-2 pt-2 border-t plugin-border flex items-center justify-between px-2 text-sm font-medium">
+        <span><span class="w-6 inline-block plugin-text-muted">{{ myEntry.rank }}.</span>{{ myEntry.name }}</span>
+        <span class="plugin-text-muted">{{ t('leaderboard.tally', myEntry) }}</span>
+      </div>
+      <div v-if="legacy" class="mt-3 pt-2 border-t plugin-border text-sm">
+        <div class="text-xs font-medium plugin-text-muted mb-1 flex items-center">
+          <i class="pi pi-history mr-1"></i>
+          {{ t('leaderboard.legacy') }}
+        </div>
+        <p class="plugin-text-secondary">{{ t('leaderboard.legacyTwoPlayers', legacy.twoPlayers) }}</p>
+        <p class="plugin-text-secondary">{{ t('leaderboard.legacyComputer', legacy.vsComputer) }}</p>
+      </div>
+    </div>
+  `
+});
+
+// ============================================================================
+// LIFECYCLE HOOKS
+// ============================================================================
+
+/**
+ * Appelé à l'installation du plugin
+ */
+const onInstall = async () => {
+  context.setPluginData(RECORDS_KEY, {});
+  stampDataVersion(context, context.manifest?.version);
+  context.showSuccess?.(t('install.title'), t('install.detail'));
 };
+
+/**
+ * Appelé à la mise à jour du plugin: migre les données enregistrées
+ * (voir data-migrations.js). En cas d'échec, les données sont restaurées.
+ */
+const onUpdate = async (fromVersion, toVersion) => {
+  const result = runMigrations(context, MIGRATIONS, { fromVersion, toVersion });
+  if (!result.ok) {
+    console.error('Morpion: échec de la migration des données', result.failedStep?.description, result.error);
+    context.showError?.(t('update.failed'), t('update.failedDetail', { version: result.from }));
+    throw result.error;
+  }
+  notifyScoreUpdate(context);
+  context.showSuccess?.(t('update.title', { version: result.to }), t('update.detail'));
+};
+
+/**
+ * Appelé à la désinstallation du plugin
+ */
+const onUninstall = () => {
+  // Seul un administrateur peut effacer les scores; sinon ils restent pour
+  // une réinstallation ou un nettoyage par un administrateur
+  const canClear = isAdmin();
+
+  // Sauvegarde téléchargée avant l'effacement, sauf si l'utilisateur l'a désactivée
+  let backedUp = false;
+  let backupFailed = false;
+  if (canClear && settings.get('backupOnUninstall')) {
+    try {
+      downloadBackup(context, { keys: DATA_KEYS, pluginVersion: context.manifest?.version });
+      backedUp = true;
+    } catch (error) {
+      console.error('Morpion: échec de la sauvegarde avant désinstallation', error);
+      backupFailed = true;
+    }
+  }
+  // Sans la sauvegarde demandée, les scores restent : les effacer les perdrait
+  if (backupFailed) {
+    context.showError?.(t('uninstall.backupFailedTitle'), t('uninstall.backupFailedDetail'));
+    return;
+  }
+  if (canClear) context.clearPluginData?.();
+  const detail = !canClear ? t('uninstall.keptDetail') : backedUp ? t('uninstall.backedUpDetail') : t('uninstall.detail');
+  context.showInfo?.(t('uninstall.title'), detail);
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default MorpionPlugin;
+export { ScoreboardWidget, MiniBoardWidget, LeaderboardWidget, MorpionSettings };
+export { onInstall, onUpdate, onUninstall };
@@ -0,0 +1,197 @@
+/**
+ * Morpion, monté sur le contexte de test
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/morpion-plugin
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { click, downloads, mount, type } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { localPlayers } from './live-game.js';
+import { RECORDS_KEY } from './player-records.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+const user = { id: 'u1', firstName: 'Ada', lastName: 'Lovelace' };
+const context = createMockPluginContext(manifest.id, { manifest, user, locale: 'en' });
+window.usePluginContext = () => context;
+
+const { default: MorpionPlugin, ScoreboardWidget, onInstall, onUninstall } = await import('./index.js');
+
+const emitted = (eventName) => context.emittedEvents.filter((event) => event.eventName === eventName);
+const lastNotification = () => context.notifications[context.notifications.length - 1];
+
+// Page de jeu sur une partie neuve (la partie précédente serait reprise)
+const mountGame = async () => {
+  const page = await mount(MorpionPlugin);
+  await click(page.button('New game'));
+  return page;
+};
+
+const playCells = async (page, cells) => {
+  for (const cell of cells) await click(page.find(`[data-cell="${cell}"]`));
+};
+
+const tally = (widget) => widget.findAll('.grid-cols-3 .text-2xl').map((el) => Number(el.textContent));
+
+test('a move marks the square and passes the turn', async () => {
+  const page = await mountGame();
+  await playCells(page, [4]);
+
+  assert.equal(page.find('[data-cell="4"]').textContent, 'X');
+  assert.match(page.text(), /O's turn/);
+  // Une case prise ne se rejoue pas
+  await playCells(page, [4]);
+  assert.match(page.text(), /O's turn/);
+  page.unmount();
+});
+
+test('three in a row wins the game', async () => {
+  const page = await mountGame();
+  const scoreEvents = emitted('morpion:score-updated').length;
+  await playCells(page, [0, 3, 1, 4, 2]);
+
+  assert.match(page.text(), /Winner: X/);
+  assert.deepEqual(lastNotification(), { severity: 'success', summary: 'Game over', detail: 'Winner: X' });
+  assert.equal(page.find('[data-cell="5"]').getAttribute('aria-disabled'), 'true');
+  assert.equal(emitted('morpion:score-updated').length, scoreEvents + 1);
+  page.unmount();
+});
+
+test('a game for two on the same screen is not counted for the signed-in user', async () => {
+  context.setPluginData(RECORDS_KEY, {});
+  const page = await mountGame();
+  await playCells(page, [0, 3, 1, 4, 2]);
+
+  assert.match(page.text(), /Winner: X/);
+  assert.deepEqual(context.getPluginData(RECORDS_KEY), {});
+  page.unmount();
+});
+
+test('only games against the computer and tournaments name the local players', () => {
+  const game = { startingPlayer: 'O', tournament: null };
+  assert.deepEqual(localPlayers({ ...game, mode: 'computer' }, user), { O: user });
+  assert.deepEqual(localPlayers({ ...game, mode: 'human' }, user), {});
+  assert.deepEqual(localPlayers({ ...game, mode: 'computer' }, null), {});
+  const players = { X: { name: 'Ada' }, O: { name: 'Grace' } };
+  assert.equal(localPlayers({ ...game, mode: 'tournament', tournament: { players } }, user), players);
+});
+
+test('a full board without a line is a draw', async () => {
+  const page = await mountGame();
+  await playCells(page, [0, 1, 2, 4, 3, 5, 7, 6, 8]);
+
+  assert.match(page.text(), /Draw/);
+  assert.deepEqual(lastNotification(), { severity: 'info', summary: 'Draw', detail: 'No winner this time.' });
+  page.unmount();
+});
+
+test('a tournament game can be neither undone nor replaced before its end', async () => {
+  const page = await mount(MorpionPlugin);
+  await click(page.button('Tournament'));
+  const [first, second] = page.findAll('input[aria-label^="Player"]');
+  await type(first, 'Alice');
+  await type(second, 'Bob');
+  await click(page.button('Start the tournament'));
+  await playCells(page, [0, 3]);
+
+  assert.equal(page.button('New game').disabled, true);
+  assert.equal(page.button('Undo').disabled, true);
+  assert.equal(page.button('Redo').disabled, true);
+  await click(page.button('New game'));
+  assert.equal(page.find('[data-cell="0"]').textContent, 'X');
+
+  await playCells(page, [1, 4, 2]);
+  assert.equal(page.button('Next game').disabled, false);
+
+  await click(page.button('Abandon'));
+  await click(page.button('Really abandon?'));
+  await click(page.button('Two players'));
+  page.unmount();
+});
+
+test('the scoreboard shows the player totals and follows score updates', async () => {
+  context.setPluginData(RECORDS_KEY, {
+    u1: { id: 'u1', name: 'Ada Lovelace', wins: 5, losses: 2, draws: 1, streak: 2, bestStreak: 3, vsComputer: {}, byBoard: {} }
+  });
+  const widget = await mount(ScoreboardWidget);
+
+  assert.match(widget.text(), /Ada Lovelace/);
+  assert.deepEqual(tally(widget), [5, 2, 1]);
+  assert.match(widget.text(), /Current streak: 2/);
+
+  await click(widget.button('Reset my scores'));
+  assert.deepEqual(tally(widget), [0, 0, 0]);
+  widget.unmount();
+});
+
+test('the scoreboard asks a signed-out visitor to sign in', async () => {
+  context.setUser(null);
+  const widget = await mount(ScoreboardWidget);
+  assert.match(widget.text(), /Sign in to record your scores/);
+  widget.unmount();
+  context.setUser(user);
+});
+
+test('an unmounted scoreboard stops listening to score updates', async () => {
+  const before = context.bus.listenerCount('morpion:score-updated');
+  const widget = await mount(ScoreboardWidget);
+  assert.equal(context.bus.listenerCount('morpion:score-updated'), before + 1);
+
+  widget.unmount();
+  assert.equal(context.bus.listenerCount('morpion:score-updated'), before);
+});
+
+test('onInstall starts with empty scores', async () => {
+  await onInstall();
+  assert.deepEqual(context.getPluginData(RECORDS_KEY), {});
+  assert.equal(lastNotification().summary, 'Tic-Tac-Toe installed');
+});
+
+test('onUninstall keeps the scores of a user who is not an administrator', () => {
+  onUninstall();
+  assert.deepEqual(context.getPluginData(RECORDS_KEY), {});
+  assert.equal(lastNotification().detail, 'The scores were kept: only Tic-Tac-Toe administrators can delete them.');
+});
+
+test('onUninstall keeps the scores of an administrator when the backup fails', (t) => {
+  context.setUser(user, { permissions: ['MORPION_ADMIN'] });
+  t.mock.method(URL, 'createObjectURL', () => { throw new Error('Downloads are blocked'); });
+  t.mock.method(console, 'error', () => {});
+  onUninstall();
+
+  assert.deepEqual(context.getPluginData(RECORDS_KEY), {});
+  assert.equal(lastNotification().severity, 'error');
+  assert.match(lastNotification().detail, /the scores were kept/);
+  context.setUser(user);
+});
+
+test('onUninstall backs up, then deletes the scores of an administrator', async () => {
+  context.setUser(user, { permissions: ['MORPION_ADMIN'] });
+  onUninstall();
+
+  const backup = JSON.parse(await downloads.at(-1).blob.text());
+  assert.equal(backup.pluginId, manifest.id);
+  assert.equal(backup.pluginVersion, manifest.version);
+  assert.deepEqual(backup.data[RECORDS_KEY], {});
+  assert.deepEqual(context.dumpPluginData(), {});
+  assert.match(lastNotification().detail, /A backup was downloaded/);
+  context.setUser(user);
+});
+
+test('onUninstall still backs up through a context without a manifest', async () => {
+  context.setUser(user, { permissions: ['MORPION_ADMIN'] });
+  const { manifest: saved } = context;
+  context.manifest = undefined;
+  try {
+    onUninstall();
+  } finally {
+    context.manifest = saved;
+    context.setUser(user);
+  }
+
+  const backup = JSON.parse(await downloads.at(-1).blob.text());
+  assert.equal(backup.pluginVersion, '0.0.0');
+  assert.match(lastNotification().detail, /A backup was downloaded/);
+});
@@ -0,0 +1,222 @@
+/**
+ * Partie en cours du Morpion
+ *
+ * La partie affichée par la page de jeu ou par le mini-plateau du tableau de
+ * bord est enregistrée sous la clé `liveGame` à chaque changement:
+ *   { game: { id, startedAt, startingPlayer, mode, difficulty, size, winLength, tournament?, moves },
+ *     cursor, gameOver, winner, updatedAt }
+ * `cursor` est le nombre de coups appliqués (les suivants peuvent être
+ * rejoués). Chaque enregistrement émet `morpion:live-game-updated` avec
+ * l'identifiant de la vue qui l'a fait; les autres vues rechargent alors la
+ * partie depuis le stockage. La vue qui joue le dernier coup enregistre le
+ * résultat (recordFinishedGame).
+ *
+ * Les parties en ligne ne sont pas enregistrées: la salle est fermée dès
+ * que la page est quittée.
+ */
+
+import { normalizeRules, otherPlayer, rulesKey } from './game-rules.js';
+import { recordGame } from './game-history.js';
+import { notifyScoreUpdate, recordResults } from './player-records.js';
+import {
+  currentMatch,
+  gameSeating,
+  matchOutcome,
+  playerName,
+  recordTournamentGame,
+  runningTournament,
+  saveTournament
+} from './tournament.js';
+
+export const LIVE_GAME_KEY = 'liveGame';
+
+export const createGameId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// ============================================================================
+// Nouvelle partie
+// ============================================================================
+
+/**
+ * Joueurs de la prochaine manche d'un tournoi en cours, par symbole; null
+ * sans tournoi en cours. Les identifiants sont propres au tournoi: ces
+ * joueurs n'ont pas de fiche de score.
+ */
+export const tournamentSeat = (tournament) => {
+  const match = currentMatch(tournament);
+  if (!match) return null;
+  const { symbols } = gameSeating(tournament, match);
+  const seat = (id) => ({ id: `${tournament.id}:${id}`, name: playerName(tournament, id) });
+  return { id: tournament.id, matchId: match.id, players: { X: seat(symbols.X), O: seat(symbols.O) } };
+};
+
+/**
+ * Nouvelle partie. Une manche de tournoi se joue avec le plateau et le
+ * symbole de départ du tournoi.
+ * @param {object} options
+ * @param {string} options.mode - 'human', 'computer', 'online' ou 'tournament'
+ * @param {string} [options.difficulty] - Niveau de l'ordinateur
+ * @param {{ size: number, winLength: number }} options.rules
+ * @param {'X'|'O'} options.startingPlayer
+ * @param {object|null} [options.tournament] - Tournoi en cours, en mode tournoi
+ */
+export const newLiveGame = ({ mode, difficulty, rules, startingPlayer, tournament = null }) => {
+  const seat = mode === 'tournament' ? tournamentSeat(tournament) : null;
+  return {
+    id: createGameId(),
+    startedAt: new Date().toISOString(),
+    startingPlayer: seat ? tournament.startingSymbol : startingPlayer,
+    mode,
+    difficulty: mode === 'computer' ? difficulty : null,
+    ...normalizeRules(seat ? tournament : rules),
+    ...(seat && { tournament: seat }),
+    moves: []
+  };
+};
+
+/**
+ * Symbole dont c'est le tour après `cursor` coups
+ */
+export const playerToMove = (game, cursor) => (cursor % 2 === 0 ? game.startingPlayer : otherPlayer(game.startingPlayer));
+
+// ============================================================================
+// Stockage
+// ============================================================================
+
+/**
+ * Partie enregistrée, null s'il n'y en a pas (ou si elle est illisible)
+ */
+export const readLiveGame = (context) => {
+  const saved = context.getPluginData(LIVE_GAME_KEY);
+  if (!saved?.game || !Array.isArray(saved.game.moves)) return null;
+  const cursor = Math.min(Math.max(Number(saved.cursor) || 0, 0), saved.game.moves.length);
+  return { ...saved, cursor, gameOver: !!saved.gameOver, winner: saved.winner ?? null };
+};
+
+/**
+ * La partie enregistrée peut-elle être reprise? Une manche de tournoi en
+ * cours ne l'est plus si le tournoi a été abandonné ou a avancé entre-temps.
+ * @param {object|null} saved - Voir readLiveGame
+ * @param {object|null} tournament - Tournoi en cours
+ */
+export const isResumable = (saved, tournament) => {
+  if (!saved || saved.game.mode === 'online') return false;
+  if (!saved.game.tournament || saved.gameOver) return true;
+  const seat = tournamentSeat(tournament);
+  return !!seat && seat.id === saved.game.tournament.id && seat.matchId === saved.game.tournament.matchId;
+};
+
+/**
+ * Enregistre la partie affichée et prévient les autres vues
+ * @param {object} context
+ * @param {{ game, cursor, gameOver, winner }} state
+ * @param {string} source - Identifiant de la vue qui enregistre
+ */
+export const saveLiveGame = (context, { game, cursor, gameOver, winner }, source) => {
+  context.setPluginData(LIVE_GAME_KEY, { game, cursor, gameOver, winner, updatedAt: new Date().toISOString() });
+  if (context.emitEvent) {
+    context.emitEvent('morpion:live-game-updated', { id: game.id, moves: cursor, gameOver, source });
+  }
+};
+
+/**
+ * Oublie la partie enregistrée (partie en ligne)
+ */
+export const clearLiveGame = (context, source) => {
+  if (!context.getPluginData(LIVE_GAME_KEY)) return;
+  context.removePluginData(LIVE_GAME_KEY);
+  if (context.emitEvent) {
+    context.emitEvent('morpion:live-game-updated', { id: null, moves: 0, gameOver: false, source });
+  }
+};
+
+// ============================================================================
+// Fin de partie
+// ============================================================================
+
+/**
+ * Joueurs d'une partie jouée sur cet écran, par symbole: ceux du tournoi,
+ * sinon l'utilisateur connecté avec le symbole qui commence contre
+ * l'ordinateur. Une partie à deux sur le même écran n'est comptée pour
+ * personne (elle reste dans l'historique)
+ */
+export const localPlayers = (game, me) => {
+  if (game.tournament) return game.tournament.players;
+  return me && game.mode === 'computer' ? { [game.startingPlayer]: me } : {};
+};
+
+// Compte une manche pour la rencontre en cours du tournoi de la partie
+const recordTournamentResult = (context, game, winner) => {
+  const seat = game.tournament;
+  const tournament = runningTournament(context);
+  const match = currentMatch(tournament);
+  // Tournoi abandonné ou remplacé pendant la manche
+  if (tournament?.id !== seat.id || match?.id !== seat.matchId) return null;
+  const updated = saveTournament(context, recordTournamentGame(tournament, {
+    gameId: game.id,
+    winner,
+    moves: game.moves.length
+  }));
+  return { tournament: updated, match: updated.matches.find((m) => m.id === match.id) };
+};
+
+/**
+ * Enregistre une partie terminée: historique, puis fiches des joueurs ou
+ * rencontre du tournoi. Une partie déjà enregistrée (partie en ligne dont
+ * l'autre onglet partage le même stockage) n'est pas recomptée.
+ * @param {object} context
+ * @param {object} game - Partie, avec les seuls coups joués
+ * @param {object} result
+ * @param {'X'|'O'|null} result.winner
+ * @param {string} result.endReason - 'line', 'draw' ou 'resign'
+ * @param {object} result.players - Joueurs identifiés par symbole
+ * @returns {{ tournamentResult: { tournament, match }|null }} Tournoi mis à jour
+ *   quand la partie en était une manche
+ */
+export const recordFinishedGame = (context, game, { winner, endReason, players }) => {
+  const recorded = recordGame(context, {
+    ...game,
+    finishedAt: new Date().toISOString(),
+    winner,
+    endReason,
+    players
+  });
+  if (!recorded) {
+    notifyScoreUpdate(context);
+    return { tournamentResult: null };
+  }
+  if (game.tournament) return { tournamentResult: recordTournamentResult(context, game, winner) };
+  const rules = normalizeRules(game);
+  const results = Object.entries(players).map(([symbol, player]) => ({
+    player,
+    outcome: !winner ? 'draw' : winner === symbol ? 'win' : 'loss'
+  }));
+  recordResults(context, results, {
+    rules,
+    boardKey: rulesKey(rules),
+    difficulty: game.mode === 'computer' ? game.difficulty : null
+  });
+  return { tournamentResult: null };
+};
+
+/**
+ * Annonce de fin de rencontre ou de tournoi, null si la manche n'a rien
+ * terminé
+ * @param {{ tournament, match }} tournamentResult - Voir recordFinishedGame
+ * @param {Function} t - Traduction (voir shared/i18n.js)
+ * @returns {{ severity: 'success'|'info', summary: string, detail: string }|null}
+ */
+export const tournamentAnnouncement = ({ tournament, match }, t) => {
+  if (tournament.status === 'finished') {
+    return {
+      severity: 'success',
+      summary: t('tournament.finished'),
+      detail: tournament.winner ? t('tournament.champion', { name: playerName(tournament, tournament.winner) }) : t('tournament.tie')
+    };
+  }
+  if (!match.finished) return null;
+  const { wins } = matchOutcome(tournament, match);
+  const detail = t('tournament.matchOverDetail', { score: match.players.map((id) => wins[id]).join(' – ') });
+  return match.winner
+    ? { severity: 'success', summary: t('tournament.matchOver', { name: playerName(tournament, match.winner) }), detail }
+    : { severity: 'info', summary: t('tournament.matchDrawn'), detail };
+};
@@ -0,0 +1,98 @@
+/**
+ * Partie en cours partagée entre la page de jeu et le mini-plateau
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/morpion-plugin/live-game.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { click, mount } from '../../tools/plugin-test-env.mjs';
+import { createMockEventBus, createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { LIVE_GAME_KEY, newLiveGame, readLiveGame, saveLiveGame } from './live-game.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+const user = { id: 'u1', firstName: 'Ada', lastName: 'Lovelace' };
+const bus = createMockEventBus();
+const context = createMockPluginContext(manifest.id, { manifest, user, locale: 'en', bus });
+window.usePluginContext = () => context;
+
+const { default: MorpionPlugin, MiniBoardWidget } = await import('./index.js');
+
+const rules = { size: 3, alignment: 3 };
+
+const pageCells = (page) => page.findAll('[data-cell]').map((cell) => cell.textContent.trim());
+const widgetCells = (widget) => widget.findAll('[role="gridcell"]').map((cell) => cell.textContent.trim());
+
+// ============================================================================
+// Synchronisation par le bus d'événements
+// ============================================================================
+
+test('a move on the page shows on the mini-board, and the other way round', async () => {
+  const page = await mount(MorpionPlugin);
+  await click(page.button('New game'));
+  const widget = await mount(MiniBoardWidget);
+  assert.deepEqual(widgetCells(widget), Array(9).fill(''));
+
+  await click(page.find('[data-cell="4"]'));
+  assert.equal(widgetCells(widget)[4], 'X');
+  assert.match(widget.text(), /O's turn/);
+
+  await click(widget.findAll('[role="gridcell"]')[0]);
+  assert.equal(page.find('[data-cell="0"]').textContent, 'O');
+  assert.match(page.text(), /X's turn/);
+  assert.equal(readLiveGame(context).cursor, 2);
+
+  widget.unmount();
+  page.unmount();
+});
+
+test('the page and the mini-board stop listening once unmounted', async () => {
+  const before = bus.listenerCount('morpion:live-game-updated');
+  const page = await mount(MorpionPlugin);
+  const widget = await mount(MiniBoardWidget);
+  assert.equal(bus.listenerCount('morpion:live-game-updated'), before + 2);
+
+  widget.unmount();
+  page.unmount();
+  assert.equal(bus.listenerCount('morpion:live-game-updated'), before);
+});
+
+// ============================================================================
+// Reprise d'une partie enregistrée
+// ============================================================================
+
+test('the page resumes the stored game on remount', async () => {
+  const page = await mount(MorpionPlugin);
+  await click(page.button('New game'));
+  for (const cell of [0, 4, 8]) await click(page.find(`[data-cell="${cell}"]`));
+  page.unmount();
+
+  const again = await mount(MorpionPlugin);
+  assert.deepEqual(pageCells(again), ['X', '', '', '', 'O', '', '', '', 'X']);
+  assert.match(again.text(), /O's turn/);
+  again.unmount();
+});
+
+test('a game stored from elsewhere opens on both views', async () => {
+  const game = newLiveGame({ mode: 'human', difficulty: 'easy', rules, startingPlayer: 'O' });
+  game.moves = [{ cell: 2, player: 'O' }, { cell: 6, player: 'X' }];
+  saveLiveGame(context, { game, cursor: 2, gameOver: false, winner: null }, 'another-tab');
+
+  const page = await mount(MorpionPlugin);
+  const widget = await mount(MiniBoardWidget);
+  assert.deepEqual(pageCells(page), ['', '', 'O', '', '', '', 'X', '', '']);
+  assert.deepEqual(widgetCells(widget), pageCells(page));
+  assert.match(page.text(), /O's turn/);
+
+  widget.unmount();
+  page.unmount();
+});
+
+test('the mini-board waits for a game when none is stored', async () => {
+  context.setPluginData(LIVE_GAME_KEY, null);
+  const widget = await mount(MiniBoardWidget);
+  assert.match(widget.text(), /No game in progress/);
+  assert.deepEqual(widgetCells(widget), []);
+  widget.unmount();
+});
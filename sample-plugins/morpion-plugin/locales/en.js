@@ -0,0 +1,278 @@
+/**
+ * Messages du Morpion - anglais
+ */
+
+export default {
+  'plugin.title': 'Tic-Tac-Toe',
+  'rules.summary': '{size}×{size} · {winLength} in a row',
+
+  // Adversaires et niveaux
+  'mode.human': 'Two players',
+  'mode.computer': 'Against the computer',
+  'mode.online': 'Online',
+  'mode.tournament': 'Tournament',
+  'difficulty.label': 'Level',
+  'difficulty.easy': 'Easy',
+  'difficulty.medium': 'Medium',
+  'difficulty.unbeatable': 'Unbeatable',
+
+  // Partie
+  'game.turn': "{player}'s turn",
+  'game.yourTurn': 'Your turn ({player})',
+  'game.computerThinking': 'The computer is thinking...',
+  'game.winner': 'Winner: {player}',
+  'game.youWon': 'You won!',
+  'game.computerWon': 'The computer won',
+  'game.draw': 'Draw',
+  'game.drawDetail': 'No winner this time.',
+  'game.over': 'Game over',
+  'game.new': 'New game',
+  'game.undo': 'Undo',
+  'game.undoTitle': 'Undo the last move',
+  'game.redo': 'Redo',
+  'game.redoTitle': 'Redo the undone move',
+  'game.history': 'History',
+  'game.settings': 'Settings',
+
+  // Plateau (lecteurs d'écran et clavier)
+  'board.label': 'Game board, {rules}',
+  'board.cell': '{cell}: {state}',
+  'board.cellWinning': '{cell}: {state}, winning line',
+  'board.empty': 'empty',
+  'board.move': '{player} plays {cell}.',
+  'board.undone': 'Move undone.',
+  'board.newGame': 'New game, {rules}.',
+  'board.help': 'Arrow keys move between squares, Enter or Space plays, Home and End go to the start and end of the row.',
+  'board.helpNumpad': 'Digits 1 to 9 jump straight to a square (on the number pad, 7 is the top left).',
+
+  // Partie en ligne
+  'online.idle': 'Create a game or join one with its code',
+  'online.waiting': 'Waiting for an opponent...',
+  'online.joining': 'Joining the game...',
+  'online.opponentResigned': 'Your opponent resigned',
+  'online.youResigned': 'You resigned',
+  'online.opponentWon': 'Your opponent won',
+  'online.opponentLeft': 'Your opponent left the game',
+  'online.opponentTurn': "Your opponent's turn ({player})",
+  'online.full': 'This game already has two players.',
+  'online.host': 'Create a game',
+  'online.or': 'or',
+  'online.codePlaceholder': 'Game code',
+  'online.join': 'Join',
+  'online.code': 'Code:',
+  'online.youPlay': 'You play {symbol}',
+  'online.opponentConnected': '{name} connected',
+  'online.opponent': 'Opponent',
+  'online.opponentAbsent': 'Opponent away',
+  'online.resign': 'Resign',
+  'online.leave': 'Leave',
+  'online.shareCode': 'Share this code with your opponent (in another tab or another session).',
+  'online.rematchOffered': 'Your opponent offers a rematch.',
+  'online.accept': 'Accept',
+  'online.decline': 'Decline',
+  'online.rematchDeclined': 'Rematch declined.',
+  'online.rematchPending': 'Rematch offered, waiting for an answer...',
+  'online.offerRematch': 'Offer a rematch',
+
+  // Tournoi
+  'tournament.setupTitle': 'New tournament',
+  'tournament.formatLabel': 'Format',
+  'tournament.format.match': 'Match',
+  'tournament.format.round-robin': 'Round robin',
+  'tournament.formatHelp.match': 'Two players face each other over several games.',
+  'tournament.formatHelp.round-robin': 'Every player meets every other player once; each meeting is played over several games.',
+  'tournament.bestOfLabel': 'Games per match',
+  'tournament.bestOf': { one: 'Single game', other: 'Best of {count}' },
+  'tournament.playerName': 'Player {number}',
+  'tournament.addPlayer': 'Add a player',
+  'tournament.removePlayer': 'Remove this player',
+  'tournament.start': 'Start the tournament',
+  'tournament.cancel': 'Cancel',
+  'tournament.error.match-players': 'A match is played by exactly two players.',
+  'tournament.error.too-few': 'Enter at least two players.',
+  'tournament.error.too-many': 'A tournament has at most 8 players.',
+  'tournament.error.duplicate': 'Each player needs a different name.',
+  'tournament.noTournament': 'Register the players to start a tournament',
+  'tournament.turn': '{name} to play ({player})',
+  'tournament.inProgress': 'Tournament in progress',
+  'tournament.finished': 'Tournament over',
+  'tournament.abandon': 'Abandon',
+  'tournament.confirmAbandon': 'Really abandon?',
+  'tournament.abandoned': 'Tournament abandoned',
+  'tournament.new': 'New tournament',
+  'tournament.nextGame': 'Next game',
+  'tournament.gameLocked': 'This game counts toward the standings: finish it first',
+  'tournament.gameNumber': 'Game {number}',
+  'tournament.starts': '{name} starts',
+  'tournament.draws': { one: '{count} draw', other: '{count} draws' },
+  'tournament.round': 'Round {number}',
+  'tournament.pairing': '{a} vs {b}',
+  'tournament.matchWinner': '{name} wins',
+  'tournament.matchDrawn': 'Drawn',
+  'tournament.matchOver': 'Match won by {name}',
+  'tournament.matchOverDetail': 'Score: {score}.',
+  'tournament.champion': '{name} wins the tournament!',
+  'tournament.tie': 'The tournament ends in a tie.',
+  'tournament.standings': 'Standings',
+  'tournament.matches': 'Matches',
+  'tournament.column.player': 'Player',
+  'tournament.column.played': 'P',
+  'tournament.column.playedTitle': 'Matches played',
+  'tournament.column.won': 'W',
+  'tournament.column.drawn': 'D',
+  'tournament.column.lost': 'L',
+  'tournament.column.games': 'Games',
+  'tournament.column.gamesTitle': 'Games won - games lost',
+  'tournament.column.points': 'Pts',
+  'tournament.tiebreak.headToHead': 'head-to-head',
+  'tournament.tiebreak.gameDifference': 'game difference',
+  'tournament.tiebreak.gamesWon': 'games won',
+  'tournament.scoring': 'A won match is worth 2 points, a drawn match 1. Ties are broken by head-to-head results, then game difference, then games won.',
+  'tournament.leader': '{name} leads',
+  'tournament.noLeader': 'No leader yet',
+
+  // Scores
+  'scoreboard.title': 'Tic-Tac-Toe Score',
+  'scoreboard.signIn': 'Sign in to record your scores.',
+  'scoreboard.wins': 'Wins',
+  'scoreboard.losses': 'Losses',
+  'scoreboard.draws': 'Draws',
+  'scoreboard.streak': 'Current streak: {count}',
+  'scoreboard.bestStreak': 'Best streak: {count}',
+  'scoreboard.vsComputer': 'Against the computer',
+  'scoreboard.byBoard': 'By board',
+  'scoreboard.boardTally': 'W {wins} · L {losses} · D {draws}',
+  'scoreboard.resetMine': 'Reset my scores',
+  'scoreboard.resetAll': "Reset every player's scores",
+  'scoreboard.resetDone': 'Scores reset',
+  'scoreboard.resetMineDetail': 'Your results are back to zero.',
+  'scoreboard.resetAllDetail': "Every player's results are back to zero.",
+
+  // Classement
+  'leaderboard.title': 'Tic-Tac-Toe Leaderboard',
+  'leaderboard.empty': 'No games played yet.',
+  'leaderboard.streak': { one: '{count} win in a row', other: '{count} wins in a row' },
+  'leaderboard.tally': '{wins} W · {losses} L · {winRate}%',
+  'leaderboard.legacy': 'Before version 1.1 (not linked to a player)',
+  'leaderboard.legacyTwoPlayers': 'Two players: X {X} · O {O} · draws {draws}',
+  'leaderboard.legacyComputer': 'Against the computer: {wins} W · {losses} L · {draws} D',
+
+  // Mini-plateau du tableau de bord
+  'miniBoard.title': 'Tic-Tac-Toe',
+  'miniBoard.label': 'Game board',
+  'miniBoard.noGame': 'No game in progress.',
+  'miniBoard.online': 'Online games are played on the game page.',
+  'miniBoard.noTournament': 'No tournament in progress: start one from the game page.',
+  'miniBoard.open': 'Open the game',
+
+  // Historique
+  'history.title': 'Game history',
+  'history.close': 'Close',
+  'history.empty': 'No finished games yet.',
+  'history.moves': { one: '{count} move', other: '{count} moves' },
+  'history.replay': 'Replay',
+  'history.first': 'Start',
+  'history.previous': 'Previous move',
+  'history.step': 'Move {step} / {total}',
+  'history.next': 'Next move',
+  'history.last': 'End',
+  'history.clear': 'Clear history',
+  'history.cleared': 'History cleared',
+  'history.clearedDetail': 'The recorded games have been deleted.',
+  'history.onlineResign': '{player} resigned (online)',
+  'history.onlineWinner': 'Winner: {player} (online)',
+  'history.onlineDraw': 'Draw (online)',
+  'history.draw': 'Draw',
+  'history.computerLost': 'Win against the computer',
+  'history.computerWon': 'The computer won',
+  'history.winner': 'Winner: {player}',
+
+  // Page de paramètres
+  'settings.title': 'Tic-Tac-Toe Settings',
+  'settings.save': 'Save',
+  'settings.reset': 'Reset to defaults',
+  'settings.back': 'Back to the game',
+  'settings.saved': 'Settings saved',
+  'settings.savedDetail': 'Your changes are now active.',
+  'settings.resetDone': 'Settings reset',
+  'settings.resetDetail': 'The default values have been restored.',
+  'settings.invalid': 'Please fix the highlighted fields',
+  'settings.defaultValue': 'Default',
+  'settings.readOnly': 'Only Tic-Tac-Toe administrators can change these settings.',
+  'settings.startingPlayer.label': 'Starting player',
+  'settings.startingPlayer.description': 'Player who starts the game (X or O)',
+  'settings.boardSize.label': 'Board size',
+  'settings.boardSize.description': 'Squares per side (3 for classic tic-tac-toe, 15 for Gomoku)',
+  'settings.winLength.label': 'Winning line',
+  'settings.winLength.description': 'Number of symbols to line up to win (capped at the board size when it is smaller)',
+  'settings.onlineServerUrl.label': 'Online game server',
+  'settings.onlineServerUrl.description': 'WebSocket address of the relay server (e.g. ws://localhost:8787). Leave empty to play between tabs of the same browser',
+  'settings.backupOnUninstall.label': 'Back up before uninstalling',
+  'settings.backupOnUninstall.description': 'Downloads a backup of the scores and history before uninstalling deletes them',
+  'settings.error.boolean': '{label} must be true or false',
+  'settings.error.number': '{label} must be a number',
+  'settings.error.integer': '{label} must be a whole number',
+  'settings.error.min': '{label} must be at least {min}',
+  'settings.error.max': '{label} must be at most {max}',
+  'settings.error.options': '{label} must be one of: {options}',
+  'settings.error.text': '{label} must be text',
+  'settings.error.required': '{label} is required',
+  'settings.error.minLength': '{label} must be at least {minLength} characters',
+  'settings.error.maxLength': '{label} must be at most {maxLength} characters',
+  'settings.error.pattern': '{label} has an invalid format',
+
+  // Sauvegarde des données
+  'data.title': 'Data',
+  'data.description': 'Download a backup of the scores, history and settings, or restore one.',
+  'data.exportJson': 'Download backup',
+  'data.importJson': 'Restore a backup',
+  'data.csvScores': 'Leaderboard (CSV)',
+  'data.column.rank': 'Rank',
+  'data.column.player': 'Player',
+  'data.column.winRate': 'Win rate (%)',
+  'data.column.streak': 'Current streak',
+  'data.column.bestStreak': 'Best streak',
+  'data.column.lastPlayedAt': 'Last game',
+  'data.previewTitle': 'Changes to apply',
+  'data.backupFrom': 'Backup of {date}, version {version}',
+  'data.added': 'Added',
+  'data.updated': 'Replaced',
+  'data.removed': 'Removed',
+  'data.ignored': 'Ignored (unknown): {keys}',
+  'data.noChanges': 'This backup matches the current data.',
+  'data.confirm': 'Restore',
+  'data.cancel': 'Cancel',
+  'data.exported': 'Backup downloaded',
+  'data.exportedDetail': 'Keep the file to restore the scores later.',
+  'data.imported': 'Backup restored',
+  'data.importedDetail': 'The scores and history have been replaced with the backup.',
+  'data.importFailed': 'Backup not restored',
+  'data.error.invalidJson': 'The file is not valid JSON.',
+  'data.error.invalidFormat': 'The file is not a plugin data backup.',
+  'data.error.unsupportedVersion': 'This backup format is not supported.',
+  'data.error.wrongPlugin': 'This backup belongs to another plugin ({pluginId}).',
+  'data.error.newerData': 'This backup comes from a newer version ({version}). Update the plugin first.',
+  'data.error.failed': 'The data could not be written; nothing was changed.',
+
+  // Installation
+  'install.title': 'Tic-Tac-Toe installed',
+  'install.detail': 'Find the game in the main menu.',
+  'update.title': 'Tic-Tac-Toe updated to {version}',
+  'update.detail': 'Your scores and history have been kept.',
+  'update.failed': 'Tic-Tac-Toe update failed',
+  'update.failedDetail': 'The data has been kept at version {version}.',
+  'uninstall.title': 'Tic-Tac-Toe uninstalled',
+  'uninstall.detail': 'The scores have been deleted.',
+  'uninstall.backedUpDetail': 'The scores have been deleted. A backup was downloaded so you can restore them after reinstalling.',
+  'uninstall.keptDetail': 'The scores were kept: only Tic-Tac-Toe administrators can delete them.',
+  'uninstall.backupFailedTitle': 'Backup failed',
+  'uninstall.backupFailedDetail': 'The backup could not be downloaded, so the scores were kept. Turn off the backup on uninstall in the settings to delete them without one.',
+
+  // Widget fallback card (shared/plugin-bootstrap.js)
+  'bootstrap.loading': 'Connecting to the portal…',
+  'bootstrap.failed': 'This widget is unavailable',
+  'bootstrap.failedDetail': 'Something went wrong while displaying it. The problem has been reported.',
+  'bootstrap.unavailableDetail': 'The portal did not respond. Check your connection and try again.',
+  'bootstrap.retry': 'Try again',
+  'bootstrap.mock': 'Mock data: nothing is saved to the portal'
+};
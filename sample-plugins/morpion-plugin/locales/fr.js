@@ -0,0 +1,278 @@
+/**
+ * Messages du Morpion - français (langue de repli)
+ */
+
+export default {
+  'plugin.title': 'Morpion',
+  'rules.summary': '{size}×{size} · {winLength} alignés',
+
+  // Adversaires et niveaux
+  'mode.human': 'Deux joueurs',
+  'mode.computer': "Contre l'ordinateur",
+  'mode.online': 'En ligne',
+  'mode.tournament': 'Tournoi',
+  'difficulty.label': 'Niveau',
+  'difficulty.easy': 'Facile',
+  'difficulty.medium': 'Moyen',
+  'difficulty.unbeatable': 'Imbattable',
+
+  // Partie
+  'game.turn': 'Au tour de {player}',
+  'game.yourTurn': 'À vous de jouer ({player})',
+  'game.computerThinking': "L'ordinateur réfléchit...",
+  'game.winner': 'Gagnant: {player}',
+  'game.youWon': 'Vous avez gagné !',
+  'game.computerWon': "L'ordinateur a gagné",
+  'game.draw': 'Match nul',
+  'game.drawDetail': 'Aucun gagnant cette fois.',
+  'game.over': 'Partie terminée',
+  'game.new': 'Nouvelle partie',
+  'game.undo': 'Annuler',
+  'game.undoTitle': 'Annuler le dernier coup',
+  'game.redo': 'Rétablir',
+  'game.redoTitle': 'Rétablir le coup annulé',
+  'game.history': 'Historique',
+  'game.settings': 'Paramètres',
+
+  // Plateau (lecteurs d'écran et clavier)
+  'board.label': 'Plateau de jeu, {rules}',
+  'board.cell': '{cell}: {state}',
+  'board.cellWinning': '{cell}: {state}, alignement gagnant',
+  'board.empty': 'vide',
+  'board.move': '{player} joue en {cell}.',
+  'board.undone': 'Coup annulé.',
+  'board.newGame': 'Nouvelle partie, {rules}.',
+  'board.help': 'Flèches pour changer de case, Entrée ou Espace pour jouer, Origine et Fin pour le début et la fin de la ligne.',
+  'board.helpNumpad': 'Les chiffres 1 à 9 mènent directement à une case (sur le pavé numérique, 7 est en haut à gauche).',
+
+  // Partie en ligne
+  'online.idle': 'Créez une partie ou rejoignez-en une avec son code',
+  'online.waiting': "En attente d'un adversaire...",
+  'online.joining': 'Connexion à la partie...',
+  'online.opponentResigned': 'Votre adversaire a abandonné',
+  'online.youResigned': 'Vous avez abandonné',
+  'online.opponentWon': 'Votre adversaire a gagné',
+  'online.opponentLeft': 'Votre adversaire a quitté la partie',
+  'online.opponentTurn': 'Au tour de votre adversaire ({player})',
+  'online.full': 'Cette partie a déjà deux joueurs.',
+  'online.host': 'Créer une partie',
+  'online.or': 'ou',
+  'online.codePlaceholder': 'Code de la partie',
+  'online.join': 'Rejoindre',
+  'online.code': 'Code:',
+  'online.youPlay': 'Vous jouez {symbol}',
+  'online.opponentConnected': '{name} connecté',
+  'online.opponent': 'Adversaire',
+  'online.opponentAbsent': 'Adversaire absent',
+  'online.resign': 'Abandonner',
+  'online.leave': 'Quitter',
+  'online.shareCode': 'Partagez ce code avec votre adversaire (dans un autre onglet ou une autre session).',
+  'online.rematchOffered': 'Votre adversaire propose une revanche.',
+  'online.accept': 'Accepter',
+  'online.decline': 'Refuser',
+  'online.rematchDeclined': 'Revanche refusée.',
+  'online.rematchPending': 'Revanche proposée, en attente de réponse...',
+  'online.offerRematch': 'Proposer une revanche',
+
+  // Tournoi
+  'tournament.setupTitle': 'Nouveau tournoi',
+  'tournament.formatLabel': 'Format',
+  'tournament.format.match': 'Match',
+  'tournament.format.round-robin': 'Toutes rondes',
+  'tournament.formatHelp.match': "Deux joueurs s'affrontent en plusieurs manches.",
+  'tournament.formatHelp.round-robin': 'Chaque joueur rencontre une fois tous les autres; chaque rencontre se joue en plusieurs manches.',
+  'tournament.bestOfLabel': 'Manches par rencontre',
+  'tournament.bestOf': { one: 'Manche unique', other: 'Au meilleur des {count}' },
+  'tournament.playerName': 'Joueur {number}',
+  'tournament.addPlayer': 'Ajouter un joueur',
+  'tournament.removePlayer': 'Retirer ce joueur',
+  'tournament.start': 'Lancer le tournoi',
+  'tournament.cancel': 'Annuler',
+  'tournament.error.match-players': 'Un match se joue à deux joueurs exactement.',
+  'tournament.error.too-few': 'Inscrivez au moins deux joueurs.',
+  'tournament.error.too-many': 'Un tournoi compte au plus 8 joueurs.',
+  'tournament.error.duplicate': 'Chaque joueur doit avoir un nom différent.',
+  'tournament.noTournament': 'Inscrivez les joueurs pour lancer un tournoi',
+  'tournament.turn': 'À {name} de jouer ({player})',
+  'tournament.inProgress': 'Tournoi en cours',
+  'tournament.finished': 'Tournoi terminé',
+  'tournament.abandon': 'Abandonner',
+  'tournament.confirmAbandon': 'Vraiment abandonner ?',
+  'tournament.abandoned': 'Tournoi abandonné',
+  'tournament.new': 'Nouveau tournoi',
+  'tournament.nextGame': 'Manche suivante',
+  'tournament.gameLocked': "Cette manche compte au classement : terminez-la d'abord",
+  'tournament.gameNumber': 'Manche {number}',
+  'tournament.starts': '{name} commence',
+  'tournament.draws': { one: '{count} manche nulle', other: '{count} manches nulles' },
+  'tournament.round': 'Tour {number}',
+  'tournament.pairing': '{a} contre {b}',
+  'tournament.matchWinner': '{name} gagne',
+  'tournament.matchDrawn': 'Nul',
+  'tournament.matchOver': 'Rencontre gagnée par {name}',
+  'tournament.matchOverDetail': 'Score: {score}.',
+  'tournament.champion': '{name} remporte le tournoi !',
+  'tournament.tie': 'Le tournoi se termine sur une égalité.',
+  'tournament.standings': 'Classement',
+  'tournament.matches': 'Rencontres',
+  'tournament.column.player': 'Joueur',
+  'tournament.column.played': 'J',
+  'tournament.column.playedTitle': 'Rencontres jouées',
+  'tournament.column.won': 'G',
+  'tournament.column.drawn': 'N',
+  'tournament.column.lost': 'P',
+  'tournament.column.games': 'Manches',
+  'tournament.column.gamesTitle': 'Manches gagnées - manches perdues',
+  'tournament.column.points': 'Pts',
+  'tournament.tiebreak.headToHead': 'confrontation directe',
+  'tournament.tiebreak.gameDifference': 'différence de manches',
+  'tournament.tiebreak.gamesWon': 'manches gagnées',
+  'tournament.scoring': "Une rencontre gagnée vaut 2 points, une rencontre nulle 1. À égalité, les joueurs sont départagés par leurs confrontations directes, puis la différence de manches, puis les manches gagnées.",
+  'tournament.leader': '{name} en tête',
+  'tournament.noLeader': 'Personne en tête pour le moment',
+
+  // Scores
+  'scoreboard.title': 'Score Morpion',
+  'scoreboard.signIn': 'Connectez-vous pour enregistrer vos scores.',
+  'scoreboard.wins': 'Victoires',
+  'scoreboard.losses': 'Défaites',
+  'scoreboard.draws': 'Nuls',
+  'scoreboard.streak': 'Série en cours: {count}',
+  'scoreboard.bestStreak': 'Meilleure série: {count}',
+  'scoreboard.vsComputer': "Contre l'ordinateur",
+  'scoreboard.byBoard': 'Par plateau',
+  'scoreboard.boardTally': 'V {wins} · D {losses} · N {draws}',
+  'scoreboard.resetMine': 'Réinitialiser mes scores',
+  'scoreboard.resetAll': 'Réinitialiser les scores de tous les joueurs',
+  'scoreboard.resetDone': 'Scores réinitialisés',
+  'scoreboard.resetMineDetail': 'Vos résultats ont été remis à zéro.',
+  'scoreboard.resetAllDetail': 'Les résultats de tous les joueurs ont été remis à zéro.',
+
+  // Classement
+  'leaderboard.title': 'Classement Morpion',
+  'leaderboard.empty': 'Aucune partie jouée pour le moment.',
+  'leaderboard.streak': { one: 'Série de {count} victoire', other: 'Série de {count} victoires' },
+  'leaderboard.tally': '{wins} V · {losses} D · {winRate}%',
+  'leaderboard.legacy': 'Avant la version 1.1 (sans joueur associé)',
+  'leaderboard.legacyTwoPlayers': 'À deux: X {X} · O {O} · nuls {draws}',
+  'leaderboard.legacyComputer': "Contre l'ordinateur: {wins} V · {losses} D · {draws} N",
+
+  // Mini-plateau du tableau de bord
+  'miniBoard.title': 'Morpion',
+  'miniBoard.label': 'Plateau de jeu',
+  'miniBoard.noGame': 'Aucune partie en cours.',
+  'miniBoard.online': 'Les parties en ligne se jouent sur la page du jeu.',
+  'miniBoard.noTournament': 'Aucun tournoi en cours: lancez-en un depuis la page du jeu.',
+  'miniBoard.open': 'Ouvrir le jeu',
+
+  // Historique
+  'history.title': 'Historique des parties',
+  'history.close': 'Fermer',
+  'history.empty': 'Aucune partie terminée pour le moment.',
+  'history.moves': { one: '{count} coup', other: '{count} coups' },
+  'history.replay': 'Revoir',
+  'history.first': 'Début',
+  'history.previous': 'Coup précédent',
+  'history.step': 'Coup {step} / {total}',
+  'history.next': 'Coup suivant',
+  'history.last': 'Fin',
+  'history.clear': "Effacer l'historique",
+  'history.cleared': 'Historique effacé',
+  'history.clearedDetail': 'Les parties enregistrées ont été supprimées.',
+  'history.onlineResign': 'Abandon de {player} (en ligne)',
+  'history.onlineWinner': 'Gagnant: {player} (en ligne)',
+  'history.onlineDraw': 'Match nul (en ligne)',
+  'history.draw': 'Match nul',
+  'history.computerLost': "Victoire contre l'ordinateur",
+  'history.computerWon': "Victoire de l'ordinateur",
+  'history.winner': 'Gagnant: {player}',
+
+  // Page de paramètres
+  'settings.title': 'Paramètres du Morpion',
+  'settings.save': 'Enregistrer',
+  'settings.reset': 'Valeurs par défaut',
+  'settings.back': 'Retour au jeu',
+  'settings.saved': 'Paramètres enregistrés',
+  'settings.savedDetail': 'Les modifications sont actives.',
+  'settings.resetDone': 'Paramètres réinitialisés',
+  'settings.resetDetail': 'Les valeurs par défaut ont été restaurées.',
+  'settings.invalid': 'Veuillez corriger les champs en erreur',
+  'settings.defaultValue': 'Par défaut',
+  'settings.readOnly': 'Seuls les administrateurs du Morpion peuvent modifier ces paramètres.',
+  'settings.startingPlayer.label': 'Joueur de départ',
+  'settings.startingPlayer.description': 'Joueur qui commence la partie (X ou O)',
+  'settings.boardSize.label': 'Taille du plateau',
+  'settings.boardSize.description': 'Nombre de cases par côté (3 pour le morpion classique, 15 pour le Gomoku)',
+  'settings.winLength.label': 'Alignement gagnant',
+  'settings.winLength.description': 'Nombre de symboles à aligner pour gagner (ramené à la taille du plateau si elle est plus petite)',
+  'settings.onlineServerUrl.label': 'Serveur de jeu en ligne',
+  'settings.onlineServerUrl.description': 'Adresse WebSocket du serveur relais (ex. ws://localhost:8787). Laisser vide pour jouer entre onglets du même navigateur',
+  'settings.backupOnUninstall.label': 'Sauvegarder avant la désinstallation',
+  'settings.backupOnUninstall.description': "Télécharge une sauvegarde des scores et de l'historique avant que la désinstallation ne les supprime",
+  'settings.error.boolean': '{label} doit valoir vrai ou faux',
+  'settings.error.number': '{label} doit être un nombre',
+  'settings.error.integer': '{label} doit être un nombre entier',
+  'settings.error.min': '{label} doit valoir au moins {min}',
+  'settings.error.max': '{label} doit valoir au plus {max}',
+  'settings.error.options': "{label} doit être l'une des valeurs : {options}",
+  'settings.error.text': '{label} doit être du texte',
+  'settings.error.required': '{label} est obligatoire',
+  'settings.error.minLength': '{label} doit comporter au moins {minLength} caractères',
+  'settings.error.maxLength': '{label} doit comporter au plus {maxLength} caractères',
+  'settings.error.pattern': "{label} n'a pas un format valide",
+
+  // Sauvegarde des données
+  'data.title': 'Données',
+  'data.description': "Téléchargez une sauvegarde des scores, de l'historique et des paramètres, ou restaurez-en une.",
+  'data.exportJson': 'Télécharger une sauvegarde',
+  'data.importJson': 'Restaurer une sauvegarde',
+  'data.csvScores': 'Classement (CSV)',
+  'data.column.rank': 'Rang',
+  'data.column.player': 'Joueur',
+  'data.column.winRate': 'Victoires (%)',
+  'data.column.streak': 'Série en cours',
+  'data.column.bestStreak': 'Meilleure série',
+  'data.column.lastPlayedAt': 'Dernière partie',
+  'data.previewTitle': 'Modifications à appliquer',
+  'data.backupFrom': 'Sauvegarde du {date}, version {version}',
+  'data.added': 'Ajouté',
+  'data.updated': 'Remplacé',
+  'data.removed': 'Supprimé',
+  'data.ignored': 'Ignoré (inconnu): {keys}',
+  'data.noChanges': 'Cette sauvegarde correspond aux données actuelles.',
+  'data.confirm': 'Restaurer',
+  'data.cancel': 'Annuler',
+  'data.exported': 'Sauvegarde téléchargée',
+  'data.exportedDetail': 'Conservez le fichier pour restaurer les scores plus tard.',
+  'data.imported': 'Sauvegarde restaurée',
+  'data.importedDetail': "Les scores et l'historique ont été remplacés par la sauvegarde.",
+  'data.importFailed': 'Sauvegarde non restaurée',
+  'data.error.invalidJson': "Le fichier n'est pas un JSON valide.",
+  'data.error.invalidFormat': "Le fichier n'est pas une sauvegarde de données de plugin.",
+  'data.error.unsupportedVersion': "Ce format de sauvegarde n'est pas pris en charge.",
+  'data.error.wrongPlugin': 'Cette sauvegarde appartient à un autre plugin ({pluginId}).',
+  'data.error.newerData': "Cette sauvegarde vient d'une version plus récente ({version}). Mettez d'abord le plugin à jour.",
+  'data.error.failed': "Les données n'ont pas pu être écrites; rien n'a été modifié.",
+
+  // Installation
+  'install.title': 'Morpion installé',
+  'install.detail': 'Retrouvez le jeu dans le menu principal.',
+  'update.title': 'Morpion mis à jour en {version}',
+  'update.detail': 'Vos scores et votre historique ont été conservés.',
+  'update.failed': 'Échec de la mise à jour du Morpion',
+  'update.failedDetail': 'Les données ont été conservées en version {version}.',
+  'uninstall.title': 'Morpion désinstallé',
+  'uninstall.detail': 'Les scores ont été supprimés.',
+  'uninstall.backedUpDetail': 'Les scores ont été supprimés. Une sauvegarde a été téléchargée pour les restaurer après une réinstallation.',
+  'uninstall.keptDetail': 'Les scores ont été conservés : seuls les administrateurs du Morpion peuvent les supprimer.',
+  'uninstall.backupFailedTitle': 'Échec de la sauvegarde',
+  'uninstall.backupFailedDetail': 'La sauvegarde n’a pas pu être téléchargée : les scores ont été conservés. Désactivez la sauvegarde à la désinstallation dans les paramètres pour les supprimer sans sauvegarde.',
+
+  // Carte de secours des widgets (shared/plugin-bootstrap.js)
+  'bootstrap.loading': 'Connexion au portail…',
+  'bootstrap.failed': 'Ce widget est indisponible',
+  'bootstrap.failedDetail': "Une erreur est survenue lors de l'affichage. Le problème a été signalé.",
+  'bootstrap.unavailableDetail': 'Le portail ne répond pas. Vérifiez votre connexion puis réessayez.',
+  'bootstrap.retry': 'Réessayer',
+  'bootstrap.mock': "Données fictives : rien n'est enregistré dans le portail"
+};
@@ -0,0 +1,109 @@
+/**
+ * Panneau "En ligne" du Morpion: créer ou rejoindre une salle, abandonner,
+ * proposer / accepter une revanche. La logique vit dans online-session.js,
+ * ce composant ne fait qu'afficher l'état et émettre les actions.
+ */
+
+const { ref } = window.Vue || {};
+
+/**
+ * @param {object} i18n - Traductions du plugin (createI18n)
+ */
+export const createOnlinePanel = (i18n) => ({
+  name: 'MorpionOnlinePanel',
+  props: {
+    // État de la session (voir createOnlineSession), null avant d'avoir rejoint une salle
+    state: { type: Object, default: null },
+    roomCode: { type: String, default: '' }
+  },
+  emits: ['host', 'join', 'resign', 'offer-rematch', 'accept-rematch', 'decline-rematch', 'leave'],
+
+  setup(props, { emit }) {
+    const code = ref('');
+
+    const join = () => {
+      if (code.value.trim()) emit('join', code.value.trim().toUpperCase());
+    };
+
+    return { code, join, t: i18n.t };
+  },
+
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow border plugin-border p-4 space-y-3">
+      <template v-if="!state || state.status === 'idle'">
+        <p v-if="state && state.error === 'full'" class="text-sm plugin-text-danger">
+          {{ t('online.full') }}
+        </p>
+        <div class="flex flex-wrap items-center gap-3">
+          <button @click="$emit('host')" class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary">
+            <i class="pi pi-plus mr-1"></i>
+            {{ t('online.host') }}
+          </button>
+          <span class="text-sm plugin-text-muted">{{ t('online.or') }}</span>
+          <form @submit.prevent="join" class="flex items-center space-x-2">
+            <input
+              v-model="code"
+              maxlength="6"
+              :placeholder="t('online.codePlaceholder')"
+              class="px-3 py-2 border plugin-border-strong rounded-md uppercase w-40"
+            />
+            <button type="submit" :disabled="!code.trim()" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong disabled:opacity-50">
+              {{ t('online.join') }}
+            </button>
+          </form>
+        </div>
+      </template>
+
+      <template v-else>
+        <div class="flex flex-wrap items-center justify-between gap-3">
+          <div class="text-sm plugin-text-secondary space-x-3">
+            <span>{{ t('online.code') }} <span class="font-mono font-semibold">{{ roomCode }}</span></span>
+            <span v-if="state.mySymbol">{{ t('online.youPlay', { symbol: state.mySymbol }) }}</span>
+            <span :class="state.peerConnected ? 'plugin-text-success' : 'plugin-text-subtle'">
+              <i class="pi pi-circle-fill text-xs mr-1"></i>
+              {{ state.peerConnected
+                ? t('online.opponentConnected', { name: state.opponent ? state.opponent.name : t('online.opponent') })
+                : t('online.opponentAbsent') }}
+            </span>
+          </div>
+          <div class="flex items-center space-x-2">
+            <button
+              v-if="state.status === 'playing'"
+              @click="$emit('resign')"
+              class="px-3 py-2 text-sm plugin-tone-danger rounded-md plugin-hover-danger-soft"
+            >
+              <i class="pi pi-flag mr-1"></i>
+              {{ t('online.resign') }}
+            </button>
+            <button @click="$emit('leave')" class="px-3 py-2 text-sm plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+              <i class="pi pi-sign-out mr-1"></i>
+              {{ t('online.leave') }}
+            </button>
+          </div>
+        </div>
+
+        <p v-if="state.status === 'waiting'" class="text-sm plugin-text-muted">
+          {{ t('online.shareCode') }}
+        </p>
+
+        <div v-if="state.status === 'finished' && state.peerConnected" class="flex items-center space-x-2 text-sm">
+          <template v-if="state.rematch && state.rematch.offeredBy === 'peer'">
+            <span class="plugin-text-secondary">{{ t('online.rematchOffered') }}</span>
+            <button @click="$emit('accept-rematch')" class="px-3 py-1 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary">
+              {{ t('online.accept') }}
+            </button>
+            <button @click="$emit('decline-rematch')" class="px-3 py-1 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+              {{ t('online.decline') }}
+            </button>
+          </template>
+          <span v-else-if="state.rematch && state.rematch.declined" class="plugin-text-muted">{{ t('online.rematchDeclined') }}</span>
+          <span v-else-if="state.rematch" class="plugin-text-muted">{{ t('online.rematchPending') }}</span>
+          <button v-else @click="$emit('offer-rematch')" class="px-3 py-1 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary">
+            <i class="pi pi-replay mr-1"></i>
+            {{ t('online.offerRematch') }}
+          </button>
+        </div>
+      </template>
+    </div>
+  `
+});
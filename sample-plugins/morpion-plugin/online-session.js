@@ -0,0 +1,301 @@
+/**
+ * Partie de Morpion à deux, dans deux onglets ou deux sessions
+ *
+ * Les deux instances échangent des messages via un transport de
+ * shared/sync-transport.js (le même code fonctionne en BroadcastChannel ou
+ * via un serveur relais WebSocket):
+ * - host-ready / join / welcome: l'invité rejoint la salle (qu'il arrive avant
+ *   ou après l'hôte), l'hôte lui attribue son symbole et lui envoie la partie
+ *   en cours; chacun présente le joueur identifié ({ id, name }) qu'il représente
+ * - move: un coup, numéroté (seq) pour détecter les coups perdus ou en double
+ * - resign: abandon
+ * - rematch-offer / rematch-accept / rematch-decline: revanche, le joueur de
+ *   départ alterne d'une partie à l'autre
+ * - sync-request / state: resynchronisation complète depuis l'hôte
+ * - leave: départ d'un joueur
+ *
+ * Chaque instance rejoue les coups avec game-rules.js: le résultat est calculé
+ * de la même façon des deux côtés.
+ */
+
+import { applyMoves, findWinningLine, isFull, normalizeRules, otherPlayer } from './game-rules.js';
+
+const randomId = (length = 8) => Math.random().toString(36).slice(2, 2 + length);
+
+/**
+ * Code de salle lisible (sans caractères ambigus)
+ */
+export const createRoomCode = (random = Math.random) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 6 }, () => alphabet[Math.floor(random() * alphabet.length)]).join('');
+};
+
+const createGame = ({ rules, startingPlayer, id = randomId() }) => ({
+  id,
+  startedAt: new Date().toISOString(),
+  startingPlayer,
+  ...normalizeRules(rules),
+  moves: []
+});
+
+// Joueur attendu pour le prochain coup
+const turnOf = (game) =>
+  (game.moves.length % 2 === 0 ? game.startingPlayer : otherPlayer(game.startingPlayer));
+
+// Résultat après le dernier coup: { winner, reason } ou null
+const resultOf = (game) => {
+  const last = game.moves[game.moves.length - 1];
+  if (!last) return null;
+  const board = applyMoves(game.moves, game.size);
+  if (findWinningLine(board, game, last.cell)) return { winner: last.player, reason: 'line' };
+  if (isFull(board)) return { winner: null, reason: 'draw' };
+  return null;
+};
+
+/**
+ * Crée une session de jeu en ligne.
+ * @param {object} transport - Transport de shared/sync-transport.js
+ * @param {object} [options]
+ * @param {string} [options.peerId] - Identifiant de cette instance
+ * @param {{ id: string, name: string }|null} [options.player] - Joueur identifié de cette instance
+ * @returns {object} Session: host(), join(), play(), resign(), offerRematch(),
+ *   acceptRematch(), declineRematch(), leave(), subscribe(), state
+ */
+export const createOnlineSession = (transport, { peerId = randomId(), player = null } = {}) => {
+  const listeners = new Set();
+
+  // status: idle → waiting (hôte seul) / joining (invité) → playing → finished
+  let state = {
+    status: 'idle',
+    role: null,
+    mySymbol: null,
+    peerConnected: false,
+    opponent: null,
+    game: null,
+    result: null,
+    rematch: null,
+    error: null
+  };
+  let peer = null;
+
+  const update = (patch) => {
+    state = { ...state, ...patch };
+    for (const listener of [...listeners]) listener(state);
+  };
+
+  const send = (type, payload = {}) => transport.send({ type, from: peerId, ...payload });
+
+  const applyMove = (move) => {
+    const game = { ...state.game, moves: [...state.game.moves, move] };
+    const result = resultOf(game);
+    update({ game, result, status: result ? 'finished' : 'playing' });
+  };
+
+  // Un coup n'est accepté que s'il respecte le tour, la numérotation et une case libre
+  const isValidMove = ({ gameId, seq, cell, player }, expectedPlayer) => {
+    const { game, result } = state;
+    if (!game || result || gameId !== game.id) return false;
+    if (seq !== game.moves.length || player !== expectedPlayer || player !== turnOf(game)) return false;
+    if (!Number.isInteger(cell) || cell < 0 || cell >= game.size * game.size) return false;
+    return !game.moves.some((m) => m.cell === cell);
+  };
+
+  const startRematch = (gameId) => {
+    const previous = state.game;
+    update({
+      game: createGame({ rules: previous, startingPlayer: otherPlayer(previous.startingPlayer), id: gameId }),
+      result: null,
+      rematch: null,
+      status: 'playing'
+    });
+  };
+
+  const handlers = {
+    'host-ready'() {
+      if (state.role === 'guest' && !peer) send('join', { player });
+    },
+
+    join(message) {
+      if (state.role !== 'host') return;
+      if (peer && peer !== message.from) {
+        send('full', { to: message.from });
+        return;
+      }
+      peer = message.from;
+      update({ peerConnected: true, opponent: message.player || null, status: state.result ? 'finished' : 'playing' });
+      send('welcome', {
+        to: peer,
+        symbol: otherPlayer(state.mySymbol),
+        player,
+        game: state.game,
+        result: state.result
+      });
+    },
+
+    welcome(message) {
+      if (state.role !== 'guest' || message.to !== peerId) return;
+      peer = message.from;
+      update({
+        peerConnected: true,
+        opponent: message.player || null,
+        mySymbol: message.symbol,
+        game: message.game,
+        result: message.result,
+        status: message.result ? 'finished' : 'playing'
+      });
+    },
+
+    full(message) {
+      if (state.role !== 'guest' || message.to !== peerId || peer) return;
+      update({ status: 'idle', error: 'full' });
+    },
+
+    move(message) {
+      if (!state.game) return;
+      if (message.gameId === state.game.id && message.seq > state.game.moves.length) {
+        // Des coups ont été perdus: on redemande l'état complet
+        if (state.role === 'guest') send('sync-request', { to: peer });
+        return;
+      }
+      if (isValidMove(message, otherPlayer(state.mySymbol))) {
+        applyMove({ cell: message.cell, player: message.player });
+      }
+    },
+
+    resign(message) {
+      if (!state.game || state.result || message.gameId !== state.game.id) return;
+      update({ result: { winner: state.mySymbol, reason: 'resign' }, status: 'finished' });
+    },
+
+    'rematch-offer'(message) {
+      if (state.status !== 'finished') return;
+      // Les deux joueurs proposent en même temps: la plus petite proposition l'emporte
+      if (state.rematch?.offeredBy === 'me') {
+        const gameId = state.rematch.gameId < message.gameId ? state.rematch.gameId : message.gameId;
+        send('rematch-accept', { gameId });
+        startRematch(gameId);
+        return;
+      }
+      update({ rematch: { offeredBy: 'peer', gameId: message.gameId } });
+    },
+
+    'rematch-accept'(message) {
+      if (state.status === 'finished' && state.rematch?.offeredBy === 'me') startRematch(message.gameId);
+    },
+
+    'rematch-decline'() {
+      if (state.rematch?.offeredBy === 'me') update({ rematch: { ...state.rematch, declined: true } });
+    },
+
+    'sync-request'() {
+      if (state.role === 'host') send('state', { to: peer, game: state.game, result: state.result });
+    },
+
+    state(message) {
+      if (state.role !== 'guest' || message.to !== peerId) return;
+      update({ game: message.game, result: message.result, status: message.result ? 'finished' : 'playing' });
+    },
+
+    leave() {
+      peer = null;
+      update({ peerConnected: false, rematch: null });
+    }
+  };
+
+  const unsubscribe = transport.onMessage((message) => {
+    if (!message || message.from === peerId) return;
+    // Une fois appairé, on ignore les messages d'autres instances
+    if (peer && message.from !== peer && message.type !== 'join') return;
+    if (Object.hasOwn(handlers, message.type)) handlers[message.type](message);
+  });
+
+  return {
+    peerId,
+
+    get state() {
+      return state;
+    },
+
+    /**
+     * Écoute les changements d'état
+     * @returns {Function} Désabonnement
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Crée la partie et attend un adversaire. L'hôte joue le symbole de départ.
+     * @param {{ rules: object, startingPlayer: 'X'|'O' }} options
+     */
+    host({ rules, startingPlayer = 'X' }) {
+      update({
+        status: 'waiting',
+        role: 'host',
+        mySymbol: startingPlayer,
+        game: createGame({ rules, startingPlayer }),
+        error: null
+      });
+      send('host-ready');
+    },
+
+    /**
+     * Rejoint la partie de la salle
+     */
+    join() {
+      update({ status: 'joining', role: 'guest', error: null });
+      send('join', { player });
+    },
+
+    /**
+     * Joue un coup local
+     * @returns {boolean} false si ce n'est pas notre tour ou si la case est prise
+     */
+    play(cell) {
+      if (!state.peerConnected) return false;
+      const move = { gameId: state.game?.id, seq: state.game?.moves.length, cell, player: state.mySymbol };
+      if (!isValidMove(move, state.mySymbol)) return false;
+      applyMove({ cell, player: state.mySymbol });
+      send('move', move);
+      return true;
+    },
+
+    resign() {
+      if (state.status !== 'playing') return;
+      update({ result: { winner: otherPlayer(state.mySymbol), reason: 'resign' }, status: 'finished' });
+      send('resign', { gameId: state.game.id });
+    },
+
+    offerRematch() {
+      if (state.status !== 'finished' || !state.peerConnected) return;
+      const gameId = randomId();
+      update({ rematch: { offeredBy: 'me', gameId } });
+      send('rematch-offer', { gameId });
+    },
+
+    acceptRematch() {
+      if (state.rematch?.offeredBy !== 'peer') return;
+      const { gameId } = state.rematch;
+      send('rematch-accept', { gameId });
+      startRematch(gameId);
+    },
+
+    declineRematch() {
+      if (state.rematch?.offeredBy !== 'peer') return;
+      send('rematch-decline');
+      update({ rematch: null });
+    },
+
+    /**
+     * Quitte la salle et ferme le transport
+     */
+    leave() {
+      if (state.role) send('leave');
+      unsubscribe();
+      transport.close();
+      listeners.clear();
+      peer = null;
+    }
+  };
+};
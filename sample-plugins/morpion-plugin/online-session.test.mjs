@@ -0,0 +1,257 @@
+/**
+ * Partie en ligne: appairage, tours, numérotation des coups, revanches et
+ * départs, sur un transport factice
+ *
+ *   node --test sample-plugins/morpion-plugin/online-session.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOnlineSession } from './online-session.js';
+
+const RULES = { size: 3, winLength: 3 };
+
+/**
+ * Salle factice: les messages attendent dans une file jusqu'à deliver(),
+ * ce qui permet de les perdre, de les dupliquer ou de les rejouer.
+ * Comme les vrais transports, un message n'est pas renvoyé à son émetteur.
+ */
+const createRoom = () => {
+  const members = new Set();
+  const queue = [];
+  const sent = [];
+  return {
+    queue,
+    sent,
+    transport() {
+      const member = { handlers: new Set() };
+      members.add(member);
+      return {
+        send: (message) => {
+          const copy = JSON.parse(JSON.stringify(message));
+          sent.push(copy);
+          queue.push({ member, message: copy });
+        },
+        onMessage: (handler) => {
+          member.handlers.add(handler);
+          return () => member.handlers.delete(handler);
+        },
+        close: () => members.delete(member)
+      };
+    },
+    // Distribue les messages en attente, y compris ceux envoyés en réponse
+    deliver() {
+      while (queue.length) {
+        const { member: from, message } = queue.shift();
+        for (const member of [...members]) {
+          if (member !== from) member.handlers.forEach((handler) => handler(message));
+        }
+      }
+    },
+    // Remet un message déjà envoyé dans la file (doublon ou coup rejoué en retard)
+    replay(message) {
+      queue.push({ member: null, message });
+    }
+  };
+};
+
+// Hôte (X) et invité (O) appairés
+const startGame = ({ guestFirst = false } = {}) => {
+  const room = createRoom();
+  const host = createOnlineSession(room.transport(), { peerId: 'host', player: { id: 'u1', name: 'Alice' } });
+  const guest = createOnlineSession(room.transport(), { peerId: 'guest', player: { id: 'u2', name: 'Bob' } });
+  if (guestFirst) {
+    guest.join();
+    room.deliver();
+    host.host({ rules: RULES, startingPlayer: 'X' });
+  } else {
+    host.host({ rules: RULES, startingPlayer: 'X' });
+    room.deliver();
+    guest.join();
+  }
+  room.deliver();
+  return { room, host, guest };
+};
+
+const moves = (session) => session.state.game.moves.map((m) => `${m.player}${m.cell}`).join(' ');
+
+// ============================================================================
+// Appairage
+// ============================================================================
+
+test('the guest gets the other symbol and the game, whoever arrives first', () => {
+  for (const guestFirst of [false, true]) {
+    const { host, guest } = startGame({ guestFirst });
+    assert.equal(host.state.status, 'playing');
+    assert.equal(guest.state.status, 'playing');
+    assert.equal(host.state.mySymbol, 'X');
+    assert.equal(guest.state.mySymbol, 'O');
+    assert.equal(guest.state.game.id, host.state.game.id);
+    assert.deepEqual(host.state.opponent, { id: 'u2', name: 'Bob' });
+    assert.deepEqual(guest.state.opponent, { id: 'u1', name: 'Alice' });
+  }
+});
+
+test('a third instance is told the room is full and does not disturb the game', () => {
+  const { room, host, guest } = startGame();
+  const intruder = createOnlineSession(room.transport(), { peerId: 'intruder' });
+  intruder.join();
+  room.deliver();
+  assert.equal(intruder.state.status, 'idle');
+  assert.equal(intruder.state.error, 'full');
+
+  room.replay({ type: 'move', from: 'intruder', gameId: host.state.game.id, seq: 0, cell: 4, player: 'O' });
+  room.deliver();
+  assert.equal(moves(host), '');
+  assert.deepEqual(host.state.opponent, { id: 'u2', name: 'Bob' });
+  assert.equal(guest.state.peerConnected, true);
+});
+
+// ============================================================================
+// Tours et numérotation
+// ============================================================================
+
+test('each player only plays on their own turn, on a free cell', () => {
+  const { room, host, guest } = startGame();
+  assert.equal(guest.play(0), false);
+  assert.equal(host.play(0), true);
+  assert.equal(host.play(1), false);
+  room.deliver();
+  assert.equal(guest.play(0), false);
+  assert.equal(guest.play(9), false);
+  assert.equal(guest.play(4), true);
+  room.deliver();
+  assert.equal(moves(host), 'X0 O4');
+  assert.equal(moves(guest), 'X0 O4');
+});
+
+test('moves played for the wrong symbol or out of turn are dropped', () => {
+  const { room, host } = startGame();
+  const gameId = host.state.game.id;
+  room.replay({ type: 'move', from: 'guest', gameId, seq: 0, cell: 4, player: 'X' });
+  room.replay({ type: 'move', from: 'guest', gameId, seq: 0, cell: 4, player: 'O' });
+  room.replay({ type: 'move', from: 'guest', gameId: 'other-game', seq: 0, cell: 4, player: 'O' });
+  room.deliver();
+  assert.equal(moves(host), '');
+});
+
+test('duplicate and stale moves are dropped', () => {
+  const { room, host, guest } = startGame();
+  host.play(0);
+  room.deliver();
+  guest.play(4);
+  room.deliver();
+  host.play(1);
+  room.deliver();
+
+  const [first, second] = room.sent.filter((m) => m.type === 'move');
+  room.replay(first);
+  room.replay(second);
+  room.replay(second);
+  room.deliver();
+  assert.equal(moves(host), 'X0 O4 X1');
+  assert.equal(moves(guest), 'X0 O4 X1');
+});
+
+test('a guest that missed a move asks the host for the whole game', () => {
+  const { room, host, guest } = startGame();
+  host.play(0);
+  room.queue.length = 0;
+  assert.equal(moves(guest), '');
+  assert.equal(guest.play(4), false);
+
+  // Le coup suivant de l'hôte révèle le trou dans la numérotation
+  room.replay({ type: 'move', from: 'host', gameId: host.state.game.id, seq: 1, cell: 8, player: 'X' });
+  room.deliver();
+  assert.ok(room.sent.some((m) => m.type === 'sync-request' && m.from === 'guest'));
+  assert.equal(moves(guest), 'X0');
+  assert.equal(guest.play(4), true);
+  room.deliver();
+  assert.equal(moves(host), 'X0 O4');
+});
+
+test('both sides compute the same result, and a resignation ends the game', () => {
+  const { room, host, guest } = startGame();
+  for (const [session, cell] of [[host, 0], [guest, 3], [host, 1], [guest, 4], [host, 2]]) {
+    session.play(cell);
+    room.deliver();
+  }
+  assert.deepEqual(host.state.result, { winner: 'X', reason: 'line' });
+  assert.deepEqual(guest.state.result, { winner: 'X', reason: 'line' });
+  assert.equal(guest.play(5), false);
+
+  const second = startGame();
+  second.guest.resign();
+  second.room.deliver();
+  assert.deepEqual(second.host.state.result, { winner: 'X', reason: 'resign' });
+  assert.deepEqual(second.guest.state.result, { winner: 'X', reason: 'resign' });
+});
+
+// ============================================================================
+// Revanches et départs
+// ============================================================================
+
+const finishedGame = () => {
+  const game = startGame();
+  game.guest.resign();
+  game.room.deliver();
+  return game;
+};
+
+test('an accepted rematch starts a new game with the other starting player', () => {
+  const { room, host, guest } = finishedGame();
+  const previous = host.state.game.id;
+  host.offerRematch();
+  room.deliver();
+  assert.equal(guest.state.rematch.offeredBy, 'peer');
+  guest.acceptRematch();
+  room.deliver();
+
+  for (const session of [host, guest]) {
+    assert.equal(session.state.status, 'playing');
+    assert.equal(session.state.game.startingPlayer, 'O');
+    assert.notEqual(session.state.game.id, previous);
+    assert.equal(session.state.rematch, null);
+  }
+  assert.equal(guest.state.game.id, host.state.game.id);
+  assert.equal(host.play(0), false);
+  assert.equal(guest.play(0), true);
+});
+
+test('rematches offered at the same time settle on the same game', () => {
+  const { room, host, guest } = finishedGame();
+  host.offerRematch();
+  guest.offerRematch();
+  room.deliver();
+  assert.equal(host.state.status, 'playing');
+  assert.equal(guest.state.status, 'playing');
+  assert.equal(host.state.game.id, guest.state.game.id);
+});
+
+test('a declined rematch is shown to the player who offered it', () => {
+  const { room, host, guest } = finishedGame();
+  host.offerRematch();
+  room.deliver();
+  guest.declineRematch();
+  room.deliver();
+  assert.equal(host.state.rematch.declined, true);
+  assert.equal(host.state.status, 'finished');
+  assert.equal(guest.state.rematch, null);
+});
+
+test('a player who leaves disconnects the other, who can wait for a new guest', () => {
+  const { room, host, guest } = startGame();
+  host.play(0);
+  room.deliver();
+  guest.leave();
+  room.deliver();
+  assert.equal(host.state.peerConnected, false);
+  assert.equal(host.play(1), false);
+
+  const next = createOnlineSession(room.transport(), { peerId: 'next' });
+  next.join();
+  room.deliver();
+  assert.equal(next.state.mySymbol, 'O');
+  assert.equal(moves(next), 'X0');
+  assert.equal(next.play(4), true);
+});
@@ -0,0 +1,97 @@
+/**
+ * Commandes affichées selon le rôle: visiteur non connecté, joueur, administrateur
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/morpion-plugin/permissions.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { click, flush, mount } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginContext } from '../shared/mock-plugin-context.js';
+import { ADMIN_PERMISSION, RECORDS_KEY } from './player-records.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+const context = createMockPluginContext(manifest.id, { manifest, locale: 'en' });
+window.usePluginContext = () => context;
+
+const { ScoreboardWidget, MorpionSettings } = await import('./index.js');
+
+const PLAYER = { id: 'u1', firstName: 'Ada' };
+const ADMIN = { id: 'u2', firstName: 'Grace' };
+
+const ROLES = {
+  'signed out': () => context.setUser(null),
+  player: () => context.setUser(PLAYER),
+  admin: () => context.setUser(ADMIN, { permissions: [ADMIN_PERMISSION] })
+};
+
+const tally = (wins) => ({ wins, losses: 0, draws: 0, streak: 0, bestStreak: 0, vsComputer: {}, byBoard: {} });
+
+const seedRecords = () => context.setPluginData(RECORDS_KEY, {
+  u1: { id: 'u1', name: 'Ada', ...tally(3) },
+  u2: { id: 'u2', name: 'Grace', ...tally(4) }
+});
+
+// Ce que chaque rôle voit: [réinitialiser ses scores, réinitialiser tous les scores,
+// modifier les paramètres, restaurer une sauvegarde]
+const EXPECTED = {
+  'signed out': [false, false, false, false],
+  player: [true, false, false, false],
+  admin: [true, true, true, true]
+};
+
+for (const [role, signIn] of Object.entries(ROLES)) {
+  test(`${role}: scoreboard and settings controls`, async () => {
+    signIn();
+    seedRecords();
+    const [resetMine, resetAll, editSettings, restore] = EXPECTED[role];
+
+    const scoreboard = await mount(ScoreboardWidget);
+    assert.equal(!!scoreboard.button('Reset my scores'), resetMine);
+    assert.equal(!!scoreboard.button("Reset every player's scores"), resetAll);
+    assert.equal(/Sign in to record your scores/.test(scoreboard.text()), role === 'signed out');
+    scoreboard.unmount();
+
+    const settings = await mount(MorpionSettings);
+    assert.equal(settings.find('fieldset').disabled, !editSettings);
+    assert.equal(!!settings.button('Save'), editSettings);
+    assert.equal(/Only Tic-Tac-Toe administrators can change these settings/.test(settings.text()), !editSettings);
+    assert.equal(!!settings.button('Restore a backup'), restore);
+    // Tout le monde peut télécharger ses données
+    assert.ok(settings.button('Download backup'));
+    settings.unmount();
+  });
+}
+
+test('a player resets only their own scores', async () => {
+  ROLES.player();
+  seedRecords();
+  const scoreboard = await mount(ScoreboardWidget);
+  await click(scoreboard.button('Reset my scores'));
+
+  assert.deepEqual(Object.keys(context.getPluginData(RECORDS_KEY)), ['u2']);
+  scoreboard.unmount();
+});
+
+test('an administrator resets every player', async () => {
+  ROLES.admin();
+  seedRecords();
+  const scoreboard = await mount(ScoreboardWidget);
+  await click(scoreboard.button("Reset every player's scores"));
+
+  assert.deepEqual(context.getPluginData(RECORDS_KEY), {});
+  assert.equal(context.notifications.at(-1).detail, "Every player's results are back to zero.");
+  scoreboard.unmount();
+});
+
+test('losing the permission hides the administrator controls at once', async () => {
+  ROLES.admin();
+  const scoreboard = await mount(ScoreboardWidget);
+  assert.ok(scoreboard.button("Reset every player's scores"));
+
+  ROLES.player();
+  await flush();
+  assert.equal(scoreboard.button("Reset every player's scores"), null);
+  scoreboard.unmount();
+});
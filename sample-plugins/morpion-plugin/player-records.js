@@ -0,0 +1,132 @@
+/**
+ * Scores du Morpion par utilisateur
+ *
+ * Chaque joueur identifié (context.currentUser) a sa propre fiche, stockée
+ * sous la clé `playerRecords` et indexée par identifiant:
+ *   { id, name, wins, losses, draws, streak, bestStreak, lastPlayedAt,
+ *     vsComputer: { easy: { wins, losses, draws }, ... },
+ *     byBoard: { "9x9-5": { size, winLength, wins, losses, draws } } }
+ *
+ * `streak` est la série de victoires en cours, `bestStreak` la meilleure.
+ * Seules les parties en ligne et contre l'ordinateur sont comptées: à deux
+ * sur le même écran, on ne sait pas quel symbole l'utilisateur a joué.
+ */
+
+export const RECORDS_KEY = 'playerRecords';
+
+// Permission qui autorise la remise à zéro des scores de tous les joueurs
+export const ADMIN_PERMISSION = 'MORPION_ADMIN';
+
+const OUTCOME_FIELDS = { win: 'wins', loss: 'losses', draw: 'draws' };
+
+const emptyTally = () => ({ wins: 0, losses: 0, draws: 0 });
+
+/**
+ * Joueur ({ id, name }) correspondant à l'utilisateur connecté, ou null
+ */
+export const playerFromUser = (user) => {
+  if (!user) return null;
+  const id = user.id ?? user.username ?? user.email;
+  if (id === undefined || id === null) return null;
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return { id: String(id), name: fullName || user.username || user.email || String(id) };
+};
+
+export const emptyRecord = ({ id, name }) => ({
+  id,
+  name,
+  ...emptyTally(),
+  streak: 0,
+  bestStreak: 0,
+  lastPlayedAt: null,
+  vsComputer: {},
+  byBoard: {}
+});
+
+export const readRecords = (context) => context.getPluginData(RECORDS_KEY) || {};
+
+export const readRecord = (context, player) =>
+  (player ? readRecords(context)[player.id] || emptyRecord(player) : null);
+
+/**
+ * Prévient les widgets de score (même quand rien n'a été enregistré ici)
+ */
+export const notifyScoreUpdate = (context) => {
+  if (context.emitEvent) context.emitEvent('morpion:score-updated', { records: readRecords(context) });
+};
+
+/**
+ * Enregistre le résultat d'une partie pour un ou plusieurs joueurs.
+ * @param {object} context
+ * @param {Array<{ player: { id, name }, outcome: 'win'|'loss'|'draw' }>} results
+ * @param {object} game
+ * @param {{ size: number, winLength: number }} game.rules
+ * @param {string} game.boardKey - Clé de regroupement (rulesKey)
+ * @param {string|null} [game.difficulty] - Niveau de l'ordinateur, pour les parties contre lui
+ */
+export const recordResults = (context, results, { rules, boardKey, difficulty = null }) => {
+  const records = readRecords(context);
+  const now = new Date().toISOString();
+  for (const { player, outcome } of results) {
+    if (!player) continue;
+    const field = OUTCOME_FIELDS[outcome];
+    const record = { ...emptyRecord(player), ...records[player.id], name: player.name };
+    record[field] += 1;
+    record.streak = outcome === 'win' ? record.streak + 1 : 0;
+    record.bestStreak = Math.max(record.bestStreak, record.streak);
+    record.lastPlayedAt = now;
+    if (difficulty) {
+      const tally = { ...emptyTally(), ...record.vsComputer[difficulty] };
+      tally[field] += 1;
+      record.vsComputer = { ...record.vsComputer, [difficulty]: tally };
+    }
+    const board = { size: rules.size, winLength: rules.winLength, ...emptyTally(), ...record.byBoard[boardKey] };
+    board[field] += 1;
+    record.byBoard = { ...record.byBoard, [boardKey]: board };
+    records[player.id] = record;
+  }
+  context.setPluginData(RECORDS_KEY, records);
+  notifyScoreUpdate(context);
+  return records;
+};
+
+/**
+ * Remet à zéro la fiche d'un joueur, ou toutes les fiches si `playerId` est omis
+ */
+export const resetRecords = (context, playerId) => {
+  if (playerId === undefined) {
+    context.setPluginData(RECORDS_KEY, {});
+  } else {
+    const records = readRecords(context);
+    delete records[playerId];
+    context.setPluginData(RECORDS_KEY, records);
+  }
+  notifyScoreUpdate(context);
+};
+
+export const gamesPlayed = (record) => record.wins + record.losses + record.draws;
+
+/**
+ * Classement: victoires, puis taux de victoire, puis moins de défaites
+ * @returns {Array<object>} Fiches triées, avec `rank` (ex aequo possibles) et `winRate` (0 à 100)
+ */
+export const rankRecords = (records) => {
+  const ranked = Object.values(records)
+    .filter((record) => gamesPlayed(record) > 0)
+    .map((record) => ({ ...record, winRate: Math.round((record.wins / gamesPlayed(record)) * 100) }))
+    .sort((a, b) =>
+      b.wins - a.wins
+      || b.winRate - a.winRate
+      || a.losses - b.losses
+      || a.name.localeCompare(b.name, 'fr'));
+
+  ranked.forEach((record, i) => {
+    const previous = ranked[i - 1];
+    const tied = previous
+      && previous.wins === record.wins
+      && previous.winRate === record.winRate
+      && previous.losses === record.losses;
+    record.rank = tied ? previous.rank : i + 1;
+  });
+  return ranked;
+};
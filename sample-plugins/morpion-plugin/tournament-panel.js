@@ -0,0 +1,317 @@
+/**
+ * Panneau "Tournoi" du Morpion: inscription des joueurs et choix du format,
+ * rencontre en cours, classement et tableau des rencontres. La logique vit
+ * dans tournament.js et la page de jeu, ce composant ne fait qu'afficher
+ * l'état et émettre les actions.
+ */
+
+import {
+  BEST_OF_OPTIONS,
+  MAX_NAME_LENGTH,
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  TOURNAMENT_FORMATS,
+  computeStandings,
+  currentMatch,
+  gameSeating,
+  matchOutcome,
+  playerName,
+  setupError
+} from './tournament.js';
+
+const { ref, computed, watch } = window.Vue || {};
+
+/**
+ * @param {object} i18n - Traductions du plugin (createI18n)
+ */
+export const createTournamentPanel = (i18n) => ({
+  name: 'MorpionTournamentPanel',
+  props: {
+    // Tournoi en cours ou dernier tournoi joué, null s'il n'y en a jamais eu
+    tournament: { type: Object, default: null }
+  },
+  emits: ['start', 'abandon'],
+
+  setup(props, { emit }) {
+    const { t } = i18n;
+
+    // Formulaire d'inscription
+    const format = ref('match');
+    const bestOf = ref(3);
+    const names = ref(['', '']);
+    const creating = ref(false);
+    const confirmAbandon = ref(false);
+
+    const running = computed(() => props.tournament?.status === 'running');
+    const showSetup = computed(() => !props.tournament || (!running.value && creating.value));
+
+    const error = computed(() => setupError({ format: format.value, names: names.value }));
+    // Pas de message tant que les noms n'ont pas été saisis
+    const errorMessage = computed(() =>
+      (error.value && names.value.some((name) => name.trim()) ? t(`tournament.error.${error.value}`) : ''));
+
+    const canAddPlayer = computed(() => format.value === 'round-robin' && names.value.length < MAX_PLAYERS);
+    const canRemovePlayer = computed(() => names.value.length > MIN_PLAYERS);
+
+    // Un match se joue à deux: les noms en trop sont retirés
+    watch(format, (value) => {
+      if (value === 'match') names.value = names.value.slice(0, 2);
+    });
+
+    const addPlayer = () => {
+      if (canAddPlayer.value) names.value = [...names.value, ''];
+    };
+
+    const removePlayer = (index) => {
+      if (canRemovePlayer.value) names.value = names.value.filter((_, i) => i !== index);
+    };
+
+    const start = () => {
+      if (error.value) return;
+      emit('start', { format: format.value, bestOf: bestOf.value, names: [...names.value] });
+      creating.value = false;
+    };
+
+    const abandon = () => {
+      if (!confirmAbandon.value) {
+        confirmAbandon.value = true;
+        return;
+      }
+      confirmAbandon.value = false;
+      emit('abandon');
+    };
+
+    // Affichage du tournoi
+    const nameOf = (playerId) => playerName(props.tournament, playerId);
+
+    const standings = computed(() => (props.tournament ? computeStandings(props.tournament) : []));
+
+    const match = computed(() => currentMatch(props.tournament));
+
+    const matchScore = computed(() => {
+      if (!match.value) return null;
+      const { wins, draws } = matchOutcome(props.tournament, match.value);
+      const { starter } = gameSeating(props.tournament, match.value);
+      return {
+        players: match.value.players.map((id) => ({ id, name: nameOf(id), wins: wins[id] })),
+        draws,
+        game: match.value.games.length + 1,
+        starter: nameOf(starter)
+      };
+    });
+
+    const matches = computed(() => (props.tournament?.matches || []).map((m) => {
+      const { wins, finished, winner } = matchOutcome(props.tournament, m);
+      const [a, b] = m.players;
+      return {
+        id: m.id,
+        round: m.round,
+        label: t('tournament.pairing', { a: nameOf(a), b: nameOf(b) }),
+        score: m.games.length ? `${wins[a]} – ${wins[b]}` : '',
+        finished,
+        current: m.id === match.value?.id,
+        result: finished ? (winner ? t('tournament.matchWinner', { name: nameOf(winner) }) : t('tournament.matchDrawn')) : ''
+      };
+    }));
+
+    const result = computed(() => {
+      const tournament = props.tournament;
+      if (!tournament || running.value) return '';
+      if (tournament.status === 'abandoned') return t('tournament.abandoned');
+      return tournament.winner ? t('tournament.champion', { name: nameOf(tournament.winner) }) : t('tournament.tie');
+    });
+
+    const summary = computed(() => {
+      const tournament = props.tournament;
+      if (!tournament) return '';
+      return [
+        t(`tournament.format.${tournament.format}`),
+        t('tournament.bestOf', { count: tournament.bestOf }),
+        t('rules.summary', tournament)
+      ].join(' · ');
+    });
+
+    return {
+      formats: TOURNAMENT_FORMATS,
+      bestOfOptions: BEST_OF_OPTIONS,
+      maxNameLength: MAX_NAME_LENGTH,
+      format,
+      bestOf,
+      names,
+      error,
+      errorMessage,
+      canAddPlayer,
+      canRemovePlayer,
+      addPlayer,
+      removePlayer,
+      start,
+      creating,
+      confirmAbandon,
+      abandon,
+      running,
+      showSetup,
+      standings,
+      matchScore,
+      matches,
+      result,
+      summary,
+      t
+    };
+  },
+
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow border plugin-border p-4 space-y-4">
+      <form v-if="showSetup" @submit.prevent="start" class="space-y-3">
+        <h2 class="text-lg font-semibold flex items-center">
+          <i class="pi pi-sitemap mr-2 plugin-text-primary"></i>
+          {{ t('tournament.setupTitle') }}
+        </h2>
+        <div class="flex flex-wrap items-center gap-4 text-sm plugin-text-secondary">
+          <label class="flex items-center space-x-2">
+            <span>{{ t('tournament.formatLabel') }}</span>
+            <select v-model="format" class="px-3 py-2 border plugin-border-strong rounded-md plugin-bg-surface">
+              <option v-for="value in formats" :key="value" :value="value">{{ t('tournament.format.' + value) }}</option>
+            </select>
+          </label>
+          <label class="flex items-center space-x-2">
+            <span>{{ t('tournament.bestOfLabel') }}</span>
+            <select v-model.number="bestOf" class="px-3 py-2 border plugin-border-strong rounded-md plugin-bg-surface">
+              <option v-for="value in bestOfOptions" :key="value" :value="value">{{ t('tournament.bestOf', { count: value }) }}</option>
+            </select>
+          </label>
+        </div>
+        <p class="text-xs plugin-text-muted">{{ t('tournament.formatHelp.' + format) }}</p>
+        <ol class="space-y-2">
+          <li v-for="(name, i) in names" :key="i" class="flex items-center space-x-2">
+            <span class="w-6 text-sm plugin-text-muted">{{ i + 1 }}.</span>
+            <input
+              v-model="names[i]"
+              :maxlength="maxNameLength"
+              :aria-label="t('tournament.playerName', { number: i + 1 })"
+              :placeholder="t('tournament.playerName', { number: i + 1 })"
+              class="px-3 py-2 border plugin-border-strong rounded-md w-56"
+            />
+            <button
+              v-if="canRemovePlayer"
+              type="button"
+              @click="removePlayer(i)"
+              class="px-2 py-1 plugin-text-muted plugin-hover-danger"
+              :title="t('tournament.removePlayer')"
+              :aria-label="t('tournament.removePlayer')"
+            >
+              <i class="pi pi-times"></i>
+            </button>
+          </li>
+        </ol>
+        <p v-if="errorMessage" class="text-sm plugin-text-danger">{{ errorMessage }}</p>
+        <div class="flex items-center space-x-2">
+          <button v-if="canAddPlayer" type="button" @click="addPlayer" class="px-3 py-2 text-sm plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+            <i class="pi pi-user-plus mr-1"></i>
+            {{ t('tournament.addPlayer') }}
+          </button>
+          <button type="submit" :disabled="!!error" class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary disabled:opacity-50">
+            <i class="pi pi-play mr-1"></i>
+            {{ t('tournament.start') }}
+          </button>
+          <button v-if="tournament" type="button" @click="creating = false" class="px-3 py-2 text-sm plugin-text-secondary plugin-hover-text">
+            {{ t('tournament.cancel') }}
+          </button>
+        </div>
+      </form>
+
+      <template v-else>
+        <div class="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 class="text-lg font-semibold flex items-center">
+              <i class="pi pi-sitemap mr-2 plugin-text-primary"></i>
+              {{ running ? t('tournament.inProgress') : t('tournament.finished') }}
+            </h2>
+            <p class="text-xs plugin-text-muted">{{ summary }}</p>
+          </div>
+          <button
+            v-if="running"
+            @click="abandon"
+            class="px-3 py-2 text-sm plugin-tone-danger rounded-md plugin-hover-danger-soft"
+          >
+            <i class="pi pi-flag mr-1"></i>
+            {{ confirmAbandon ? t('tournament.confirmAbandon') : t('tournament.abandon') }}
+          </button>
+          <button v-else @click="creating = true" class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary">
+            <i class="pi pi-plus mr-1"></i>
+            {{ t('tournament.new') }}
+          </button>
+        </div>
+
+        <div v-if="matchScore" class="rounded-md plugin-bg-primary-soft p-3">
+          <div class="flex items-center justify-center space-x-4 text-lg">
+            <span class="font-medium plugin-text">{{ matchScore.players[0].name }}</span>
+            <span class="font-bold plugin-text-primary">{{ matchScore.players[0].wins }} – {{ matchScore.players[1].wins }}</span>
+            <span class="font-medium plugin-text">{{ matchScore.players[1].name }}</span>
+          </div>
+          <p class="text-center text-xs plugin-text-primary">
+            {{ t('tournament.gameNumber', { number: matchScore.game }) }}
+            · {{ t('tournament.starts', { name: matchScore.starter }) }}
+            <template v-if="matchScore.draws"> · {{ t('tournament.draws', { count: matchScore.draws }) }}</template>
+          </p>
+        </div>
+        <p v-else class="text-center font-medium plugin-text">
+          <i class="pi pi-trophy mr-1 plugin-text-warning"></i>
+          {{ result }}
+        </p>
+
+        <table v-if="tournament.format === 'round-robin'" class="w-full text-sm">
+          <caption class="text-left text-xs font-medium plugin-text-muted mb-1">{{ t('tournament.standings') }}</caption>
+          <thead>
+            <tr class="text-xs plugin-text-muted text-right">
+              <th scope="col" class="text-left font-normal">#</th>
+              <th scope="col" class="text-left font-normal">{{ t('tournament.column.player') }}</th>
+              <th scope="col" class="font-normal" :title="t('tournament.column.playedTitle')">{{ t('tournament.column.played') }}</th>
+              <th scope="col" class="font-normal">{{ t('tournament.column.won') }}</th>
+              <th scope="col" class="font-normal">{{ t('tournament.column.drawn') }}</th>
+              <th scope="col" class="font-normal">{{ t('tournament.column.lost') }}</th>
+              <th scope="col" class="font-normal" :title="t('tournament.column.gamesTitle')">{{ t('tournament.column.games') }}</th>
+              <th scope="col" class="font-normal">{{ t('tournament.column.points') }}</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr v-for="row in standings" :key="row.id" class="text-right border-t plugin-border">
+              <td class="text-left plugin-text-muted">{{ row.rank }}</td>
+              <td class="text-left plugin-text">
+                {{ row.name }}
+                <span v-if="row.tiebreak" class="text-xs plugin-text-subtle">({{ t('tournament.tiebreak.' + row.tiebreak) }})</span>
+              </td>
+              <td>{{ row.played }}</td>
+              <td>{{ row.won }}</td>
+              <td>{{ row.drawn }}</td>
+              <td>{{ row.lost }}</td>
+              <td>{{ row.gamesWon }}-{{ row.gamesLost }}</td>
+              <td class="font-semibold">{{ row.points }}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        <div v-if="tournament.format === 'round-robin' || !running">
+          <div class="text-xs font-medium plugin-text-muted mb-1">{{ t('tournament.matches') }}</div>
+          <ul class="divide-y plugin-divide text-sm">
+            <li
+              v-for="m in matches"
+              :key="m.id"
+              class="flex items-center justify-between py-1 px-2 rounded-md"
+              :class="m.current ? 'plugin-bg-primary-soft font-medium' : ''"
+            >
+              <span class="plugin-text">
+                <span class="text-xs plugin-text-muted mr-2">{{ t('tournament.round', { number: m.round }) }}</span>
+                {{ m.label }}
+              </span>
+              <span class="plugin-text-muted">
+                {{ m.score }}
+                <template v-if="m.result"> · {{ m.result }}</template>
+              </span>
+            </li>
+          </ul>
+        </div>
+        <p v-if="tournament.format === 'round-robin'" class="text-xs plugin-text-muted">{{ t('tournament.scoring') }}</p>
+      </template>
+    </div>
+  `
+});
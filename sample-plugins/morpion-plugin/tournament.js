@@ -0,0 +1,339 @@
+/**
+ * Tournois du Morpion
+ *
+ * Des joueurs nommés s'affrontent sur le même écran, au choix:
+ * - `match`: deux joueurs, un match en N manches ("best of N")
+ * - `round-robin`: chaque joueur rencontre tous les autres, chaque rencontre
+ *   se jouant elle aussi en N manches
+ *
+ * Le joueur qui commence alterne d'une manche à l'autre et joue le symbole
+ * de départ (startingSymbol). Les tournois (en cours, terminés ou
+ * abandonnés) sont stockés sous la clé `tournaments`, le plus récent en tête:
+ *   { id, format, bestOf, size, winLength, startingSymbol, status, createdAt, finishedAt,
+ *     players: [{ id, name }],
+ *     matches: [{ id, round, players: [id, id], games: [{ gameId, starter, winner, moves }],
+ *       finished, winner }],
+ *     winner }
+ * `winner` vaut null pour une manche nulle, une rencontre nulle ou un
+ * tournoi terminé ex aequo.
+ */
+
+import { normalizeRules } from './game-rules.js';
+
+export const TOURNAMENTS_KEY = 'tournaments';
+export const MAX_TOURNAMENTS = 20;
+
+export const TOURNAMENT_FORMATS = ['match', 'round-robin'];
+export const BEST_OF_OPTIONS = [1, 3, 5, 7];
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+export const MAX_NAME_LENGTH = 30;
+
+// Points d'une rencontre du round-robin
+const POINTS = { win: 2, draw: 1, loss: 0 };
+
+// Départage des joueurs à égalité de points, dans l'ordre
+export const TIEBREAKS = ['headToHead', 'gameDifference', 'gamesWon'];
+
+// Une formule inconnue est traitée comme un match
+const formatOf = (format) => (TOURNAMENT_FORMATS.includes(format) ? format : 'match');
+
+const opponentOf = (match, playerId) => (match.players[0] === playerId ? match.players[1] : match.players[0]);
+
+export const playerName = (tournament, playerId) =>
+  tournament.players.find((player) => player.id === playerId)?.name ?? '';
+
+// ============================================================================
+// Création
+// ============================================================================
+
+/**
+ * Noms saisis, sans espaces superflus ni lignes vides
+ */
+export const cleanPlayerNames = (names = []) =>
+  names.map((name) => String(name ?? '').trim().slice(0, MAX_NAME_LENGTH)).filter(Boolean);
+
+/**
+ * Vérifie la configuration d'un tournoi avant sa création
+ * @returns {'match-players'|'too-few'|'too-many'|'duplicate'|null} Code d'erreur, null si elle est valide
+ */
+export const setupError = ({ format, names }) => {
+  const players = cleanPlayerNames(names);
+  if (formatOf(format) === 'match' && players.length !== 2) return 'match-players';
+  if (players.length < MIN_PLAYERS) return 'too-few';
+  if (players.length > MAX_PLAYERS) return 'too-many';
+  const keys = players.map((name) => name.toLocaleLowerCase());
+  if (new Set(keys).size !== keys.length) return 'duplicate';
+  return null;
+};
+
+/**
+ * Calendrier du round-robin (méthode du cercle): chaque joueur rencontre
+ * tous les autres une fois, un joueur au repos par tour si leur nombre est
+ * impair. L'ordre des joueurs s'inverse un tour sur deux pour équilibrer
+ * qui commence.
+ * @param {string[]} playerIds
+ * @returns {Array<{ round: number, players: [string, string] }>}
+ */
+export const scheduleRoundRobin = (playerIds) => {
+  const seats = playerIds.length % 2 ? [...playerIds, null] : [...playerIds];
+  const pairings = [];
+  for (let round = 0; round < seats.length - 1; round++) {
+    for (let i = 0; i < seats.length / 2; i++) {
+      const a = seats[i];
+      const b = seats[seats.length - 1 - i];
+      if (a !== null && b !== null) pairings.push({ round: round + 1, players: round % 2 ? [b, a] : [a, b] });
+    }
+    // Le premier siège reste fixe, les autres tournent
+    seats.splice(1, 0, seats.pop());
+  }
+  return pairings;
+};
+
+/**
+ * Crée un tournoi (la configuration doit être valide, voir setupError)
+ * @param {object} setup
+ * @param {'match'|'round-robin'} setup.format
+ * @param {number} setup.bestOf - Nombre de manches de chaque rencontre (impair)
+ * @param {string[]} setup.names - Noms des joueurs
+ * @param {{ size: number, winLength: number }} setup.rules - Plateau, fixé pour tout le tournoi
+ * @param {'X'|'O'} setup.startingSymbol - Symbole du joueur qui commence chaque manche
+ */
+export const createTournament = ({ format, bestOf, names, rules, startingSymbol }) => {
+  const players = cleanPlayerNames(names).map((name, i) => ({ id: `p${i + 1}`, name }));
+  const ids = players.map((player) => player.id);
+  const kind = formatOf(format);
+  const pairings = kind === 'match' ? [{ round: 1, players: ids.slice(0, 2) }] : scheduleRoundRobin(ids);
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    format: kind,
+    bestOf: BEST_OF_OPTIONS.includes(Number(bestOf)) ? Number(bestOf) : 3,
+    ...normalizeRules(rules),
+    startingSymbol: startingSymbol === 'O' ? 'O' : 'X',
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    players,
+    matches: pairings.map((pairing, i) => ({ id: `m${i + 1}`, ...pairing, games: [], finished: false, winner: null })),
+    winner: null
+  };
+};
+
+// ============================================================================
+// Rencontres et manches
+// ============================================================================
+
+/**
+ * État d'une rencontre d'après ses manches. Elle est gagnée dès que l'écart
+ * de victoires ne peut plus être comblé par les manches restantes. À égalité
+ * après N manches, la rencontre est nulle en round-robin; en match, des
+ * manches décisives se jouent jusqu'à la première victoire.
+ * @returns {{ wins: object, draws: number, finished: boolean, winner: string|null }}
+ */
+export const matchOutcome = (tournament, match) => {
+  const [a, b] = match.players;
+  const wins = { [a]: 0, [b]: 0 };
+  let draws = 0;
+  for (const game of match.games) {
+    if (game.winner) wins[game.winner] += 1;
+    else draws += 1;
+  }
+  const remaining = Math.max(0, tournament.bestOf - match.games.length);
+  const leader = wins[a] > wins[b] ? a : wins[b] > wins[a] ? b : null;
+  if (Math.abs(wins[a] - wins[b]) > remaining) return { wins, draws, finished: true, winner: leader };
+  if (remaining === 0 && tournament.format === 'round-robin') return { wins, draws, finished: true, winner: null };
+  return { wins, draws, finished: false, winner: null };
+};
+
+/**
+ * Prochaine rencontre à jouer, null quand le tournoi est terminé
+ */
+export const currentMatch = (tournament) =>
+  (tournament?.status === 'running' ? tournament.matches.find((match) => !match.finished) || null : null);
+
+/**
+ * Placement des joueurs pour la prochaine manche d'une rencontre: le joueur
+ * qui commence alterne à chaque manche.
+ * @returns {{ starter: string, symbols: { X: string, O: string } }}
+ */
+export const gameSeating = (tournament, match) => {
+  const starter = match.players[match.games.length % 2];
+  const other = opponentOf(match, starter);
+  const symbol = tournament.startingSymbol;
+  return { starter, symbols: symbol === 'X' ? { X: starter, O: other } : { X: other, O: starter } };
+};
+
+/**
+ * Enregistre une manche terminée de la rencontre en cours
+ * @param {object} tournament
+ * @param {object} game
+ * @param {string} game.gameId - Identifiant de la partie (historique)
+ * @param {'X'|'O'|null} game.winner - Symbole gagnant, null pour une manche nulle
+ * @param {number} game.moves - Nombre de coups joués
+ * @returns {object} Nouveau tournoi (celui reçu est inchangé)
+ */
+export const recordTournamentGame = (tournament, { gameId, winner, moves }) => {
+  const match = currentMatch(tournament);
+  if (!match) return tournament;
+  const { starter, symbols } = gameSeating(tournament, match);
+  const played = { ...match, games: [...match.games, { gameId, starter, winner: winner ? symbols[winner] : null, moves }] };
+  const { finished, winner: matchWinner } = matchOutcome(tournament, played);
+  const matches = tournament.matches.map((m) => (m.id === match.id ? { ...played, finished, winner: matchWinner } : m));
+  const next = { ...tournament, matches };
+  if (matches.some((m) => !m.finished)) return next;
+  return { ...next, status: 'finished', finishedAt: new Date().toISOString(), winner: champion(next) };
+};
+
+/**
+ * Abandonne un tournoi en cours; ses résultats restent consultables
+ */
+export const abandonTournament = (tournament) => ({
+  ...tournament,
+  status: 'abandoned',
+  finishedAt: new Date().toISOString()
+});
+
+// ============================================================================
+// Classement
+// ============================================================================
+
+/**
+ * Classement du tournoi: points des rencontres terminées (victoire 2, nulle 1),
+ * puis, à égalité de points, confrontations directes entre les joueurs à
+ * égalité, différence de manches et manches gagnées.
+ * @returns {Array<object>} Lignes triées { id, name, played, won, drawn, lost, points,
+ *   gamesWon, gamesLost, rank, tiebreak } où `tiebreak` est le critère qui a
+ *   départagé le joueur de son voisin à égalité de points (null sinon)
+ */
+export const computeStandings = (tournament) => {
+  const rows = new Map(tournament.players.map((player) => [player.id, {
+    ...player, played: 0, won: 0, drawn: 0, lost: 0, points: 0, gamesWon: 0, gamesLost: 0, headToHead: 0
+  }]));
+  const outcomes = tournament.matches.map((match) => ({ match, ...matchOutcome(tournament, match) }));
+
+  for (const { match, wins, finished, winner } of outcomes) {
+    for (const id of match.players) {
+      const row = rows.get(id);
+      row.gamesWon += wins[id];
+      row.gamesLost += wins[opponentOf(match, id)];
+      if (!finished) continue;
+      row.played += 1;
+      if (!winner) row.drawn += 1;
+      else if (winner === id) row.won += 1;
+      else row.lost += 1;
+    }
+  }
+  for (const row of rows.values()) row.points = row.won * POINTS.win + row.drawn * POINTS.draw + row.lost * POINTS.loss;
+
+  // Confrontations directes: points pris contre les joueurs qui ont autant de points
+  for (const { match, finished, winner } of outcomes) {
+    const [a, b] = match.players.map((id) => rows.get(id));
+    if (!finished || a.points !== b.points) continue;
+    a.headToHead += !winner ? POINTS.draw : winner === a.id ? POINTS.win : POINTS.loss;
+    b.headToHead += !winner ? POINTS.draw : winner === b.id ? POINTS.win : POINTS.loss;
+  }
+
+  const criteria = {
+    headToHead: (row) => row.headToHead,
+    gameDifference: (row) => row.gamesWon - row.gamesLost,
+    gamesWon: (row) => row.gamesWon
+  };
+  const decidingTiebreak = (a, b) => TIEBREAKS.find((key) => criteria[key](a) !== criteria[key](b)) || null;
+
+  const standings = [...rows.values()].sort((a, b) =>
+    b.points - a.points
+    || TIEBREAKS.reduce((order, key) => order || criteria[key](b) - criteria[key](a), 0)
+    || a.name.localeCompare(b.name, 'fr'));
+
+  standings.forEach((row, i) => {
+    row.tiebreak = null;
+    const previous = standings[i - 1];
+    if (!previous || previous.points !== row.points) {
+      row.rank = i + 1;
+      return;
+    }
+    const tiebreak = decidingTiebreak(previous, row);
+    row.rank = tiebreak ? i + 1 : previous.rank;
+    row.tiebreak = tiebreak;
+    previous.tiebreak = previous.tiebreak || tiebreak;
+  });
+  return standings.map(({ headToHead, ...row }) => row);
+};
+
+// Vainqueur d'un tournoi terminé, null en cas d'égalité parfaite
+const champion = (tournament) => {
+  if (tournament.format === 'match') return tournament.matches[0].winner;
+  const [first, second] = computeStandings(tournament);
+  return second && second.rank === first.rank ? null : first.id;
+};
+
+/**
+ * Joueur en tête ({ id, name }), null à égalité ou avant tout résultat
+ */
+export const tournamentLeader = (tournament) => {
+  if (!tournament) return null;
+  if (tournament.status === 'finished') {
+    return tournament.winner ? { id: tournament.winner, name: playerName(tournament, tournament.winner) } : null;
+  }
+  if (tournament.format === 'match') {
+    const { wins } = matchOutcome(tournament, tournament.matches[0]);
+    const [a, b] = tournament.matches[0].players;
+    const id = wins[a] > wins[b] ? a : wins[b] > wins[a] ? b : null;
+    return id ? { id, name: playerName(tournament, id) } : null;
+  }
+  const [first, second] = computeStandings(tournament);
+  if (first.points === 0 || (second && second.rank === first.rank)) return null;
+  return { id: first.id, name: first.name };
+};
+
+/**
+ * Résumé affiché par le widget de score: rencontre en cours et joueur en tête
+ * @returns {{ id, status, format, bestOf, match: { round, game, players: Array<{ id, name, wins }>, draws }|null,
+ *   leader: { id, name }|null }|null}
+ */
+export const tournamentSummary = (tournament) => {
+  if (!tournament) return null;
+  const match = currentMatch(tournament);
+  let current = null;
+  if (match) {
+    const { wins, draws } = matchOutcome(tournament, match);
+    current = {
+      round: match.round,
+      game: match.games.length + 1,
+      players: match.players.map((id) => ({ id, name: playerName(tournament, id), wins: wins[id] })),
+      draws
+    };
+  }
+  const { id, status, format, bestOf } = tournament;
+  return { id, status, format, bestOf, match: current, leader: tournamentLeader(tournament) };
+};
+
+// ============================================================================
+// Stockage
+// ============================================================================
+
+export const readTournaments = (context) => context.getPluginData(TOURNAMENTS_KEY) || [];
+
+/**
+ * Tournoi en cours, null s'il n'y en a pas
+ */
+export const runningTournament = (context) =>
+  readTournaments(context).find((tournament) => tournament.status === 'running') || null;
+
+/**
+ * Enregistre un tournoi (remplace la version précédente, le place en tête)
+ * et prévient les widgets
+ * @returns {object} Le tournoi enregistré
+ */
+export const saveTournament = (context, tournament) => {
+  const others = readTournaments(context).filter((t) => t.id !== tournament.id);
+  context.setPluginData(TOURNAMENTS_KEY, [tournament, ...others].slice(0, MAX_TOURNAMENTS));
+  if (context.emitEvent) {
+    context.emitEvent('morpion:tournament-updated', {
+      id: tournament.id,
+      status: tournament.status,
+      leader: tournamentLeader(tournament)?.name ?? null
+    });
+  }
+  return tournament;
+};
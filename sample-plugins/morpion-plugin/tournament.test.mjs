@@ -0,0 +1,187 @@
+/**
+ * Tournois: formule, calendrier et issue des rencontres
+ *
+ *   node --test sample-plugins/morpion-plugin/tournament.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeStandings,
+  createTournament,
+  currentMatch,
+  gameSeating,
+  recordTournamentGame,
+  scheduleRoundRobin,
+  setupError,
+  tournamentLeader
+} from './tournament.js';
+
+const RULES = { size: 3, winLength: 3 };
+const NAMES = ['Alice', 'Bob', 'Carol', 'Dave', 'Eve'];
+
+// Joue les manches de chaque rencontre: `results` associe "Alice-Bob" (dans
+// un ordre quelconque) aux vainqueurs successifs, null pour une manche nulle
+const playRoundRobin = (names, bestOf, results) => {
+  let tournament = createTournament({ format: 'round-robin', bestOf, names, rules: RULES });
+  const idOf = (name) => tournament.players.find((player) => player.name === name).id;
+  const winnersOf = (match) => {
+    const [a, b] = match.players.map((id) => tournament.players.find((player) => player.id === id).name);
+    return results[`${a}-${b}`] ?? results[`${b}-${a}`];
+  };
+  for (let match = currentMatch(tournament); match; match = currentMatch(tournament)) {
+    const name = winnersOf(match)[match.games.length];
+    const { symbols } = gameSeating(tournament, match);
+    const winner = name === null ? null : Object.keys(symbols).find((symbol) => symbols[symbol] === idOf(name));
+    tournament = recordTournamentGame(tournament, { gameId: `g${match.id}-${match.games.length}`, winner, moves: 5 });
+  }
+  return tournament;
+};
+
+const table = (tournament) => computeStandings(tournament)
+  .map(({ name, points, rank, tiebreak }) => `${rank}. ${name} ${points} ${tiebreak ?? '-'}`);
+
+// ============================================================================
+// Formule et calendrier
+// ============================================================================
+
+test('the format is normalized before the matches are scheduled', () => {
+  for (const { format, players, expected, matches, rounds } of [
+    { format: undefined, players: 2, expected: 'match', matches: 1, rounds: 1 },
+    { format: 'knockout', players: 2, expected: 'match', matches: 1, rounds: 1 },
+    { format: 'ROUND-ROBIN', players: 2, expected: 'match', matches: 1, rounds: 1 },
+    { format: 'match', players: 2, expected: 'match', matches: 1, rounds: 1 },
+    { format: 'round-robin', players: 2, expected: 'round-robin', matches: 1, rounds: 1 },
+    { format: 'round-robin', players: 4, expected: 'round-robin', matches: 6, rounds: 3 },
+    { format: 'round-robin', players: 5, expected: 'round-robin', matches: 10, rounds: 5 }
+  ]) {
+    const label = `${format} with ${players} players`;
+    const tournament = createTournament({ format, bestOf: 3, names: NAMES.slice(0, players), rules: RULES });
+    assert.equal(tournament.format, expected, label);
+    assert.equal(tournament.matches.length, matches, label);
+    assert.equal(new Set(tournament.matches.map((match) => match.round)).size, rounds, label);
+    // Personne ne joue deux fois dans le même tour
+    for (let round = 1; round <= rounds; round++) {
+      const seated = tournament.matches.filter((match) => match.round === round).flatMap((match) => match.players);
+      assert.equal(new Set(seated).size, seated.length, `${label}, round ${round}`);
+    }
+  }
+});
+
+test('the setup is checked against the normalized format', () => {
+  for (const [setup, expected] of [
+    [{ format: 'knockout', names: ['Alice', 'Bob'] }, null],
+    [{ format: 'knockout', names: ['Alice', 'Bob', 'Carol'] }, 'match-players'],
+    [{ format: 'round-robin', names: ['Alice', 'Bob', 'Carol'] }, null],
+    [{ format: 'round-robin', names: ['Alice', '  '] }, 'too-few'],
+    [{ format: 'round-robin', names: [...NAMES, 'F', 'G', 'H', 'I'] }, 'too-many'],
+    [{ format: 'round-robin', names: ['Alice', 'Bob', ' alice '] }, 'duplicate']
+  ]) {
+    assert.equal(setupError(setup), expected, JSON.stringify(setup));
+  }
+});
+
+test('an unknown format is stored and scheduled as a match', () => {
+  const tournament = createTournament({ format: 'knockout', bestOf: 3, names: ['Alice', 'Bob'], rules: RULES });
+  assert.equal(tournament.format, 'match');
+  assert.deepEqual(tournament.matches.map((match) => match.players), [['p1', 'p2']]);
+  assert.equal(setupError({ format: 'knockout', names: ['Alice', 'Bob', 'Carol'] }), 'match-players');
+});
+
+test('a round-robin pairs every player with every other one once', () => {
+  const tournament = createTournament({ format: 'round-robin', bestOf: 1, names: ['Alice', 'Bob', 'Carol'], rules: RULES });
+  const pairs = tournament.matches.map((match) => [...match.players].sort().join('-')).sort();
+  assert.deepEqual(pairs, ['p1-p2', 'p1-p3', 'p2-p3']);
+  assert.equal(scheduleRoundRobin(['a', 'b', 'c', 'd']).length, 6);
+});
+
+// ============================================================================
+// Rencontres
+// ============================================================================
+
+test('a match ends once its lead cannot be caught up', () => {
+  let tournament = createTournament({ format: 'match', bestOf: 3, names: ['Alice', 'Bob'], rules: RULES, startingSymbol: 'X' });
+  // Alice commence la première manche avec X, Bob la deuxième
+  tournament = recordTournamentGame(tournament, { gameId: 'g1', winner: 'X', moves: 5 });
+  assert.equal(tournament.status, 'running');
+  tournament = recordTournamentGame(tournament, { gameId: 'g2', winner: 'O', moves: 6 });
+  assert.equal(tournament.status, 'finished');
+  assert.equal(tournament.winner, 'p1');
+  assert.equal(currentMatch(tournament), null);
+});
+
+test('a drawn match goes on with deciding games until someone wins', () => {
+  let tournament = createTournament({ format: 'match', bestOf: 1, names: ['Alice', 'Bob'], rules: RULES, startingSymbol: 'X' });
+  tournament = recordTournamentGame(tournament, { gameId: 'g1', winner: null, moves: 9 });
+  assert.equal(tournament.status, 'running');
+  // Bob commence la manche décisive avec X
+  tournament = recordTournamentGame(tournament, { gameId: 'g2', winner: 'X', moves: 7 });
+  assert.equal(tournament.winner, 'p2');
+  assert.deepEqual(tournamentLeader(tournament), { id: 'p2', name: 'Bob' });
+});
+
+// ============================================================================
+// Classement et vainqueur
+// ============================================================================
+
+test('standings rank by points, then by the tiebreaks in order', () => {
+  for (const { label, names, bestOf, results, standings, champion } of [
+    {
+      label: 'no tie',
+      names: ['Alice', 'Bob', 'Carol'],
+      bestOf: 1,
+      results: { 'Alice-Bob': ['Alice'], 'Alice-Carol': ['Alice'], 'Bob-Carol': ['Bob'] },
+      standings: ['1. Alice 4 -', '2. Bob 2 -', '3. Carol 0 -'],
+      champion: 'Alice'
+    },
+    {
+      label: 'head-to-head between the tied players',
+      names: ['Alice', 'Bob', 'Carol', 'Dave'],
+      bestOf: 1,
+      results: {
+        'Alice-Bob': ['Alice'], 'Alice-Carol': ['Carol'], 'Alice-Dave': ['Alice'],
+        'Bob-Carol': ['Bob'], 'Bob-Dave': ['Bob'], 'Carol-Dave': ['Dave']
+      },
+      standings: ['1. Alice 4 headToHead', '2. Bob 4 headToHead', '3. Dave 2 headToHead', '4. Carol 2 headToHead'],
+      champion: 'Alice'
+    },
+    {
+      label: 'game difference after a drawn head-to-head',
+      names: ['Alice', 'Bob', 'Carol'],
+      bestOf: 3,
+      results: { 'Alice-Bob': ['Alice', 'Bob', null], 'Alice-Carol': ['Alice', 'Alice'], 'Bob-Carol': ['Bob', 'Carol', 'Bob'] },
+      standings: ['1. Alice 3 gameDifference', '2. Bob 3 gameDifference', '3. Carol 0 -'],
+      champion: 'Alice'
+    },
+    {
+      label: 'games won when the game difference is equal too',
+      names: ['Alice', 'Bob', 'Carol'],
+      bestOf: 3,
+      results: { 'Alice-Bob': [null, null, null], 'Alice-Carol': ['Alice', 'Carol', 'Alice'], 'Bob-Carol': ['Bob', null, null] },
+      standings: ['1. Alice 3 gamesWon', '2. Bob 3 gamesWon', '3. Carol 0 -'],
+      champion: 'Alice'
+    },
+    {
+      label: 'a perfect tie shares the rank, listed by name',
+      names: ['Carol', 'Alice', 'Bob'],
+      bestOf: 1,
+      results: { 'Alice-Bob': ['Alice'], 'Bob-Carol': ['Bob'], 'Alice-Carol': ['Carol'] },
+      standings: ['1. Alice 2 -', '1. Bob 2 -', '1. Carol 2 -'],
+      champion: null
+    }
+  ]) {
+    const tournament = playRoundRobin(names, bestOf, results);
+    assert.equal(tournament.status, 'finished', label);
+    assert.deepEqual(table(tournament), standings, label);
+    assert.equal(tournament.winner && tournament.players.find((player) => player.id === tournament.winner).name, champion, label);
+  }
+});
+
+test('standings count unfinished matches in the games but not in the points', () => {
+  let tournament = createTournament({ format: 'round-robin', bestOf: 3, names: ['Alice', 'Bob', 'Carol'], rules: RULES, startingSymbol: 'X' });
+  // Premier tour: Bob contre Carol, Alice au repos; Bob commence avec X
+  tournament = recordTournamentGame(tournament, { gameId: 'g1', winner: 'X', moves: 5 });
+  const [leader] = computeStandings(tournament);
+  assert.deepEqual({ name: leader.name, played: leader.played, points: leader.points, gamesWon: leader.gamesWon }, { name: 'Bob', played: 0, points: 0, gamesWon: 1 });
+  assert.equal(tournamentLeader(tournament), null);
+});
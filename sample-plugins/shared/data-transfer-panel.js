@@ -0,0 +1,259 @@
+/**
+ * Data export / import panel
+ *
+ * Settings-page section built on plugin-backup.js: downloads the plugin's
+ * data as a JSON backup (plus any CSV exports the plugin declares), and
+ * restores a backup after showing what it will change. Restoring is only
+ * offered to users allowed by `canRestore`.
+ */
+
+import {
+  BackupError,
+  backupFileName,
+  createBackup,
+  downloadFile,
+  importBackup,
+  parseBackup,
+  previewImport,
+  toCsv
+} from './plugin-backup.js';
+
+const { ref, computed } = (typeof window !== 'undefined' && window.Vue) || {};
+
+const DEFAULT_LABELS = {
+  title: 'Data',
+  description: 'Download a backup of this plugin\'s data, or restore one.',
+  exportJson: 'Download backup',
+  importJson: 'Restore a backup',
+  previewTitle: 'Changes to apply',
+  backupFrom: 'Backup of {date}, version {version}',
+  added: 'Added',
+  updated: 'Replaced',
+  removed: 'Removed',
+  ignored: 'Ignored (unknown): {keys}',
+  noChanges: 'This backup matches the current data.',
+  confirm: 'Restore',
+  cancel: 'Cancel',
+  exported: 'Backup downloaded',
+  exportedDetail: 'Keep the file to restore the data later.',
+  imported: 'Backup restored',
+  importedDetail: 'The data has been replaced with the backup.',
+  importFailed: 'Backup not restored',
+  'error.invalid-json': 'The file is not valid JSON.',
+  'error.invalid-format': 'The file is not a backup of plugin data.',
+  'error.unsupported-version': 'This backup format is not supported.',
+  'error.wrong-plugin': 'This backup belongs to another plugin ({pluginId}).',
+  'error.newer-data': 'This backup comes from a newer version ({version}). Update the plugin first.',
+  'error.failed': 'The data could not be written; nothing was changed.'
+};
+
+// Short form of a stored value for the preview: entry count, or the value itself
+const summarize = (value) => {
+  if (value === null || value === undefined) return '–';
+  if (Array.isArray(value)) return String(value.length);
+  if (typeof value === 'object') return String(Object.keys(value).length);
+  const text = String(value);
+  return text.length > 24 ? `${text.slice(0, 23)}…` : text;
+};
+
+const fill = (text, params = {}) =>
+  String(text).replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+
+/**
+ * Create the panel component.
+ * @param {object} context - Plugin context
+ * @param {object} options
+ * @param {string[]} options.keys - Plugin-data keys included in backups
+ * @param {Array<object>} [options.migrations] - Migration steps run on restored data (plugin-migrations.js)
+ * @param {Array<{ id: string, label: string|Function, build: Function }>} [options.csvExports] - CSV
+ *   downloads; `build()` returns { rows, columns } for toCsv()
+ * @param {Function} [options.onImported] - Called after a successful restore (refresh stores, widgets)
+ * @param {object|Function} [options.labels] - Overrides for DEFAULT_LABELS, or a function returning them
+ * @param {Function} [options.canRestore] - Whether the current user may restore a backup (re-evaluated reactively)
+ */
+export const createDataTransferPanel = (context, {
+  keys,
+  migrations = [],
+  csvExports = [],
+  onImported,
+  labels = {},
+  canRestore = () => true
+}) => ({
+  name: 'PluginDataTransferPanel',
+
+  setup() {
+    const text = computed(() => ({ ...DEFAULT_LABELS, ...(typeof labels === 'function' ? labels() : labels) }));
+    const pluginVersion = context.manifest?.version;
+    // Backups from older versions may hold keys that only a migration still reads
+    const importKeys = [...new Set([...keys, ...migrations.flatMap((step) => step.keys || [])])];
+
+    const restorable = computed(() => !!canRestore());
+    const pending = ref(null);
+    const error = ref('');
+    const fileInput = ref(null);
+
+    const csvButtons = computed(() => csvExports.map((entry) => ({
+      id: entry.id,
+      label: typeof entry.label === 'function' ? entry.label() : entry.label
+    })));
+
+    const changedRows = computed(() => (pending.value?.changes || []).filter((row) => row.change !== 'unchanged'));
+
+    const exportJson = () => {
+      const bundle = createBackup(context, { keys, pluginVersion });
+      downloadFile(backupFileName(context.pluginId), JSON.stringify(bundle, null, 2));
+      context.showSuccess?.(text.value.exported, text.value.exportedDetail);
+    };
+
+    const exportCsv = (id) => {
+      const entry = csvExports.find((e) => e.id === id);
+      if (!entry) return;
+      const { rows, columns } = entry.build();
+      // BOM so spreadsheet apps read accented names as UTF-8
+      downloadFile(backupFileName(context.pluginId, 'csv', id), `\uFEFF${toCsv(rows, columns)}`, 'text/csv;charset=utf-8');
+    };
+
+    const describeError = (err) => {
+      if (err instanceof BackupError) return fill(text.value[`error.${err.code}`] || err.message, err.details);
+      return text.value['error.failed'];
+    };
+
+    const chooseFile = () => fileInput.value?.click();
+
+    const onFileSelected = async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = '';
+      if (!file) return;
+      error.value = '';
+      pending.value = null;
+      try {
+        const { bundle, ignoredKeys } = parseBackup(await file.text(), {
+          pluginId: context.pluginId,
+          keys: importKeys,
+          pluginVersion
+        });
+        pending.value = { bundle, ignoredKeys, changes: previewImport(context, bundle, { keys: importKeys }) };
+      } catch (err) {
+        error.value = describeError(err);
+      }
+    };
+
+    const cancel = () => { pending.value = null; };
+
+    const confirmImport = () => {
+      if (!pending.value || !restorable.value) return;
+      const result = importBackup(context, pending.value.bundle, {
+        keys: importKeys,
+        migrations,
+        toVersion: pluginVersion
+      });
+      pending.value = null;
+      if (!result.ok) {
+        console.error('Backup restore failed:', result.error);
+        error.value = describeError(result.error);
+        context.showError?.(text.value.importFailed, error.value);
+        return;
+      }
+      onImported?.(result);
+      context.showSuccess?.(text.value.imported, text.value.importedDetail);
+    };
+
+    const backupSummary = computed(() => pending.value && fill(text.value.backupFrom, {
+      date: new Date(pending.value.bundle.exportedAt).toLocaleString(),
+      version: pending.value.bundle.dataVersion
+    }));
+
+    return {
+      text,
+      pending,
+      error,
+      fileInput,
+      csvButtons,
+      changedRows,
+      backupSummary,
+      restorable,
+      exportJson,
+      exportCsv,
+      chooseFile,
+      onFileSelected,
+      cancel,
+      confirmImport,
+      summarize,
+      fill
+    };
+  },
+
+  template: `
+    <div class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6 space-y-4">
+      <div>
+        <h2 class="text-lg font-semibold plugin-text flex items-center">
+          <i class="pi pi-database mr-2 plugin-text-secondary"></i>
+          {{ text.title }}
+        </h2>
+        <p class="text-sm plugin-text-muted mt-1">{{ text.description }}</p>
+      </div>
+
+      <div class="flex flex-wrap gap-3">
+        <button type="button" @click="exportJson" class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary">
+          <i class="pi pi-download mr-1"></i>
+          {{ text.exportJson }}
+        </button>
+        <button
+          v-for="csv in csvButtons"
+          :key="csv.id"
+          type="button"
+          @click="exportCsv(csv.id)"
+          class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong"
+        >
+          <i class="pi pi-file-excel mr-1"></i>
+          {{ csv.label }}
+        </button>
+        <button v-if="restorable" type="button" @click="chooseFile" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+          <i class="pi pi-upload mr-1"></i>
+          {{ text.importJson }}
+        </button>
+        <input ref="fileInput" type="file" accept="application/json,.json" class="hidden" @change="onFileSelected" />
+      </div>
+
+      <p v-if="error" class="text-sm plugin-text-danger">
+        <i class="pi pi-exclamation-triangle mr-1"></i>
+        {{ error }}
+      </p>
+
+      <div v-if="pending && restorable" class="border plugin-border rounded-md p-4 space-y-3">
+        <div>
+          <div class="font-medium plugin-text">{{ text.previewTitle }}</div>
+          <div class="text-sm plugin-text-muted">{{ backupSummary }}</div>
+        </div>
+        <ul v-if="changedRows.length" class="text-sm space-y-1">
+          <li v-for="row in changedRows" :key="row.key" class="flex items-center justify-between">
+            <span>
+              <code class="plugin-text-secondary">{{ row.key }}</code>
+              <span class="ml-2 plugin-text-subtle">{{ summarize(row.before) }} → {{ summarize(row.after) }}</span>
+            </span>
+            <span v-if="row.change === 'added'" class="px-2 py-0.5 rounded plugin-tone-success">{{ text.added }}</span>
+            <span v-else-if="row.change === 'removed'" class="px-2 py-0.5 rounded plugin-tone-danger">{{ text.removed }}</span>
+            <span v-else class="px-2 py-0.5 rounded plugin-tone-warning">{{ text.updated }}</span>
+          </li>
+        </ul>
+        <p v-else class="text-sm plugin-text-muted">{{ text.noChanges }}</p>
+        <p v-if="pending.ignoredKeys.length" class="text-xs plugin-text-subtle">
+          {{ fill(text.ignored, { keys: pending.ignoredKeys.join(', ') }) }}
+        </p>
+        <div class="flex items-center space-x-3">
+          <button
+            type="button"
+            @click="confirmImport"
+            :disabled="!changedRows.length"
+            class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary disabled:opacity-50"
+          >
+            {{ text.confirm }}
+          </button>
+          <button type="button" @click="cancel" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+            {{ text.cancel }}
+          </button>
+        </div>
+      </div>
+    </div>
+  `
+});
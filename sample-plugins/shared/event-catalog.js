@@ -0,0 +1,199 @@
+/**
+ * Event catalog
+ *
+ * Checks a plugin's inter-plugin events against the catalog declared under
+ * `events` in plugin.json:
+ *
+ *   "events": {
+ *     "emits": {
+ *       "my-plugin:item-saved": {
+ *         "version": "1.0.0",
+ *         "description": "An item was saved",
+ *         "payload": {
+ *           "type": "object",
+ *           "required": ["id"],
+ *           "properties": { "id": { "type": "string" } }
+ *         }
+ *       }
+ *     },
+ *     "consumes": {
+ *       "other-plugin:thing-happened": { "version": "^1.0.0", "payload": { ... } }
+ *     }
+ *   }
+ *
+ * `payload` is a JSON Schema subset (see validatePayload). A consumer's
+ * payload schema lists only what it relies on; `node tools/plugin-cli.mjs
+ * events` compares it with the emitter's and writes each plugin's EVENTS.md.
+ *
+ * At runtime the checks only run in development (the mock context, or
+ * `{ validate: true }`): context.emitEvent and context.onEvent are wrapped so
+ * undeclared events and payloads that do not match their schema are logged
+ * with console.warn. The event is delivered either way.
+ */
+
+export const EVENT_PROBLEM_PREFIX = '[event-catalog]';
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Validate a value against a JSON Schema subset: type (string or array,
+ * including "integer" and "null"), enum, const, properties, required,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength,
+ * pattern and format "date-time".
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Name of the value in the messages
+ * @returns {string[]} Problems, empty when the value matches
+ */
+export const validatePayload = (schema, value, path = 'payload') => {
+  if (!schema || typeof schema !== 'object') return [];
+  const problems = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    problems.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${path} must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      problems.push(`${path} must be an ISO 8601 date-time`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validatePayload(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        problems.push(...validatePayload(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${key} is not declared`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        problems.push(...validatePayload(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Wrap the context's event functions with the catalog checks. Create it once
+ * per plugin module, right after getting the context.
+ * @param {object} context - Plugin context
+ * @param {object} [options]
+ * @param {object} [options.events] - Manifest `events` object (defaults to context.manifest.events)
+ * @param {boolean} [options.validate] - Run the checks (defaults to true on the mock context only)
+ * @param {(message: string) => void} [options.warn]
+ * @returns {{ enabled: boolean, emits: object, consumes: object, problems: string[], check: Function }}
+ */
+export const createEventCatalog = (context, {
+  events = context?.manifest?.events,
+  validate = context?.isMock === true,
+  warn = (message) => console.warn(message)
+} = {}) => {
+  const emits = events?.emits || {};
+  const consumes = events?.consumes || {};
+  const problems = [];
+  const enabled = !!(validate && events && context);
+
+  // Each problem is logged once, however often the event fires
+  const report = (message) => {
+    if (problems.includes(message)) return;
+    problems.push(message);
+    warn(`${EVENT_PROBLEM_PREFIX} ${context.pluginId}: ${message}`);
+  };
+
+  /**
+   * Check a payload against the declaration of an emitted or consumed event.
+   * @param {'emits'|'consumes'} direction
+   * @returns {string[]}
+   */
+  const check = (direction, eventName, payload) => {
+    const declaration = (direction === 'emits' ? emits : consumes)[eventName];
+    return declaration ? validatePayload(declaration.payload, payload) : [];
+  };
+
+  if (enabled) {
+    const { emitEvent, onEvent, offEvent } = context;
+    // eventName -> (handler as registered by the plugin -> checked wrapper), for offEvent
+    const wrapped = new Map();
+
+    if (emitEvent) {
+      context.emitEvent = (eventName, payload) => {
+        if (!Object.hasOwn(emits, eventName)) {
+          report(`emits "${eventName}", which is not declared in events.emits`);
+        } else {
+          const mismatch = check('emits', eventName, payload);
+          if (mismatch.length) report(`"${eventName}" payload does not match its schema: ${mismatch.join('; ')}`);
+        }
+        return emitEvent(eventName, payload);
+      };
+    }
+
+    if (onEvent) {
+      context.onEvent = (eventName, handler) => {
+        // Listening to its own events needs no `consumes` entry
+        const own = Object.hasOwn(emits, eventName);
+        if (!own && !Object.hasOwn(consumes, eventName)) {
+          report(`listens to "${eventName}", which is not declared in events.consumes`);
+        }
+        const checked = own ? handler : (payload) => {
+          const mismatch = check('consumes', eventName, payload);
+          if (mismatch.length) report(`received a "${eventName}" payload it cannot use: ${mismatch.join('; ')}`);
+          return handler(payload);
+        };
+        if (!wrapped.has(eventName)) wrapped.set(eventName, new Map());
+        wrapped.get(eventName).set(handler, checked);
+        return onEvent(eventName, checked);
+      };
+    }
+
+    if (offEvent) {
+      context.offEvent = (eventName, handler) =>
+        offEvent(eventName, wrapped.get(eventName)?.get(handler) || handler);
+    }
+  }
+
+  return { enabled, emits, consumes, problems, check };
+};
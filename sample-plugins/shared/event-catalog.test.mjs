@@ -0,0 +1,119 @@
+/**
+ * Event catalog checks, on the mock context
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/shared/event-catalog.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createEventCatalog, validatePayload } from './event-catalog.js';
+import { createMockPluginContext } from './mock-plugin-context.js';
+import { createPluginBootstrap } from './plugin-bootstrap.js';
+
+const HELLO_WORLD_URL = new URL('../hello-world-plugin/index.js', import.meta.url).href;
+const manifest = JSON.parse(readFileSync(new URL('../hello-world-plugin/plugin.json', import.meta.url), 'utf8'));
+
+// Catalog on a fresh mock context; warnings are collected instead of logged
+const setup = (options = {}) => {
+  const context = createMockPluginContext(manifest.id, { manifest, ...options });
+  const warnings = [];
+  const catalog = createEventCatalog(context, { warn: (message) => warnings.push(message) });
+  return { context, catalog, warnings };
+};
+
+test('validatePayload accepts a matching payload and explains a mismatch', () => {
+  const schema = manifest.events.emits['hello-world:button-clicked'].payload;
+  assert.deepEqual(validatePayload(schema, { count: 3 }), []);
+  assert.deepEqual(validatePayload(schema, { count: 0, extra: true }), [
+    'payload.count must be >= 1',
+    'payload.extra is not declared'
+  ]);
+  assert.deepEqual(validatePayload(schema, {}), ['payload.count is required']);
+  assert.deepEqual(validatePayload(schema, 'three'), ['payload must be object, got string']);
+});
+
+test('an emitted payload that matches its schema is accepted', () => {
+  const { context, catalog, warnings } = setup();
+  assert.equal(catalog.enabled, true);
+
+  context.emitEvent('hello-world:button-clicked', { count: 1 });
+  assert.deepEqual(warnings, []);
+  assert.equal(context.emittedEvents.length, 1);
+});
+
+test('an emitted payload that does not match its schema is reported once', () => {
+  const { context, catalog, warnings } = setup();
+
+  context.emitEvent('hello-world:button-clicked', { count: 'one' });
+  context.emitEvent('hello-world:button-clicked', { count: 'one' });
+  assert.deepEqual(catalog.problems, [
+    '"hello-world:button-clicked" payload does not match its schema: payload.count must be integer, got string'
+  ]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^\[event-catalog\] hello-world-plugin: /);
+  // Still delivered: the check only reports
+  assert.equal(context.emittedEvents.length, 2);
+});
+
+test('undeclared events are reported, in both directions', () => {
+  const { context, catalog } = setup();
+
+  context.emitEvent('hello-world:unknown', {});
+  context.onEvent('other-plugin:thing-happened', () => {});
+  assert.deepEqual(catalog.problems, [
+    'emits "hello-world:unknown", which is not declared in events.emits',
+    'listens to "other-plugin:thing-happened", which is not declared in events.consumes'
+  ]);
+});
+
+test('a received payload is checked against the consumes declaration', () => {
+  const context = createMockPluginContext(manifest.id);
+  const catalog = createEventCatalog(context, {
+    events: {
+      consumes: {
+        'other-plugin:item-saved': {
+          version: '^1.0.0',
+          payload: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+        }
+      }
+    },
+    warn: () => {}
+  });
+  const received = [];
+  context.onEvent('other-plugin:item-saved', (payload) => received.push(payload));
+
+  context.bus.emit('other-plugin:item-saved', { id: 'a1' });
+  assert.deepEqual(catalog.problems, []);
+  context.bus.emit('other-plugin:item-saved', { id: 42 });
+  assert.deepEqual(catalog.problems, [
+    'received a "other-plugin:item-saved" payload it cannot use: payload.id must be string, got number'
+  ]);
+  assert.equal(received.length, 2);
+});
+
+test('the checks are off outside the mock context unless asked for', () => {
+  const context = { ...createMockPluginContext(manifest.id, { manifest }), isMock: false };
+  assert.equal(createEventCatalog(context).enabled, false);
+  assert.equal(createEventCatalog(context, { validate: true, warn: () => {} }).enabled, true);
+});
+
+test('mock mode reads the catalog from the plugin.json next to the module', async () => {
+  const warnings = [];
+  let catalog = null;
+  const plugin = createPluginBootstrap(manifest.id, {
+    mock: true,
+    moduleUrl: HELLO_WORLD_URL,
+    theme: false,
+    performance: false,
+    setup: (context) => { catalog = createEventCatalog(context, { warn: (message) => warnings.push(message) }); }
+  });
+  const context = await plugin.ready();
+
+  assert.deepEqual(context.manifest, manifest);
+  assert.equal(catalog.enabled, true);
+  context.emitEvent('hello-world:button-clicked', { count: 2 });
+  assert.deepEqual(warnings, []);
+  context.emitEvent('hello-world:button-clicked', { count: -1 });
+  assert.equal(warnings.length, 1);
+});
@@ -0,0 +1,109 @@
+/**
+ * Plugin internationalization
+ *
+ * Each plugin ships one message catalog per language under `locales/`, as an
+ * ES module exporting a flat object of dotted keys:
+ *
+ *   // locales/en.js
+ *   export default {
+ *     'game.turn': "{player}'s turn",
+ *     'history.moves': { one: '{count} move', other: '{count} moves' }
+ *   };
+ *
+ * - `{name}` placeholders are replaced with the matching parameter (numbers
+ *   are formatted for the locale)
+ * - An object is a plural message: the form is picked with Intl.PluralRules
+ *   from the `count` parameter, `zero` wins for 0 when present and `other`
+ *   is the last resort
+ * - The locale comes from the context (context.locale when the portal
+ *   provides it, then the user's `locale`/`language`), then the browser.
+ *   Unsupported locales use `fallbackLocale`, and keys missing from the
+ *   selected catalog are read from the fallback catalog
+ *
+ * `node tools/plugin-cli.mjs validate` reports keys missing from a catalog
+ * and `t('...')` calls whose key no catalog defines.
+ */
+
+const { computed } = (typeof window !== 'undefined' && window.Vue) || {};
+
+const makeComputed = (getter) => (computed ? computed(getter) : { get value() { return getter(); } });
+
+const unwrap = (value) => (value && typeof value === 'object' && 'value' in value ? value.value : value);
+
+/**
+ * Candidate locales, most preferred first.
+ * @param {object} context - Plugin context
+ * @returns {string[]}
+ */
+export const preferredLocales = (context) => {
+  const user = unwrap(context?.currentUser);
+  const browser = typeof navigator !== 'undefined' ? [...(navigator.languages || []), navigator.language] : [];
+  return [unwrap(context?.locale), user?.locale, user?.language, ...browser]
+    .filter((locale) => typeof locale === 'string' && locale);
+};
+
+/**
+ * First supported locale among the candidates: exact tag first ("fr-CA"),
+ * then its language ("fr").
+ * @param {string[]} candidates
+ * @param {string[]} supported
+ * @param {string} fallback
+ */
+export const resolveLocale = (candidates, supported, fallback) => {
+  const lookup = new Map(supported.map((locale) => [locale.toLowerCase(), locale]));
+  for (const candidate of candidates) {
+    const tag = candidate.replace(/_/g, '-').toLowerCase();
+    const match = lookup.get(tag) || lookup.get(tag.split('-')[0]);
+    if (match) return match;
+  }
+  return fallback;
+};
+
+/**
+ * Format one catalog message.
+ * @param {string|object} message - Text, or plural forms keyed by Intl.PluralRules category
+ * @param {object} [params]
+ * @param {string} [locale]
+ */
+export const formatMessage = (message, params = {}, locale = 'en') => {
+  let text = message;
+  if (message && typeof message === 'object') {
+    const count = Number(params.count);
+    if (count === 0 && message.zero !== undefined) text = message.zero;
+    else text = message[Number.isFinite(count) ? new Intl.PluralRules(locale).select(count) : 'other'] ?? message.other;
+  }
+  return String(text ?? '').replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  });
+};
+
+/**
+ * Create the translator of a plugin. Create it once per plugin module.
+ * @param {object} context - Plugin context
+ * @param {object} options
+ * @param {Record<string, object>} options.messages - Catalogs by locale, e.g. { en, fr }
+ * @param {string} options.fallbackLocale - Locale used when the user's is not supported
+ */
+export const createI18n = (context, { messages, fallbackLocale }) => {
+  const locales = Object.keys(messages);
+  const locale = makeComputed(() => resolveLocale(preferredLocales(context), locales, fallbackLocale));
+
+  const lookup = (key) => messages[locale.value]?.[key] ?? messages[fallbackLocale]?.[key];
+
+  /**
+   * Translate `key`; returns the key itself when no catalog defines it.
+   */
+  const t = (key, params) => {
+    const message = lookup(key);
+    return message === undefined ? key : formatMessage(message, params, locale.value);
+  };
+
+  return {
+    locale,
+    locales,
+    t,
+    has: (key) => lookup(key) !== undefined
+  };
+};
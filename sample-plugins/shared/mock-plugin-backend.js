@@ -0,0 +1,106 @@
+/**
+ * In-memory fake of the plugin backend API for development and tests
+ *
+ * Answers the plugin endpoints the way the portal documents them, through a
+ * fetch-compatible function:
+ * - GET <apiBaseUrl>/plugins/installed
+ * - GET <apiBaseUrl>/plugins?status=...&page=...&limit=...
+ * - GET <apiBaseUrl>/plugins/:id (record id or plugin id)
+ * - POST <apiBaseUrl>/plugins/:id/install and /uninstall
+ * - DELETE <apiBaseUrl>/plugins/:id
+ *
+ * Usage:
+ *   const backend = createMockPluginBackend({
+ *     plugins: [{ pluginId: 'hello-world-plugin', name: 'Hello World', status: 'INSTALLED' }]
+ *   });
+ *   const api = createPluginApi(context, { fetchImpl: backend.fetch });
+ *   backend.failWith(500);   // next requests answer 500 (failWith(null) to recover)
+ *   backend.requests;        // ['/api/plugins/installed', ...]
+ */
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => JSON.parse(JSON.stringify(body))
+});
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.plugins] - Plugin records ({ pluginId, name, version, status, ... })
+ * @param {string} [options.apiBaseUrl] - Must match the context's apiBaseUrl
+ * @param {number} [options.delay] - Response delay in milliseconds
+ */
+export const createMockPluginBackend = ({ plugins = [], apiBaseUrl = '/api', delay = 0 } = {}) => {
+  let records = plugins.map((plugin, i) => ({ id: `plugin-${i + 1}`, version: '1.0.0', ...plugin }));
+  let failure = null;
+  const requests = [];
+
+  const find = (id) => records.find((plugin) => plugin.id === id || plugin.pluginId === id);
+
+  const setStatus = (pluginId, status, extra = {}) => {
+    records = records.map((plugin) => (plugin.pluginId === pluginId ? { ...plugin, ...extra, status } : plugin));
+  };
+
+  const respond = (method, path, params) => {
+    if (failure !== null) return jsonResponse(failure, { message: 'Mock failure' });
+    const [, id, action] = /^\/plugins\/([^/]+)(?:\/(install|uninstall))?$/.exec(path) || [];
+    if (id && id !== 'installed') {
+      const plugin = find(decodeURIComponent(id));
+      if (!plugin) return jsonResponse(404, { message: `Plugin ${decodeURIComponent(id)} not found` });
+      const { pluginId, name, version } = plugin;
+      if (method === 'GET' && !action) return jsonResponse(200, plugin);
+      if (method === 'POST' && action === 'install') {
+        const installedAt = new Date().toISOString();
+        setStatus(pluginId, 'INSTALLED', { installedAt });
+        return jsonResponse(200, {
+          success: true, pluginId, name, version, message: 'Plugin installed successfully',
+          installedAt, dependencies: { satisfied: true }, warnings: []
+        });
+      }
+      if (method === 'POST' && action === 'uninstall') {
+        setStatus(pluginId, 'UNINSTALLED');
+        return jsonResponse(200, { success: true, pluginId, message: 'Plugin uninstalled successfully' });
+      }
+      if (method === 'DELETE' && !action) {
+        records = records.filter((record) => record !== plugin);
+        return jsonResponse(200, { success: true, message: 'Plugin deleted successfully' });
+      }
+      return jsonResponse(405, { message: `${method} is not supported on ${path}` });
+    }
+    if (method !== 'GET') return jsonResponse(405, { message: `${method} is not supported on ${path}` });
+    if (path === '/plugins/installed') {
+      return jsonResponse(200, records.filter((plugin) => plugin.status === 'INSTALLED'));
+    }
+    if (path === '/plugins') {
+      const status = params.get('status');
+      const matching = status ? records.filter((plugin) => plugin.status === status) : records;
+      const limit = Number(params.get('limit')) || matching.length || 1;
+      const page = Number(params.get('page')) || 1;
+      return jsonResponse(200, { plugins: matching.slice((page - 1) * limit, page * limit), total: matching.length });
+    }
+    return jsonResponse(404, { message: `No mock for ${path}` });
+  };
+
+  const fetch = async (input, { method = 'GET' } = {}) => {
+    const url = new URL(String(input), 'http://mock.local');
+    requests.push(`${method === 'GET' ? '' : `${method} `}${url.pathname}${url.search}`);
+    if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+    if (!url.pathname.startsWith(apiBaseUrl)) return jsonResponse(404, { message: 'Not an API URL' });
+    return respond(method.toUpperCase(), url.pathname.slice(apiBaseUrl.length), url.searchParams);
+  };
+
+  return {
+    fetch,
+    requests,
+    get plugins() { return records; },
+
+    /** Replace the plugin records (e.g. after a simulated install) */
+    setPlugins(next) { records = next.map((plugin) => ({ ...plugin })); },
+
+    /** Change the status of one plugin, matched on pluginId */
+    setStatus(pluginId, status) { setStatus(pluginId, status); },
+
+    /** Answer every request with this HTTP status (null to answer normally again) */
+    failWith(status) { failure = status; }
+  };
+};
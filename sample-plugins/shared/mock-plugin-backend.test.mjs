@@ -0,0 +1,153 @@
+/**
+ * Mock plugin backend: routes, error answers and state kept between requests,
+ * through the plugin API client the plugins use
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/shared/mock-plugin-backend.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockPluginBackend } from './mock-plugin-backend.js';
+import { createMockPluginContext } from './mock-plugin-context.js';
+import { PluginApiError, createPluginApi } from './plugin-api.js';
+
+const PLUGINS = [
+  { pluginId: 'hello-world-plugin', name: 'Hello World', status: 'INSTALLED' },
+  { pluginId: 'morpion-plugin', name: 'Morpion', status: 'INSTALLED' },
+  { pluginId: 'charts-plugin', name: 'Charts', status: 'UPLOADED' },
+  { pluginId: 'legacy-plugin', name: 'Legacy', status: 'UNINSTALLED' }
+];
+
+const setup = (options = {}) => {
+  const backend = createMockPluginBackend({ plugins: PLUGINS, ...options });
+  const context = createMockPluginContext('hello-world-plugin', { apiBaseUrl: options.apiBaseUrl });
+  return { backend, api: createPluginApi(context, { fetchImpl: backend.fetch }) };
+};
+
+const call = async (backend, url, method) => {
+  const response = await backend.fetch(url, method ? { method } : undefined);
+  return { status: response.status, ok: response.ok, body: await response.json() };
+};
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+test('records get an id and a default version', () => {
+  const { backend } = setup();
+  assert.deepEqual(backend.plugins.map(({ id, version }) => [id, version]), [
+    ['plugin-1', '1.0.0'], ['plugin-2', '1.0.0'], ['plugin-3', '1.0.0'], ['plugin-4', '1.0.0']
+  ]);
+});
+
+test('GET /plugins/installed lists the installed plugins', async () => {
+  const { api } = setup();
+  const installed = await api.listInstalled();
+  assert.deepEqual(installed.map((plugin) => plugin.pluginId), ['hello-world-plugin', 'morpion-plugin']);
+});
+
+test('GET /plugins filters on status and pages the result', async () => {
+  const { api } = setup();
+  assert.equal((await api.listPlugins()).total, 4);
+
+  const uploaded = await api.listPlugins({ status: 'UPLOADED' });
+  assert.deepEqual(uploaded.plugins.map((plugin) => plugin.pluginId), ['charts-plugin']);
+  assert.equal(uploaded.total, 1);
+
+  const secondPage = await api.listPlugins({ status: 'INSTALLED', page: 2, limit: 1 });
+  assert.deepEqual(secondPage.plugins.map((plugin) => plugin.pluginId), ['morpion-plugin']);
+  assert.equal(secondPage.total, 2);
+});
+
+test('GET /plugins/:id finds a record by record id or plugin id', async () => {
+  const { backend } = setup();
+  assert.equal((await call(backend, '/api/plugins/plugin-3')).body.pluginId, 'charts-plugin');
+  assert.equal((await call(backend, '/api/plugins/morpion-plugin')).body.id, 'plugin-2');
+  assert.equal((await call(backend, `/api/plugins/${encodeURIComponent('morpion-plugin')}`)).status, 200);
+});
+
+test('requests are logged with their method and query', async () => {
+  const { backend, api } = setup();
+  await api.listPlugins({ status: 'UPLOADED', limit: 1 });
+  await call(backend, '/api/plugins/charts-plugin/install', 'POST');
+  assert.deepEqual(backend.requests, ['/api/plugins?status=UPLOADED&limit=1', 'POST /api/plugins/charts-plugin/install']);
+});
+
+test('the API base URL is the one of the context', async () => {
+  const { backend, api } = setup({ apiBaseUrl: '/portal/api' });
+  assert.equal((await api.listInstalled()).length, 2);
+  assert.deepEqual(backend.requests, ['/portal/api/plugins/installed']);
+});
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+test('unknown plugins, paths and methods get 404 and 405 answers', async () => {
+  const { backend } = setup();
+  assert.deepEqual(await call(backend, '/api/plugins/nope'), { status: 404, ok: false, body: { message: 'Plugin nope not found' } });
+  assert.equal((await call(backend, '/api/other')).status, 404);
+  assert.deepEqual((await call(backend, '/elsewhere/plugins')).body, { message: 'Not an API URL' });
+  assert.equal((await call(backend, '/api/plugins/hello-world-plugin', 'PUT')).status, 405);
+  assert.equal((await call(backend, '/api/plugins/installed', 'POST')).status, 405);
+  assert.equal((await call(backend, '/api/plugins/hello-world-plugin/install', 'GET')).status, 405);
+});
+
+test('failWith answers every request with an error until it is cleared', async () => {
+  const { backend, api } = setup();
+  backend.failWith(503);
+
+  await assert.rejects(api.listInstalled(), (error) => {
+    assert.ok(error instanceof PluginApiError);
+    assert.equal(error.status, 503);
+    assert.equal(error.url, '/api/plugins/installed');
+    return true;
+  });
+  assert.equal((await call(backend, '/api/plugins/plugin-1')).status, 503);
+
+  backend.failWith(null);
+  assert.equal((await api.listInstalled()).length, 2);
+});
+
+test('the client reports unreachable servers and invalid JSON', async () => {
+  const context = createMockPluginContext('hello-world-plugin');
+  const offline = createPluginApi(context, { fetchImpl: async () => { throw new Error('offline'); } });
+  await assert.rejects(offline.listInstalled(), { name: 'PluginApiError', status: 0, message: 'Network error: offline' });
+
+  const garbled = createPluginApi(context, {
+    fetchImpl: async () => ({ ok: true, status: 200, json: async () => JSON.parse('<html>') })
+  });
+  await assert.rejects(garbled.listInstalled(), { status: 200, message: 'Response is not valid JSON' });
+});
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+test('install, uninstall and delete change what the next requests see', async () => {
+  const { backend, api } = setup();
+
+  const installed = await call(backend, '/api/plugins/charts-plugin/install', 'POST');
+  assert.equal(installed.body.success, true);
+  assert.equal(installed.body.pluginId, 'charts-plugin');
+  assert.ok(backend.plugins.find((plugin) => plugin.pluginId === 'charts-plugin').installedAt);
+  assert.equal((await api.listInstalled()).length, 3);
+  assert.equal((await api.listPlugins({ status: 'UPLOADED' })).total, 0);
+
+  await call(backend, '/api/plugins/hello-world-plugin/uninstall', 'POST');
+  assert.equal((await call(backend, '/api/plugins/hello-world-plugin')).body.status, 'UNINSTALLED');
+  assert.deepEqual((await api.listInstalled()).map((plugin) => plugin.pluginId), ['morpion-plugin', 'charts-plugin']);
+
+  assert.equal((await call(backend, '/api/plugins/plugin-4', 'DELETE')).body.success, true);
+  assert.equal((await call(backend, '/api/plugins/legacy-plugin')).status, 404);
+  assert.equal((await api.listPlugins()).total, 3);
+});
+
+test('setStatus and setPlugins replace the state directly', async () => {
+  const { backend, api } = setup();
+  backend.setStatus('morpion-plugin', 'FAILED');
+  assert.deepEqual((await api.listPlugins({ status: 'FAILED' })).plugins.map((plugin) => plugin.pluginId), ['morpion-plugin']);
+
+  backend.setPlugins([]);
+  assert.deepEqual(await api.listPlugins(), { plugins: [], total: 0 });
+});
@@ -0,0 +1,199 @@
+/**
+ * In-memory PluginContext for development and tests
+ *
+ * Implements the full context API documented in
+ * docs/PLUGIN_DEVELOPMENT_GUIDE.md without a running portal:
+ * - Scoped plugin storage (JSON round-tripped like localStorage)
+ * - Event bus with offEvent, shareable between several mock contexts
+ * - Captured notifications, navigations and emitted events
+ * - currentUser / roles / permissions with hasRole / hasPermission helpers
+ * - UI locale, switchable with setLocale
+ *
+ * Usage:
+ *   const context = createMockPluginContext('my-plugin', {
+ *     user: { id: 'u1', firstName: 'Ada' },
+ *     permissions: ['PLUGIN_ADMIN']
+ *   });
+ *   context.showSuccess('Saved');
+ *   context.notifications; // [{ severity: 'success', summary: 'Saved', detail: undefined }]
+ */
+
+const { ref, computed } = (typeof window !== 'undefined' && window.Vue) || {};
+
+// Falls back to plain `{ value }` holders when Vue is not loaded (e.g. in Node).
+const makeRef = (value) => (ref ? ref(value) : { value });
+const makeComputed = (getter) => (computed ? computed(getter) : { get value() { return getter(); } });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Create an event bus. Pass the same bus to several mock contexts to let
+ * their plugins talk to each other.
+ */
+export const createMockEventBus = () => {
+  const handlers = new Map();
+
+  const off = (eventName, handler) => {
+    handlers.get(eventName)?.delete(handler);
+  };
+
+  const on = (eventName, handler) => {
+    if (!handlers.has(eventName)) handlers.set(eventName, new Set());
+    handlers.get(eventName).add(handler);
+    return () => off(eventName, handler);
+  };
+
+  const emit = (eventName, payload) => {
+    for (const handler of [...(handlers.get(eventName) || [])]) {
+      handler(payload);
+    }
+  };
+
+  const listenerCount = (eventName) => handlers.get(eventName)?.size || 0;
+
+  return { on, off, emit, listenerCount };
+};
+
+/**
+ * Create a mock plugin context.
+ * @param {string} pluginId
+ * @param {object} [options]
+ * @param {object|null} [options.user] - Current user, null for signed-out
+ * @param {string[]} [options.roles]
+ * @param {string[]} [options.permissions]
+ * @param {object} [options.manifest] - Contents of plugin.json
+ * @param {object} [options.data] - Initial plugin data, keyed like setPluginData
+ * @param {object} [options.bus] - Shared bus from createMockEventBus()
+ * @param {string} [options.apiBaseUrl]
+ * @param {string|null} [options.locale] - UI locale (BCP 47), null to use the browser's
+ */
+export const createMockPluginContext = (pluginId, options = {}) => {
+  const {
+    user = { id: 'mock-user', firstName: 'User', lastName: 'Mock', email: 'user@example.com' },
+    roles = [],
+    permissions = [],
+    manifest = { id: pluginId },
+    data = {},
+    bus = createMockEventBus(),
+    apiBaseUrl = '/api',
+    locale = null
+  } = options;
+
+  const userRef = makeRef(user);
+  const rolesRef = makeRef([...roles]);
+  const permissionsRef = makeRef([...permissions]);
+  const localeRef = makeRef(locale);
+
+  const storage = new Map(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]));
+  const notifications = [];
+  const emittedEvents = [];
+  const navigations = [];
+  const history = ['/dashboard'];
+
+  const notify = (severity) => (message, detail) => {
+    notifications.push({ severity, summary: message, detail });
+  };
+
+  const navigateTo = async (path) => {
+    navigations.push(path);
+    history.push(path);
+  };
+
+  const navigateBack = () => {
+    if (history.length > 1) history.pop();
+    navigations.push(history[history.length - 1]);
+  };
+
+  const hasRole = (roleName) => rolesRef.value.includes(roleName);
+
+  return {
+    // Application info
+    appVersion: '1.0.0',
+    coreVersion: '1.0.0',
+
+    // Plugin info
+    pluginId,
+    manifest,
+
+    // Locale
+    locale: makeComputed(() => localeRef.value),
+
+    // User & authentication
+    currentUser: makeComputed(() => userRef.value),
+    isAuthenticated: makeComputed(() => !!userRef.value),
+    userRoles: makeComputed(() => rolesRef.value),
+    userPermissions: makeComputed(() => permissionsRef.value),
+
+    // Permission checking
+    hasRole,
+    hasPermission: (permissionName) => permissionsRef.value.includes(permissionName),
+    hasAnyRole: (roleNames) => roleNames.some(hasRole),
+    hasAllRoles: (roleNames) => roleNames.every(hasRole),
+
+    // Routing
+    router: {
+      push: (to) => navigateTo(typeof to === 'string' ? to : to.path || `/${to.name || ''}`),
+      back: navigateBack,
+      get currentRoute() { return { value: { path: history[history.length - 1] } }; }
+    },
+    navigateTo,
+    navigateBack,
+
+    // Notifications
+    toast: {
+      add: ({ severity, summary, detail }) => notifications.push({ severity, summary, detail })
+    },
+    showSuccess: notify('success'),
+    showError: notify('error'),
+    showWarning: notify('warn'),
+    showInfo: notify('info'),
+
+    // API access
+    apiBaseUrl,
+    getApiUrl: (endpoint) => `${apiBaseUrl}/${String(endpoint).replace(/^\/+/, '')}`,
+
+    // Plugin storage
+    getPluginData: (key) => (storage.has(key) ? JSON.parse(storage.get(key)) : null),
+    setPluginData: (key, value) => {
+      if (value === undefined) storage.delete(key);
+      else storage.set(key, JSON.stringify(value));
+    },
+    removePluginData: (key) => { storage.delete(key); },
+    clearPluginData: () => { storage.clear(); },
+
+    // Inter-plugin communication
+    emitEvent: (eventName, payload) => {
+      emittedEvents.push({ eventName, payload: clone(payload) });
+      bus.emit(eventName, payload);
+    },
+    // Returns nothing, like the portal's: unsubscribe with offEvent
+    onEvent: (eventName, handler) => { bus.on(eventName, handler); },
+    offEvent: (eventName, handler) => bus.off(eventName, handler),
+
+    // ------------------------------------------------------------------------
+    // Test helpers (not part of the real context API)
+    // ------------------------------------------------------------------------
+
+    isMock: true,
+    bus,
+    notifications,
+    emittedEvents,
+    navigations,
+
+    /** Snapshot of everything stored through setPluginData */
+    dumpPluginData: () =>
+      Object.fromEntries([...storage].map(([key, value]) => [key, JSON.parse(value)])),
+
+    /** Switch the signed-in user (null signs out) */
+    setUser: (nextUser, { roles: nextRoles = [], permissions: nextPermissions = [] } = {}) => {
+      userRef.value = nextUser;
+      rolesRef.value = [...nextRoles];
+      permissionsRef.value = [...nextPermissions];
+    },
+
+    /** Switch the UI locale (null falls back to the browser's) */
+    setLocale: (nextLocale) => {
+      localeRef.value = nextLocale;
+    }
+  };
+};
@@ -0,0 +1,83 @@
+/**
+ * Plugin backend API client
+ *
+ * Thin wrapper around the read endpoints documented in
+ * docs/PLUGIN_DEVELOPMENT_GUIDE.md ("API Endpoints Reference"). URLs are
+ * built with context.getApiUrl so the portal's API base is respected.
+ *
+ * Usage:
+ *   const api = createPluginApi(context);
+ *   const installed = await api.listInstalled();                  // GET /api/plugins/installed
+ *   const { plugins, total } = await api.listPlugins({ status: 'UPLOADED' });
+ *
+ * Failed requests reject with a PluginApiError carrying the HTTP status
+ * (0 when the request never reached the server).
+ */
+
+export const PLUGIN_STATUSES = ['UPLOADED', 'INSTALLED', 'FAILED', 'UNINSTALLED'];
+
+export class PluginApiError extends Error {
+  constructor(message, status, url) {
+    super(message);
+    this.name = 'PluginApiError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Create the client.
+ * @param {object} context - Plugin context
+ * @param {object} [options]
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to the global one)
+ */
+// plugin-scan-allow no-external-network -- fetch is only bound here, for tests to replace: every request below goes to context.getApiUrl(endpoint)
+export const createPluginApi = (context, { fetchImpl = globalThis.fetch?.bind(globalThis) } = {}) => {
+  const get = async (endpoint) => {
+    const url = context.getApiUrl(endpoint);
+    if (!fetchImpl) throw new PluginApiError('fetch is not available in this environment', 0, url);
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers: { Accept: 'application/json' }, credentials: 'same-origin' });
+    } catch (e) {
+      throw new PluginApiError(`Network error: ${e.message}`, 0, url);
+    }
+    if (!response.ok) throw new PluginApiError(`Request failed with status ${response.status}`, response.status, url);
+    try {
+      return await response.json();
+    } catch {
+      throw new PluginApiError('Response is not valid JSON', response.status, url);
+    }
+  };
+
+  /**
+   * Plugins currently installed (the ones the portal loads)
+   * @returns {Promise<object[]>}
+   */
+  const listInstalled = async () => {
+    const body = await get('/plugins/installed');
+    return Array.isArray(body) ? body : [];
+  };
+
+  /**
+   * One page of plugins, optionally filtered by status
+   * @param {object} [query]
+   * @param {string} [query.status] - One of PLUGIN_STATUSES
+   * @param {number} [query.page]
+   * @param {number} [query.limit]
+   * @returns {Promise<{ plugins: object[], total: number }>}
+   */
+  const listPlugins = async ({ status, page, limit } = {}) => {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (page !== undefined) params.set('page', String(page));
+    if (limit !== undefined) params.set('limit', String(limit));
+    const query = params.toString();
+    const body = await get(`/plugins${query ? `?${query}` : ''}`);
+    const plugins = Array.isArray(body?.plugins) ? body.plugins : [];
+    return { plugins, total: Number.isFinite(body?.total) ? body.total : plugins.length };
+  };
+
+  return { listInstalled, listPlugins };
+};
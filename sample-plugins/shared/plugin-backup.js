@@ -0,0 +1,219 @@
+/**
+ * Plugin data backup and restore
+ *
+ * A backup is a versioned JSON bundle of the plugin-data keys a plugin
+ * declares (storage cannot list keys, so each plugin names them):
+ *
+ *   {
+ *     "format": "plugin-data-backup",
+ *     "formatVersion": 1,
+ *     "pluginId": "morpion-plugin",
+ *     "pluginVersion": "1.1.0",
+ *     "dataVersion": "1.1.0",
+ *     "exportedAt": "2026-01-01T12:00:00.000Z",
+ *     "data": { "playerRecords": { ... }, "gameHistory": [ ... ] }
+ *   }
+ *
+ * Importing restores the declared keys exactly as they are in the bundle
+ * (keys missing from it are removed), then runs the plugin's migrations
+ * from the bundle's dataVersion (see plugin-migrations.js), so a backup made
+ * by an older version can be restored into a newer one. Bundles from a newer
+ * version, another plugin or another format are rejected.
+ *
+ * Tabular data can also be exported as CSV (toCsv); CSV is export-only.
+ */
+
+import {
+  DATA_VERSION_KEY,
+  compareVersions,
+  readDataVersion,
+  runMigrations,
+  writePluginData
+} from './plugin-migrations.js';
+
+export const BACKUP_FORMAT = 'plugin-data-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Error thrown for a bundle that cannot be imported. `code` identifies the
+ * problem so the UI can translate it: invalid-json, invalid-format,
+ * unsupported-version, wrong-plugin, newer-data.
+ */
+export class BackupError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Bundle the current value of `keys`. Absent keys are left out.
+ * @param {object} context - Plugin context
+ * @param {object} options
+ * @param {string[]} options.keys - Plugin-data keys to export
+ * @param {string} [options.pluginVersion] - Defaults to the manifest version
+ * @returns {object} Backup bundle
+ */
+export const createBackup = (context, { keys, pluginVersion = context.manifest?.version || '0.0.0' }) => {
+  const data = {};
+  for (const key of keys) {
+    const value = context.getPluginData(key);
+    if (value !== null && value !== undefined) data[key] = value;
+  }
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    pluginId: context.pluginId,
+    pluginVersion,
+    dataVersion: readDataVersion(context) || pluginVersion,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+};
+
+/**
+ * Validate a bundle (object or JSON text).
+ * @param {string|object} input
+ * @param {object} options
+ * @param {string} options.pluginId - Expected plugin
+ * @param {string[]} options.keys - Keys the plugin imports
+ * @param {string} [options.pluginVersion] - Installed version; newer data is rejected
+ * @returns {{ bundle: object, ignoredKeys: string[] }}
+ * @throws {BackupError}
+ */
+export const parseBackup = (input, { pluginId, keys, pluginVersion }) => {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input);
+    } catch (err) {
+      throw new BackupError(`Not a JSON file: ${err.message}`, 'invalid-json');
+    }
+  }
+
+  if (!isObject(bundle) || bundle.format !== BACKUP_FORMAT || !isObject(bundle.data)) {
+    throw new BackupError('Not a plugin data backup', 'invalid-format');
+  }
+  if (bundle.formatVersion !== BACKUP_FORMAT_VERSION) {
+    throw new BackupError(`Unsupported backup format version ${bundle.formatVersion}`, 'unsupported-version',
+      { formatVersion: bundle.formatVersion });
+  }
+  if (bundle.pluginId !== pluginId) {
+    throw new BackupError(`This backup belongs to ${bundle.pluginId}`, 'wrong-plugin', { pluginId: bundle.pluginId });
+  }
+  const dataVersion = typeof bundle.dataVersion === 'string' ? bundle.dataVersion : '0.0.0';
+  if (pluginVersion && compareVersions(dataVersion, pluginVersion) > 0) {
+    throw new BackupError(`This backup was made by version ${dataVersion}, newer than ${pluginVersion}`, 'newer-data',
+      { version: dataVersion });
+  }
+
+  return {
+    bundle: { ...bundle, dataVersion },
+    ignoredKeys: Object.keys(bundle.data).filter((key) => !keys.includes(key))
+  };
+};
+
+/**
+ * What importing `bundle` would change, key by key.
+ * @returns {Array<{ key: string, change: 'added'|'updated'|'removed'|'unchanged', before: *, after: * }>}
+ */
+export const previewImport = (context, bundle, { keys }) =>
+  keys.map((key) => {
+    const before = context.getPluginData(key) ?? null;
+    const after = bundle.data[key] ?? null;
+    let change = 'updated';
+    if (sameValue(before, after)) change = 'unchanged';
+    else if (before === null) change = 'added';
+    else if (after === null) change = 'removed';
+    return { key, change, before, after };
+  });
+
+/**
+ * Restore a validated bundle, then migrate it to the installed version.
+ * Nothing is kept from the import if a write or a migration step fails.
+ * @param {object} context - Plugin context
+ * @param {object} bundle - Bundle returned by parseBackup()
+ * @param {object} options
+ * @param {string[]} options.keys
+ * @param {Array<object>} [options.migrations] - The plugin's migration steps
+ * @param {string} [options.toVersion] - Installed version (defaults to the manifest version)
+ * @returns {{ ok: boolean, applied: string[], error?: Error }}
+ */
+export const importBackup = (context, bundle, { keys, migrations = [], toVersion = context.manifest?.version }) => {
+  const tracked = [...keys, DATA_VERSION_KEY];
+  const snapshot = new Map(tracked.map((key) => [key, context.getPluginData(key)]));
+  const restore = () => { for (const [key, value] of snapshot) writePluginData(context, key, value); };
+
+  try {
+    for (const key of keys) writePluginData(context, key, bundle.data[key]);
+    writePluginData(context, DATA_VERSION_KEY, bundle.dataVersion);
+  } catch (error) {
+    restore();
+    return { ok: false, applied: [], error };
+  }
+
+  const result = runMigrations(context, migrations, { fromVersion: bundle.dataVersion, toVersion });
+  if (!result.ok) {
+    restore();
+    return { ok: false, applied: [], error: result.error };
+  }
+  return { ok: true, applied: result.applied };
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV (RFC 4180, CRLF line endings).
+ * @param {object[]} rows
+ * @param {Array<{ key: string, label?: string }>} columns
+ */
+export const toCsv = (rows, columns) =>
+  [columns.map((column) => csvCell(column.label ?? column.key)), ...rows.map((row) =>
+    columns.map((column) => csvCell(row[column.key])))]
+    .map((cells) => cells.join(','))
+    .join('\r\n');
+
+/**
+ * File name such as "morpion-plugin-backup-2026-01-31.json".
+ */
+export const backupFileName = (pluginId, extension = 'json', suffix = 'backup') =>
+  `${pluginId}-${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/**
+ * Have the browser download `content` as a file.
+ */
+export const downloadFile = (fileName, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Download a backup of `keys` (e.g. before onUninstall clears the data).
+ * @returns {object} The bundle that was downloaded
+ */
+export const downloadBackup = (context, { keys, pluginVersion }) => {
+  const bundle = createBackup(context, { keys, pluginVersion });
+  downloadFile(backupFileName(context.pluginId), JSON.stringify(bundle, null, 2));
+  return bundle;
+};
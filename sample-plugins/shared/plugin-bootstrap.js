@@ -0,0 +1,435 @@
+/**
+ * Plugin bootstrap
+ *
+ * Gets a plugin's context from the portal without depending on load order,
+ * and keeps one failing widget from taking the dashboard down:
+ *
+ *   const plugin = createPluginBootstrap('my-plugin', {
+ *     setup: (context) => createEventCatalog(context)
+ *   });
+ *   const context = plugin.context;                          // lazy, see below
+ *   const settings = plugin.lazy(() => createPluginSettings(context));
+ *
+ *   export const MyWidget = plugin.withErrorBoundary(MyWidgetView);
+ *
+ * `plugin.context` stands in for the real context: the first property read
+ * calls window.usePluginContext(pluginId). When the host is not ready yet
+ * (the function is missing, throws or returns nothing) the read throws a
+ * PluginContextError and the bootstrap keeps retrying in the background;
+ * wrapped widgets show a loading card meanwhile and render as soon as the
+ * context arrives. Module-level code must therefore not read the context:
+ * build context-backed stores with plugin.lazy().
+ *
+ * plugin.withErrorBoundary() catches whatever the wrapped component throws
+ * (setup, render, lifecycle hooks, event handlers), shows a fallback card
+ * with a "Try again" button and reports the failure (see report()). It also
+ * times the component's load, setup and first render (see
+ * widget-performance.js).
+ *
+ * The bootstrap also installs the shared theme (plugin-theme.js), whose
+ * `plugin-*` classes give plugin templates their light and dark colors.
+ *
+ * Mock mode is never a silent fallback. Pass `{ mock: true }` (or mock
+ * context options), or set `window.__PLUGIN_MOCK_MODE__ = true` on a page
+ * that loads plugins without the portal; the bootstrap then loads
+ * mock-plugin-context.js, says so in the console and labels every widget.
+ * The mock is imported only then, so it is not part of the packaged plugin,
+ * and its manifest is the plugin.json next to `moduleUrl` (settings schema,
+ * event catalog).
+ */
+
+import { installPluginTheme } from './plugin-theme.js';
+import { createWidgetPerformance } from './widget-performance.js';
+
+const { ref, computed, inject, provide, onErrorCaptured } = (typeof window !== 'undefined' && window.Vue) || {};
+
+// Falls back to a plain `{ value }` holder when Vue is not loaded (e.g. in Node).
+const makeRef = (value) => (ref ? ref(value) : { value });
+
+export const BOOTSTRAP_PREFIX = '[plugin-bootstrap]';
+
+// Global a host-less page sets to run its plugins on the mock context
+export const MOCK_MODE_FLAG = '__PLUGIN_MOCK_MODE__';
+
+// Next to this module in the source tree; left out of the packaged plugin,
+// which never runs in mock mode
+const MOCK_MODULE = './mock-plugin-context.js';
+
+// Specifiers computed at runtime are not followed when the plugin is packaged
+// plugin-scan-allow undeclared-import -- only called in mock mode, which the packaged plugin never runs, with MOCK_MODULE or the plugin.json next to moduleUrl: both relative URLs
+const importAtRuntime = (url, options) => import(url, options);
+
+// Provided by every boundary, so nested ones (a page rendering a wrapped
+// settings page) do not repeat the mock label
+const BOUNDARY_KEY = Symbol('plugin-error-boundary');
+
+const DEFAULT_LABELS = {
+  loading: 'Connecting to the portal…',
+  failed: 'This widget is unavailable',
+  failedDetail: 'Something went wrong while displaying it. The problem has been reported.',
+  unavailableDetail: 'The portal did not respond. Check your connection and try again.',
+  retry: 'Try again',
+  mock: 'Mock data'
+};
+
+/**
+ * The plugin context could not be obtained from the host.
+ */
+export class PluginContextError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} pluginId
+   * @param {'not-ready'|'unavailable'} code - `not-ready` while retrying, `unavailable` once given up
+   * @param {Error} [cause] - Last error thrown by window.usePluginContext
+   */
+  constructor(message, pluginId, code, cause) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'PluginContextError';
+    this.pluginId = pluginId;
+    this.code = code;
+  }
+}
+
+/**
+ * Create the bootstrap of a plugin module. Call it once, at module level.
+ * @param {string} pluginId
+ * @param {object} [options]
+ * @param {boolean|object} [options.mock] - Use the mock context: true, or options for
+ *   createMockPluginContext (defaults to window.__PLUGIN_MOCK_MODE__)
+ * @param {string} [options.moduleUrl] - `import.meta.url` of the plugin module: locates
+ *   the plugin.json the mock context uses as manifest, and starts the widget timings
+ * @param {(context: object) => void} [options.setup] - Runs once with the context, before any other use
+ * @param {number} [options.retryDelay] - First delay between attempts, doubled up to 2 seconds (ms)
+ * @param {number} [options.timeout] - Give up waiting for the host after this long (ms)
+ * @param {object|Function} [options.labels] - Overrides for DEFAULT_LABELS, or a function returning them
+ * @param {(failure: object) => void} [options.onError] - Called with every widget failure report
+ * @param {object|false} [options.performance] - Options for createWidgetPerformance
+ *   ({ budgets }), false to leave the widgets untimed
+ * @param {boolean} [options.theme] - Install the theme stylesheet (false when the page provides it)
+ * @returns {object} { pluginId, context, status, error, failures, ready, retry, lazy, report, withErrorBoundary }
+ */
+export const createPluginBootstrap = (pluginId, {
+  // plugin-scan-allow restricted-global -- read, never written: development pages set it to opt into the mock, the portal never does
+  mock = typeof window !== 'undefined' ? window[MOCK_MODE_FLAG] : undefined,
+  moduleUrl,
+  setup,
+  retryDelay = 50,
+  timeout = 10000,
+  labels = {},
+  onError,
+  performance: performanceOptions = {},
+  theme = true
+} = {}) => {
+  // 'pending' until the context is acquired, then 'ready' or 'mock';
+  // 'failed' once the host has not answered within `timeout`
+  const status = makeRef('pending');
+  const error = makeRef(null);
+  const failures = [];
+  const timing = performanceOptions === false ? null : createWidgetPerformance(pluginId, { moduleUrl, ...performanceOptions });
+  if (theme) installPluginTheme();
+
+  let resolved = null;
+  let lastError = null;
+  let timer = null;
+  let startedAt = 0;
+  let waiters = [];
+  let mockLoading = false;
+
+  // Translated labels usually need the context: plain English until it is there
+  const text = () => {
+    if (status.value === 'pending' || status.value === 'failed') return DEFAULT_LABELS;
+    try {
+      return { ...DEFAULT_LABELS, ...(typeof labels === 'function' ? labels() : labels) };
+    } catch {
+      return DEFAULT_LABELS;
+    }
+  };
+
+  const settle = (value, failure) => {
+    const pending = waiters;
+    waiters = [];
+    pending.forEach(({ resolve, reject }) => (failure ? reject(failure) : resolve(value)));
+  };
+
+  const use = (context, mode) => {
+    resolved = context;
+    if (setup) {
+      try {
+        setup(context);
+      } catch (e) {
+        console.error(`${BOOTSTRAP_PREFIX} ${pluginId}: setup failed`, e);
+      }
+    }
+    status.value = mode;
+    error.value = null;
+    settle(context);
+    return context;
+  };
+
+  const fail = (failure) => {
+    status.value = 'failed';
+    error.value = failure;
+    console.error(`${BOOTSTRAP_PREFIX} ${pluginId}: ${failure.message}`);
+    settle(null, failure);
+  };
+
+  // Without plugin.json the mock still runs, with neither settings nor event checks
+  const loadManifest = async () => {
+    if (!moduleUrl) return undefined;
+    try {
+      return (await importAtRuntime(new URL('./plugin.json', moduleUrl).href, { with: { type: 'json' } })).default;
+    } catch (e) {
+      console.warn(`${BOOTSTRAP_PREFIX} ${pluginId}: mock mode - plugin.json could not be loaded (${e.message})`);
+      return undefined;
+    }
+  };
+
+  const startMock = () => {
+    if (mockLoading) return;
+    mockLoading = true;
+    console.warn(`${BOOTSTRAP_PREFIX} ${pluginId}: mock mode - running on an in-memory context, nothing reaches the portal`);
+    Promise.all([importAtRuntime(new URL(MOCK_MODULE, import.meta.url).href), loadManifest()])
+      .then(([{ createMockPluginContext }, manifest]) => {
+        use(createMockPluginContext(pluginId, { ...(manifest && { manifest }), ...(typeof mock === 'object' ? mock : {}) }), 'mock');
+      })
+      .catch((e) => {
+        fail(new PluginContextError(`Mock mode: the mock context could not be loaded (${e.message})`, pluginId, 'unavailable', e));
+      });
+  };
+
+  // One synchronous attempt; null while the host is not ready (or the mock is loading)
+  const attempt = () => {
+    if (resolved) return resolved;
+    if (mock) {
+      startMock();
+      return null;
+    }
+    const usePluginContext = typeof window !== 'undefined' ? window.usePluginContext : undefined;
+    if (typeof usePluginContext !== 'function') return null;
+    try {
+      const context = usePluginContext(pluginId);
+      if (context) return use(context, 'ready');
+    } catch (e) {
+      lastError = e;
+    }
+    return null;
+  };
+
+  const giveUp = () => {
+    timer = null;
+    const detail = lastError
+      ? `window.usePluginContext kept failing (${lastError.message})`
+      : 'window.usePluginContext did not become available';
+    const failure = new PluginContextError(
+      `${detail} within ${timeout} ms. Outside the portal, set window.${MOCK_MODE_FLAG} = true to use the mock context.`,
+      pluginId,
+      'unavailable',
+      lastError
+    );
+    fail(failure);
+  };
+
+  const poll = (delay) => {
+    timer = setTimeout(() => {
+      if (attempt()) {
+        timer = null;
+      } else if (Date.now() - startedAt >= timeout) {
+        giveUp();
+      } else {
+        poll(Math.min(delay * 2, 2000));
+      }
+    }, delay);
+  };
+
+  // The mock needs no polling: it settles once loaded
+  const startPolling = () => {
+    if (mock || timer || resolved || status.value === 'failed') return;
+    startedAt = Date.now();
+    poll(retryDelay);
+  };
+
+  const acquire = () => {
+    const context = attempt();
+    if (context) return context;
+    startPolling();
+    if (status.value === 'failed') throw error.value;
+    throw new PluginContextError(
+      `The context of ${pluginId} is not available yet`,
+      pluginId,
+      'not-ready',
+      lastError
+    );
+  };
+
+  /**
+   * Wait for the context.
+   * @returns {Promise<object>} Resolves with the context; rejects with a
+   *   PluginContextError when the host does not answer in time
+   */
+  const ready = () => {
+    if (attempt()) return Promise.resolve(resolved);
+    if (status.value === 'failed') return Promise.reject(error.value);
+    startPolling();
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  };
+
+  /**
+   * Start waiting for the host again after a failure.
+   */
+  const retry = () => {
+    if (resolved || status.value !== 'failed') return;
+    status.value = 'pending';
+    error.value = null;
+    lastError = null;
+    mockLoading = false;
+    if (mock) startMock();
+    else startPolling();
+  };
+
+  // Every read and write goes to the real context, acquired on first use
+  const context = new Proxy({}, {
+    get: (_, key) => Reflect.get(acquire(), key),
+    set: (_, key, value) => Reflect.set(acquire(), key, value),
+    has: (_, key) => key in acquire(),
+    deleteProperty: (_, key) => Reflect.deleteProperty(acquire(), key),
+    ownKeys: () => Reflect.ownKeys(acquire()),
+    getOwnPropertyDescriptor: (_, key) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(acquire(), key);
+      return descriptor && { ...descriptor, configurable: true };
+    }
+  });
+
+  /**
+   * Defer a context-backed store (settings, activity log...) to its first
+   * use. The returned object stands in for the one `factory` creates.
+   * @param {() => object} factory
+   */
+  const lazy = (factory) => {
+    let instance = null;
+    const get = () => {
+      if (!instance) instance = factory();
+      return instance;
+    };
+    return new Proxy({}, {
+      get: (_, key) => Reflect.get(get(), key),
+      set: (_, key, value) => Reflect.set(get(), key, value),
+      has: (_, key) => key in get()
+    });
+  };
+
+  /**
+   * Record a widget failure: logged, kept in `failures` and emitted as
+   * `<pluginId>:widget-failed` when the context is up.
+   * @param {Error} failure
+   * @param {{ widget: string, info?: string }} where
+   */
+  const report = (failure, { widget, info = '' }) => {
+    const entry = {
+      widget,
+      message: failure?.message || String(failure),
+      info,
+      at: new Date().toISOString()
+    };
+    failures.push(entry);
+    console.error(`${BOOTSTRAP_PREFIX} ${pluginId}: ${widget} failed${info ? ` (${info})` : ''}`, failure);
+    if (resolved?.emitEvent) {
+      try {
+        resolved.emitEvent(`${pluginId}:widget-failed`, { widget, message: entry.message, at: entry.at });
+      } catch {
+        // Reporting must not fail in turn
+      }
+    }
+    if (onError) onError(entry);
+    return entry;
+  };
+
+  /**
+   * Wrap a component so its errors show a fallback card instead of
+   * breaking the page. Props, attributes and listeners are passed through.
+   * @param {object} component
+   * @returns {object} Wrapper component
+   */
+  const withErrorBoundary = (component) => {
+    const widget = component.name || 'Widget';
+
+    return {
+      name: `${widget}Boundary`,
+      inheritAttrs: false,
+      components: { PluginWidget: timing ? timing.instrument(component) : component },
+
+      setup() {
+        const failure = ref(null);
+        // Bumped to mount a fresh instance of the widget
+        const renderKey = ref(0);
+        const labelText = computed(text);
+        const nested = inject(BOUNDARY_KEY, false);
+        provide(BOUNDARY_KEY, true);
+
+        // Nothing has asked for the context yet when the portal mounts the first widget
+        if (status.value === 'pending') ready().catch(() => {});
+
+        onErrorCaptured((captured, instance, info) => {
+          failure.value = captured;
+          report(captured, { widget, info });
+          return false;
+        });
+
+        const tryAgain = () => {
+          if (status.value === 'failed') {
+            retry();
+            return;
+          }
+          failure.value = null;
+          renderKey.value++;
+        };
+
+        return { failure, renderKey, status, nested, text: labelText, tryAgain };
+      },
+
+      template: `
+        <div v-if="status === 'pending'" class="plugin-bg-surface rounded-lg shadow border plugin-border p-4" role="status">
+          <div class="flex items-center text-sm plugin-text-muted">
+            <i class="pi pi-spin pi-spinner mr-2"></i>
+            {{ text.loading }}
+          </div>
+        </div>
+        <div v-else-if="status === 'failed' || failure" class="plugin-bg-surface rounded-lg shadow border plugin-border p-4" role="alert">
+          <div class="flex items-start space-x-3">
+            <i class="pi pi-exclamation-triangle plugin-text-warning text-xl"></i>
+            <div class="flex-1">
+              <p class="font-medium plugin-text">{{ text.failed }}</p>
+              <p class="text-sm plugin-text-muted mt-1">{{ status === 'failed' ? text.unavailableDetail : text.failedDetail }}</p>
+              <button
+                type="button"
+                @click="tryAgain"
+                class="mt-3 text-sm px-3 py-1.5 rounded-md border plugin-border-strong plugin-text-secondary plugin-hover-surface-alt"
+              >
+                <i class="pi pi-refresh mr-1"></i>
+                {{ text.retry }}
+              </button>
+            </div>
+          </div>
+        </div>
+        <template v-else>
+          <p v-if="status === 'mock' && !nested" class="text-xs plugin-text-warning mb-1">
+            <i class="pi pi-info-circle mr-1"></i>{{ text.mock }}
+          </p>
+          <PluginWidget :key="renderKey" v-bind="$attrs" />
+        </template>
+      `
+    };
+  };
+
+  return {
+    pluginId,
+    context,
+    status,
+    error,
+    failures,
+    ready,
+    retry,
+    lazy,
+    report,
+    withErrorBoundary
+  };
+};
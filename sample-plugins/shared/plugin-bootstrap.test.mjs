@@ -0,0 +1,223 @@
+/**
+ * Plugin bootstrap: waiting for a late context, giving up, the error
+ * boundary and the mock label
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/shared/plugin-bootstrap.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { click, flush, mount } from '../../tools/plugin-test-env.mjs';
+import { createMockPluginContext } from './mock-plugin-context.js';
+import { MOCK_MODE_FLAG, PluginContextError, createPluginBootstrap } from './plugin-bootstrap.js';
+
+const HELLO_WORLD_URL = new URL('../hello-world-plugin/index.js', import.meta.url).href;
+
+// Neither the theme stylesheet nor the timings matter here
+const bootstrap = (pluginId, options = {}) => createPluginBootstrap(pluginId, { theme: false, performance: false, ...options });
+
+// Host whose usePluginContext is swapped per test, restored afterwards
+const withHost = (t, usePluginContext) => {
+  const saved = window.usePluginContext;
+  window.usePluginContext = usePluginContext;
+  t.after(() => { window.usePluginContext = saved; });
+};
+
+const widget = (name, setup = () => ({})) => ({ name, setup, template: `<p>${name} loaded</p>` });
+
+// ============================================================================
+// Late context
+// ============================================================================
+
+test('a late context is picked up by the retries, and setup runs once', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  withHost(t, undefined);
+  const setups = [];
+  const plugin = bootstrap('late-plugin', { retryDelay: 10, setup: (context) => setups.push(context) });
+
+  assert.throws(() => plugin.context.pluginId, (e) => e instanceof PluginContextError && e.code === 'not-ready');
+  assert.equal(plugin.status.value, 'pending');
+  const ready = plugin.ready();
+
+  t.mock.timers.tick(10);
+  const context = createMockPluginContext('late-plugin');
+  window.usePluginContext = (pluginId) => (pluginId === 'late-plugin' ? context : null);
+  t.mock.timers.tick(20);
+
+  assert.equal(await ready, context);
+  assert.equal(plugin.status.value, 'ready');
+  assert.equal(plugin.context.pluginId, 'late-plugin');
+  assert.deepEqual(setups, [context]);
+});
+
+test('a host that keeps failing is given up on, then retried on demand', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.mock.method(console, 'error', () => {});
+  withHost(t, () => { throw new Error('Portal still starting'); });
+  const plugin = bootstrap('flaky-host-plugin', { retryDelay: 10, timeout: 100 });
+  const ready = plugin.ready();
+
+  // Attempts at 10, 30, 70 and 150 ms: the fourth one is past the timeout
+  t.mock.timers.tick(150);
+  await assert.rejects(ready, (e) => {
+    assert.ok(e instanceof PluginContextError);
+    assert.equal(e.code, 'unavailable');
+    assert.match(e.message, /kept failing \(Portal still starting\) within 100 ms/);
+    assert.match(e.message, new RegExp(`window\\.${MOCK_MODE_FLAG} = true`));
+    assert.equal(e.cause.message, 'Portal still starting');
+    return true;
+  });
+  assert.equal(plugin.status.value, 'failed');
+  assert.throws(() => plugin.context.pluginId, (e) => e === plugin.error.value);
+  await assert.rejects(plugin.ready(), (e) => e === plugin.error.value);
+
+  const context = createMockPluginContext('flaky-host-plugin');
+  window.usePluginContext = () => context;
+  plugin.retry();
+  assert.equal(plugin.status.value, 'pending');
+  t.mock.timers.tick(10);
+  assert.equal(plugin.status.value, 'ready');
+  assert.equal(await plugin.ready(), context);
+});
+
+// ============================================================================
+// Error boundary
+// ============================================================================
+
+test('a wrapped widget waits for the context behind a loading card', async (t) => {
+  withHost(t, undefined);
+  const plugin = bootstrap('waiting-plugin', { retryDelay: 5 });
+  const view = await mount(plugin.withErrorBoundary(widget('WaitingWidget')));
+  assert.match(view.text(), /Connecting to the portal/);
+
+  window.usePluginContext = () => createMockPluginContext('waiting-plugin');
+  await plugin.ready();
+  await flush();
+  assert.equal(view.text(), 'WaitingWidget loaded');
+  view.unmount();
+});
+
+test('a failing widget shows the fallback, is reported, and comes back with "Try again"', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const context = createMockPluginContext('failing-plugin');
+  withHost(t, () => context);
+  const reports = [];
+  const plugin = bootstrap('failing-plugin', {
+    onError: (entry) => reports.push(entry),
+    labels: () => ({ failed: 'Widget unavailable', retry: 'Reload' })
+  });
+  await plugin.ready();
+
+  let attempts = 0;
+  const FlakyWidget = widget('FlakyWidget', () => {
+    attempts++;
+    if (attempts === 1) throw new Error('Setup exploded');
+    return {};
+  });
+  const view = await mount(plugin.withErrorBoundary(FlakyWidget));
+
+  assert.ok(view.find('[role="alert"]'));
+  assert.match(view.text(), /Widget unavailable/);
+  assert.match(view.text(), /Something went wrong while displaying it/);
+  assert.deepEqual(plugin.failures.map(({ widget, message, info }) => ({ widget, message, info })), [
+    { widget: 'FlakyWidget', message: 'Setup exploded', info: 'setup function' }
+  ]);
+  assert.deepEqual(reports, plugin.failures);
+  assert.deepEqual(context.emittedEvents.map((event) => [event.eventName, event.payload.widget]), [
+    ['failing-plugin:widget-failed', 'FlakyWidget']
+  ]);
+
+  await click(view.button('Reload'));
+  assert.equal(view.text(), 'FlakyWidget loaded');
+  assert.equal(attempts, 2);
+  view.unmount();
+});
+
+test('an error in an event handler is caught by the boundary too', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  withHost(t, () => createMockPluginContext('handler-plugin'));
+  const plugin = bootstrap('handler-plugin');
+  await plugin.ready();
+
+  const view = await mount(plugin.withErrorBoundary({
+    name: 'ButtonWidget',
+    setup: () => ({ save: () => { throw new Error('Save failed'); } }),
+    template: '<button type="button" @click="save">Save</button>'
+  }));
+  await click(view.button('Save'));
+
+  assert.match(view.text(), /This widget is unavailable/);
+  assert.equal(plugin.failures.at(-1).message, 'Save failed');
+  view.unmount();
+});
+
+test('once the host is given up on, the card says so and "Try again" waits again', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  withHost(t, undefined);
+  const plugin = bootstrap('offline-plugin', { retryDelay: 5, timeout: 5 });
+  const view = await mount(plugin.withErrorBoundary(widget('OfflineWidget')));
+
+  await assert.rejects(plugin.ready(), PluginContextError);
+  await flush();
+  assert.match(view.text(), /The portal did not respond/);
+
+  window.usePluginContext = () => createMockPluginContext('offline-plugin');
+  await click(view.button('Try again'));
+  await plugin.ready();
+  await flush();
+  assert.equal(view.text(), 'OfflineWidget loaded');
+  view.unmount();
+});
+
+// ============================================================================
+// Mock mode
+// ============================================================================
+
+test('mock mode says so in the console and labels the widgets once', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+  withHost(t, () => { throw new Error('The mock must not ask the host'); });
+  const plugin = bootstrap('hello-world-plugin', { mock: { locale: 'fr' }, moduleUrl: HELLO_WORLD_URL });
+  const context = await plugin.ready();
+
+  assert.equal(plugin.status.value, 'mock');
+  assert.equal(context.isMock, true);
+  assert.equal(context.locale.value, 'fr');
+  assert.equal(context.manifest.id, 'hello-world-plugin');
+  assert.match(warnings.join('\n'), /hello-world-plugin: mock mode - running on an in-memory context/);
+
+  const Inner = plugin.withErrorBoundary(widget('InnerWidget'));
+  const view = await mount(plugin.withErrorBoundary({
+    name: 'OuterWidget',
+    components: { Inner },
+    template: '<section><Inner /></section>'
+  }));
+  assert.equal(view.findAll('p').filter((p) => p.textContent.trim() === 'Mock data').length, 1);
+  assert.match(view.text(), /InnerWidget loaded/);
+  view.unmount();
+});
+
+test('the mock mode flag of the page turns the mock on', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  window[MOCK_MODE_FLAG] = true;
+  t.after(() => { delete window[MOCK_MODE_FLAG]; });
+  withHost(t, undefined);
+  const plugin = bootstrap('flagged-plugin');
+
+  const context = await plugin.ready();
+  assert.equal(plugin.status.value, 'mock');
+  assert.equal(context.pluginId, 'flagged-plugin');
+  // Without moduleUrl there is no plugin.json: the manifest is the bare id
+  assert.deepEqual(context.manifest, { id: 'flagged-plugin' });
+});
+
+test('a real context is never labeled as mock data', async (t) => {
+  withHost(t, () => createMockPluginContext('real-plugin'));
+  const plugin = bootstrap('real-plugin');
+  await plugin.ready();
+
+  const view = await mount(plugin.withErrorBoundary(widget('RealWidget')));
+  assert.equal(plugin.status.value, 'ready');
+  assert.doesNotMatch(view.text(), /Mock data/);
+  view.unmount();
+});
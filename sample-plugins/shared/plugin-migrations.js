@@ -0,0 +1,119 @@
+/**
+ * Plugin data migrations
+ *
+ * Stored plugin data carries the version of the plugin that last wrote its
+ * shape (the `dataVersion` plugin-data key). A plugin declares ordered
+ * migration steps; when it is updated, onUpdate runs the steps whose version
+ * is newer than the stored data and not newer than the new plugin version.
+ *
+ * Plugin storage has no way to list keys, so each step names the keys it
+ * reads and writes. Before the first step runs, every key of every pending
+ * step is snapshotted; if a step throws, all of them are restored and the
+ * data version is left untouched, so a failed update never leaves data half
+ * migrated.
+ *
+ * Step format:
+ *   {
+ *     version: '1.1.0',                 // plugin version that introduced the new shape
+ *     description: 'Split scores per board',
+ *     keys: ['scores', 'boardScores'],  // plugin-data keys the step may touch
+ *     up(data) { ... }                  // receives { scores, boardScores } (null when absent),
+ *                                       // returns the new values; undefined removes a key
+ *   }
+ *
+ * Usage:
+ *   export const onUpdate = (fromVersion, toVersion) =>
+ *     runMigrations(context, MIGRATIONS, { fromVersion, toVersion });
+ */
+
+export const DATA_VERSION_KEY = 'dataVersion';
+
+const parseVersion = (version) => {
+  const [core, prerelease] = String(version).split('+')[0].split('-');
+  const parts = core.split('.').map((n) => Number.parseInt(n, 10) || 0);
+  return { parts: [parts[0] || 0, parts[1] || 0, parts[2] || 0], prerelease: prerelease || '' };
+};
+
+/**
+ * Compare two semver strings (a prerelease sorts before its release).
+ * @returns {number} Negative, zero or positive, like Array#sort comparators
+ */
+export const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left.parts[i] !== right.parts[i]) return left.parts[i] - right.parts[i];
+  }
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  if (!right.prerelease) return -1;
+  return left.prerelease < right.prerelease ? -1 : 1;
+};
+
+export const readDataVersion = (context) => context.getPluginData(DATA_VERSION_KEY);
+
+/**
+ * Record that the stored data has the shape of `version` (e.g. from onInstall).
+ */
+export const stampDataVersion = (context, version) => {
+  context.setPluginData(DATA_VERSION_KEY, version);
+};
+
+/**
+ * Steps to run to bring data from `fromVersion` to `toVersion`, in order.
+ * Steps of the same version keep their declaration order.
+ */
+export const pendingMigrations = (migrations, fromVersion, toVersion) =>
+  migrations
+    .map((step, index) => ({ step, index }))
+    .filter(({ step }) => compareVersions(step.version, fromVersion) > 0 && compareVersions(step.version, toVersion) <= 0)
+    .sort((a, b) => compareVersions(a.step.version, b.step.version) || a.index - b.index)
+    .map(({ step }) => step);
+
+/**
+ * Write a plugin-data key; null or undefined removes it.
+ */
+export const writePluginData = (context, key, value) => {
+  if (value === undefined || value === null) {
+    if (context.removePluginData) context.removePluginData(key);
+    else context.setPluginData(key, null);
+  } else {
+    context.setPluginData(key, value);
+  }
+};
+
+/**
+ * Run the pending migrations.
+ * @param {object} context - Plugin context
+ * @param {Array<object>} migrations - Steps (see the format above)
+ * @param {object} options
+ * @param {string} [options.fromVersion] - Version being updated from; the stored
+ *   data version wins when present, and data without either counts as "0.0.0"
+ * @param {string} [options.toVersion] - Version being updated to (defaults to the manifest version)
+ * @returns {{ ok: boolean, from: string, to: string, applied: string[], error?: Error, failedStep?: object }}
+ */
+export const runMigrations = (context, migrations, { fromVersion, toVersion = context.manifest?.version } = {}) => {
+  const from = readDataVersion(context) || fromVersion || '0.0.0';
+  const steps = pendingMigrations(migrations, from, toVersion);
+  const applied = [];
+
+  const keys = [...new Set(steps.flatMap((step) => step.keys || []))];
+  const snapshot = new Map(keys.map((key) => [key, context.getPluginData(key)]));
+
+  for (const step of steps) {
+    try {
+      const data = Object.fromEntries((step.keys || []).map((key) => [key, context.getPluginData(key)]));
+      const next = step.up({ ...data }) || {};
+      for (const key of step.keys || []) {
+        writePluginData(context, key, next[key]);
+      }
+      applied.push(`${step.version}: ${step.description || 'migration'}`);
+    } catch (error) {
+      for (const [key, value] of snapshot) writePluginData(context, key, value);
+      return { ok: false, from, to: toVersion, applied: [], error, failedStep: step };
+    }
+  }
+
+  if (compareVersions(toVersion, from) > 0) stampDataVersion(context, toVersion);
+  return { ok: true, from, to: toVersion, applied };
+};
@@ -0,0 +1,251 @@
+/**
+ * Plugin settings
+ *
+ * Turns the setting declarations of plugin.json into live values:
+ * - Defaults come from each declaration's `default`
+ * - User overrides are stored under the `settings` plugin-data key
+ * - Values are validated against the declaration (type, options, bounds)
+ * - Every widget sharing the store re-renders when a value changes, and a
+ *   `<pluginId>:settings-changed` event keeps other instances in sync
+ *
+ * Declaration format (plugin.json):
+ *   "settings": {
+ *     "hasConfigPanel": true,
+ *     "configRoute": "/plugins/my-plugin/settings",
+ *     "greeting": { "type": "string", "default": "Hi", "maxLength": 80 },
+ *     "rows": { "type": "number", "integer": true, "min": 1, "max": 20, "default": 5 },
+ *     "theme": { "type": "enum", "options": ["light", "dark"], "default": "light" },
+ *     "limit": { "type": "number", "labelKey": "settings.limit.label", "descriptionKey": "settings.limit.description" }
+ *   }
+ *
+ * `labelKey` / `descriptionKey` name catalog messages (see i18n.js) read
+ * through the store's `translate` option; `label` / `description` are the
+ * fallback text. Validation messages are templates with a `{label}`
+ * placeholder (see VALIDATION_MESSAGES), replaceable through `messages`.
+ */
+
+const { ref, computed } = (typeof window !== 'undefined' && window.Vue) || {};
+
+export const SETTINGS_KEY = 'settings';
+
+// Manifest keys under `settings` that configure the panel rather than declare a setting.
+const PANEL_KEYS = ['hasConfigPanel', 'configRoute'];
+
+const humanize = (key) =>
+  key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, (c) => c.toUpperCase());
+
+/**
+ * Validation messages by rule. `{label}` is the field label; the other
+ * placeholders are the declaration's bound of the same name (`{options}` is
+ * the comma-separated list of options).
+ */
+export const VALIDATION_MESSAGES = {
+  boolean: '{label} must be true or false',
+  number: '{label} must be a number',
+  integer: '{label} must be a whole number',
+  min: '{label} must be at least {min}',
+  max: '{label} must be at most {max}',
+  options: '{label} must be one of: {options}',
+  text: '{label} must be text',
+  required: '{label} is required',
+  minLength: '{label} must be at least {minLength} characters',
+  maxLength: '{label} must be at most {maxLength} characters',
+  pattern: '{label} has an invalid format'
+};
+
+const fill = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+const emptyValue = (type) => (type === 'boolean' ? false : type === 'number' ? 0 : '');
+
+/**
+ * Normalize the manifest `settings` object into an ordered list of fields.
+ * @param {object} [declared]
+ * @returns {Array<object>}
+ */
+export const normalizeSettingsSchema = (declared = {}) =>
+  Object.entries(declared || {})
+    .filter(([key, value]) => !PANEL_KEYS.includes(key) && value && typeof value === 'object')
+    .map(([key, value]) => {
+      const type = value.type || 'string';
+      const options = Array.isArray(value.options) ? value.options : [];
+      return {
+        key,
+        type,
+        label: value.label || humanize(key),
+        description: value.description || '',
+        labelKey: value.labelKey,
+        descriptionKey: value.descriptionKey,
+        default: value.default !== undefined ? value.default : (type === 'enum' ? options[0] : emptyValue(type)),
+        options,
+        required: !!value.required,
+        integer: !!value.integer,
+        min: value.min,
+        max: value.max,
+        minLength: value.minLength,
+        maxLength: value.maxLength,
+        pattern: value.pattern
+      };
+    });
+
+/**
+ * Check a value against its field declaration.
+ * @param {object} field - Normalized field (see normalizeSettingsSchema)
+ * @param {*} value
+ * @param {object} [messages] - Templates by rule (defaults to VALIDATION_MESSAGES)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSetting = (field, value, messages = VALIDATION_MESSAGES) => {
+  const error = (rule) => fill(messages[rule] ?? VALIDATION_MESSAGES[rule], {
+    label: field.label,
+    min: field.min,
+    max: field.max,
+    minLength: field.minLength,
+    maxLength: field.maxLength,
+    options: field.options.join(', ')
+  });
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : error('boolean');
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return error('number');
+      if (field.integer && !Number.isInteger(value)) return error('integer');
+      if (field.min !== undefined && value < field.min) return error('min');
+      if (field.max !== undefined && value > field.max) return error('max');
+      return null;
+    case 'enum':
+      return field.options.includes(value) ? null : error('options');
+    case 'string':
+    default:
+      if (typeof value !== 'string') return error('text');
+      if (field.required && !value.trim()) return error('required');
+      if (field.minLength !== undefined && value.length < field.minLength) return error('minLength');
+      if (field.maxLength !== undefined && value.length > field.maxLength) return error('maxLength');
+      if (field.pattern && !new RegExp(field.pattern).test(value)) return error('pattern');
+      return null;
+  }
+};
+
+/**
+ * Create the settings store for a plugin. Create it once per plugin module
+ * and share it between components so they all react to the same values.
+ * @param {object} context - Plugin context
+ * @param {object} [options]
+ * @param {object} [options.schema] - Manifest `settings` object (defaults to context.manifest.settings)
+ * @param {Function} [options.translate] - Reads the `labelKey` / `descriptionKey` messages, e.g. i18n's t
+ * @param {object|Function} [options.messages] - Overrides for VALIDATION_MESSAGES, or a function
+ *   returning them (re-evaluated on every check, e.g. to follow the locale)
+ */
+export const createPluginSettings = (context, {
+  schema = context?.manifest?.settings,
+  translate = null,
+  messages = {}
+} = {}) => {
+  // label and description are read on every render, so they follow the locale
+  const fields = normalizeSettingsSchema(schema).map((field) => (translate ? {
+    ...field,
+    get label() { return field.labelKey ? translate(field.labelKey) : field.label; },
+    get description() { return field.descriptionKey ? translate(field.descriptionKey) : field.description; }
+  } : field));
+  const defaults = Object.fromEntries(fields.map((field) => [field.key, field.default]));
+  const changedEvent = `${context.pluginId}:settings-changed`;
+
+  // Stored values that are unknown or no longer valid fall back to the default.
+  const readOverrides = () => {
+    const stored = context.getPluginData(SETTINGS_KEY) || {};
+    const overrides = {};
+    for (const field of fields) {
+      if (field.key in stored && validateSetting(field, stored[field.key]) === null) {
+        overrides[field.key] = stored[field.key];
+      }
+    }
+    return overrides;
+  };
+
+  const overrides = ref(readOverrides());
+  const values = computed(() => ({ ...defaults, ...overrides.value }));
+
+  const persist = (next) => {
+    if (Object.keys(next).length) context.setPluginData(SETTINGS_KEY, next);
+    else if (context.removePluginData) context.removePluginData(SETTINGS_KEY);
+    else context.setPluginData(SETTINGS_KEY, null);
+    overrides.value = next;
+    if (context.emitEvent) context.emitEvent(changedEvent, { values: values.value });
+  };
+
+  const validationMessages = () =>
+    ({ ...VALIDATION_MESSAGES, ...(typeof messages === 'function' ? messages() : messages) });
+
+  /**
+   * Check one value, with the field label and messages of the current locale.
+   * @returns {string|null} Error message, or null when valid
+   */
+  const check = (field, value) => validateSetting(field, value, validationMessages());
+
+  /**
+   * Validate every field of `candidate`.
+   * @returns {object} Map of field key to error message (empty when valid)
+   */
+  const validate = (candidate) => {
+    const errors = {};
+    for (const field of fields) {
+      if (!(field.key in candidate)) continue;
+      const error = check(field, candidate[field.key]);
+      if (error) errors[field.key] = error;
+    }
+    return errors;
+  };
+
+  /**
+   * Save changed values. Values equal to the default are not stored, so a
+   * default changed in a later plugin version still reaches these users.
+   * @returns {{ ok: boolean, errors: object }}
+   */
+  const save = (changes) => {
+    const errors = validate(changes);
+    if (Object.keys(errors).length) return { ok: false, errors };
+    const next = { ...overrides.value };
+    for (const field of fields) {
+      if (!(field.key in changes)) continue;
+      if (changes[field.key] === defaults[field.key]) delete next[field.key];
+      else next[field.key] = changes[field.key];
+    }
+    persist(next);
+    return { ok: true, errors: {} };
+  };
+
+  /**
+   * Restore defaults for one key, or for every setting when omitted.
+   */
+  const reset = (key) => {
+    if (key === undefined) {
+      persist({});
+      return;
+    }
+    const next = { ...overrides.value };
+    delete next[key];
+    persist(next);
+  };
+
+  /**
+   * Re-read the stored overrides (e.g. after a data migration rewrote them).
+   */
+  const reload = () => { overrides.value = readOverrides(); };
+
+  if (context.onEvent) {
+    context.onEvent(changedEvent, reload);
+  }
+
+  return {
+    fields,
+    defaults,
+    values,
+    configRoute: schema?.configRoute || '',
+    get: (key) => values.value[key],
+    check,
+    validate,
+    save,
+    reset,
+    reload
+  };
+};
@@ -0,0 +1,66 @@
+/**
+ * Plugin settings: labels, descriptions and validation messages in the
+ * user's language, on the mock context
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/shared/plugin-settings.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mount, type } from '../../tools/plugin-test-env.mjs';
+import { createI18n } from './i18n.js';
+import { createMockPluginContext } from './mock-plugin-context.js';
+import { createPluginSettings, validateSetting, VALIDATION_MESSAGES } from './plugin-settings.js';
+import { createSettingsPage } from './settings-page.js';
+import en from '../morpion-plugin/locales/en.js';
+import fr from '../morpion-plugin/locales/fr.js';
+
+const manifest = JSON.parse(readFileSync(new URL('../morpion-plugin/plugin.json', import.meta.url), 'utf8'));
+
+// Settings store of Morpion, translated like the plugin does
+const setup = (locale) => {
+  const context = createMockPluginContext(manifest.id, { manifest, locale });
+  const { t } = createI18n(context, { messages: { fr, en }, fallbackLocale: 'fr' });
+  const messages = () => Object.fromEntries(Object.keys(VALIDATION_MESSAGES).map((rule) => [rule, t(`settings.error.${rule}`)]));
+  return { context, settings: createPluginSettings(context, { translate: t, messages }) };
+};
+
+const field = (settings, key) => settings.fields.find((f) => f.key === key);
+
+test('without a translator, labels come from plugin.json and messages are in English', () => {
+  const settings = createPluginSettings(createMockPluginContext(manifest.id, { manifest }));
+  const boardSize = field(settings, 'boardSize');
+  assert.equal(boardSize.label, 'Taille du plateau');
+  assert.equal(boardSize.labelKey, 'settings.boardSize.label');
+  assert.equal(settings.check(boardSize, 20), 'Taille du plateau must be at most 15');
+  assert.equal(validateSetting(boardSize, 2.5), 'Taille du plateau must be a whole number');
+});
+
+test('labels, descriptions and validation messages follow the locale', () => {
+  const { context, settings } = setup('en');
+  const boardSize = field(settings, 'boardSize');
+  assert.equal(boardSize.label, 'Board size');
+  assert.match(boardSize.description, /^Squares per side/);
+  assert.deepEqual(settings.save({ boardSize: 20, onlineServerUrl: 'http://relay' }), {
+    ok: false,
+    errors: { boardSize: 'Board size must be at most 15', onlineServerUrl: 'Online game server has an invalid format' }
+  });
+
+  context.setLocale('fr');
+  assert.equal(boardSize.label, 'Taille du plateau');
+  assert.equal(settings.check(boardSize, 20), 'Taille du plateau doit valoir au plus 15');
+  assert.equal(settings.check(field(settings, 'startingPlayer'), 'Z'), "Joueur de départ doit être l'une des valeurs : X, O");
+});
+
+test('the settings page shows the translated labels and errors', async () => {
+  const { settings } = setup('en');
+  const page = await mount(createSettingsPage(createMockPluginContext(manifest.id, { manifest }), settings));
+  assert.match(page.text(), /Starting player/);
+  assert.match(page.text(), /Number of symbols to line up to win/);
+  assert.doesNotMatch(page.text(), /Taille du plateau/);
+
+  await type(page.find('#setting-boardSize'), '20');
+  assert.match(page.text(), /Board size must be at most 15/);
+  page.unmount();
+});
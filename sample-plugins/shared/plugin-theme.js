@@ -0,0 +1,340 @@
+/**
+ * Plugin theme
+ *
+ * Semantic design tokens for plugin templates, with light and dark
+ * variants. Plugins are loaded after the portal's Tailwind build, which only
+ * keeps the classes the portal itself uses (and never the ones built at
+ * runtime, like `bg-${color}-100`), so the theme ships its own stylesheet:
+ * CSS custom properties for the tokens and static `plugin-*` classes that
+ * read them.
+ *
+ *   <div class="plugin-card rounded-lg p-4">
+ *     <p class="plugin-text-muted">...</p>
+ *     <span class="plugin-tone-success">...</span>
+ *     <button class="plugin-btn-primary">...</button>
+ *   </div>
+ *
+ * Layout classes (spacing, sizes, flex, rounded...) stay Tailwind's; only
+ * colors go through the theme. The dark variant applies when the portal
+ * sets `class="dark"` or `data-theme="dark"` on <html>; without a marker the
+ * theme stays light, whatever the system preference, since a portal that
+ * has no dark mode of its own would otherwise get dark plugins on a light
+ * page. A host that follows the system preference itself can say so with
+ * `data-theme="system"`.
+ *
+ * createPluginBootstrap installs the stylesheet (once per page, whatever the
+ * number of plugins). THEME_CONTRAST lists the token pairs used as text on
+ * background; checkThemeContrast() verifies them in both variants and
+ * `node tools/plugin-cli.mjs validate` reports the failures, along with the
+ * pairs the plugin's templates put together (see themeClassColors()).
+ */
+
+export const THEME_STYLE_ID = 'plugin-theme';
+
+export const THEME_MODES = ['light', 'dark'];
+
+// Token values per mode; each becomes a `--plugin-<token>` custom property
+export const THEME_TOKENS = {
+  light: {
+    surface: '#ffffff',
+    'surface-alt': '#f9fafb',
+    control: '#f3f4f6',
+    'control-hover': '#e5e7eb',
+    border: '#e5e7eb',
+    'border-strong': '#d1d5db',
+    text: '#111827',
+    'text-secondary': '#374151',
+    'text-muted': '#626977',
+    'text-subtle': '#8a919c',
+    primary: '#4f46e5',
+    'primary-hover': '#4338ca',
+    'on-primary': '#ffffff',
+    'primary-text': '#4f46e5',
+    'primary-soft': '#eef2ff',
+    'primary-soft-text': '#3730a3',
+    'primary-border': '#a5b4fc',
+    accent: '#9333ea',
+    'accent-hover': '#7e22ce',
+    'accent-text': '#9333ea',
+    'accent-soft': '#f3e8ff',
+    'accent-soft-text': '#6b21a8',
+    success: '#22c55e',
+    'success-text': '#15803d',
+    'success-soft': '#dcfce7',
+    'success-soft-text': '#166534',
+    'success-border': '#4ade80',
+    'warning-text': '#b45309',
+    'warning-soft': '#fef3c7',
+    'warning-soft-text': '#92400e',
+    'danger-text': '#dc2626',
+    'danger-soft': '#fef2f2',
+    'danger-soft-hover': '#fee2e2',
+    'danger-soft-text': '#b91c1c',
+    'info-text': '#2563eb',
+    'info-soft': '#eff6ff',
+    'info-soft-text': '#1e40af',
+    'info-border': '#bfdbfe',
+    'hero-from': '#4f46e5',
+    'hero-to': '#7e22ce',
+    'on-hero': '#ffffff',
+    'on-hero-muted': '#e0e7ff'
+  },
+  dark: {
+    surface: '#1f2937',
+    'surface-alt': '#182130',
+    control: '#374151',
+    'control-hover': '#4b5563',
+    border: '#374151',
+    'border-strong': '#4b5563',
+    text: '#f9fafb',
+    'text-secondary': '#d1d5db',
+    'text-muted': '#a1a8b3',
+    'text-subtle': '#7c8594',
+    primary: '#4f46e5',
+    'primary-hover': '#4338ca',
+    'on-primary': '#ffffff',
+    'primary-text': '#a5b4fc',
+    'primary-soft': '#312e81',
+    'primary-soft-text': '#e0e7ff',
+    'primary-border': '#6366f1',
+    accent: '#9333ea',
+    'accent-hover': '#7e22ce',
+    'accent-text': '#d8b4fe',
+    'accent-soft': '#3b0764',
+    'accent-soft-text': '#f3e8ff',
+    success: '#4ade80',
+    'success-text': '#4ade80',
+    'success-soft': '#14532d',
+    'success-soft-text': '#dcfce7',
+    'success-border': '#22c55e',
+    'warning-text': '#fcd34d',
+    'warning-soft': '#78350f',
+    'warning-soft-text': '#fef3c7',
+    'danger-text': '#f87171',
+    'danger-soft': '#450a0a',
+    'danger-soft-hover': '#7f1d1d',
+    'danger-soft-text': '#fecaca',
+    'info-text': '#93c5fd',
+    'info-soft': '#1e3a8a',
+    'info-soft-text': '#dbeafe',
+    'info-border': '#1d4ed8',
+    'hero-from': '#3730a3',
+    'hero-to': '#581c87',
+    'on-hero': '#ffffff',
+    'on-hero-muted': '#e0e7ff'
+  }
+};
+
+// [foreground, background, minimum ratio]: 4.5 for text (WCAG AA), 3 for icons
+export const THEME_CONTRAST = [
+  ['text', 'surface', 4.5],
+  ['text', 'surface-alt', 4.5],
+  ['text', 'control', 4.5],
+  ['text', 'control-hover', 4.5],
+  ['text', 'primary-soft', 4.5],
+  ['text', 'accent-soft', 4.5],
+  ['text', 'warning-soft', 4.5],
+  ['text', 'danger-soft', 4.5],
+  ['text', 'info-soft', 4.5],
+  ['text', 'success-soft', 4.5],
+  ['text-secondary', 'surface', 4.5],
+  ['text-secondary', 'surface-alt', 4.5],
+  ['text-secondary', 'control', 4.5],
+  ['text-secondary', 'control-hover', 4.5],
+  ['text-secondary', 'primary-soft', 4.5],
+  ['text-muted', 'surface', 4.5],
+  ['text-muted', 'surface-alt', 4.5],
+  ['text-muted', 'primary-soft', 4.5],
+  ['text-muted', 'accent-soft', 4.5],
+  ['text-subtle', 'surface', 3],
+  ['text-subtle', 'surface-alt', 3],
+  ['on-primary', 'primary', 4.5],
+  ['on-primary', 'primary-hover', 4.5],
+  ['on-primary', 'accent', 4.5],
+  ['on-primary', 'accent-hover', 4.5],
+  ['primary-text', 'surface', 4.5],
+  ['primary-text', 'surface-alt', 4.5],
+  ['primary-text', 'primary-soft', 4.5],
+  ['accent-text', 'surface', 4.5],
+  ['accent-text', 'surface-alt', 3],
+  ['accent-text', 'accent-soft', 3],
+  ['success-text', 'surface', 4.5],
+  ['warning-text', 'surface', 4.5],
+  ['warning-text', 'surface-alt', 3],
+  ['warning-text', 'primary-soft', 3],
+  ['danger-text', 'surface', 4.5],
+  ['danger-text', 'surface-alt', 4.5],
+  ['info-text', 'surface', 4.5],
+  ['info-text', 'info-soft', 4.5],
+  ['primary-soft-text', 'primary-soft', 4.5],
+  ['accent-soft-text', 'accent-soft', 4.5],
+  ['success-soft-text', 'success-soft', 4.5],
+  ['warning-soft-text', 'warning-soft', 4.5],
+  ['danger-soft-text', 'danger-soft', 4.5],
+  ['danger-soft-text', 'danger-soft-hover', 4.5],
+  ['info-soft-text', 'info-soft', 4.5],
+  ['on-hero', 'hero-from', 4.5],
+  ['on-hero', 'hero-to', 4.5],
+  ['on-hero-muted', 'hero-from', 4.5],
+  ['on-hero-muted', 'hero-to', 4.5]
+];
+
+// ============================================================================
+// CONTRAST
+// ============================================================================
+
+const channel = (value) => {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+const luminance = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+};
+
+/**
+ * WCAG contrast ratio of two `#rrggbb` colors, from 1 to 21.
+ */
+export const contrastRatio = (foreground, background) => {
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Check every THEME_CONTRAST pair in every mode.
+ * @param {object} [tokens] - Defaults to THEME_TOKENS
+ * @returns {Array<{ mode: string, foreground: string, background: string, ratio: number, minimum: number }>}
+ *   The pairs below their minimum
+ */
+export const checkThemeContrast = (tokens = THEME_TOKENS) => THEME_MODES.flatMap((mode) => THEME_CONTRAST
+  .map(([foreground, background, minimum]) => ({
+    mode,
+    foreground,
+    background,
+    ratio: contrastRatio(tokens[mode][foreground], tokens[mode][background]),
+    minimum
+  }))
+  .filter(({ ratio, minimum }) => ratio < minimum));
+
+// ============================================================================
+// STYLESHEET
+// ============================================================================
+
+const color = (token) => `color: var(--plugin-${token})`;
+const background = (token) => `background-color: var(--plugin-${token})`;
+const border = (token) => `border-color: var(--plugin-${token})`;
+
+const tone = (name) => `${background(`${name}-soft`)}; ${color(`${name}-soft-text`)}`;
+
+// Selector -> declarations; every class reads the tokens, none is built at runtime
+const THEME_RULES = {
+  '.plugin-card': `${background('surface')}; ${color('text')}; ${border('border')}; color-scheme: var(--plugin-color-scheme)`,
+  '.plugin-input': `${background('surface')}; ${color('text')}; ${border('border-strong')}; color-scheme: var(--plugin-color-scheme)`,
+  '.plugin-input::placeholder': color('text-subtle'),
+  '.plugin-btn-primary': `${background('primary')}; ${color('on-primary')}`,
+  '.plugin-btn-primary:hover': background('primary-hover'),
+  '.plugin-btn-secondary': `${background('control')}; ${color('text-secondary')}`,
+  '.plugin-btn-secondary:hover': background('control-hover'),
+
+  // Backgrounds also set a text color that reads on them: the portal's own
+  // may not suit them
+  '.plugin-bg-surface': `${background('surface')}; ${color('text')}`,
+  '.plugin-bg-surface-alt': `${background('surface-alt')}; ${color('text')}`,
+  '.plugin-bg-control': `${background('control')}; ${color('text')}`,
+  '.plugin-bg-primary': `${background('primary')}; ${color('on-primary')}`,
+  '.plugin-bg-primary-soft': `${background('primary-soft')}; ${color('text')}`,
+  '.plugin-bg-accent': `${background('accent')}; ${color('on-primary')}`,
+  '.plugin-bg-accent-soft': `${background('accent-soft')}; ${color('text')}`,
+  '.plugin-bg-success': background('success'),
+  '.plugin-bg-success-soft': `${background('success-soft')}; ${color('text')}`,
+  '.plugin-bg-warning-soft': `${background('warning-soft')}; ${color('text')}`,
+  '.plugin-bg-danger-soft': `${background('danger-soft')}; ${color('text')}`,
+  '.plugin-bg-info-soft': `${background('info-soft')}; ${color('text')}`,
+  '.plugin-bg-hero': `background-image: linear-gradient(to right, var(--plugin-hero-from), var(--plugin-hero-to)); ${color('on-hero')}`,
+  '.plugin-bg-on-hero': 'background-color: rgb(255 255 255 / 0.2)',
+
+  '.plugin-text': color('text'),
+  '.plugin-text-secondary': color('text-secondary'),
+  '.plugin-text-muted': color('text-muted'),
+  '.plugin-text-subtle': color('text-subtle'),
+  '.plugin-text-primary': color('primary-text'),
+  '.plugin-text-accent': color('accent-text'),
+  '.plugin-text-success': color('success-text'),
+  '.plugin-text-warning': color('warning-text'),
+  '.plugin-text-danger': color('danger-text'),
+  '.plugin-text-info': color('info-text'),
+  '.plugin-text-on-primary': color('on-primary'),
+  '.plugin-text-on-hero-muted': color('on-hero-muted'),
+
+  '.plugin-border': border('border'),
+  '.plugin-border-strong': border('border-strong'),
+  '.plugin-border-primary': border('primary-border'),
+  '.plugin-border-success': border('success-border'),
+  '.plugin-border-info': border('info-border'),
+  '.plugin-divide > * + *': border('border'),
+
+  '.plugin-tone-primary': tone('primary'),
+  '.plugin-tone-accent': tone('accent'),
+  '.plugin-tone-success': tone('success'),
+  '.plugin-tone-warning': tone('warning'),
+  '.plugin-tone-danger': tone('danger'),
+  '.plugin-tone-info': tone('info'),
+
+  '.plugin-hover-surface-alt:hover': background('surface-alt'),
+  '.plugin-hover-control:hover': background('control'),
+  '.plugin-hover-control-strong:hover': background('control-hover'),
+  '.plugin-hover-primary:hover': background('primary-hover'),
+  '.plugin-hover-accent:hover': background('accent-hover'),
+  '.plugin-hover-accent-soft:hover': background('primary-soft'),
+  '.plugin-hover-danger-soft:hover': background('danger-soft-hover'),
+  '.plugin-hover-on-hero:hover': 'background-color: rgb(255 255 255 / 0.3)',
+  '.plugin-hover-text:hover': color('text'),
+  '.plugin-hover-primary-text:hover': color('primary-soft-text'),
+  '.plugin-hover-danger:hover': color('danger-text'),
+
+  // Color of Tailwind's ring utilities (ring-2, focus-visible:ring-4...)
+  '.plugin-ring-primary': '--tw-ring-color: var(--plugin-primary)'
+};
+
+const tokensOf = (value = '') => [...value.matchAll(/var\(--plugin-([\w-]+)\)/g)].map((match) => match[1]);
+
+/**
+ * Colors set by each `plugin-*` class on its own (no hover or nested selector):
+ * the text token, and the background tokens (both ends of a gradient).
+ * @returns {Object<string, { color: string|null, backgrounds: string[] }>}
+ */
+export const themeClassColors = () => Object.fromEntries(Object.entries(THEME_RULES)
+  .filter(([selector]) => /^\.plugin-[\w-]+$/.test(selector))
+  .map(([selector, body]) => [selector.slice(1), {
+    color: tokensOf(/(?:^|; )color: ([^;]+)/.exec(body)?.[1])[0] ?? null,
+    backgrounds: tokensOf(/background-(?:color|image): ([^;]+)/.exec(body)?.[1])
+  }]));
+
+const declarations = (mode) => [
+  ...Object.entries(THEME_TOKENS[mode]).map(([token, value]) => `--plugin-${token}: ${value};`),
+  `--plugin-color-scheme: ${mode};`
+].join(' ');
+
+/**
+ * The theme's CSS: tokens for both modes, then the `plugin-*` classes.
+ * @returns {string}
+ */
+export const themeStylesheet = () => [
+  `:root { ${declarations('light')} }`,
+  `:root.dark, :root[data-theme="dark"] { ${declarations('dark')} }`,
+  `@media (prefers-color-scheme: dark) { :root[data-theme="system"] { ${declarations('dark')} } }`,
+  ...Object.entries(THEME_RULES).map(([selector, body]) => `${selector} { ${body}; }`)
+].join('\n');
+
+/**
+ * Add the theme's stylesheet to the page, unless a plugin already did.
+ * Safe to call outside a browser (does nothing).
+ */
+export const installPluginTheme = () => {
+  if (typeof document === 'undefined' || document.getElementById(THEME_STYLE_ID)) return;
+  const style = document.createElement('style');
+  style.id = THEME_STYLE_ID;
+  style.textContent = themeStylesheet();
+  document.head.appendChild(style);
+};
@@ -0,0 +1,198 @@
+/**
+ * Generated settings page
+ *
+ * Builds a form from a settings store (see plugin-settings.js): text inputs
+ * for strings, number inputs, checkboxes for booleans and selects for enums,
+ * with per-field validation messages, save and reset-to-defaults. Users
+ * who may not change the settings (see `canEdit`) get a read-only form.
+ */
+
+const { ref, computed } = (typeof window !== 'undefined' && window.Vue) || {};
+
+const DEFAULT_LABELS = {
+  title: 'Settings',
+  save: 'Save',
+  reset: 'Reset to defaults',
+  back: 'Back',
+  saved: 'Settings saved',
+  savedDetail: 'Your changes are now active.',
+  resetDone: 'Settings reset',
+  resetDetail: 'All settings are back to their default values.',
+  invalid: 'Please fix the highlighted fields',
+  defaultValue: 'Default',
+  readOnly: 'Only administrators can change these settings.'
+};
+
+/**
+ * Create the settings page component.
+ * @param {object} context - Plugin context (for notifications and navigation)
+ * @param {object} settings - Store returned by createPluginSettings()
+ * @param {object} [options]
+ * @param {string} [options.name] - Component name
+ * @param {string} [options.backRoute] - Route of the "Back" button
+ * @param {object|Function} [options.labels] - Overrides for DEFAULT_LABELS, or a function
+ *   returning them (re-evaluated when its reactive sources change, e.g. the locale)
+ * @param {object} [options.footer] - Component rendered below the form (e.g. a data-transfer-panel.js panel)
+ * @param {Function} [options.canEdit] - Whether the current user may change the settings,
+ *   e.g. () => context.hasPermission('MY_PLUGIN_ADMIN') (re-evaluated reactively)
+ */
+export const createSettingsPage = (context, settings, {
+  name = 'PluginSettingsPage',
+  backRoute = '',
+  labels = {},
+  footer = null,
+  canEdit = () => true
+} = {}) => ({
+  name,
+  components: footer ? { SettingsFooter: footer } : {},
+
+  setup() {
+    const text = computed(() => ({ ...DEFAULT_LABELS, ...(typeof labels === 'function' ? labels() : labels) }));
+    const draft = ref({ ...settings.values.value });
+    const editable = computed(() => !!canEdit());
+
+    const errors = computed(() => {
+      const out = {};
+      for (const field of settings.fields) {
+        const error = settings.check(field, draft.value[field.key]);
+        if (error) out[field.key] = error;
+      }
+      return out;
+    });
+
+    const isDirty = computed(() =>
+      settings.fields.some((field) => draft.value[field.key] !== settings.values.value[field.key]));
+
+    const save = () => {
+      if (!editable.value) return;
+      const result = settings.save(draft.value);
+      if (!result.ok) {
+        context.showError?.(text.value.invalid, Object.values(result.errors).join('\n'));
+        return;
+      }
+      context.showSuccess?.(text.value.saved, text.value.savedDetail);
+    };
+
+    const reset = () => {
+      if (!editable.value) return;
+      settings.reset();
+      draft.value = { ...settings.values.value };
+      context.showInfo?.(text.value.resetDone, text.value.resetDetail);
+    };
+
+    const goBack = () => {
+      if (backRoute && context.navigateTo) context.navigateTo(backRoute);
+      else if (context.navigateBack) context.navigateBack();
+    };
+
+    const formatDefault = (field) => String(settings.defaults[field.key]);
+
+    return {
+      text,
+      fields: settings.fields,
+      draft,
+      editable,
+      errors,
+      isDirty,
+      save,
+      reset,
+      goBack,
+      formatDefault,
+      hasFooter: !!footer
+    };
+  },
+
+  template: `
+    <div class="space-y-6">
+      <div class="flex items-center justify-between">
+        <h1 class="text-2xl font-bold plugin-text flex items-center">
+          <i class="pi pi-cog mr-2 plugin-text-secondary"></i>
+          {{ text.title }}
+        </h1>
+        <button @click="goBack" class="px-3 py-2 text-sm plugin-text-secondary plugin-hover-text">
+          <i class="pi pi-arrow-left mr-1"></i>
+          {{ text.back }}
+        </button>
+      </div>
+
+      <form @submit.prevent="save" class="plugin-bg-surface rounded-lg shadow-lg border plugin-border p-6 space-y-5" novalidate>
+        <p v-if="!editable" class="text-sm plugin-text-secondary plugin-bg-surface-alt border plugin-border rounded-md px-3 py-2 flex items-center">
+          <i class="pi pi-lock mr-2"></i>
+          {{ text.readOnly }}
+        </p>
+
+        <fieldset :disabled="!editable" class="space-y-5">
+          <div v-for="field in fields" :key="field.key">
+            <template v-if="field.type === 'boolean'">
+              <label class="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  v-model="draft[field.key]"
+                  :id="'setting-' + field.key"
+                  class="h-4 w-4 rounded plugin-border-strong"
+                />
+                <span class="font-medium plugin-text">{{ field.label }}</span>
+              </label>
+            </template>
+
+            <template v-else>
+              <label :for="'setting-' + field.key" class="block font-medium plugin-text mb-1">
+                {{ field.label }}
+                <span v-if="field.required" class="plugin-text-danger">*</span>
+              </label>
+              <select
+                v-if="field.type === 'enum'"
+                v-model="draft[field.key]"
+                :id="'setting-' + field.key"
+                class="w-full px-3 py-2 border plugin-border-strong rounded-md plugin-bg-surface"
+              >
+                <option v-for="option in field.options" :key="option" :value="option">{{ option }}</option>
+              </select>
+              <input
+                v-else-if="field.type === 'number'"
+                type="number"
+                v-model.number="draft[field.key]"
+                :id="'setting-' + field.key"
+                :min="field.min"
+                :max="field.max"
+                :step="field.integer ? 1 : 'any'"
+                class="w-full px-3 py-2 border plugin-border-strong rounded-md"
+              />
+              <input
+                v-else
+                type="text"
+                v-model="draft[field.key]"
+                :id="'setting-' + field.key"
+                :maxlength="field.maxLength"
+                class="w-full px-3 py-2 border plugin-border-strong rounded-md"
+              />
+            </template>
+
+            <p v-if="field.description" class="text-sm plugin-text-muted mt-1">
+              {{ field.description }}
+              <span class="plugin-text-subtle">({{ text.defaultValue }}: {{ formatDefault(field) }})</span>
+            </p>
+            <p v-if="editable && errors[field.key]" class="text-sm plugin-text-danger mt-1">
+              {{ errors[field.key] }}
+            </p>
+          </div>
+        </fieldset>
+
+        <div v-if="editable" class="flex items-center space-x-3 pt-2">
+          <button
+            type="submit"
+            :disabled="!isDirty || Object.keys(errors).length > 0"
+            class="px-4 py-2 plugin-bg-primary plugin-text-on-primary rounded-md plugin-hover-primary disabled:opacity-50"
+          >
+            {{ text.save }}
+          </button>
+          <button type="button" @click="reset" class="px-4 py-2 plugin-bg-control plugin-text-secondary rounded-md plugin-hover-control-strong">
+            {{ text.reset }}
+          </button>
+        </div>
+      </form>
+
+      <SettingsFooter v-if="hasFooter" />
+    </div>
+  `
+});
@@ -0,0 +1,167 @@
+/**
+ * Sync transports
+ *
+ * A transport carries JSON messages between the instances of a plugin that
+ * joined the same room (other tabs, other sessions). Every transport has the
+ * same shape, so features built on top of it do not care how messages travel:
+ *
+ *   {
+ *     send(message),            // deliver to every other member of the room
+ *     onMessage(handler),       // returns an unsubscribe function
+ *     close()
+ *   }
+ *
+ * A transport never delivers a message back to the instance that sent it.
+ *
+ * - createBroadcastTransport: same browser, via BroadcastChannel, falling back
+ *   to `storage` events where BroadcastChannel is not available
+ * - createWebSocketTransport: through a relay server that forwards messages
+ *   to the other sockets of the same room (`node tools/relay-server.mjs`
+ *   stands in for it locally)
+ */
+
+const browser = typeof window !== 'undefined' ? window : undefined;
+
+const createHandlers = () => {
+  const handlers = new Set();
+  return {
+    add(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    dispatch(message) {
+      for (const handler of [...handlers]) {
+        try {
+          handler(message);
+        } catch (e) {
+          console.error('Sync transport handler failed:', e);
+        }
+      }
+    },
+    clear: () => handlers.clear()
+  };
+};
+
+/**
+ * Same-browser transport.
+ * @param {string} room - Room name, e.g. "morpion-plugin:ABC123"
+ * @param {object} [options]
+ * @param {Window} [options.win] - Window providing BroadcastChannel / localStorage
+ */
+export const createBroadcastTransport = (room, { win = browser } = {}) => {
+  const handlers = createHandlers();
+
+  if (win?.BroadcastChannel) {
+    const channel = new win.BroadcastChannel(room);
+    channel.onmessage = (event) => handlers.dispatch(event.data);
+    return {
+      kind: 'broadcast',
+      send: (message) => channel.postMessage(message),
+      onMessage: handlers.add,
+      close() {
+        handlers.clear();
+        channel.close();
+      }
+    };
+  }
+
+  // Fallback: other tabs receive a `storage` event for every write. The nonce
+  // makes two identical messages in a row still count as a change.
+  const key = `plugin-sync:${room}`;
+  const onStorage = (event) => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      handlers.dispatch(JSON.parse(event.newValue).message);
+    } catch {
+      // Ignore values not written by this transport
+    }
+  };
+  win?.addEventListener?.('storage', onStorage);
+  return {
+    kind: 'storage',
+    send(message) {
+      const nonce = Math.random().toString(36).slice(2);
+      // Without BroadcastChannel, `storage` events are the only way to reach the other tabs
+      // plugin-scan-allow no-direct-storage -- a message channel between tabs: the key only ever holds the room's last message, never plugin data
+      win?.localStorage?.setItem(key, JSON.stringify({ message, nonce }));
+    },
+    onMessage: handlers.add,
+    close() {
+      handlers.clear();
+      win?.removeEventListener?.('storage', onStorage);
+    }
+  };
+};
+
+/**
+ * Relay-server transport. Messages sent before the socket opens are queued,
+ * and the socket reconnects (with backoff) until close() is called.
+ * @param {string} serverUrl - e.g. "ws://localhost:8787"
+ * @param {string} room
+ * @param {object} [options]
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor
+ * @param {number} [options.maxRetryDelay] - Backoff cap in milliseconds
+ */
+// plugin-scan-allow no-external-network -- connects only to the serverUrl it is given: Morpion's onlineServerUrl setting, limited to ws(s):// and changed by administrators only
+export const createWebSocketTransport = (serverUrl, room, { WebSocketImpl = browser?.WebSocket, maxRetryDelay = 10000 } = {}) => {
+  if (!WebSocketImpl) throw new Error('WebSocket is not available in this environment');
+
+  const handlers = createHandlers();
+  const url = `${serverUrl.replace(/\/+$/, '')}/${encodeURIComponent(room)}`;
+  const queue = [];
+  let socket = null;
+  let closed = false;
+  let retryDelay = 500;
+  let retryTimer = null;
+
+  const flush = () => {
+    while (queue.length && socket?.readyState === 1) socket.send(queue.shift());
+  };
+
+  const connect = () => {
+    socket = new WebSocketImpl(url);
+    socket.onopen = () => {
+      retryDelay = 500;
+      flush();
+    };
+    socket.onmessage = (event) => {
+      try {
+        handlers.dispatch(JSON.parse(event.data));
+      } catch {
+        // Ignore frames that are not JSON
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, maxRetryDelay);
+    };
+  };
+
+  connect();
+
+  return {
+    kind: 'websocket',
+    send(message) {
+      queue.push(JSON.stringify(message));
+      flush();
+    },
+    onMessage: handlers.add,
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      handlers.clear();
+      socket?.close();
+    }
+  };
+};
+
+/**
+ * Pick a transport: the relay server when a URL is configured, the
+ * same-browser transport otherwise.
+ * @param {string} room
+ * @param {object} [options]
+ * @param {string} [options.serverUrl]
+ */
+export const createSyncTransport = (room, { serverUrl = '', ...options } = {}) =>
+  (serverUrl ? createWebSocketTransport(serverUrl, room, options) : createBroadcastTransport(room, options));
@@ -0,0 +1,222 @@
+/**
+ * Widget performance
+ *
+ * Times plugin widgets with the Performance API so a slow widget can be
+ * told apart from a slow dashboard. Three phases are measured:
+ * - `load`: fetch and evaluation of the plugin module, up to the end of its
+ *   evaluation (one sample per plugin and page load, whatever its number of
+ *   widgets)
+ * - `setup`: the component's setup()
+ * - `render`: from the start of setup to the first mount
+ *
+ * Every sample is a `performance.measure()` entry named
+ * `plugin-widget:<pluginId>:<widget>:<phase>` (`plugin-widget:<pluginId>:load`
+ * for the load, which belongs to no widget) whose detail is
+ * `{ pluginId, widget, phase, budget }`. Only the most recent samples of each
+ * name are kept, so a long-lived page does not pile them up. The entries show in the browser's
+ * performance panel and, unlike module state, are shared by every plugin of
+ * the page (each ZIP ships its own copy of this file), so any plugin can
+ * read the timings of all of them:
+ *
+ *   const report = readWidgetPerformance();            // { plugins: [...] }
+ *   const stop = watchWidgetPerformance(refresh);      // called on new samples
+ *
+ * createPluginBootstrap instruments every component wrapped with
+ * withErrorBoundary (see its `performance` option).
+ */
+
+const { onMounted } = (typeof window !== 'undefined' && window.Vue) || {};
+
+export const PERFORMANCE_PREFIX = '[widget-performance]';
+
+export const MEASURE_PREFIX = 'plugin-widget:';
+
+export const WIDGET_PHASES = ['load', 'setup', 'render'];
+
+// Milliseconds; a phase whose p95 exceeds its budget is flagged as slow
+export const DEFAULT_BUDGETS = { load: 1000, setup: 16, render: 100 };
+
+// Statistics use the most recent samples of each widget and phase
+export const MAX_SAMPLES = 100;
+
+// Entries of one name allowed on the timeline before the oldest are dropped
+const MAX_ENTRIES = 2 * MAX_SAMPLES;
+
+const timeline = typeof performance !== 'undefined' && typeof performance.measure === 'function' ? performance : null;
+
+/**
+ * Nearest-rank percentile.
+ * @param {number[]} values
+ * @param {number} p - Between 0 and 100
+ * @returns {number|null} null without values
+ */
+export const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+/**
+ * Create the instrumentation of one plugin module. Call it at module level
+ * (createPluginBootstrap does): the module's load time ends once its
+ * evaluation is over.
+ * @param {string} pluginId
+ * @param {object} [options]
+ * @param {object} [options.budgets] - Overrides for DEFAULT_BUDGETS (ms per phase)
+ * @param {string} [options.moduleUrl] - `import.meta.url` of the plugin module; when the
+ *   browser has a resource timing for it, `load` starts with its fetch
+ * @returns {object} { budgets, instrument }
+ */
+export const createWidgetPerformance = (pluginId, { budgets = {}, moduleUrl } = {}) => {
+  const limits = { ...DEFAULT_BUDGETS, ...budgets };
+  let enabled = !!timeline;
+  const moduleStart = enabled ? timeline.now() : 0;
+  let moduleEnd = null;
+  if (enabled) queueMicrotask(() => { moduleEnd = timeline.now(); });
+
+  let loaded = false;
+  const warned = new Set();
+
+  const loadStart = () => {
+    const resource = moduleUrl && timeline.getEntriesByName?.(moduleUrl, 'resource')[0];
+    return resource ? resource.startTime : moduleStart;
+  };
+
+  // Keep the last MAX_SAMPLES entries of a name once it has MAX_ENTRIES:
+  // clearMeasures() only clears a whole name, so the kept ones are measured again
+  const trim = (name) => {
+    const entries = timeline.getEntriesByName?.(name, 'measure');
+    if (!entries || entries.length <= MAX_ENTRIES || typeof timeline.clearMeasures !== 'function') return;
+    timeline.clearMeasures(name);
+    for (const entry of entries.slice(-MAX_SAMPLES)) {
+      timeline.measure(name, { start: entry.startTime, duration: entry.duration, detail: entry.detail });
+    }
+  };
+
+  // `widget` is null for the module load
+  const record = (widget, phase, start, end) => {
+    if (!enabled) return;
+    const budget = limits[phase];
+    const name = `${MEASURE_PREFIX}${pluginId}:${widget ? `${widget}:` : ''}${phase}`;
+    try {
+      timeline.measure(name, { start, end, detail: { pluginId, widget, phase, budget } });
+    } catch (e) {
+      // Browsers without User Timing Level 3 (measure options)
+      enabled = false;
+      console.warn(`${PERFORMANCE_PREFIX} ${pluginId}: measures disabled`, e);
+      return;
+    }
+    trim(name);
+    const key = `${widget}:${phase}`;
+    if (end - start > budget && !warned.has(key)) {
+      warned.add(key);
+      console.warn(`${PERFORMANCE_PREFIX} ${pluginId}: ${widget || 'module'} ${phase} took ${Math.round(end - start)} ms (budget ${budget} ms)`);
+    }
+  };
+
+  /**
+   * Wrap a component so its setup and first render are measured.
+   * @param {object} component
+   * @returns {object} The same component with a timed setup()
+   */
+  const instrument = (component) => {
+    if (!enabled) return component;
+    const widget = component.name || 'Widget';
+    const setup = component.setup;
+
+    return {
+      ...component,
+      setup(props, setupContext) {
+        const start = timeline.now();
+        if (!loaded) {
+          loaded = true;
+          record(null, 'load', loadStart(), moduleEnd ?? start);
+        }
+        const bindings = setup ? setup(props, setupContext) : undefined;
+        record(widget, 'setup', start, timeline.now());
+        if (onMounted) onMounted(() => record(widget, 'render', start, timeline.now()));
+        return bindings;
+      }
+    };
+  };
+
+  return { budgets: limits, instrument };
+};
+
+// ============================================================================
+// READING
+// ============================================================================
+
+const summarize = (samples) => {
+  const durations = samples.slice(-MAX_SAMPLES).map((entry) => entry.duration);
+  const budget = samples.at(-1).detail.budget;
+  const p95 = percentile(durations, 95);
+  return {
+    count: durations.length,
+    p50: percentile(durations, 50),
+    p95,
+    max: Math.max(...durations),
+    budget,
+    slow: Number.isFinite(budget) && p95 > budget
+  };
+};
+
+const phaseStats = (samples) => Object.fromEntries(WIDGET_PHASES
+  .map((phase) => [phase, samples.filter((entry) => entry.detail.phase === phase)])
+  .filter(([, entries]) => entries.length)
+  .map(([phase, entries]) => [phase, summarize(entries)]));
+
+/**
+ * Timings of every instrumented widget of the page, per plugin and per
+ * widget. Plugin statistics pool the samples of all its widgets, plus the
+ * module load, which widgets do not have. A plugin is slow when one of its
+ * widgets is, or when its own load is.
+ * @param {object} [options]
+ * @param {string} [options.pluginId] - Only this plugin
+ * @returns {{ plugins: Array<{ pluginId: string, phases: object, slow: boolean,
+ *   widgets: Array<{ widget: string, phases: object, slow: boolean }> }> }}
+ *   `phases` maps each measured phase to { count, p50, p95, max, budget, slow } (ms)
+ */
+export const readWidgetPerformance = ({ pluginId } = {}) => {
+  if (!timeline?.getEntriesByType) return { plugins: [] };
+  const byPlugin = new Map();
+  for (const entry of timeline.getEntriesByType('measure')) {
+    if (!entry.name.startsWith(MEASURE_PREFIX) || !entry.detail?.pluginId) continue;
+    if (pluginId && entry.detail.pluginId !== pluginId) continue;
+    if (!byPlugin.has(entry.detail.pluginId)) byPlugin.set(entry.detail.pluginId, []);
+    byPlugin.get(entry.detail.pluginId).push(entry);
+  }
+
+  const plugins = [...byPlugin.entries()].map(([id, samples]) => {
+    const widgets = [...new Set(samples.map((entry) => entry.detail.widget).filter(Boolean))]
+      .map((widget) => {
+        const phases = phaseStats(samples.filter((entry) => entry.detail.widget === widget));
+        return { widget, phases, slow: Object.values(phases).some((stats) => stats.slow) };
+      })
+      // Slowest first: by render p95
+      .sort((a, b) => (b.phases.render?.p95 ?? 0) - (a.phases.render?.p95 ?? 0));
+    const phases = phaseStats(samples);
+    return { pluginId: id, phases, slow: !!phases.load?.slow || widgets.some((widget) => widget.slow), widgets };
+  });
+
+  return { plugins: plugins.sort((a, b) => a.pluginId.localeCompare(b.pluginId)) };
+};
+
+/**
+ * Call `callback` whenever widgets record new samples.
+ * @param {() => void} callback
+ * @returns {() => void} Stops watching
+ */
+export const watchWidgetPerformance = (callback) => {
+  if (typeof PerformanceObserver === 'undefined') return () => {};
+  const observer = new PerformanceObserver((list) => {
+    if (list.getEntries().some((entry) => entry.name.startsWith(MEASURE_PREFIX))) callback();
+  });
+  try {
+    observer.observe({ type: 'measure' });
+  } catch {
+    return () => {};
+  }
+  return () => observer.disconnect();
+};
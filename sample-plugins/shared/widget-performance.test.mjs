@@ -0,0 +1,75 @@
+/**
+ * Widget performance: one load sample per plugin, per-widget setup and
+ * render samples, and a bounded number of entries on the timeline
+ *
+ *   node --import ./tools/plugin-test-env.mjs --test sample-plugins/shared/widget-performance.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mount } from '../../tools/plugin-test-env.mjs';
+import { MAX_SAMPLES, MEASURE_PREFIX, createWidgetPerformance, readWidgetPerformance } from './widget-performance.js';
+
+const widget = (name) => ({ name, template: `<p>${name}</p>` });
+
+const measures = (pluginId) => performance.getEntriesByType('measure')
+  .filter((entry) => entry.name.startsWith(`${MEASURE_PREFIX}${pluginId}:`));
+
+test('the module load is one sample for the plugin, whatever its number of widgets', async () => {
+  const timing = createWidgetPerformance('perf-load-plugin');
+  await Promise.resolve();
+  for (const name of ['FirstWidget', 'SecondWidget', 'FirstWidget']) {
+    (await mount(timing.instrument(widget(name)))).unmount();
+  }
+
+  assert.deepEqual(measures('perf-load-plugin').filter((e) => e.detail.phase === 'load').map((e) => e.name),
+    ['plugin-widget:perf-load-plugin:load']);
+  const [plugin] = readWidgetPerformance({ pluginId: 'perf-load-plugin' }).plugins;
+  assert.equal(plugin.phases.load.count, 1);
+  assert.equal(plugin.phases.setup.count, 3);
+  assert.equal(plugin.phases.render.count, 3);
+  assert.deepEqual(plugin.widgets.map((w) => w.widget).sort(), ['FirstWidget', 'SecondWidget']);
+  const first = plugin.widgets.find((w) => w.widget === 'FirstWidget');
+  assert.deepEqual(Object.keys(first.phases), ['setup', 'render']);
+  assert.equal(first.phases.setup.count, 2);
+});
+
+test('old samples are cleared from the timeline, the most recent ones kept', async () => {
+  const timing = createWidgetPerformance('perf-trim-plugin');
+  const component = timing.instrument(widget('BusyWidget'));
+  const { h } = window.Vue;
+  (await mount({ render: () => Array.from({ length: 2 * MAX_SAMPLES + 1 }, () => h(component)) })).unmount();
+
+  const setups = measures('perf-trim-plugin').filter((e) => e.detail.phase === 'setup');
+  assert.equal(setups.length, MAX_SAMPLES);
+  assert.deepEqual(setups[0].detail, { pluginId: 'perf-trim-plugin', widget: 'BusyWidget', phase: 'setup', budget: 16 });
+  const [plugin] = readWidgetPerformance({ pluginId: 'perf-trim-plugin' }).plugins;
+  assert.equal(plugin.widgets[0].phases.setup.count, MAX_SAMPLES);
+});
+
+test('a slow module load makes the plugin slow, even when its widgets are fast', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+  const timing = createWidgetPerformance('perf-slow-load-plugin', { budgets: { load: 1, setup: 1000, render: 1000 } });
+  // Module evaluation still running: the load ends with this task
+  const until = performance.now() + 5;
+  while (performance.now() < until);
+  await Promise.resolve();
+  (await mount(timing.instrument(widget('QuickWidget')))).unmount();
+
+  const [plugin] = readWidgetPerformance({ pluginId: 'perf-slow-load-plugin' }).plugins;
+  assert.equal(plugin.phases.load.slow, true);
+  assert.equal(plugin.widgets[0].slow, false);
+  assert.equal(plugin.slow, true);
+  assert.match(warnings.join('\n'), /perf-slow-load-plugin: module load took \d+ ms \(budget 1 ms\)/);
+});
+
+test('a plugin whose load and widgets are within budget is not slow', async () => {
+  const timing = createWidgetPerformance('perf-fast-plugin', { budgets: { load: 1000, setup: 1000, render: 1000 } });
+  await Promise.resolve();
+  (await mount(timing.instrument(widget('QuickWidget')))).unmount();
+
+  const [plugin] = readWidgetPerformance({ pluginId: 'perf-fast-plugin' }).plugins;
+  assert.equal(plugin.phases.load.slow, false);
+  assert.equal(plugin.slow, false);
+});
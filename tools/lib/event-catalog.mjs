@@ -0,0 +1,330 @@
+/**
+ * Event catalog checks (see sample-plugins/shared/event-catalog.js).
+ *
+ * The manifest's `events` object itself is checked by validateManifest().
+ * This module adds:
+ * - checkEvents(): `emitEvent('x:y')` / `onEvent('x:y')` calls in a plugin's
+ *   own modules that its catalog does not declare (warnings; event names
+ *   built at runtime are left to the runtime checks)
+ * - crossCheckEvents(): every consumed event against the plugins that emit
+ *   it - version range and payload schema compatibility
+ * - renderEventReference(): the EVENTS.md reference of a plugin
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolvePluginFiles, SHARED_PREFIX } from './module-graph.mjs';
+import { isSemver } from './manifest.mjs';
+
+export const REFERENCE_FILE = 'EVENTS.md';
+
+// Events the portal itself emits (plugin:installed, ...), not declared by any plugin
+export const PORTAL_EVENT_PREFIX = 'plugin:';
+
+// emitEvent('a:b', ...), activity.emit('a:b', ...) and onEvent('a:b', ...)
+const EMIT_CALL = /\b(?:emitEvent|emit)\(\s*(['"])([\w.-]+:[\w.:-]+)\1/g;
+const LISTEN_CALL = /\bonEvent\(\s*(['"])([\w.-]+:[\w.:-]+)\1/g;
+
+const lineColumnAt = (text, offset) => {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+// ============================================================================
+// VERSION RANGES
+// ============================================================================
+
+const parseVersion = (text) => {
+  const [core] = String(text).replace(/^v/, '').split(/[-+]/);
+  const parts = core.split('.');
+  const numbers = parts.map((part) => (/^\d+$/.test(part) ? Number(part) : null));
+  // Number of leading numeric parts: "1.x" and "1" are both partial (1)
+  const known = numbers.findIndex((n) => n === null);
+  return { numbers: numbers.map((n) => n ?? 0).concat([0, 0, 0]).slice(0, 3), known: known < 0 ? parts.length : known };
+};
+
+const compare = (a, b) => {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+const bump = (numbers, index) =>
+  numbers.map((n, i) => (i < index ? n : i === index ? n + 1 : 0));
+
+/**
+ * Turn one comparator into [lower bound (inclusive), upper bound (exclusive)] tests.
+ */
+const comparatorTests = (comparator) => {
+  if (comparator === '*' || comparator === '') return [];
+  const [, op = '', rest] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(comparator);
+  const { numbers, known } = parseVersion(rest);
+  if (known === 0) return [];
+
+  const atLeast = (v) => (version) => compare(version, v) >= 0;
+  const below = (v) => (version) => compare(version, v) < 0;
+
+  switch (op) {
+    case '^': {
+      // Up to the next change of the first non-zero part
+      const index = numbers.findIndex((n, i) => n !== 0 || i === known - 1);
+      return [atLeast(numbers), below(bump(numbers, Math.min(index, known - 1)))];
+    }
+    case '~':
+      return [atLeast(numbers), below(bump(numbers, known > 1 ? 1 : 0))];
+    case '>=': return [atLeast(numbers)];
+    case '>': return known < 3 ? [atLeast(bump(numbers, known - 1))] : [(v) => compare(v, numbers) > 0];
+    case '<': return [below(numbers)];
+    case '<=': return known < 3 ? [below(bump(numbers, known - 1))] : [(v) => compare(v, numbers) <= 0];
+    default:
+      return known < 3 ? [atLeast(numbers), below(bump(numbers, known - 1))] : [(v) => compare(v, numbers) === 0];
+  }
+};
+
+/**
+ * Whether `version` satisfies an npm-style range (`^1.2.0`, `>=1.0.0 <2.0.0`, `1.x || 2.x`, `*`).
+ * Prerelease tags are ignored.
+ */
+export const satisfies = (version, range) => {
+  const { numbers } = parseVersion(version);
+  return String(range).split('||').some((set) =>
+    set.trim().split(/\s+/).flatMap(comparatorTests).every((test) => test(numbers)));
+};
+
+// ============================================================================
+// CODE SCAN
+// ============================================================================
+
+/**
+ * Literal event names emitted and listened to in a module.
+ * @param {string} source
+ * @returns {{ emits: Array<{ name, line, column }>, listens: Array<{ name, line, column }> }}
+ */
+export const scanEventUsage = (source) => {
+  const collect = (pattern) =>
+    [...source.matchAll(pattern)].map((match) => ({ name: match[2], ...lineColumnAt(source, match.index) }));
+  return { emits: collect(EMIT_CALL), listens: collect(LISTEN_CALL) };
+};
+
+/**
+ * Compare the code of the plugin in `dir` with its event catalog. Plugins
+ * without an `events` object in plugin.json are not checked.
+ * @param {string} dir
+ * @param {object} manifest
+ * @returns {import('./validate-plugin.mjs').Diagnostic[]}
+ */
+export const checkEvents = (dir, manifest) => {
+  const diagnostics = [];
+  const events = manifest?.events;
+  if (!events || typeof events !== 'object') return diagnostics;
+  const emits = events.emits || {};
+  const consumes = events.consumes || {};
+
+  // Shared modules build their event names from the plugin id at runtime
+  const modules = resolvePluginFiles(dir).files.filter(({ name }) =>
+    name.endsWith('.js') && !name.startsWith(SHARED_PREFIX));
+  for (const { name, source } of modules) {
+    const usage = scanEventUsage(readFileSync(source, 'utf8'));
+    for (const entry of usage.emits) {
+      if (!Object.hasOwn(emits, entry.name)) {
+        diagnostics.push({ severity: 'warning', file: name, line: entry.line, column: entry.column,
+          message: `Emits "${entry.name}", which is not declared in events.emits` });
+      }
+    }
+    for (const entry of usage.listens) {
+      if (!Object.hasOwn(emits, entry.name) && !Object.hasOwn(consumes, entry.name)) {
+        diagnostics.push({ severity: 'warning', file: name, line: entry.line, column: entry.column,
+          message: `Listens to "${entry.name}", which is not declared in events.consumes` });
+      }
+    }
+  }
+  return diagnostics;
+};
+
+// ============================================================================
+// CROSS-CHECK
+// ============================================================================
+
+const typesOf = (schema) => {
+  if (!schema || schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+};
+
+const acceptsType = (accepted, type) =>
+  accepted.includes(type) || (type === 'integer' && accepted.includes('number'));
+
+/**
+ * Differences between what a subscriber expects and what an emitter sends.
+ * @param {object} expected - Consumer payload schema
+ * @param {object} sent - Emitter payload schema
+ * @returns {Array<{ severity: 'error' | 'warning', message: string }>}
+ */
+export const comparePayloadSchemas = (expected, sent, path = 'payload') => {
+  if (!expected || !sent) return [];
+  const problems = [];
+
+  const accepted = typesOf(expected);
+  const produced = typesOf(sent);
+  if (accepted && produced) {
+    const extra = produced.filter((type) => !acceptsType(accepted, type));
+    if (extra.length) {
+      problems.push({ severity: 'error',
+        message: `${path} is ${produced.join(' or ')} but the subscriber expects ${accepted.join(' or ')}` });
+      return problems;
+    }
+  }
+
+  if (Array.isArray(expected.enum)) {
+    const values = Array.isArray(sent.enum) ? sent.enum : sent.const !== undefined ? [sent.const] : null;
+    const unexpected = values ? values.filter((value) => !expected.enum.includes(value)) : [];
+    if (!values) {
+      problems.push({ severity: 'warning', message: `${path} is limited to ${expected.enum.map((v) => JSON.stringify(v)).join(', ')} by the subscriber but not by the emitter` });
+    } else if (unexpected.length) {
+      problems.push({ severity: 'error', message: `${path} can be ${unexpected.map((v) => JSON.stringify(v)).join(', ')}, which the subscriber does not expect` });
+    }
+  }
+
+  const sentProperties = sent.properties || {};
+  const sentRequired = sent.required || [];
+  for (const key of expected.required || []) {
+    if (!Object.hasOwn(sentProperties, key)) {
+      problems.push({ severity: 'error', message: `${path}.${key} is required by the subscriber but the emitter does not declare it` });
+    } else if (!sentRequired.includes(key)) {
+      problems.push({ severity: 'warning', message: `${path}.${key} is required by the subscriber but optional for the emitter` });
+    }
+  }
+  for (const [key, schema] of Object.entries(expected.properties || {})) {
+    if (Object.hasOwn(sentProperties, key)) {
+      problems.push(...comparePayloadSchemas(schema, sentProperties[key], `${path}.${key}`));
+    }
+  }
+  if (expected.items && sent.items) {
+    problems.push(...comparePayloadSchemas(expected.items, sent.items, `${path}[]`));
+  }
+  return problems;
+};
+
+/**
+ * Check every consumed event of `plugins` against the plugins that emit it.
+ * @param {Array<{ dir: string, manifest: object, locations?: Map }>} plugins
+ * @returns {Map<string, Array<{ severity, path, message }>>} Problems per plugin directory,
+ *   with the manifest path they concern
+ */
+export const crossCheckEvents = (plugins) => {
+  const problems = new Map(plugins.map(({ dir }) => [dir, []]));
+  const emitters = new Map();
+  for (const plugin of plugins) {
+    for (const [name, declaration] of Object.entries(plugin.manifest.events?.emits || {})) {
+      if (!emitters.has(name)) emitters.set(name, []);
+      emitters.get(name).push({ plugin, declaration });
+    }
+  }
+
+  for (const consumer of plugins) {
+    const report = (severity, path, message) => problems.get(consumer.dir).push({ severity, path, message });
+    for (const [name, expected] of Object.entries(consumer.manifest.events?.consumes || {})) {
+      const path = `events.consumes.${name}`;
+      if (name.startsWith(PORTAL_EVENT_PREFIX)) continue;
+      const sources = (emitters.get(name) || []).filter(({ plugin }) => plugin !== consumer);
+      if (!sources.length) {
+        report('warning', path, `No checked plugin emits "${name}"`);
+        continue;
+      }
+      for (const { plugin, declaration } of sources) {
+        const emitter = plugin.manifest.id;
+        if (expected.version && isSemver(declaration.version) && !satisfies(declaration.version, expected.version)) {
+          report('error', `${path}.version`,
+            `"${name}" is version ${declaration.version} in ${emitter}, outside the subscribed range ${expected.version}`);
+        }
+        for (const problem of comparePayloadSchemas(expected.payload, declaration.payload)) {
+          report(problem.severity, `${path}.payload`, `"${name}" from ${emitter}: ${problem.message}`);
+        }
+      }
+    }
+  }
+  return problems;
+};
+
+// ============================================================================
+// REFERENCE
+// ============================================================================
+
+const describeType = (schema) => {
+  const types = typesOf(schema) || ['any'];
+  const base = types.map((type) => (type === 'array' && schema.items ? `${describeType(schema.items)}[]` : type)).join(' \\| ');
+  if (Array.isArray(schema.enum)) return `${base} (${schema.enum.map((v) => `\`${JSON.stringify(v)}\``).join(', ')})`;
+  if (schema.format) return `${base} (${schema.format})`;
+  return base;
+};
+
+/**
+ * Flatten a payload schema into table rows: one per property, nested ones
+ * with dotted paths.
+ */
+const payloadRows = (schema, prefix = '') => {
+  const rows = [];
+  const required = schema?.required || [];
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    const field = `${prefix}${key}`;
+    rows.push(`| \`${field}\` | ${describeType(property)} | ${required.includes(key) ? 'yes' : 'no'} | ${property.description || ''} |`);
+    if (property.properties) rows.push(...payloadRows(property, `${field}.`));
+    if (property.items?.properties) rows.push(...payloadRows(property.items, `${field}[].`));
+    if (property.additionalProperties?.properties) rows.push(...payloadRows(property.additionalProperties, `${field}.*.`));
+  }
+  return rows;
+};
+
+const payloadSection = (schema) => {
+  if (!schema) return ['Payload: not declared.'];
+  const rows = payloadRows(schema);
+  if (!rows.length) return [`Payload: ${describeType(schema)}.`];
+  return ['| Field | Type | Required | Description |', '| --- | --- | --- | --- |', ...rows];
+};
+
+// " Description." with a final period, or nothing
+const sentence = (text) => (text ? ` ${text.replace(/\.?$/, '.')}` : '');
+
+/**
+ * Markdown reference of a plugin's events.
+ * @param {object} manifest
+ * @param {object} [options]
+ * @param {Array<object>} [options.plugins] - Manifests of the other checked plugins, to list subscribers and emitters
+ * @returns {string}
+ */
+export const renderEventReference = (manifest, { plugins = [] } = {}) => {
+  const emits = Object.entries(manifest.events?.emits || {});
+  const consumes = Object.entries(manifest.events?.consumes || {});
+  const others = plugins.filter((other) => other.id !== manifest.id);
+  const lines = [
+    `# ${manifest.name || manifest.id} - Events`,
+    '',
+    `<!-- Generated from plugin.json by \`node tools/plugin-cli.mjs events\`; do not edit. -->`,
+    '',
+    `Events of \`${manifest.id}\` ${manifest.version}. Payload schemas are checked in development by \`shared/event-catalog.js\`.`,
+    '',
+    '## Emitted events',
+    ''
+  ];
+
+  if (!emits.length) lines.push('None.', '');
+  for (const [name, declaration] of emits) {
+    const subscribers = others.filter((other) => Object.hasOwn(other.events?.consumes || {}, name));
+    lines.push(`### \`${name}\``, '', `Version ${declaration.version}.${sentence(declaration.description)}`, '');
+    lines.push(...payloadSection(declaration.payload), '');
+    if (subscribers.length) lines.push(`Subscribers: ${subscribers.map((other) => `\`${other.id}\``).join(', ')}.`, '');
+  }
+
+  lines.push('## Consumed events', '');
+  if (!consumes.length) lines.push('None.', '');
+  for (const [name, declaration] of consumes) {
+    const sources = name.startsWith(PORTAL_EVENT_PREFIX)
+      ? ['the portal']
+      : others.filter((other) => Object.hasOwn(other.events?.emits || {}, name)).map((other) => `\`${other.id}\``);
+    lines.push(`### \`${name}\``, '');
+    const versions = !declaration.version || declaration.version === '*' ? 'Any version' : `Versions ${declaration.version}`;
+    lines.push(`${versions}.${sentence(declaration.description)}${sources.length ? ` Emitted by ${sources.join(', ')}.` : ''}`, '');
+    lines.push(...payloadSection(declaration.payload), '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
@@ -0,0 +1,154 @@
+/**
+ * Message catalog checks (see sample-plugins/shared/i18n.js).
+ *
+ * Catalogs live in `<plugin>/locales/<locale>.js` and default-export a flat
+ * object of message keys. Reports:
+ * - keys that some catalogs define and others do not (warning: the fallback
+ *   catalog covers them at runtime, but the text will not be translated)
+ * - placeholders that differ between the catalogs of the same key (warning)
+ * - plural messages without an `other` form (error)
+ * - `t('key')` calls in the plugin's own modules, and `labelKey` /
+ *   `descriptionKey` of the plugin.json settings, whose key no catalog
+ *   defines (error: the raw key would be displayed)
+ *
+ * Catalogs are ES modules, so they are loaded with import() and the check is
+ * asynchronous, unlike validatePlugin().
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { locate, parseJsonWithLocations } from './json-locate.mjs';
+import { resolvePluginFiles, SHARED_PREFIX } from './module-graph.mjs';
+import { MANIFEST_FILE } from './validate-plugin.mjs';
+
+export const LOCALES_DIR = 'locales';
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+// t('key') or i18n.t("key", params); computed keys (t('a.' + b)) are skipped
+const TRANSLATE_CALL = /(?<![\w$])t\(\s*(['"])([\w.-]+)\1(?=\s*[,)])/g;
+
+const start = { line: 1, column: 1 };
+
+const placeholdersOf = (message) => {
+  const texts = message && typeof message === 'object' ? Object.values(message) : [message];
+  const names = new Set();
+  for (const text of texts) {
+    for (const [, name] of String(text).matchAll(PLACEHOLDER)) names.add(name);
+  }
+  return [...names].sort().join(', ');
+};
+
+const lineColumnAt = (text, offset) => {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Find the line of `key` in a catalog's source, for friendlier diagnostics.
+ */
+const locateKey = (source, key) => {
+  const offset = Math.max(source.indexOf(`'${key}'`), source.indexOf(`"${key}"`));
+  return offset >= 0 ? lineColumnAt(source, offset) : start;
+};
+
+/**
+ * Check the catalogs of the plugin in `dir`.
+ * @param {string} dir
+ * @returns {Promise<import('./validate-plugin.mjs').Diagnostic[]>}
+ */
+export const checkCatalogs = async (dir) => {
+  const diagnostics = [];
+  const report = (severity, file, position, message) => {
+    diagnostics.push({ severity, file, line: position.line, column: position.column, message });
+  };
+
+  const localesDir = join(dir, LOCALES_DIR);
+  if (!existsSync(localesDir)) return diagnostics;
+
+  // --- Load the catalogs ---------------------------------------------------
+  const catalogs = [];
+  for (const name of readdirSync(localesDir).filter((f) => f.endsWith('.js')).sort()) {
+    const file = `${LOCALES_DIR}/${name}`;
+    const path = join(localesDir, name);
+    try {
+      const { default: messages } = await import(`${pathToFileURL(path).href}?t=${Date.now()}`);
+      if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+        report('error', file, start, 'A catalog must default-export an object of messages');
+        continue;
+      }
+      catalogs.push({ locale: name.slice(0, -3), file, messages, source: readFileSync(path, 'utf8') });
+    } catch (err) {
+      report('error', file, start, `Cannot load catalog: ${err.message}`);
+    }
+  }
+  if (!catalogs.length) return diagnostics;
+
+  // --- Catalogs against each other -----------------------------------------
+  const allKeys = new Set(catalogs.flatMap((catalog) => Object.keys(catalog.messages)));
+  for (const key of [...allKeys].sort()) {
+    const defining = catalogs.filter((catalog) => Object.hasOwn(catalog.messages, key));
+    for (const catalog of catalogs) {
+      if (!defining.includes(catalog)) {
+        report('warning', catalog.file, start,
+          `Missing key "${key}" (defined in ${defining.map((c) => c.locale).join(', ')})`);
+      }
+    }
+
+    for (const catalog of defining) {
+      const message = catalog.messages[key];
+      if (message && typeof message === 'object' && typeof message.other !== 'string') {
+        report('error', catalog.file, locateKey(catalog.source, key), `Plural message "${key}" has no "other" form`);
+      } else if (typeof message !== 'string' && (!message || typeof message !== 'object')) {
+        report('error', catalog.file, locateKey(catalog.source, key), `Message "${key}" must be a string or plural forms`);
+      }
+    }
+
+    const reference = defining[0];
+    const expected = placeholdersOf(reference.messages[key]);
+    for (const catalog of defining.slice(1)) {
+      const actual = placeholdersOf(catalog.messages[key]);
+      if (actual !== expected) {
+        report('warning', catalog.file, locateKey(catalog.source, key),
+          `Message "${key}" uses {${actual}} but ${reference.locale} uses {${expected}}`);
+      }
+    }
+  }
+
+  // --- Keys used by the plugin's modules -----------------------------------
+  // Shared modules are left out: they are not tied to this plugin's catalogs.
+  const modules = resolvePluginFiles(dir).files.filter(({ name }) =>
+    name.endsWith('.js') && !name.startsWith(SHARED_PREFIX) && !name.startsWith(`${LOCALES_DIR}/`));
+  for (const { name, source } of modules) {
+    const text = readFileSync(source, 'utf8');
+    for (const match of text.matchAll(TRANSLATE_CALL)) {
+      if (!allKeys.has(match[2])) {
+        report('error', name, lineColumnAt(text, match.index), `t('${match[2]}') uses a key no catalog defines`);
+      }
+    }
+  }
+
+  // --- Keys named by the settings declarations ------------------------------
+  // An unreadable plugin.json is reported by validatePlugin()
+  const manifestPath = join(dir, MANIFEST_FILE);
+  let manifest = null;
+  try {
+    manifest = parseJsonWithLocations(readFileSync(manifestPath, 'utf8'));
+  } catch {
+    // Nothing to check
+  }
+  const settings = manifest?.value?.settings;
+  if (settings && typeof settings === 'object') {
+    for (const [name, setting] of Object.entries(settings)) {
+      for (const property of ['labelKey', 'descriptionKey']) {
+        const key = setting?.[property];
+        if (typeof key === 'string' && !allKeys.has(key)) {
+          const path = `settings.${name}.${property}`;
+          report('error', MANIFEST_FILE, locate(manifest.locations, path), `${path} "${key}" is a key no catalog defines`);
+        }
+      }
+    }
+  }
+
+  return diagnostics;
+};
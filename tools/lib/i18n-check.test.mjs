@@ -0,0 +1,79 @@
+/**
+ * Message catalog checks: catalogs against each other, t('key') calls and
+ * the catalog keys named by the settings declarations
+ *
+ *   node --test tools/lib/i18n-check.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { checkCatalogs } from './i18n-check.mjs';
+
+const MANIFEST = {
+  id: 'demo-plugin',
+  name: 'Demo',
+  version: '1.0.0',
+  author: 'Jane Doe',
+  coreVersion: '>=1.0.0',
+  settings: {
+    greeting: { type: 'string', label: 'Greeting', labelKey: 'settings.greeting.label', descriptionKey: 'settings.greeting.help' },
+    rows: { type: 'number', label: 'Rows', labelKey: 'settings.rows.label' }
+  }
+};
+
+// Write a plugin directory with catalogs, check it and clean up
+const check = async ({ manifest = MANIFEST, entry = 'export default {};\n', catalogs }) => {
+  const dir = mkdtempSync(join(tmpdir(), 'plugin-i18n-'));
+  try {
+    writeFileSync(join(dir, 'plugin.json'), JSON.stringify(manifest, null, 2));
+    writeFileSync(join(dir, 'index.js'), entry);
+    mkdirSync(join(dir, 'locales'));
+    for (const [locale, messages] of Object.entries(catalogs)) {
+      writeFileSync(join(dir, 'locales', `${locale}.js`), `export default ${JSON.stringify(messages, null, 2)};\n`);
+    }
+    return (await checkCatalogs(dir)).map(({ severity, file, line, message }) => `${severity} ${file}:${line} ${message}`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const SETTINGS_MESSAGES = {
+  'settings.greeting.label': 'Greeting',
+  'settings.greeting.help': 'Shown on the dashboard',
+  'settings.rows.label': 'Rows'
+};
+
+test('keys, placeholders and plural forms are compared between catalogs', async () => {
+  assert.deepEqual(await check({
+    catalogs: {
+      en: { ...SETTINGS_MESSAGES, 'game.turn': "{player}'s turn", 'game.moves': { one: '{count} move' }, 'game.only': 'English' },
+      fr: { ...SETTINGS_MESSAGES, 'game.turn': 'Au tour de {name}', 'game.moves': { one: '{count} coup', other: '{count} coups' } }
+    }
+  }), [
+    'error locales/en.js:6 Plural message "game.moves" has no "other" form',
+    'warning locales/fr.js:1 Missing key "game.only" (defined in en)',
+    'warning locales/fr.js:5 Message "game.turn" uses {name} but en uses {player}'
+  ]);
+});
+
+test('t() calls and settings labelKey / descriptionKey need a key some catalog defines', async () => {
+  assert.deepEqual(await check({
+    entry: "const t = (key) => key;\nexport default { title: t('page.title'), missing: t('page.missing') };\n",
+    catalogs: {
+      en: { 'page.title': 'Demo', 'settings.greeting.label': 'Greeting' },
+      fr: { 'page.title': 'Démo', 'settings.greeting.label': 'Salutation' }
+    }
+  }), [
+    "error index.js:2 t('page.missing') uses a key no catalog defines",
+    'error plugin.json:12 settings.greeting.descriptionKey "settings.greeting.help" is a key no catalog defines',
+    'error plugin.json:17 settings.rows.labelKey "settings.rows.label" is a key no catalog defines'
+  ]);
+});
+
+test('settings without catalog keys, or whose keys are defined, pass', async () => {
+  assert.deepEqual(await check({ manifest: { ...MANIFEST, settings: undefined }, catalogs: { en: { 'page.title': 'Demo' } } }), []);
+  assert.deepEqual(await check({ catalogs: { en: SETTINGS_MESSAGES, fr: SETTINGS_MESSAGES } }), []);
+});
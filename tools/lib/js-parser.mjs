@@ -0,0 +1,1394 @@
+/**
+ * Dependency-free parser for the JavaScript of plugin modules.
+ *
+ * Parses an ES module (ES2022: classes with fields and private names,
+ * async/await, destructuring, optional chaining, template literals...) into
+ * an ESTree-shaped AST, so checks can look at what the code does rather than
+ * at text that happens to match. Every node carries `start`, `end` (offsets)
+ * and `line` / `column` (1-based, of its first character). Comments are
+ * returned next to the AST.
+ *
+ * It is meant for linting, not for running code: early errors the engine
+ * would report (duplicate bindings, invalid assignment targets...) are not
+ * checked, and JSX, TypeScript and Flow are not supported.
+ */
+
+export class JsSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (${line}:${column})`);
+    this.name = 'JsSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Keywords after which a `/` starts a regular expression, not a division
+const REGEX_AFTER_KEYWORD = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Longest first, so `>>>=` wins over `>>`
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|',
+  '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+const BINARY_PRECEDENCE = {
+  '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, instanceof: 7, in: 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=',
+  '&&=', '||=', '??='
+]);
+
+const isIdentifierStart = (char) => /[A-Za-z_$\u0080-\uffff]/.test(char);
+const isIdentifierPart = (char) => /[\w$\u0080-\uffff\u200c\u200d]/.test(char);
+
+/**
+ * Turn source text into tokens on demand. Templates are read piecewise: the
+ * parser asks for the next chunk after each `${...}` expression.
+ */
+const createTokenizer = (source) => {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const position = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  const comments = [];
+  let pos = source.startsWith('#!') ? source.indexOf('\n') + 1 || source.length : 0;
+  let last = null;
+
+  const fail = (message, offset = pos) => {
+    const { line, column } = position(offset);
+    throw new JsSyntaxError(message, line, column);
+  };
+
+  // Skip whitespace and comments; true when a line break was crossed
+  const skipTrivia = () => {
+    let newline = false;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '\n' || char === '\r' || char === '\u2028' || char === '\u2029') {
+        newline = true;
+        pos += 1;
+      } else if (/\s/.test(char)) {
+        pos += 1;
+      } else if (char === '/' && source[pos + 1] === '/') {
+        const end = source.indexOf('\n', pos);
+        const stop = end === -1 ? source.length : end;
+        comments.push({ type: 'Line', value: source.slice(pos + 2, stop), start: pos, end: stop, ...position(pos) });
+        pos = stop;
+      } else if (char === '/' && source[pos + 1] === '*') {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        const value = source.slice(pos + 2, end);
+        comments.push({ type: 'Block', value, start: pos, end: end + 2, ...position(pos), endLine: position(end).line });
+        if (/[\n\r\u2028\u2029]/.test(value)) newline = true;
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+    return newline;
+  };
+
+  const regexAllowed = () => {
+    if (!last) return true;
+    if (last.type === 'name') return REGEX_AFTER_KEYWORD.has(last.value);
+    if (last.type === 'punct') return ![')', ']', '}'].includes(last.value);
+    return false;
+  };
+
+  const make = (type, value, start, newline, extra = {}) => {
+    const token = { type, value, start, end: pos, newline, ...position(start), ...extra };
+    last = token;
+    return token;
+  };
+
+  const readString = (quote, start, newline) => {
+    pos += 1;
+    let value = '';
+    while (source[pos] !== quote) {
+      if (pos >= source.length || source[pos] === '\n') fail('Unterminated string', start);
+      if (source[pos] === '\\') {
+        value += readEscape();
+      } else {
+        value += source[pos];
+        pos += 1;
+      }
+    }
+    pos += 1;
+    return make('string', value, start, newline, { raw: source.slice(start, pos) });
+  };
+
+  const readEscape = () => {
+    const char = source[pos + 1];
+    pos += 2;
+    switch (char) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case '0': return '\0';
+      case '\r':
+        if (source[pos] === '\n') pos += 1;
+        return '';
+      case '\n': case '\u2028': case '\u2029': return '';
+      case 'x': {
+        const code = parseInt(source.slice(pos, pos + 2), 16);
+        pos += 2;
+        return String.fromCharCode(code);
+      }
+      case 'u': {
+        let hex;
+        if (source[pos] === '{') {
+          const end = source.indexOf('}', pos);
+          hex = source.slice(pos + 1, end);
+          pos = end + 1;
+        } else {
+          hex = source.slice(pos, pos + 4);
+          pos += 4;
+        }
+        return String.fromCodePoint(parseInt(hex, 16));
+      }
+      default: return char;
+    }
+  };
+
+  const readNumber = (start, newline) => {
+    if (source[pos] === '0' && /[xXoObB]/.test(source[pos + 1] || '')) {
+      pos += 2;
+      while (/[\da-fA-F_]/.test(source[pos] || '')) pos += 1;
+    } else {
+      while (/[\d_]/.test(source[pos] || '')) pos += 1;
+      if (source[pos] === '.') {
+        pos += 1;
+        while (/[\d_]/.test(source[pos] || '')) pos += 1;
+      }
+      if (/[eE]/.test(source[pos] || '')) {
+        pos += 1;
+        if (/[+-]/.test(source[pos])) pos += 1;
+        while (/\d/.test(source[pos] || '')) pos += 1;
+      }
+    }
+    if (source[pos] === 'n') pos += 1;
+    if (isIdentifierStart(source[pos] || '')) fail('Identifier directly after number');
+    const raw = source.slice(start, pos);
+    const value = raw.endsWith('n') ? BigInt(raw.slice(0, -1).replace(/_/g, '')) : Number(raw.replace(/_/g, ''));
+    return make('number', value, start, newline, { raw });
+  };
+
+  const readRegex = (start, newline) => {
+    let inClass = false;
+    pos += 1;
+    for (;;) {
+      const char = source[pos];
+      if (pos >= source.length || char === '\n') fail('Unterminated regular expression', start);
+      if (char === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      pos += 1;
+    }
+    const pattern = source.slice(start + 1, pos);
+    pos += 1;
+    const flagsStart = pos;
+    while (isIdentifierPart(source[pos] || '')) pos += 1;
+    return make('regex', null, start, newline, {
+      regex: { pattern, flags: source.slice(flagsStart, pos) },
+      raw: source.slice(start, pos)
+    });
+  };
+
+  /**
+   * Read template text from the current position up to `${` or the closing
+   * backtick. Called right after the opening backtick or a `}`.
+   */
+  const readTemplateChunk = (start, newline = false) => {
+    let cooked = '';
+    const rawStart = pos;
+    for (;;) {
+      if (pos >= source.length) fail('Unterminated template literal', start);
+      const char = source[pos];
+      if (char === '`') {
+        const raw = source.slice(rawStart, pos);
+        pos += 1;
+        return make('template', cooked, start, newline, { raw, tail: true });
+      }
+      if (char === '$' && source[pos + 1] === '{') {
+        const raw = source.slice(rawStart, pos);
+        pos += 2;
+        return make('template', cooked, start, newline, { raw, tail: false });
+      }
+      if (char === '\\') {
+        cooked += readEscape();
+      } else {
+        cooked += char;
+        pos += 1;
+      }
+    }
+  };
+
+  const next = () => {
+    const newline = skipTrivia();
+    const start = pos;
+    if (pos >= source.length) return make('eof', null, start, newline);
+    const char = source[pos];
+
+    if (isIdentifierStart(char) || char === '\\') {
+      while (pos < source.length && (isIdentifierPart(source[pos]))) pos += 1;
+      if (pos === start) fail('Unicode escapes in identifiers are not supported');
+      return make('name', source.slice(start, pos), start, newline);
+    }
+    if (char === '#' && isIdentifierStart(source[pos + 1] || '')) {
+      pos += 1;
+      while (pos < source.length && isIdentifierPart(source[pos])) pos += 1;
+      return make('privateName', source.slice(start + 1, pos), start, newline);
+    }
+    if (/\d/.test(char) || (char === '.' && /\d/.test(source[pos + 1] || ''))) return readNumber(start, newline);
+    if (char === '"' || char === '\'') return readString(char, start, newline);
+    if (char === '`') {
+      pos += 1;
+      return readTemplateChunk(start, newline);
+    }
+    if (char === '/' && regexAllowed()) return readRegex(start, newline);
+
+    for (const punct of PUNCTUATORS) {
+      if (source.startsWith(punct, pos)) {
+        // `a?.5:b` is a conditional, not optional chaining
+        if (punct === '?.' && /\d/.test(source[pos + 2] || '')) continue;
+        pos += punct.length;
+        return make('punct', punct, start, newline);
+      }
+    }
+    return fail(`Unexpected character "${char}"`);
+  };
+
+  /**
+   * Continue a template after the `}` that closed one of its expressions.
+   */
+  const continueTemplate = (closingBrace) => {
+    pos = closingBrace.end;
+    return readTemplateChunk(closingBrace.start);
+  };
+
+  /**
+   * Read a `/` or `/=` token again as a regular expression. After `)` and
+   * `}` the tokenizer guesses division; only the parser knows that the `)`
+   * closed an `if (...)` head or the `}` closed a block, so a statement
+   * starting with `/` is read again here.
+   */
+  const rereadAsRegex = (slash) => {
+    pos = slash.start;
+    return readRegex(slash.start, slash.newline);
+  };
+
+  const save = () => ({ pos, last, comments: comments.length });
+  const restore = (state) => {
+    pos = state.pos;
+    last = state.last;
+    comments.length = state.comments;
+  };
+
+  return { next, continueTemplate, rereadAsRegex, position, comments, fail, save, restore };
+};
+
+/**
+ * Parse an ES module.
+ * @param {string} source
+ * @returns {{ ast: object, comments: Array<{ type: 'Line'|'Block', value: string, line: number, column: number, endLine?: number }> }}
+ * @throws {JsSyntaxError}
+ */
+export const parseModule = (source) => {
+  const lexer = createTokenizer(source);
+  let tok = lexer.next();
+  let prev = null;
+  // Function context: inside async functions `await` is an operator, inside generators `yield`
+  let fn = { async: true, generator: false };
+
+  const advance = () => {
+    prev = tok;
+    tok = lexer.next();
+    return prev;
+  };
+
+  const fail = (message, token = tok) => {
+    throw new JsSyntaxError(message, token.line, token.column);
+  };
+
+  const unexpected = (token = tok) =>
+    fail(token.type === 'eof' ? 'Unexpected end of input' : `Unexpected token ${token.raw || token.value}`, token);
+
+  const is = (value) => (tok.type === 'punct' || tok.type === 'name') && tok.value === value;
+  const isPunct = (value) => tok.type === 'punct' && tok.value === value;
+  const isName = (value) => tok.type === 'name' && tok.value === value;
+
+  const eat = (value) => {
+    if (is(value)) {
+      advance();
+      return true;
+    }
+    return false;
+  };
+
+  const expect = (value) => {
+    if (!is(value)) fail(`Expected "${value}" but found ${tok.type === 'eof' ? 'end of input' : `"${tok.raw || tok.value}"`}`);
+    return advance();
+  };
+
+  const node = (type, startToken, fields) => ({
+    type,
+    start: startToken.start,
+    end: prev ? prev.end : startToken.end,
+    line: startToken.line,
+    column: startToken.column,
+    ...fields
+  });
+
+  const semicolon = () => {
+    if (eat(';')) return;
+    if (isPunct('}') || tok.type === 'eof' || tok.newline) return;
+    unexpected();
+  };
+
+  const identifier = () => {
+    if (tok.type !== 'name') unexpected();
+    const start = advance();
+    return node('Identifier', start, { name: start.value });
+  };
+
+  // Property names may be any identifier, keywords included
+  const propertyKey = () => {
+    const start = tok;
+    if (eat('[')) {
+      const key = parseAssign();
+      expect(']');
+      return { key, computed: true };
+    }
+    if (tok.type === 'string' || tok.type === 'number') {
+      advance();
+      return { key: node('Literal', start, { value: start.value, raw: start.raw }), computed: false };
+    }
+    if (tok.type === 'privateName') {
+      advance();
+      return { key: node('PrivateIdentifier', start, { name: start.value }), computed: false };
+    }
+    return { key: identifier(), computed: false };
+  };
+
+  // --- Patterns --------------------------------------------------------------
+
+  const bindingTarget = () => {
+    const start = tok;
+    if (eat('[')) {
+      const elements = [];
+      while (!isPunct(']')) {
+        if (isPunct(',')) {
+          advance();
+          elements.push(null);
+          continue;
+        }
+        const elementStart = tok;
+        if (eat('...')) {
+          const argument = bindingTarget();
+          elements.push(node('RestElement', elementStart, { argument }));
+        } else {
+          elements.push(bindingElement());
+        }
+        if (!isPunct(']')) expect(',');
+      }
+      expect(']');
+      return node('ArrayPattern', start, { elements });
+    }
+    if (eat('{')) {
+      const properties = [];
+      while (!isPunct('}')) {
+        const propStart = tok;
+        if (eat('...')) {
+          properties.push(node('RestElement', propStart, { argument: bindingTarget() }));
+        } else {
+          const { key, computed } = propertyKey();
+          const shorthand = !isPunct(':');
+          let value;
+          if (!shorthand) {
+            advance();
+            value = bindingElement();
+          } else {
+            if (computed || key.type !== 'Identifier') unexpected();
+            value = { ...key };
+            if (eat('=')) value = node('AssignmentPattern', propStart, { left: value, right: parseAssign() });
+          }
+          properties.push(node('Property', propStart, { key, value, computed, kind: 'init', method: false, shorthand }));
+        }
+        if (!isPunct('}')) expect(',');
+      }
+      expect('}');
+      return node('ObjectPattern', start, { properties });
+    }
+    return identifier();
+  };
+
+  const bindingElement = () => {
+    const start = tok;
+    const target = bindingTarget();
+    if (eat('=')) return node('AssignmentPattern', start, { left: target, right: parseAssign() });
+    return target;
+  };
+
+  // Reinterpret an expression as an assignment target / arrow parameter
+  const toPattern = (expr) => {
+    switch (expr.type) {
+      case 'Identifier':
+      case 'MemberExpression':
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return expr;
+      case 'ObjectExpression':
+        return {
+          ...expr,
+          type: 'ObjectPattern',
+          properties: expr.properties.map((prop) => (prop.type === 'SpreadElement'
+            ? { ...prop, type: 'RestElement', argument: toPattern(prop.argument) }
+            : { ...prop, value: toPattern(prop.value) }))
+        };
+      case 'ArrayExpression':
+        return {
+          ...expr,
+          type: 'ArrayPattern',
+          elements: expr.elements.map((element) => element && toPattern(element))
+        };
+      case 'SpreadElement':
+        return { ...expr, type: 'RestElement', argument: toPattern(expr.argument) };
+      case 'AssignmentExpression':
+        if (expr.operator !== '=') break;
+        return { ...expr, type: 'AssignmentPattern', left: toPattern(expr.left), operator: undefined };
+      case 'ParenthesizedExpression':
+        return toPattern(expr.expression);
+      default:
+        break;
+    }
+    throw new JsSyntaxError('Invalid assignment target', expr.line, expr.column);
+  };
+
+  // --- Functions and classes -------------------------------------------------
+
+  const functionParams = () => {
+    expect('(');
+    const params = [];
+    while (!isPunct(')')) {
+      const start = tok;
+      if (eat('...')) {
+        params.push(node('RestElement', start, { argument: bindingTarget() }));
+      } else {
+        params.push(bindingElement());
+      }
+      if (!isPunct(')')) expect(',');
+    }
+    expect(')');
+    return params;
+  };
+
+  const functionBody = (context) => {
+    const outer = fn;
+    fn = context;
+    const start = tok;
+    expect('{');
+    const body = [];
+    while (!isPunct('}')) body.push(statement());
+    expect('}');
+    fn = outer;
+    return node('BlockStatement', start, { body });
+  };
+
+  const functionRest = (start, type, { id = null, async = false, generator = false } = {}) => {
+    const outer = fn;
+    fn = { async, generator };
+    const params = functionParams();
+    fn = outer;
+    const body = functionBody({ async, generator });
+    return node(type, start, { id, params, body, async, generator, expression: false });
+  };
+
+  // After `function` (and `async`)
+  const functionAfterKeyword = (start, type, async, idRequired) => {
+    const generator = eat('*');
+    let id = null;
+    if (tok.type === 'name' && !isPunct('(')) id = identifier();
+    else if (idRequired) unexpected();
+    return functionRest(start, type, { id, async, generator });
+  };
+
+  const arrowBody = (start, params, async) => {
+    if (isPunct('{')) {
+      const body = functionBody({ async, generator: false });
+      return node('ArrowFunctionExpression', start, { id: null, params, body, async, generator: false, expression: false });
+    }
+    const outer = fn;
+    fn = { async, generator: false };
+    const body = parseAssign();
+    fn = outer;
+    return node('ArrowFunctionExpression', start, { id: null, params, body, async, generator: false, expression: true });
+  };
+
+  const classRest = (start, type, idRequired) => {
+    let id = null;
+    if (tok.type === 'name' && !isName('extends') && !isPunct('{')) id = identifier();
+    else if (idRequired) unexpected();
+    const superClass = eat('extends') ? parseLeftHandSide() : null;
+    const bodyStart = tok;
+    expect('{');
+    const body = [];
+    while (!isPunct('}')) {
+      if (eat(';')) continue;
+      body.push(classMember());
+    }
+    expect('}');
+    return node(type, start, { id, superClass, body: node('ClassBody', bodyStart, { body }) });
+  };
+
+  // Whether the name just read is a modifier (`static`, `get`, `async`...) rather than the member's own name
+  const isModifier = () => !isPunct('(') && !isPunct('=') && !isPunct(';') && !isPunct('}') && !tok.newline;
+
+  const classMember = () => {
+    const start = tok;
+    let isStatic = false;
+    let kind = 'method';
+    let async = false;
+    let generator = false;
+
+    if (isName('static')) {
+      advance();
+      if (isPunct('{')) {
+        const body = functionBody({ async: false, generator: false });
+        return node('StaticBlock', start, { body: body.body });
+      }
+      if (!isModifier()) {
+        return memberRest(start, { key: node('Identifier', prev, { name: 'static' }), computed: false }, false, 'method', false, false);
+      }
+      isStatic = true;
+    }
+    if (isName('async')) {
+      advance();
+      if (!isModifier()) {
+        return memberRest(start, { key: node('Identifier', prev, { name: 'async' }), computed: false }, isStatic, 'method', false, false);
+      }
+      async = true;
+    }
+    if (eat('*')) generator = true;
+    if (!async && !generator && (isName('get') || isName('set'))) {
+      const word = advance();
+      if (!isModifier()) {
+        return memberRest(start, { key: node('Identifier', word, { name: word.value }), computed: false }, isStatic, 'method', false, false);
+      }
+      kind = word.value;
+    }
+    const key = propertyKey();
+    return memberRest(start, key, isStatic, kind, async, generator);
+  };
+
+  const memberRest = (start, { key, computed }, isStatic, kind, async, generator) => {
+    if (isPunct('(')) {
+      const valueStart = tok;
+      const value = functionRest(valueStart, 'FunctionExpression', { async, generator });
+      const isConstructor = !isStatic && !computed && key.name === 'constructor';
+      return node('MethodDefinition', start, {
+        key, computed, static: isStatic, kind: isConstructor ? 'constructor' : kind, value
+      });
+    }
+    let value = null;
+    if (eat('=')) {
+      const outer = fn;
+      fn = { async: false, generator: false };
+      value = parseAssign();
+      fn = outer;
+    }
+    semicolon();
+    return node('PropertyDefinition', start, { key, computed, static: isStatic, value });
+  };
+
+  // --- Expressions -----------------------------------------------------------
+
+  const parseExpression = (noIn = false) => {
+    const start = tok;
+    const first = parseAssign(noIn);
+    if (!isPunct(',')) return first;
+    const expressions = [first];
+    while (eat(',')) expressions.push(parseAssign(noIn));
+    return node('SequenceExpression', start, { expressions });
+  };
+
+  const parseAssign = (noIn = false) => {
+    const start = tok;
+    if (isName('yield') && fn.generator) {
+      advance();
+      const delegate = eat('*');
+      const ends = tok.newline || [')', ']', '}', ',', ';', ':'].some(isPunct) || tok.type === 'eof';
+      const argument = ends && !delegate ? null : parseAssign(noIn);
+      return node('YieldExpression', start, { argument, delegate });
+    }
+    const left = parseConditional(noIn);
+    if (tok.type === 'punct' && ASSIGNMENT_OPERATORS.has(tok.value)) {
+      const operator = advance().value;
+      const target = operator === '=' ? toPattern(left) : left;
+      const right = parseAssign(noIn);
+      return node('AssignmentExpression', start, { operator, left: target, right });
+    }
+    return left;
+  };
+
+  const parseConditional = (noIn) => {
+    const start = tok;
+    const test = parseBinary(0, noIn);
+    if (test.type === 'ArrowFunctionExpression' && !test.parenthesized) return test;
+    if (!eat('?')) return test;
+    const consequent = parseAssign();
+    expect(':');
+    const alternate = parseAssign(noIn);
+    return node('ConditionalExpression', start, { test, consequent, alternate });
+  };
+
+  const binaryOperator = (noIn) => {
+    if (tok.type === 'punct' && Object.hasOwn(BINARY_PRECEDENCE, tok.value)) return tok.value;
+    if (isName('instanceof') || (isName('in') && !noIn)) return tok.value;
+    return null;
+  };
+
+  const parseBinary = (minPrecedence, noIn) => {
+    const start = tok;
+    let left = parseUnary();
+    if (left.type === 'ArrowFunctionExpression' && !left.parenthesized) return left;
+    for (;;) {
+      const operator = binaryOperator(noIn);
+      if (!operator) return left;
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence <= minPrecedence && !(operator === '**' && precedence === minPrecedence)) return left;
+      advance();
+      const right = parseBinary(operator === '**' ? precedence - 1 : precedence, noIn);
+      const type = ['&&', '||', '??'].includes(operator) ? 'LogicalExpression' : 'BinaryExpression';
+      left = node(type, start, { operator, left, right });
+    }
+  };
+
+  const parseUnary = () => {
+    const start = tok;
+    if (tok.type === 'punct' && ['!', '~', '+', '-'].includes(tok.value)) {
+      const operator = advance().value;
+      return node('UnaryExpression', start, { operator, prefix: true, argument: parseUnary() });
+    }
+    if (isName('typeof') || isName('void') || isName('delete')) {
+      const operator = advance().value;
+      return node('UnaryExpression', start, { operator, prefix: true, argument: parseUnary() });
+    }
+    if (isPunct('++') || isPunct('--')) {
+      const operator = advance().value;
+      return node('UpdateExpression', start, { operator, prefix: true, argument: parseUnary() });
+    }
+    if (isName('await') && fn.async) {
+      advance();
+      return node('AwaitExpression', start, { argument: parseUnary() });
+    }
+    const expr = parseLeftHandSide();
+    if ((isPunct('++') || isPunct('--')) && !tok.newline) {
+      const operator = advance().value;
+      return node('UpdateExpression', start, { operator, prefix: false, argument: expr });
+    }
+    return expr;
+  };
+
+  const callArguments = () => {
+    expect('(');
+    const args = [];
+    while (!isPunct(')')) {
+      const start = tok;
+      if (eat('...')) args.push(node('SpreadElement', start, { argument: parseAssign() }));
+      else args.push(parseAssign());
+      if (!isPunct(')')) expect(',');
+    }
+    expect(')');
+    return args;
+  };
+
+  const parseTemplate = (tagStart = null, tag = null) => {
+    const start = tok;
+    const quasis = [];
+    const expressions = [];
+    for (;;) {
+      const chunk = tok;
+      quasis.push(node('TemplateElement', chunk, { value: { cooked: chunk.value, raw: chunk.raw }, tail: chunk.tail }));
+      if (chunk.tail) {
+        advance();
+        break;
+      }
+      advance();
+      expressions.push(parseExpression());
+      if (!isPunct('}')) unexpected();
+      tok = lexer.continueTemplate(tok);
+    }
+    const quasi = node('TemplateLiteral', start, { quasis, expressions });
+    return tag ? node('TaggedTemplateExpression', tagStart, { tag, quasi }) : quasi;
+  };
+
+  const parseNew = () => {
+    const start = advance();
+    if (eat('.')) {
+      const property = identifier();
+      return node('MetaProperty', start, { meta: node('Identifier', start, { name: 'new' }), property });
+    }
+    const calleeStart = tok;
+    let callee = isName('new') ? parseNew() : parsePrimary();
+    // Member accesses bind to the callee, the first argument list to `new`
+    for (;;) {
+      if (eat('.')) {
+        const property = tok.type === 'privateName' ? propertyKey().key : identifier();
+        callee = node('MemberExpression', calleeStart, { object: callee, property, computed: false, optional: false });
+      } else if (eat('[')) {
+        const property = parseExpression();
+        expect(']');
+        callee = node('MemberExpression', calleeStart, { object: callee, property, computed: true, optional: false });
+      } else if (tok.type === 'template') {
+        callee = parseTemplate(calleeStart, callee);
+      } else {
+        break;
+      }
+    }
+    const args = isPunct('(') ? callArguments() : [];
+    return node('NewExpression', start, { callee, arguments: args });
+  };
+
+  const parseLeftHandSide = () => {
+    const start = tok;
+    let expr = isName('new') ? parseNew() : parsePrimary();
+    if (expr.type === 'ArrowFunctionExpression' && !expr.parenthesized) return expr;
+    for (;;) {
+      if (eat('.')) {
+        const property = tok.type === 'privateName' ? propertyKey().key : identifier();
+        expr = node('MemberExpression', start, { object: expr, property, computed: false, optional: false });
+      } else if (eat('?.')) {
+        if (isPunct('(')) {
+          expr = node('CallExpression', start, { callee: expr, arguments: callArguments(), optional: true });
+        } else if (eat('[')) {
+          const property = parseExpression();
+          expect(']');
+          expr = node('MemberExpression', start, { object: expr, property, computed: true, optional: true });
+        } else {
+          const property = tok.type === 'privateName' ? propertyKey().key : identifier();
+          expr = node('MemberExpression', start, { object: expr, property, computed: false, optional: true });
+        }
+      } else if (eat('[')) {
+        const property = parseExpression();
+        expect(']');
+        expr = node('MemberExpression', start, { object: expr, property, computed: true, optional: false });
+      } else if (isPunct('(')) {
+        expr = node('CallExpression', start, { callee: expr, arguments: callArguments(), optional: false });
+      } else if (tok.type === 'template') {
+        expr = parseTemplate(start, expr);
+      } else {
+        return expr;
+      }
+    }
+  };
+
+  // `(...)`: a parenthesized expression, or the parameters of an arrow function
+  const parseParenthesized = (start, async = false) => {
+    expect('(');
+    const items = [];
+    let trailingRest = false;
+    while (!isPunct(')')) {
+      const itemStart = tok;
+      if (eat('...')) {
+        items.push(node('RestElement', itemStart, { argument: bindingTarget() }));
+        trailingRest = true;
+        break;
+      }
+      items.push(parseAssign());
+      if (!isPunct(')')) expect(',');
+    }
+    expect(')');
+    if (isPunct('=>') && !tok.newline) {
+      advance();
+      return arrowBody(start, items.map(toPattern), async);
+    }
+    if (!items.length || trailingRest) unexpected(prev);
+    const expression = items.length === 1
+      ? items[0]
+      : node('SequenceExpression', items[0], { expressions: items });
+    return { ...expression, parenthesized: true };
+  };
+
+  const parseObject = () => {
+    const start = advance();
+    const properties = [];
+    while (!isPunct('}')) {
+      const propStart = tok;
+      if (eat('...')) {
+        properties.push(node('SpreadElement', propStart, { argument: parseAssign() }));
+      } else {
+        properties.push(objectProperty(propStart));
+      }
+      if (!isPunct('}')) expect(',');
+    }
+    expect('}');
+    return node('ObjectExpression', start, { properties });
+  };
+
+  const objectProperty = (start) => {
+    let async = false;
+    let generator = false;
+    let kind = 'init';
+    const followsName = () => !isPunct(',') && !isPunct(':') && !isPunct('(') && !isPunct('}') && !isPunct('=');
+
+    if (isName('async')) {
+      advance();
+      if (followsName() && !tok.newline) async = true;
+      else return propertyRest(start, { key: node('Identifier', prev, { name: 'async' }), computed: false }, kind, false, false);
+    }
+    if (eat('*')) generator = true;
+    if (!async && !generator && (isName('get') || isName('set'))) {
+      const word = advance();
+      if (followsName()) kind = word.value;
+      else return propertyRest(start, { key: node('Identifier', word, { name: word.value }), computed: false }, 'init', false, false);
+    }
+    return propertyRest(start, propertyKey(), kind, async, generator);
+  };
+
+  const propertyRest = (start, { key, computed }, kind, async, generator) => {
+    if (kind !== 'init' || async || generator || isPunct('(')) {
+      const valueStart = tok;
+      const value = functionRest(valueStart, 'FunctionExpression', { async, generator });
+      return node('Property', start, { key, value, computed, kind, method: kind === 'init', shorthand: false });
+    }
+    if (eat(':')) {
+      return node('Property', start, { key, value: parseAssign(), computed, kind, method: false, shorthand: false });
+    }
+    if (computed || key.type !== 'Identifier') unexpected();
+    let value = { ...key };
+    // `{ a = 1 }` is only valid as a pattern; kept as an assignment until toPattern
+    if (isPunct('=')) {
+      advance();
+      value = node('AssignmentExpression', start, { operator: '=', left: value, right: parseAssign() });
+    }
+    return node('Property', start, { key, value, computed: false, kind, method: false, shorthand: true });
+  };
+
+  const parseArray = () => {
+    const start = advance();
+    const elements = [];
+    while (!isPunct(']')) {
+      if (isPunct(',')) {
+        advance();
+        elements.push(null);
+        continue;
+      }
+      const elementStart = tok;
+      if (eat('...')) elements.push(node('SpreadElement', elementStart, { argument: parseAssign() }));
+      else elements.push(parseAssign());
+      if (!isPunct(']')) expect(',');
+    }
+    expect(']');
+    return node('ArrayExpression', start, { elements });
+  };
+
+  const parsePrimary = () => {
+    const start = tok;
+    switch (tok.type) {
+      case 'number':
+      case 'string':
+        advance();
+        return node('Literal', start, { value: start.value, raw: start.raw });
+      case 'regex':
+        advance();
+        return node('Literal', start, { value: null, regex: start.regex, raw: start.raw });
+      case 'template':
+        return parseTemplate();
+      case 'privateName': {
+        // `#x in obj`
+        advance();
+        return node('PrivateIdentifier', start, { name: start.value });
+      }
+      case 'punct':
+        if (isPunct('(')) return parseParenthesized(start);
+        if (isPunct('[')) return parseArray();
+        if (isPunct('{')) return parseObject();
+        return unexpected();
+      case 'name':
+        break;
+      default:
+        return unexpected();
+    }
+
+    switch (tok.value) {
+      case 'function':
+        advance();
+        return functionAfterKeyword(start, 'FunctionExpression', false, false);
+      case 'class':
+        advance();
+        return classRest(start, 'ClassExpression', false);
+      case 'this':
+        advance();
+        return node('ThisExpression', start, {});
+      case 'super':
+        advance();
+        return node('Super', start, {});
+      case 'null':
+        advance();
+        return node('Literal', start, { value: null, raw: 'null' });
+      case 'true':
+      case 'false':
+        advance();
+        return node('Literal', start, { value: start.value === 'true', raw: start.value });
+      case 'import': {
+        advance();
+        if (eat('.')) {
+          const property = identifier();
+          return node('MetaProperty', start, { meta: node('Identifier', start, { name: 'import' }), property });
+        }
+        expect('(');
+        const source = parseAssign();
+        const options = eat(',') && !isPunct(')') ? parseAssign() : null;
+        eat(',');
+        expect(')');
+        return node('ImportExpression', start, { source, options });
+      }
+      case 'async': {
+        const state = lexer.save();
+        const saved = { tok, prev };
+        advance();
+        if (isName('function') && !tok.newline) {
+          advance();
+          return functionAfterKeyword(start, 'FunctionExpression', true, false);
+        }
+        if (tok.type === 'name' && !tok.newline) {
+          const param = identifier();
+          if (isPunct('=>')) {
+            advance();
+            return arrowBody(start, [param], true);
+          }
+        } else if (isPunct('(') && !tok.newline) {
+          const args = callArguments();
+          if (isPunct('=>') && !tok.newline) {
+            advance();
+            return arrowBody(start, args.map(toPattern), true);
+          }
+        }
+        // Plain identifier named `async`
+        lexer.restore(state);
+        ({ tok, prev } = saved);
+        break;
+      }
+      default:
+        break;
+    }
+
+    const id = identifier();
+    if (isPunct('=>') && !tok.newline) {
+      advance();
+      return arrowBody(start, [id], false);
+    }
+    return id;
+  };
+
+  // --- Statements ------------------------------------------------------------
+
+  const variableDeclaration = (start, kind, noIn = false) => {
+    const declarations = [];
+    do {
+      const declStart = tok;
+      const id = bindingTarget();
+      const init = eat('=') ? parseAssign(noIn) : null;
+      declarations.push(node('VariableDeclarator', declStart, { id, init }));
+    } while (eat(','));
+    return node('VariableDeclaration', start, { kind, declarations });
+  };
+
+  const isLexicalStart = () =>
+    isName('const') || (isName('let') && (() => {
+      const state = lexer.save();
+      const saved = { tok, prev };
+      advance();
+      const result = tok.type === 'name' || isPunct('[') || isPunct('{');
+      lexer.restore(state);
+      ({ tok, prev } = saved);
+      return result;
+    })());
+
+  const block = () => {
+    const start = tok;
+    expect('{');
+    const body = [];
+    while (!isPunct('}')) body.push(statement());
+    expect('}');
+    return node('BlockStatement', start, { body });
+  };
+
+  const forStatement = (start) => {
+    const isAwait = eat('await');
+    expect('(');
+    let init = null;
+    if (isPunct(';')) {
+      // no init
+    } else if (isName('var') || isLexicalStart()) {
+      const declStart = tok;
+      const kind = advance().value;
+      init = variableDeclaration(declStart, kind, true);
+    } else {
+      init = parseExpression(true);
+    }
+
+    if (init && (isName('of') || isName('in'))) {
+      const type = isName('of') ? 'ForOfStatement' : 'ForInStatement';
+      advance();
+      const left = init.type === 'VariableDeclaration' ? init : toPattern(init);
+      const right = type === 'ForOfStatement' ? parseAssign() : parseExpression();
+      expect(')');
+      const body = statement();
+      return node(type, start, { left, right, body, ...(type === 'ForOfStatement' ? { await: isAwait } : {}) });
+    }
+
+    expect(';');
+    const test = isPunct(';') ? null : parseExpression();
+    expect(';');
+    const update = isPunct(')') ? null : parseExpression();
+    expect(')');
+    const body = statement();
+    return node('ForStatement', start, { init, test, update, body });
+  };
+
+  const statement = () => {
+    // A statement never starts with a division: `if (x) /re/.test(s)`
+    if (isPunct('/') || isPunct('/=')) tok = lexer.rereadAsRegex(tok);
+    const start = tok;
+    if (tok.type === 'punct') {
+      if (isPunct('{')) return block();
+      if (isPunct(';')) {
+        advance();
+        return node('EmptyStatement', start, {});
+      }
+    }
+    if (tok.type === 'name') {
+      switch (tok.value) {
+        case 'var':
+        case 'const': {
+          const kind = advance().value;
+          const declaration = variableDeclaration(start, kind);
+          semicolon();
+          return { ...declaration, end: prev.end };
+        }
+        case 'let':
+          if (isLexicalStart()) {
+            advance();
+            const declaration = variableDeclaration(start, 'let');
+            semicolon();
+            return { ...declaration, end: prev.end };
+          }
+          break;
+        case 'function':
+          advance();
+          return functionAfterKeyword(start, 'FunctionDeclaration', false, true);
+        case 'async': {
+          const state = lexer.save();
+          const saved = { tok, prev };
+          advance();
+          if (isName('function') && !tok.newline) {
+            advance();
+            return functionAfterKeyword(start, 'FunctionDeclaration', true, true);
+          }
+          lexer.restore(state);
+          ({ tok, prev } = saved);
+          break;
+        }
+        case 'class':
+          advance();
+          return classRest(start, 'ClassDeclaration', true);
+        case 'if': {
+          advance();
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          const consequent = statement();
+          const alternate = eat('else') ? statement() : null;
+          return node('IfStatement', start, { test, consequent, alternate });
+        }
+        case 'for':
+          advance();
+          return forStatement(start);
+        case 'while': {
+          advance();
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          return node('WhileStatement', start, { test, body: statement() });
+        }
+        case 'do': {
+          advance();
+          const body = statement();
+          expect('while');
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          eat(';');
+          return node('DoWhileStatement', start, { body, test });
+        }
+        case 'return': {
+          advance();
+          const argument = isPunct(';') || isPunct('}') || tok.newline || tok.type === 'eof' ? null : parseExpression();
+          semicolon();
+          return node('ReturnStatement', start, { argument });
+        }
+        case 'break':
+        case 'continue': {
+          const keyword = advance().value;
+          const label = tok.type === 'name' && !tok.newline ? identifier() : null;
+          semicolon();
+          return node(keyword === 'break' ? 'BreakStatement' : 'ContinueStatement', start, { label });
+        }
+        case 'throw': {
+          advance();
+          const argument = parseExpression();
+          semicolon();
+          return node('ThrowStatement', start, { argument });
+        }
+        case 'try': {
+          advance();
+          const blockNode = block();
+          let handler = null;
+          if (isName('catch')) {
+            const catchStart = advance();
+            let param = null;
+            if (eat('(')) {
+              param = bindingTarget();
+              expect(')');
+            }
+            handler = node('CatchClause', catchStart, { param, body: block() });
+          }
+          const finalizer = eat('finally') ? block() : null;
+          if (!handler && !finalizer) unexpected();
+          return node('TryStatement', start, { block: blockNode, handler, finalizer });
+        }
+        case 'switch': {
+          advance();
+          expect('(');
+          const discriminant = parseExpression();
+          expect(')');
+          expect('{');
+          const cases = [];
+          while (!isPunct('}')) {
+            const caseStart = tok;
+            let test = null;
+            if (eat('case')) test = parseExpression();
+            else expect('default');
+            expect(':');
+            const consequent = [];
+            while (!isName('case') && !isName('default') && !isPunct('}')) consequent.push(statement());
+            cases.push(node('SwitchCase', caseStart, { test, consequent }));
+          }
+          expect('}');
+          return node('SwitchStatement', start, { discriminant, cases });
+        }
+        case 'debugger':
+          advance();
+          semicolon();
+          return node('DebuggerStatement', start, {});
+        default:
+          break;
+      }
+    }
+
+    const expression = parseExpression();
+    if (expression.type === 'Identifier' && !expression.parenthesized && isPunct(':')) {
+      advance();
+      return node('LabeledStatement', start, { label: expression, body: statement() });
+    }
+    semicolon();
+    return node('ExpressionStatement', start, { expression });
+  };
+
+  // --- Modules ---------------------------------------------------------------
+
+  const moduleSource = () => {
+    const start = tok;
+    if (tok.type !== 'string') unexpected();
+    advance();
+    const source = node('Literal', start, { value: start.value, raw: start.raw });
+    // Import attributes: `with { type: 'json' }`
+    if ((isName('with') || isName('assert')) && !tok.newline) {
+      advance();
+      parseObject();
+    }
+    return source;
+  };
+
+  const moduleExportName = () => {
+    const start = tok;
+    if (tok.type === 'string') {
+      advance();
+      return node('Literal', start, { value: start.value, raw: start.raw });
+    }
+    return identifier();
+  };
+
+  const importDeclaration = (start) => {
+    const specifiers = [];
+    if (tok.type !== 'string') {
+      if (tok.type === 'name') {
+        const local = identifier();
+        specifiers.push(node('ImportDefaultSpecifier', local, { local }));
+        eat(',');
+      }
+      if (isPunct('*')) {
+        const nsStart = advance();
+        expect('as');
+        const local = identifier();
+        specifiers.push(node('ImportNamespaceSpecifier', nsStart, { local }));
+      } else if (eat('{')) {
+        while (!isPunct('}')) {
+          const specStart = tok;
+          const imported = moduleExportName();
+          const local = eat('as') ? identifier() : { ...imported };
+          specifiers.push(node('ImportSpecifier', specStart, { imported, local }));
+          if (!isPunct('}')) expect(',');
+        }
+        expect('}');
+      }
+      expect('from');
+    }
+    const source = moduleSource();
+    semicolon();
+    return node('ImportDeclaration', start, { specifiers, source });
+  };
+
+  const exportDeclaration = (start) => {
+    if (eat('default')) {
+      const declStart = tok;
+      let declaration;
+      if (isName('function')) {
+        advance();
+        declaration = functionAfterKeyword(declStart, 'FunctionDeclaration', false, false);
+      } else if (isName('class')) {
+        advance();
+        declaration = classRest(declStart, 'ClassDeclaration', false);
+      } else if (isName('async')) {
+        const state = lexer.save();
+        const saved = { tok, prev };
+        advance();
+        if (isName('function') && !tok.newline) {
+          advance();
+          declaration = functionAfterKeyword(declStart, 'FunctionDeclaration', true, false);
+        } else {
+          lexer.restore(state);
+          ({ tok, prev } = saved);
+        }
+      }
+      if (!declaration) {
+        declaration = parseAssign();
+        semicolon();
+      }
+      return node('ExportDefaultDeclaration', start, { declaration });
+    }
+    if (isPunct('*')) {
+      advance();
+      const exported = eat('as') ? moduleExportName() : null;
+      expect('from');
+      const source = moduleSource();
+      semicolon();
+      return node('ExportAllDeclaration', start, { exported, source });
+    }
+    if (eat('{')) {
+      const specifiers = [];
+      while (!isPunct('}')) {
+        const specStart = tok;
+        const local = moduleExportName();
+        const exported = eat('as') ? moduleExportName() : { ...local };
+        specifiers.push(node('ExportSpecifier', specStart, { local, exported }));
+        if (!isPunct('}')) expect(',');
+      }
+      expect('}');
+      const source = eat('from') ? moduleSource() : null;
+      semicolon();
+      return node('ExportNamedDeclaration', start, { declaration: null, specifiers, source });
+    }
+    const declaration = statement();
+    if (!['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type)) {
+      throw new JsSyntaxError('Unexpected export', declaration.line, declaration.column);
+    }
+    return node('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null });
+  };
+
+  const moduleItem = () => {
+    const start = tok;
+    if (isName('import')) {
+      const state = lexer.save();
+      const saved = { tok, prev };
+      advance();
+      if (!isPunct('(') && !isPunct('.')) return importDeclaration(start);
+      lexer.restore(state);
+      ({ tok, prev } = saved);
+    }
+    if (isName('export')) {
+      advance();
+      return exportDeclaration(start);
+    }
+    return statement();
+  };
+
+  const body = [];
+  while (tok.type !== 'eof') body.push(moduleItem());
+  const ast = {
+    type: 'Program',
+    sourceType: 'module',
+    body,
+    start: 0,
+    end: source.length,
+    line: 1,
+    column: 1
+  };
+  return { ast, comments: lexer.comments };
+};
+
+/**
+ * Call `visit(node, parent, key)` for every node of the tree, parents first.
+ * Return false from `visit` to skip a node's children.
+ * @param {object} root
+ * @param {(node: object, parent: object|null, key: string|null) => boolean|void} visit
+ */
+export const walk = (root, visit) => {
+  const step = (current, parent, key) => {
+    if (visit(current, parent, key) === false) return;
+    for (const [childKey, value] of Object.entries(current)) {
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          if (item && typeof item.type === 'string') step(item, current, childKey);
+        }
+      } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+        step(value, current, childKey);
+      }
+    }
+  };
+  step(root, null, null);
+};
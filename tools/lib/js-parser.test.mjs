@@ -0,0 +1,38 @@
+/**
+ * JavaScript parser: where a `/` starts a regular expression
+ *
+ *   node --test tools/lib/js-parser.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModule, walk } from './js-parser.mjs';
+
+const regexes = (source) => {
+  const found = [];
+  walk(parseModule(source).ast, (node) => {
+    if (node.type === 'Literal' && node.regex) found.push(node.regex.pattern);
+  });
+  return found;
+};
+
+test('a slash after the head of if, while, for and with starts a regular expression', () => {
+  assert.deepEqual(regexes('if (x) /re/.test(s);'), ['re']);
+  assert.deepEqual(regexes('while (x) /a/g.exec(s);'), ['a']);
+  assert.deepEqual(regexes('for (const c of s) /=/.test(c);'), ['=']);
+  assert.deepEqual(regexes('if (a(b)) x(); else /y/.test(s);'), ['y']);
+});
+
+test('a slash after a closing block starts a regular expression', () => {
+  assert.deepEqual(regexes('function f() {}\n/re/.test(s);'), ['re']);
+  assert.deepEqual(regexes('if (x) {}\n/re/.test(s);'), ['re']);
+  assert.deepEqual(regexes('class A {}\n/re/.test(s);'), ['re']);
+  assert.deepEqual(regexes('{}\n/re/g.test(s);'), ['re']);
+});
+
+test('a slash after a closing parenthesis, bracket or object literal is a division', () => {
+  assert.deepEqual(regexes('const a = (b) / c / d;'), []);
+  assert.deepEqual(regexes('const a = b[0] / c / d;'), []);
+  assert.deepEqual(regexes('const a = {} / b / c;'), []);
+  assert.deepEqual(regexes('const a = f() /re/ 2;'), []);
+});
@@ -0,0 +1,184 @@
+/**
+ * JSON parser that remembers where every value came from.
+ *
+ * JSON.parse() only reports a character offset on syntax errors and nothing
+ * at all for valid documents, which is not enough to point a plugin author at
+ * the offending line of plugin.json. This parser returns the parsed value
+ * together with a map of property paths (e.g. `widgets[0].component`) to
+ * 1-based line/column positions.
+ */
+
+export class JsonSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Join a parent path and a key the same way the validator prints paths.
+ */
+export const joinPath = (parent, key) => {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+};
+
+/**
+ * Parse JSON text.
+ * @param {string} text
+ * @returns {{ value: any, locations: Map<string, { line: number, column: number }> }}
+ */
+export const parseJsonWithLocations = (text) => {
+  const locations = new Map();
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  const fail = (message) => {
+    throw new JsonSyntaxError(message, line, column);
+  };
+
+  const advance = () => {
+    if (text[pos] === '\n') {
+      line += 1;
+      column = 1;
+    } else {
+      column += 1;
+    }
+    pos += 1;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /[ \t\r\n\uFEFF]/.test(text[pos])) advance();
+  };
+
+  const describe = () => (pos < text.length ? `'${text[pos]}'` : 'end of input');
+
+  const expect = (char) => {
+    if (text[pos] !== char) fail(`Expected '${char}' but found ${describe()}`);
+    advance();
+  };
+
+  const parseString = () => {
+    expect('"');
+    let out = '';
+    while (pos < text.length && text[pos] !== '"') {
+      const char = text[pos];
+      if (char === '\n') fail('Unterminated string');
+      if (char === '\\') {
+        advance();
+        const esc = text[pos];
+        const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (esc in simple) {
+          out += simple[esc];
+          advance();
+        } else if (esc === 'u') {
+          const hex = text.slice(pos + 1, pos + 5);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape');
+          out += String.fromCharCode(parseInt(hex, 16));
+          for (let i = 0; i < 5; i++) advance();
+        } else {
+          fail(`Invalid escape sequence '\\${esc ?? ''}'`);
+        }
+      } else {
+        out += char;
+        advance();
+      }
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    advance();
+    return out;
+  };
+
+  const parseNumber = () => {
+    const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(pos));
+    if (!match) fail(`Unexpected ${describe()}`);
+    for (let i = 0; i < match[0].length; i++) advance();
+    return Number(match[0]);
+  };
+
+  const parseLiteral = (word, value) => {
+    if (text.slice(pos, pos + word.length) !== word) fail(`Unexpected ${describe()}`);
+    for (let i = 0; i < word.length; i++) advance();
+    return value;
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    locations.set(path, { line, column });
+    const char = text[pos];
+    if (char === '{') return parseObject(path);
+    if (char === '[') return parseArray(path);
+    if (char === '"') return parseString();
+    if (char === 't') return parseLiteral('true', true);
+    if (char === 'f') return parseLiteral('false', false);
+    if (char === 'n') return parseLiteral('null', null);
+    if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+    return fail(`Unexpected ${describe()}`);
+  };
+
+  const parseObject = (path) => {
+    const out = {};
+    expect('{');
+    skipWhitespace();
+    if (text[pos] === '}') {
+      advance();
+      return out;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail(`Expected property name but found ${describe()}`);
+      const key = parseString();
+      skipWhitespace();
+      expect(':');
+      out[key] = parseValue(joinPath(path, key));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect('}');
+      return out;
+    }
+  };
+
+  const parseArray = (path) => {
+    const out = [];
+    expect('[');
+    skipWhitespace();
+    if (text[pos] === ']') {
+      advance();
+      return out;
+    }
+    for (;;) {
+      out.push(parseValue(joinPath(path, out.length)));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect(']');
+      return out;
+    }
+  };
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < text.length) fail(`Unexpected ${describe()} after end of document`);
+  return { value, locations };
+};
+
+/**
+ * Find the position of a path, falling back to its closest recorded parent.
+ */
+export const locate = (locations, path) => {
+  let current = path;
+  for (;;) {
+    if (locations.has(current)) return locations.get(current);
+    if (!current) return { line: 1, column: 1 };
+    const cut = Math.max(current.lastIndexOf('.'), current.lastIndexOf('['));
+    current = cut > 0 ? current.slice(0, cut) : '';
+  }
+};
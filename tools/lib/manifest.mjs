@@ -0,0 +1,470 @@
+/**
+ * plugin.json schema checks.
+ *
+ * Mirrors the PluginManifest specification in
+ * docs/PLUGIN_DEVELOPMENT_GUIDE.md. Each problem is reported with the
+ * property path it concerns; the caller turns paths into line numbers.
+ */
+
+export const REQUIRED_FIELDS = ['id', 'name', 'version', 'author', 'coreVersion'];
+
+export const OPTIONAL_STRING_FIELDS = [
+  'authorEmail',
+  'description',
+  'icon',
+  'license',
+  'repository',
+  'homepage'
+];
+
+export const KNOWN_TOP_LEVEL = [
+  ...REQUIRED_FIELDS,
+  ...OPTIONAL_STRING_FIELDS,
+  'keywords',
+  'menus',
+  'widgets',
+  'dependencies',
+  'permissions',
+  'settings',
+  'hooks',
+  'events'
+];
+
+export const MENU_TYPES = ['main', 'admin'];
+
+export const WIDGET_SLOTS = [
+  'dashboard-top',
+  'dashboard-stats',
+  'dashboard-sidebar',
+  'dashboard-main'
+];
+
+export const HOOK_NAMES = ['onInstall', 'onUpdate', 'onUninstall'];
+
+export const SETTING_TYPES = ['string', 'boolean', 'number', 'enum'];
+
+// JSON Schema subset supported by event payloads (sample-plugins/shared/event-catalog.js)
+export const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+export const SCHEMA_KEYWORDS = [
+  'type', 'description', 'enum', 'const', 'properties', 'required', 'additionalProperties',
+  'items', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'format'
+];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?v?(\d+|x|\*)(\.(\d+|x|\*)){0,2}(-[0-9A-Za-z.-]+)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+// "<source>:<event>", e.g. "hello-world:button-clicked"
+const EVENT_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*:[a-z0-9]+(-[a-z0-9]+)*$/;
+const DEPENDENCY_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*@\S+$/;
+
+export const isSemver = (value) => typeof value === 'string' && SEMVER_PATTERN.test(value);
+
+/**
+ * Accepts npm-style ranges: `1.0.0`, `>=1.0.0`, `^1.2`, `>=1.0.0 <2.0.0`, `1.x || 2.x`, `*`.
+ */
+export const isSemverRange = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  return value.split('||').every((set) => {
+    const comparators = set.trim().split(/\s+/);
+    return comparators.every((c) => c === '*' || COMPARATOR_PATTERN.test(c));
+  });
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const isPlainObject = (value) => typeOf(value) === 'object';
+
+/**
+ * Validate a parsed manifest.
+ * @param {object} manifest
+ * @returns {Array<{ severity: 'error' | 'warning', path: string, message: string }>}
+ */
+export const validateManifest = (manifest) => {
+  const problems = [];
+  const error = (path, message) => problems.push({ severity: 'error', path, message });
+  const warning = (path, message) => problems.push({ severity: 'warning', path, message });
+
+  if (!isPlainObject(manifest)) {
+    error('', `Manifest must be a JSON object, got ${typeOf(manifest)}`);
+    return problems;
+  }
+
+  const expectString = (path, value, { required = false } = {}) => {
+    if (value === undefined) {
+      if (required) error(path, `Missing required field: ${path}`);
+      return false;
+    }
+    if (typeof value !== 'string') {
+      error(path, `${path} must be a string, got ${typeOf(value)}`);
+      return false;
+    }
+    if (required && !value.trim()) {
+      error(path, `${path} must not be empty`);
+      return false;
+    }
+    return true;
+  };
+
+  const expectStringArray = (path, value) => {
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+      error(path, `${path} must be an array of strings, got ${typeOf(value)}`);
+      return;
+    }
+    value.forEach((item, i) => {
+      if (typeof item !== 'string') error(`${path}[${i}]`, `${path}[${i}] must be a string, got ${typeOf(item)}`);
+    });
+  };
+
+  const expectNumber = (path, value, { required = false } = {}) => {
+    if (value === undefined) {
+      if (required) error(path, `Missing required field: ${path}`);
+      return;
+    }
+    if (typeof value !== 'number') error(path, `${path} must be a number, got ${typeOf(value)}`);
+  };
+
+  const expectOneOf = (path, value, allowed) => {
+    if (value === undefined) {
+      error(path, `Missing required field: ${path}`);
+      return;
+    }
+    if (!allowed.includes(value)) {
+      error(path, `${path} must be one of ${allowed.map((a) => `"${a}"`).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+  };
+
+  const validateSettingDeclaration = (path, setting) => {
+    expectOneOf(`${path}.type`, setting.type, SETTING_TYPES);
+    expectString(`${path}.label`, setting.label);
+    expectString(`${path}.description`, setting.description);
+    expectString(`${path}.labelKey`, setting.labelKey);
+    expectString(`${path}.descriptionKey`, setting.descriptionKey);
+    for (const flag of ['required', 'integer']) {
+      if (setting[flag] !== undefined && typeof setting[flag] !== 'boolean') {
+        error(`${path}.${flag}`, `${path}.${flag} must be a boolean, got ${typeOf(setting[flag])}`);
+      }
+    }
+    if (setting.integer !== undefined && setting.type !== 'number') {
+      warning(`${path}.integer`, `${path}.integer is only used by number settings`);
+    } else if (setting.integer && setting.default !== undefined && !Number.isInteger(setting.default)) {
+      error(`${path}.default`, `${path}.default must be a whole number`);
+    }
+    for (const bound of ['min', 'max', 'minLength', 'maxLength']) {
+      expectNumber(`${path}.${bound}`, setting[bound]);
+    }
+    if (setting.pattern !== undefined && expectString(`${path}.pattern`, setting.pattern)) {
+      try {
+        new RegExp(setting.pattern);
+      } catch {
+        error(`${path}.pattern`, `${path}.pattern is not a valid regular expression`);
+      }
+    }
+
+    if (setting.type === 'enum') {
+      if (!Array.isArray(setting.options) || !setting.options.length) {
+        error(`${path}.options`, `${path}.options must be a non-empty array for enum settings`);
+      } else if (setting.default !== undefined && !setting.options.includes(setting.default)) {
+        error(`${path}.default`, `${path}.default ${JSON.stringify(setting.default)} is not one of ${path}.options`);
+      }
+    } else if (setting.options !== undefined) {
+      warning(`${path}.options`, `${path}.options is only used by enum settings`);
+    }
+
+    const valueType = setting.type === 'enum' ? undefined : setting.type;
+    if (setting.default !== undefined && valueType && SETTING_TYPES.includes(valueType) && typeof setting.default !== valueType) {
+      error(`${path}.default`, `${path}.default must be a ${valueType}, got ${typeOf(setting.default)}`);
+    }
+  };
+
+  const validatePayloadSchema = (path, schema) => {
+    if (!isPlainObject(schema)) {
+      error(path, `${path} must be a JSON schema object, got ${typeOf(schema)}`);
+      return;
+    }
+    for (const key of Object.keys(schema)) {
+      if (!SCHEMA_KEYWORDS.includes(key)) warning(`${path}.${key}`, `${path}.${key} is not a supported schema keyword and is ignored`);
+    }
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      for (const type of types) {
+        if (!SCHEMA_TYPES.includes(type)) {
+          error(`${path}.type`, `${path}.type must be one of ${SCHEMA_TYPES.map((t) => `"${t}"`).join(', ')}, got ${JSON.stringify(type)}`);
+        }
+      }
+    }
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length)) {
+      error(`${path}.enum`, `${path}.enum must be a non-empty array`);
+    }
+    for (const bound of ['minimum', 'maximum', 'minLength', 'maxLength']) {
+      expectNumber(`${path}.${bound}`, schema[bound]);
+    }
+    if (schema.pattern !== undefined && expectString(`${path}.pattern`, schema.pattern)) {
+      try {
+        new RegExp(schema.pattern);
+      } catch {
+        error(`${path}.pattern`, `${path}.pattern is not a valid regular expression`);
+      }
+    }
+    if (schema.format !== undefined && schema.format !== 'date-time') {
+      warning(`${path}.format`, `${path}.format "${schema.format}" is not checked (only "date-time" is)`);
+    }
+    expectStringArray(`${path}.required`, schema.required);
+    if (schema.properties !== undefined) {
+      if (!isPlainObject(schema.properties)) {
+        error(`${path}.properties`, `${path}.properties must be an object, got ${typeOf(schema.properties)}`);
+      } else {
+        for (const [key, property] of Object.entries(schema.properties)) {
+          validatePayloadSchema(`${path}.properties.${key}`, property);
+        }
+        for (const [i, key] of (Array.isArray(schema.required) ? schema.required : []).entries()) {
+          if (typeof key === 'string' && !Object.hasOwn(schema.properties, key)) {
+            warning(`${path}.required[${i}]`, `${path}.required lists "${key}", which is not in ${path}.properties`);
+          }
+        }
+      }
+    }
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+      validatePayloadSchema(`${path}.additionalProperties`, schema.additionalProperties);
+    }
+    if (schema.items !== undefined) validatePayloadSchema(`${path}.items`, schema.items);
+  };
+
+  const validateEventDeclaration = (path, name, declaration, { consumed }) => {
+    if (!EVENT_NAME_PATTERN.test(name)) {
+      error(path, `Event name "${name}" must look like "<source>:<event>" in kebab-case`);
+    }
+    if (!isPlainObject(declaration)) {
+      error(path, `${path} must be an event declaration object, got ${typeOf(declaration)}`);
+      return;
+    }
+    if (consumed) {
+      if (declaration.version !== undefined && expectString(`${path}.version`, declaration.version) &&
+          !isSemverRange(declaration.version)) {
+        error(`${path}.version`, `${path}.version "${declaration.version}" is not a valid semver range (e.g. "^1.0.0")`);
+      }
+    } else if (expectString(`${path}.version`, declaration.version, { required: true }) && !isSemver(declaration.version)) {
+      error(`${path}.version`, `${path}.version "${declaration.version}" is not a valid semantic version (MAJOR.MINOR.PATCH)`);
+    }
+    expectString(`${path}.description`, declaration.description);
+    if (declaration.payload === undefined) {
+      if (!consumed) warning(path, `${path} has no payload schema, so its payload cannot be checked`);
+    } else {
+      validatePayloadSchema(`${path}.payload`, declaration.payload);
+    }
+    for (const key of Object.keys(declaration)) {
+      if (!['version', 'description', 'payload'].includes(key)) {
+        warning(`${path}.${key}`, `Unknown event declaration field "${key}"`);
+      }
+    }
+  };
+
+  // Required fields
+  for (const field of REQUIRED_FIELDS) {
+    expectString(field, manifest[field], { required: true });
+  }
+  if (typeof manifest.id === 'string' && manifest.id && !ID_PATTERN.test(manifest.id)) {
+    error('id', `id "${manifest.id}" must be kebab-case (lowercase letters, digits and single hyphens)`);
+  }
+  if (typeof manifest.version === 'string' && manifest.version && !isSemver(manifest.version)) {
+    error('version', `version "${manifest.version}" is not a valid semantic version (MAJOR.MINOR.PATCH)`);
+  }
+  if (typeof manifest.coreVersion === 'string' && manifest.coreVersion && !isSemverRange(manifest.coreVersion)) {
+    error('coreVersion', `coreVersion "${manifest.coreVersion}" is not a valid semver range (e.g. ">=1.0.0")`);
+  }
+
+  // Optional metadata
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    expectString(field, manifest[field]);
+  }
+  if (typeof manifest.authorEmail === 'string' && !EMAIL_PATTERN.test(manifest.authorEmail)) {
+    warning('authorEmail', `authorEmail "${manifest.authorEmail}" does not look like an email address`);
+  }
+  for (const field of ['repository', 'homepage']) {
+    if (typeof manifest[field] === 'string' && !URL_PATTERN.test(manifest[field])) {
+      warning(field, `${field} should be an http(s) URL`);
+    }
+  }
+  expectStringArray('keywords', manifest.keywords);
+
+  for (const key of Object.keys(manifest)) {
+    if (!KNOWN_TOP_LEVEL.includes(key)) warning(key, `Unknown manifest field "${key}"`);
+  }
+
+  // Menus
+  if (manifest.menus !== undefined) {
+    if (!Array.isArray(manifest.menus)) {
+      error('menus', `menus must be an array, got ${typeOf(manifest.menus)}`);
+    } else {
+      const seen = new Set();
+      manifest.menus.forEach((menu, i) => {
+        const path = `menus[${i}]`;
+        if (!isPlainObject(menu)) {
+          error(path, `${path} must be an object`);
+          return;
+        }
+        if (expectString(`${path}.id`, menu.id, { required: true })) {
+          if (seen.has(menu.id)) error(`${path}.id`, `Duplicate menu id "${menu.id}"`);
+          seen.add(menu.id);
+        }
+        expectString(`${path}.label`, menu.label, { required: true });
+        expectOneOf(`${path}.type`, menu.type, MENU_TYPES);
+        expectString(`${path}.icon`, menu.icon, { required: true });
+        if (expectString(`${path}.route`, menu.route, { required: true }) && !menu.route.startsWith('/plugins/')) {
+          error(`${path}.route`, `${path}.route "${menu.route}" must start with /plugins/`);
+        }
+        expectNumber(`${path}.order`, menu.order, { required: true });
+        expectStringArray(`${path}.permissions`, menu.permissions);
+      });
+    }
+  }
+
+  // Widgets
+  if (manifest.widgets !== undefined) {
+    if (!Array.isArray(manifest.widgets)) {
+      error('widgets', `widgets must be an array, got ${typeOf(manifest.widgets)}`);
+    } else {
+      const seen = new Set();
+      manifest.widgets.forEach((widget, i) => {
+        const path = `widgets[${i}]`;
+        if (!isPlainObject(widget)) {
+          error(path, `${path} must be an object`);
+          return;
+        }
+        if (expectString(`${path}.id`, widget.id, { required: true })) {
+          if (seen.has(widget.id)) error(`${path}.id`, `Duplicate widget id "${widget.id}"`);
+          seen.add(widget.id);
+        }
+        expectString(`${path}.name`, widget.name, { required: true });
+        if (expectString(`${path}.component`, widget.component, { required: true }) &&
+            !IDENTIFIER_PATTERN.test(widget.component)) {
+          error(`${path}.component`, `${path}.component "${widget.component}" is not a valid export name`);
+        }
+        expectOneOf(`${path}.slot`, widget.slot, WIDGET_SLOTS);
+        expectNumber(`${path}.order`, widget.order, { required: true });
+        expectStringArray(`${path}.permissions`, widget.permissions);
+        if (widget.props !== undefined && !isPlainObject(widget.props)) {
+          error(`${path}.props`, `${path}.props must be an object, got ${typeOf(widget.props)}`);
+        }
+      });
+    }
+  }
+
+  // Dependencies
+  if (manifest.dependencies !== undefined) {
+    if (!isPlainObject(manifest.dependencies)) {
+      error('dependencies', `dependencies must be an object, got ${typeOf(manifest.dependencies)}`);
+    } else {
+      for (const [key, value] of Object.entries(manifest.dependencies)) {
+        const path = `dependencies.${key}`;
+        if (key !== 'external' && key !== 'plugins') {
+          warning(path, `Unknown dependency group "${key}" (expected "external" or "plugins")`);
+          continue;
+        }
+        expectStringArray(path, value);
+        if (Array.isArray(value)) {
+          value.forEach((dep, i) => {
+            if (typeof dep === 'string' && !DEPENDENCY_PATTERN.test(dep)) {
+              error(`${path}[${i}]`, `${path}[${i}] "${dep}" must use the "name@version" format`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  // Permissions
+  if (manifest.permissions !== undefined) {
+    if (Array.isArray(manifest.permissions)) {
+      warning('permissions', 'permissions should be an object { "required": [], "provided": [] }; the array form is deprecated');
+      expectStringArray('permissions', manifest.permissions);
+    } else if (!isPlainObject(manifest.permissions)) {
+      error('permissions', `permissions must be an object, got ${typeOf(manifest.permissions)}`);
+    } else {
+      for (const [key, value] of Object.entries(manifest.permissions)) {
+        if (key !== 'required' && key !== 'provided') {
+          warning(`permissions.${key}`, `Unknown permissions field "${key}" (expected "required" or "provided")`);
+          continue;
+        }
+        expectStringArray(`permissions.${key}`, value);
+      }
+    }
+  }
+
+  // Settings
+  if (manifest.settings !== undefined) {
+    if (!isPlainObject(manifest.settings)) {
+      error('settings', `settings must be an object, got ${typeOf(manifest.settings)}`);
+    } else {
+      for (const [key, value] of Object.entries(manifest.settings)) {
+        const path = `settings.${key}`;
+        if (key === 'hasConfigPanel') {
+          if (typeof value !== 'boolean') error(path, `${path} must be a boolean, got ${typeOf(value)}`);
+          continue;
+        }
+        if (key === 'configRoute') {
+          if (expectString(path, value) && value && !value.startsWith('/plugins/')) {
+            error(path, `${path} "${value}" must start with /plugins/`);
+          }
+          continue;
+        }
+        // Any other key is a setting declaration: { type, default, label, description, ... }
+        if (!isPlainObject(value)) {
+          error(path, `${path} must be a setting declaration object, got ${typeOf(value)}`);
+          continue;
+        }
+        validateSettingDeclaration(path, value);
+      }
+      if (manifest.settings.hasConfigPanel === true && !manifest.settings.configRoute) {
+        warning('settings.hasConfigPanel', 'settings.hasConfigPanel is true but no settings.configRoute is declared');
+      }
+    }
+  }
+
+  // Hooks
+  if (manifest.hooks !== undefined) {
+    if (!isPlainObject(manifest.hooks)) {
+      error('hooks', `hooks must be an object, got ${typeOf(manifest.hooks)}`);
+    } else {
+      for (const [key, value] of Object.entries(manifest.hooks)) {
+        const path = `hooks.${key}`;
+        if (!HOOK_NAMES.includes(key)) {
+          warning(path, `Unknown hook "${key}" (expected one of ${HOOK_NAMES.join(', ')})`);
+          continue;
+        }
+        if (typeof value !== 'boolean') error(path, `${path} must be a boolean, got ${typeOf(value)}`);
+      }
+    }
+  }
+
+  // Events
+  if (manifest.events !== undefined) {
+    if (!isPlainObject(manifest.events)) {
+      error('events', `events must be an object, got ${typeOf(manifest.events)}`);
+    } else {
+      for (const [key, value] of Object.entries(manifest.events)) {
+        const path = `events.${key}`;
+        if (key !== 'emits' && key !== 'consumes') {
+          warning(path, `Unknown events field "${key}" (expected "emits" or "consumes")`);
+          continue;
+        }
+        if (!isPlainObject(value)) {
+          error(path, `${path} must be an object keyed by event name, got ${typeOf(value)}`);
+          continue;
+        }
+        for (const [name, declaration] of Object.entries(value)) {
+          validateEventDeclaration(`${path}.${name}`, name, declaration, { consumed: key === 'consumes' });
+        }
+      }
+    }
+  }
+
+  return problems;
+};
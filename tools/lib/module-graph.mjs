@@ -0,0 +1,101 @@
+/**
+ * Resolve the files that make up a plugin archive.
+ *
+ * Everything inside the plugin directory is shipped. In addition, relative
+ * imports of `shared/...` that do not exist inside the plugin are resolved
+ * from the `shared/` directory next to it (sample-plugins/shared), so plugins
+ * can reuse common modules while each ZIP stays self-contained: the shared
+ * files are copied into the archive under the same `shared/` path the plugin
+ * imports them from.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { dirname, join, posix, relative, resolve, sep } from 'node:path';
+import { scanModule } from './module-scan.mjs';
+
+export const SHARED_PREFIX = 'shared/';
+
+// Never shipped: VCS/editor files, dependencies, tests and previously built archives.
+const isExcluded = (name) =>
+  name.startsWith('.') || name === 'node_modules' || name.endsWith('.zip') || /\.test\.m?js$/.test(name);
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../');
+
+/**
+ * Directory that `shared/...` imports fall back to for the plugin in `dir`.
+ */
+export const sharedDirFor = (dir) => join(dirname(resolve(dir)), 'shared');
+
+const listDirectory = (dir) => {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of readdirSync(current, { withFileTypes: true })) {
+      if (isExcluded(entry.name)) continue;
+      const full = join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) files.push(relative(dir, full).split(sep).join('/'));
+    }
+  };
+  walk(dir);
+  return files;
+};
+
+/**
+ * @typedef {object} UnresolvedImport
+ * @property {string} file - Archive path of the importing module
+ * @property {string} specifier
+ * @property {number} line
+ * @property {number} column
+ * @property {string} reason
+ */
+
+/**
+ * Build the archive file list for a plugin directory.
+ * @param {string} dir
+ * @returns {{
+ *   files: Array<{ name: string, source: string }>,
+ *   unresolved: UnresolvedImport[]
+ * }}
+ */
+export const resolvePluginFiles = (dir) => {
+  const sharedDir = sharedDirFor(dir);
+  const files = new Map(listDirectory(dir).map((name) => [name, join(dir, name)]));
+  const unresolved = [];
+  const queue = [...files.keys()].filter((name) => name.endsWith('.js'));
+  const scanned = new Set();
+
+  while (queue.length) {
+    const name = queue.shift();
+    if (scanned.has(name)) continue;
+    scanned.add(name);
+
+    const { imports } = scanModule(readFileSync(files.get(name), 'utf8'));
+    for (const entry of imports) {
+      if (!isRelative(entry.specifier)) continue;
+      const target = posix.normalize(posix.join(posix.dirname(name), entry.specifier));
+      const fail = (reason) => unresolved.push({ file: name, specifier: entry.specifier, line: entry.line, column: entry.column, reason });
+
+      if (target.startsWith('../')) {
+        fail('resolves outside the plugin directory');
+        continue;
+      }
+      if (files.has(target)) continue;
+
+      const shared = target.startsWith(SHARED_PREFIX) && join(sharedDir, target.slice(SHARED_PREFIX.length));
+      if (shared && existsSync(shared) && statSync(shared).isFile()) {
+        files.set(target, shared);
+        if (target.endsWith('.js')) queue.push(target);
+        continue;
+      }
+      fail('file not found');
+    }
+  }
+
+  const rank = (f) => (f === 'plugin.json' ? 0 : f === 'index.js' ? 1 : 2);
+  return {
+    files: [...files]
+      .map(([name, source]) => ({ name, source }))
+      .sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name)),
+    unresolved
+  };
+};
@@ -0,0 +1,259 @@
+/**
+ * Lightweight scanner for plugin entry modules.
+ *
+ * Finds the export and import statements of an ES module (and any CommonJS
+ * leftovers) with their line numbers, so the manifest can be cross-checked
+ * against what index.js really exposes. Comments, strings, template and
+ * regular expression literals are blanked out first so the large Vue
+ * templates in plugin code cannot produce false matches.
+ */
+
+// Keywords after which a `/` starts a regular expression, not a division
+const REGEX_AFTER_KEYWORD = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Keywords whose `(...)` head is followed by a statement, which may start with a regex
+const HEAD_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+/**
+ * Replace the contents of comments, strings, template and regular expression
+ * literals with spaces, keeping newlines so offsets still map to the same
+ * line/column. Template literal `${...}` expressions are kept since they
+ * contain code.
+ *
+ * Whether a `/` starts a regex is decided from the token before it, as the
+ * parser's tokenizer does. A `/` after `}` is taken for a regex (a division
+ * of a block or object literal is not written in practice), and after `)`
+ * only when it closes an `if`/`while`/`for`/`with` head.
+ * @param {string} source
+ * @returns {string}
+ */
+export const maskNonCode = (source) => {
+  const out = source.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (out[i] !== '\n') out[i] = ' ';
+    }
+  };
+
+  // Stack of open template literals; each entry counts the braces opened
+  // inside its current `${` expression.
+  const templates = [];
+  // Open parentheses: true for those of an `if (...)`-like head
+  const parens = [];
+  // Last token outside comments: { type: 'word' | 'punct' | 'head', value }
+  let prev = null;
+  let i = 0;
+
+  const regexAllowed = () => {
+    if (!prev || prev.type === 'head') return true;
+    if (prev.type === 'word') return REGEX_AFTER_KEYWORD.has(prev.value);
+    return prev.value !== ')' && prev.value !== ']';
+  };
+
+  // Regex literals end at the line; a wrong guess blanks at most the rest of it
+  const skipRegex = () => {
+    const start = i;
+    let inClass = false;
+    i += 1;
+    while (i < source.length && source[i] !== '\n') {
+      const char = source[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      i += 1;
+    }
+    blank(start + 1, Math.min(i, source.length));
+    i += 1;
+  };
+
+  const skipString = (quote) => {
+    const start = i;
+    i += 1;
+    while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    blank(start + 1, Math.min(i, source.length));
+    i += 1;
+  };
+
+  // Scans template text from i up to the closing backtick or the next `${`.
+  const skipTemplateText = () => {
+    const start = i;
+    while (i < source.length) {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '`') {
+        blank(start, i);
+        templates.pop();
+        i += 1;
+        return;
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        blank(start, i);
+        i += 2;
+        return;
+      } else {
+        i += 1;
+      }
+    }
+    blank(start, source.length);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '\'' || char === '"') {
+      skipString(char);
+      prev = { type: 'word', value: char };
+    } else if (char === '`') {
+      templates.push(0);
+      i += 1;
+      skipTemplateText();
+      prev = { type: 'word', value: char };
+    } else if (char === '/' && regexAllowed()) {
+      skipRegex();
+      prev = { type: 'word', value: char };
+    } else if (templates.length && char === '{') {
+      templates[templates.length - 1] += 1;
+      i += 1;
+      prev = { type: 'punct', value: char };
+    } else if (templates.length && char === '}') {
+      if (templates[templates.length - 1] === 0) {
+        i += 1;
+        skipTemplateText();
+        prev = { type: 'word', value: '`' };
+      } else {
+        templates[templates.length - 1] -= 1;
+        i += 1;
+        prev = { type: 'punct', value: char };
+      }
+    } else if (/[\w$]/.test(char)) {
+      const start = i;
+      while (i < source.length && /[\w$]/.test(source[i])) i += 1;
+      prev = { type: 'word', value: source.slice(start, i) };
+    } else if (/\s/.test(char)) {
+      i += 1;
+    } else {
+      if (char === '(') parens.push(prev?.type === 'word' && HEAD_KEYWORDS.has(prev.value));
+      const head = char === ')' && parens.pop();
+      prev = { type: head ? 'head' : 'punct', value: char };
+      i += 1;
+    }
+  }
+  return out.join('');
+};
+
+const lineColumnAt = (source, offset) => {
+  let line = 1;
+  let lastBreak = -1;
+  for (let i = 0; i < offset; i++) {
+    if (source[i] === '\n') {
+      line += 1;
+      lastBreak = i;
+    }
+  }
+  return { line, column: offset - lastBreak };
+};
+
+/**
+ * Scan a module's exports, imports and CommonJS usage.
+ * @param {string} source
+ * @returns {{
+ *   exports: Array<{ name: string, line: number, column: number }>,
+ *   imports: Array<{ specifier: string, line: number, column: number }>,
+ *   commonJs: Array<{ text: string, line: number, column: number }>,
+ *   exportAll: Array<{ specifier: string, line: number, column: number }>
+ * }}
+ */
+export const scanModule = (source) => {
+  const code = maskNonCode(source);
+  const exports = [];
+  const imports = [];
+  const commonJs = [];
+  const exportAll = [];
+  let match;
+
+  // String contents are masked in `code`, so specifiers are read back from
+  // the original source at the same offsets.
+  const specifierAt = (offset) => {
+    const quote = source[offset];
+    const end = source.indexOf(quote, offset + 1);
+    return source.slice(offset + 1, end);
+  };
+
+  const declaration = /\bexport\s+(?:async\s+)?(?:const|let|var|function\s*\*?|class)\s+([A-Za-z_$][\w$]*)/g;
+  while ((match = declaration.exec(code))) {
+    exports.push({ name: match[1], ...lineColumnAt(code, match.index) });
+  }
+
+  const defaultExport = /\bexport\s+default\b/g;
+  while ((match = defaultExport.exec(code))) {
+    exports.push({ name: 'default', ...lineColumnAt(code, match.index) });
+  }
+
+  const list = /\bexport\s*\{([^}]*)\}(\s*from\s*)?/g;
+  while ((match = list.exec(code))) {
+    const start = lineColumnAt(code, match.index);
+    for (const part of match[1].split(',')) {
+      const clause = part.trim();
+      if (!clause) continue;
+      const alias = /^([\w$]+)(?:\s+as\s+([\w$]+))?$/.exec(clause);
+      if (alias) exports.push({ name: alias[2] || alias[1], ...start });
+    }
+    if (match[2]) {
+      const offset = match.index + match[0].length;
+      imports.push({ specifier: specifierAt(offset), ...lineColumnAt(code, offset) });
+    }
+  }
+
+  const star = /\bexport\s*\*\s*(?:as\s+([\w$]+)\s*)?from\s*/g;
+  while ((match = star.exec(code))) {
+    const offset = match.index + match[0].length;
+    const entry = { specifier: specifierAt(offset), ...lineColumnAt(code, match.index) };
+    if (match[1]) exports.push({ name: match[1], line: entry.line, column: entry.column });
+    else exportAll.push(entry);
+    imports.push(entry);
+  }
+
+  const staticImport = /\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?(?=['"])/g;
+  while ((match = staticImport.exec(code))) {
+    const offset = match.index + match[0].length;
+    imports.push({ specifier: specifierAt(offset), ...lineColumnAt(code, offset) });
+  }
+
+  const dynamicImport = /\bimport\s*\(\s*(?=['"])/g;
+  while ((match = dynamicImport.exec(code))) {
+    const offset = match.index + match[0].length;
+    imports.push({ specifier: specifierAt(offset), ...lineColumnAt(code, offset) });
+  }
+
+  const cjs = /\b(module\.exports|exports\.[\w$]+\s*=|require\s*\()/g;
+  while ((match = cjs.exec(code))) {
+    if (code[match.index - 1] === '.') continue;
+    commonJs.push({ text: match[1].replace(/\s*[=(]$/, ''), ...lineColumnAt(code, match.index) });
+  }
+
+  const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+  return {
+    exports: exports.sort(byPosition),
+    imports: imports.sort(byPosition),
+    commonJs: commonJs.sort(byPosition),
+    exportAll: exportAll.sort(byPosition)
+  };
+};
@@ -0,0 +1,23 @@
+/**
+ * Collect a plugin directory's files and write them to a ZIP whose root is
+ * the plugin directory itself (plugin.json and index.js at the top level).
+ */
+
+import { readFileSync, statSync } from 'node:fs';
+import { resolvePluginFiles } from './module-graph.mjs';
+import { createZip } from './zip.mjs';
+
+/**
+ * Build the plugin archive.
+ * @param {string} dir
+ * @returns {{ files: string[], buffer: Buffer }}
+ */
+export const packPlugin = (dir) => {
+  const { files } = resolvePluginFiles(dir);
+  const buffer = createZip(files.map(({ name, source }) => ({
+    name,
+    data: readFileSync(source),
+    date: statSync(source).mtime
+  })));
+  return { files: files.map((f) => f.name), buffer };
+};
@@ -0,0 +1,84 @@
+/**
+ * Plugin packaging: the ZIP writer and the archive file list
+ *
+ *   node --test tools/lib/pack-plugin.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+import { packPlugin } from './pack-plugin.mjs';
+import { crc32, createZip } from './zip.mjs';
+
+// Read the entries back through the central directory
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const body = buffer.subarray(start, start + size);
+    entries.push({ name, crc, data: method === 8 ? inflateRawSync(body) : body });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('archives keep names, contents and checksums of stored and deflated files', () => {
+  const files = [
+    { name: 'plugin.json', data: Buffer.from('{}') },
+    { name: 'shared/é.js', data: Buffer.from('export const a = 1;\n'.repeat(50)) }
+  ];
+  const entries = readZip(createZip(files));
+  assert.deepEqual(entries.map((e) => e.name), ['plugin.json', 'shared/é.js']);
+  entries.forEach((entry, i) => {
+    assert.deepEqual(entry.data, files[i].data);
+    assert.equal(entry.crc, crc32(files[i].data));
+  });
+});
+
+// ============================================================================
+// PACK
+// ============================================================================
+
+test('the archive has plugin.json and index.js first and the shared modules the plugin imports', () => {
+  const root = mkdtempSync(join(tmpdir(), 'plugin-pack-'));
+  try {
+    const dir = join(root, 'demo-plugin');
+    mkdirSync(join(dir, 'lib'), { recursive: true });
+    mkdirSync(join(root, 'shared'));
+    writeFileSync(join(dir, 'plugin.json'), '{}');
+    writeFileSync(join(dir, 'index.js'), "import { a } from './lib/a.js';\nexport default a;\n");
+    writeFileSync(join(dir, 'lib', 'a.js'), "import { b } from '../shared/b.js';\nexport const a = b;\n");
+    writeFileSync(join(dir, 'index.test.mjs'), '');
+    writeFileSync(join(dir, 'old.zip'), '');
+    writeFileSync(join(root, 'shared', 'b.js'), 'export const b = 1;\n');
+    writeFileSync(join(root, 'shared', 'unused.js'), 'export const c = 1;\n');
+
+    const { files, buffer } = packPlugin(dir);
+    assert.deepEqual(files, ['plugin.json', 'index.js', 'lib/a.js', 'shared/b.js']);
+    const entries = readZip(buffer);
+    assert.deepEqual(entries.map((e) => e.name), files);
+    assert.equal(entries[3].data.toString(), 'export const b = 1;\n');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
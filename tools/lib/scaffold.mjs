@@ -0,0 +1,611 @@
+/**
+ * Plugin scaffolding (`plugin-cli.mjs create`).
+ *
+ * Renders a new plugin from a handful of answers: plugin.json, an index.js
+ * whose stub components are exported under the names the manifest uses,
+ * EVENTS.md, a README and a starter test. The plugin id and version are
+ * written once in index.js (`pluginInfo`) and once in plugin.json, and the
+ * starter test checks that the two agree.
+ *
+ * The generated code builds on the shared modules of sample-plugins/shared
+ * (bootstrap, event catalog, settings, migrations). A plugin created next to
+ * that directory imports them from there like the samples do; anywhere else
+ * the modules it needs are copied into its own shared/ directory.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HOOK_NAMES, WIDGET_SLOTS } from './manifest.mjs';
+import { scanModule } from './module-scan.mjs';
+import { renderEventReference } from './event-catalog.mjs';
+
+export class ScaffoldError extends Error {}
+
+// sample-plugins/shared of this repository, where copied shared modules come from
+export const TEMPLATE_SHARED_DIR = fileURLToPath(new URL('../../sample-plugins/shared/', import.meta.url));
+
+export const INITIAL_VERSION = '1.0.0';
+
+// Component name suffix and widget wording for each slot
+const SLOT_WIDGETS = {
+  'dashboard-top': { suffix: 'Banner', label: 'Banner' },
+  'dashboard-stats': { suffix: 'StatsCard', label: 'Stats' },
+  'dashboard-sidebar': { suffix: 'SidebarWidget', label: 'Sidebar' },
+  'dashboard-main': { suffix: 'MainWidget', label: 'Overview' }
+};
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const ROUTE_PATTERN = /^\/plugins\/[a-z0-9][\w-]*(\/[\w-]+)*$/;
+
+// "my-stats-plugin" -> "my-stats"
+const baseName = (id) => id.replace(/-plugin$/, '') || id;
+const pascalCase = (text) => text.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+const titleCase = (text) => text.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+const quote = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+const yesNo = (text) => {
+  if (typeof text === 'boolean') return text;
+  if (/^(y|yes|true)$/i.test(text.trim())) return true;
+  if (/^(n|no|false|)$/i.test(text.trim())) return false;
+  throw new ScaffoldError(`Answer yes or no, got "${text}"`);
+};
+
+/**
+ * The questions of `create`, in the order they are asked. Each one has a
+ * default (computed from the answers so far) and a parser that throws a
+ * ScaffoldError for invalid input.
+ */
+export const SCAFFOLD_FIELDS = [
+  {
+    key: 'id',
+    prompt: 'Plugin id (kebab-case)',
+    default: (answers) => answers.dirName,
+    parse: (text) => {
+      const id = text.trim();
+      if (!ID_PATTERN.test(id)) throw new ScaffoldError(`Plugin id "${id}" must be kebab-case (e.g. my-plugin)`);
+      return id;
+    }
+  },
+  {
+    key: 'name',
+    prompt: 'Display name',
+    default: (answers) => titleCase(answers.id),
+    parse: (text) => {
+      if (!text.trim()) throw new ScaffoldError('The display name cannot be empty');
+      return text.trim();
+    }
+  },
+  {
+    key: 'description',
+    prompt: 'Description',
+    default: (answers) => `${answers.name} for the PE Investor Portal`,
+    parse: (text) => text.trim()
+  },
+  {
+    key: 'author',
+    prompt: 'Author',
+    // git user.name, when the caller found one
+    default: (answers) => answers.gitAuthor || '',
+    parse: (text) => {
+      if (!text.trim()) throw new ScaffoldError('The author is required by plugin.json; pass --author or set git user.name');
+      return text.trim();
+    }
+  },
+  {
+    key: 'widgets',
+    prompt: `Widget slots, comma-separated (${WIDGET_SLOTS.join(', ')}) or "none"`,
+    default: () => 'dashboard-stats',
+    parse: (text) => {
+      const slots = text.trim() === 'none' ? [] : splitList(text);
+      const unknown = slots.filter((slot) => !WIDGET_SLOTS.includes(slot));
+      if (unknown.length) throw new ScaffoldError(`Unknown widget slot(s): ${unknown.join(', ')} (expected ${WIDGET_SLOTS.join(', ')})`);
+      return [...new Set(slots)];
+    }
+  },
+  {
+    key: 'route',
+    prompt: 'Menu route of the plugin page, or "none"',
+    default: (answers) => `/plugins/${baseName(answers.id)}`,
+    parse: (text) => {
+      const route = text.trim();
+      if (route === 'none' || route === '') return null;
+      if (!ROUTE_PATTERN.test(route)) throw new ScaffoldError(`Route "${route}" must look like /plugins/my-plugin`);
+      return route;
+    }
+  },
+  {
+    key: 'settings',
+    prompt: 'Settings page (yes/no)',
+    default: () => 'no',
+    parse: yesNo
+  },
+  {
+    key: 'hooks',
+    prompt: `Lifecycle hooks, comma-separated (${HOOK_NAMES.join(', ')}) or "none"`,
+    default: () => 'onInstall, onUninstall',
+    parse: (text) => {
+      const hooks = text.trim() === 'none' ? [] : splitList(text);
+      const unknown = hooks.filter((hook) => !HOOK_NAMES.includes(hook));
+      if (unknown.length) throw new ScaffoldError(`Unknown hook(s): ${unknown.join(', ')} (expected ${HOOK_NAMES.join(', ')})`);
+      // Declaration order, whatever the input order
+      return HOOK_NAMES.filter((hook) => hooks.includes(hook));
+    }
+  }
+];
+
+/**
+ * Names and paths derived from the answers, shared by every template.
+ */
+const describe = (answers) => {
+  const base = baseName(answers.id);
+  const prefix = pascalCase(base);
+  const settingsRoute = answers.settings ? `${answers.route || `/plugins/${base}`}/settings` : null;
+  return {
+    ...answers,
+    base,
+    version: INITIAL_VERSION,
+    adminPermission: answers.settings ? `${base.replace(/-/g, '_').toUpperCase()}_ADMIN` : null,
+    settingsRoute,
+    page: answers.route ? `${prefix}Plugin` : null,
+    settingsPage: answers.settings ? `${prefix}Settings` : null,
+    widgets: answers.widgets.map((slot) => ({
+      slot,
+      id: `${base}-${slot.replace(/^dashboard-/, '')}-widget`,
+      name: `${answers.name} ${SLOT_WIDGETS[slot].label}`,
+      component: `${prefix}${SLOT_WIDGETS[slot].suffix}`
+    }))
+  };
+};
+
+// ============================================================================
+// plugin.json
+// ============================================================================
+
+const WIDGET_FAILED_EVENT = {
+  version: '1.0.0',
+  description: 'A component failed; its slot shows a fallback card instead',
+  payload: {
+    type: 'object',
+    required: ['widget', 'message', 'at'],
+    properties: {
+      widget: { type: 'string', description: 'Name of the failed component' },
+      message: { type: 'string', description: 'Error message' },
+      at: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const SETTINGS_CHANGED_EVENT = {
+  version: '1.0.0',
+  description: 'Settings were saved; keeps the widgets of other tabs in sync',
+  payload: {
+    type: 'object',
+    required: ['values'],
+    properties: {
+      values: { type: 'object', description: 'All setting values, defaults included' }
+    }
+  }
+};
+
+const buildManifest = (p) => {
+  const menus = [];
+  if (p.route) {
+    menus.push({ id: `${p.base}-main-menu`, label: p.name, type: 'main', icon: 'pi pi-box', route: p.route, order: 100, permissions: [] });
+  }
+  if (p.settings) {
+    menus.push({
+      id: `${p.base}-settings-menu`, label: `${p.name} Settings`, type: 'admin', icon: 'pi pi-cog',
+      route: p.settingsRoute, order: 100, permissions: [p.adminPermission]
+    });
+  }
+  const emits = { [`${p.id}:widget-failed`]: WIDGET_FAILED_EVENT };
+  if (p.settings) emits[`${p.id}:settings-changed`] = SETTINGS_CHANGED_EVENT;
+
+  return {
+    id: p.id,
+    name: p.name,
+    version: p.version,
+    author: p.author,
+    ...(p.description && { description: p.description }),
+    coreVersion: '>=1.0.0',
+    license: 'MIT',
+    keywords: [p.base],
+    menus,
+    widgets: p.widgets.map((w, i) => ({ id: w.id, name: w.name, component: w.component, slot: w.slot, order: 10 + i, permissions: [] })),
+    hooks: Object.fromEntries(HOOK_NAMES.map((hook) => [hook, p.hooks.includes(hook)])),
+    events: { emits },
+    permissions: { required: [], provided: p.settings ? [p.adminPermission] : [] },
+    dependencies: {},
+    ...(p.settings && {
+      settings: {
+        hasConfigPanel: true,
+        configRoute: p.settingsRoute,
+        title: {
+          type: 'string',
+          label: 'Title',
+          maxLength: 60,
+          default: p.name,
+          description: 'Title shown by the widgets and the plugin page'
+        }
+      }
+    })
+  };
+};
+
+// Top-level groups are separated by a blank line, like the sample manifests
+const GROUP_STARTS = new Set(['menus', 'widgets', 'hooks', 'events', 'permissions', 'settings']);
+
+const isScalar = (value) => value === null || typeof value !== 'object';
+
+/**
+ * JSON with two-space indentation, arrays of scalars on one line and the
+ * leaves of event payload schemas (`{ "type": "string" }`) kept inline.
+ */
+export const formatManifest = (manifest) => {
+  const format = (value, indent, depth) => {
+    if (isScalar(value)) return JSON.stringify(value);
+    const entries = Array.isArray(value) ? value : Object.entries(value);
+    if (!entries.length) return Array.isArray(value) ? '[]' : '{}';
+    if (Array.isArray(value) && value.every(isScalar)) return `[${value.map((v) => JSON.stringify(v)).join(', ')}]`;
+    if (!Array.isArray(value) && depth >= 6 && Object.values(value).every((v) => isScalar(v) || (Array.isArray(v) && v.every(isScalar)))) {
+      return `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${format(v, '', depth + 1)}`).join(', ')} }`;
+    }
+    const inner = `${indent}  `;
+    const lines = Array.isArray(value)
+      ? value.map((item) => `${inner}${format(item, inner, depth + 1)}`)
+      : entries.map(([key, item]) => `${depth === 0 && GROUP_STARTS.has(key) ? '\n' : ''}${inner}${JSON.stringify(key)}: ${format(item, inner, depth + 1)}`);
+    return `${Array.isArray(value) ? '[' : '{'}\n${lines.join(',\n')}\n${indent}${Array.isArray(value) ? ']' : '}'}`;
+  };
+  return `${format(manifest, '', 0)}\n`;
+};
+
+// ============================================================================
+// index.js
+// ============================================================================
+
+const banner = (title) => `// ============================================================================
+// ${title}
+// ============================================================================`;
+
+const WIDGET_TEMPLATES = {
+  'dashboard-top': `
+    <div class="plugin-bg-hero rounded-lg shadow-lg p-6">
+      <h2 class="text-2xl font-bold mb-1">{{ title }}</h2>
+      <p class="plugin-text-on-hero-muted">Replace this banner with your announcement.</p>
+    </div>
+  `,
+  'dashboard-stats': `
+    <div class="plugin-bg-surface rounded-lg shadow p-6">
+      <div class="flex items-center justify-between">
+        <div>
+          <p class="text-sm plugin-text-secondary mb-1">{{ title }}</p>
+          <p class="text-3xl font-bold plugin-text">{{ value }}</p>
+        </div>
+        <i class="pi pi-chart-bar text-3xl plugin-text-primary"></i>
+      </div>
+    </div>
+  `,
+  'dashboard-sidebar': `
+    <div class="plugin-bg-surface rounded-lg shadow p-5">
+      <h3 class="font-semibold plugin-text mb-3 flex items-center">
+        <i class="pi pi-bolt mr-2 plugin-text-primary"></i>{{ title }}
+      </h3>
+      <p class="text-sm plugin-text-secondary">Replace this panel with shortcuts or a short list.</p>
+    </div>
+  `,
+  'dashboard-main': `
+    <div class="plugin-bg-surface rounded-lg shadow p-6">
+      <h2 class="text-xl font-semibold plugin-text mb-2">{{ title }}</h2>
+      <p class="plugin-text-secondary">Replace this card with the main content of the widget.</p>
+    </div>
+  `
+};
+
+const renderIndex = (p) => {
+  const sharedImports = [
+    "import { createPluginBootstrap } from './shared/plugin-bootstrap.js';",
+    "import { createEventCatalog } from './shared/event-catalog.js';"
+  ];
+  if (p.settings) {
+    sharedImports.push("import { createPluginSettings } from './shared/plugin-settings.js';");
+    sharedImports.push("import { createSettingsPage } from './shared/settings-page.js';");
+  }
+  const migrations = [
+    p.hooks.includes('onUpdate') && 'runMigrations',
+    p.hooks.includes('onInstall') && 'stampDataVersion'
+  ].filter(Boolean);
+  if (migrations.length) sharedImports.push(`import { ${migrations.join(', ')} } from './shared/plugin-migrations.js';`);
+
+  const vue = [p.widgets.length || p.page ? 'computed' : null].filter(Boolean);
+  const title = p.settings ? "computed(() => settings.get('title'))" : 'computed(() => pluginInfo.name)';
+  const sections = [];
+
+  sections.push(`/**
+ * ${p.name}
+ *${p.description ? `\n * ${p.description}\n *` : ''}
+ * The plugin id and version are defined once, in \`pluginInfo\` below; keep
+ * plugin.json in step when releasing (index.test.mjs checks that they match).
+ */
+
+${sharedImports.join('\n')}
+${vue.length ? `
+// Vue composition API functions (globals in the portal)
+const { ${vue.join(', ')} } = window.Vue || {};
+` : ''}
+export const pluginInfo = {
+  id: ${quote(p.id)},
+  name: ${quote(p.name)},
+  version: ${quote(p.version)}
+};
+
+// Plugin context - acquired on first use and retried until the portal is
+// ready (see shared/plugin-bootstrap.js), so stores are created lazily
+const plugin = createPluginBootstrap(pluginInfo.id, {
+  // Locates plugin.json for mock mode and times the widgets from the
+  // download of this module
+  moduleUrl: import.meta.url,
+  // In development, check every emitted and received event against the
+  // catalog declared under \`events\` in plugin.json (see EVENTS.md)
+  setup: (context) => createEventCatalog(context)
+});
+const context = plugin.context;`);
+
+  const constants = [];
+  if (p.settings) {
+    constants.push(`// Settings declared in plugin.json, shared by every component
+const settings = plugin.lazy(() => createPluginSettings(context));`);
+    constants.push(`// Provided by this plugin (plugin.json \`permissions.provided\`): changing the settings
+const ADMIN_PERMISSION = ${quote(p.adminPermission)};
+const isAdmin = () => !!context.hasPermission?.(ADMIN_PERMISSION);`);
+  }
+  if (p.route) {
+    constants.push(`const PLUGIN_ROUTE = ${quote(p.route)};${p.settings ? `
+const settingsRoute = () => settings.configRoute || \`\${PLUGIN_ROUTE}/settings\`;` : ''}`);
+  }
+  if (p.hooks.includes('onUpdate')) {
+    constants.push(`// Data migrations, oldest first (see "Data Migrations" in the guide)
+const MIGRATIONS = [];`);
+  }
+  if (constants.length) sections.push(constants.join('\n\n'));
+
+  for (const widget of p.widgets) {
+    sections.push(`${banner(`WIDGET: ${widget.component} (${widget.slot})`)}
+
+const ${widget.component} = plugin.withErrorBoundary({
+  name: ${quote(widget.component)},
+  setup() {
+    const title = ${title};${widget.slot === 'dashboard-stats' ? `
+    // Read when the widget mounts; keep shared, live values in a plugin.lazy() store
+    const value = context.getPluginData('count') ?? 0;
+
+    return { title, value };` : `
+
+    return { title };`}
+  },
+  template: \`${WIDGET_TEMPLATES[widget.slot]}\`
+});`);
+  }
+
+  if (p.settings) {
+    sections.push(`${banner(`SETTINGS PAGE (route: ${p.settingsRoute})`)}
+
+const ${p.settingsPage} = plugin.withErrorBoundary(createSettingsPage(context, settings, {
+  name: ${quote(p.settingsPage)},
+  backRoute: ${p.route ? 'PLUGIN_ROUTE' : "''"},
+  canEdit: isAdmin
+}));`);
+  }
+
+  if (p.page) {
+    sections.push(`${banner(`PAGE: ${p.name} (route: ${p.route})`)}
+
+const ${p.page} = plugin.withErrorBoundary({
+  name: ${quote(p.page)},${p.settings ? `
+  components: { ${p.settingsPage} },` : ''}
+  setup() {${p.settings ? `
+    // The portal mounts this component for every route of the plugin
+    const isSettingsRoute = computed(() => context.router?.currentRoute?.value?.path === settingsRoute());` : ''}
+    const title = ${title};
+
+    return { ${p.settings ? 'isSettingsRoute, ' : ''}title };
+  },
+  template: \`${p.settings ? `
+    <${p.settingsPage} v-if="isSettingsRoute" />
+    <div v-else class="p-6">` : `
+    <div class="p-6">`}
+      <h1 class="text-3xl font-bold plugin-text mb-2">{{ title }}</h1>
+      <p class="plugin-text-secondary">Replace this page with the content of your plugin.</p>
+    </div>
+  \`
+});`);
+  }
+
+  if (p.hooks.length) {
+    const hooks = {
+      onInstall: `/**
+ * Called when the plugin is installed
+ */
+const onInstall = async () => {
+  stampDataVersion(context, pluginInfo.version);
+  context.showSuccess?.(\`\${pluginInfo.name} installed\`);
+};`,
+      onUpdate: `/**
+ * Called when the plugin is updated: migrates the stored data (see
+ * MIGRATIONS). A failed step restores the data untouched.
+ */
+const onUpdate = async (fromVersion, toVersion = pluginInfo.version) => {
+  const result = runMigrations(context, MIGRATIONS, { fromVersion, toVersion });
+  if (!result.ok) {
+    console.error(\`\${pluginInfo.name}: data migration failed\`, result.failedStep?.description, result.error);
+    throw result.error;
+  }${p.settings ? `
+  // The settings store read the pre-migration values
+  settings.reload();` : ''}
+};`,
+      onUninstall: `/**
+ * Called when the plugin is uninstalled
+ */
+const onUninstall = () => {${p.settings ? `
+  // Only administrators may wipe the data; otherwise it stays for a reinstall
+  if (isAdmin()) context.clearPluginData?.();` : `
+  context.clearPluginData?.();`}
+  context.showInfo?.(\`\${pluginInfo.name} uninstalled\`);
+};`
+    };
+    sections.push(`${banner('LIFECYCLE HOOKS')}
+
+${p.hooks.map((hook) => hooks[hook]).join('\n\n')}`);
+  }
+
+  const exports = [];
+  if (p.page) exports.push(`export default ${p.page};`);
+  else if (p.settingsPage) exports.push(`// Rendered on the admin settings route\nexport default ${p.settingsPage};`);
+  const named = [...p.widgets.map((w) => w.component), ...(p.page && p.settingsPage ? [p.settingsPage] : [])];
+  if (named.length) exports.push(`export { ${named.join(', ')} };`);
+  if (p.hooks.length) exports.push(`export { ${p.hooks.join(', ')} };`);
+  if (exports.length) sections.push(`${banner('EXPORTS - This is what the plugin system will load')}\n\n${exports.join('\n')}`);
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+// ============================================================================
+// README.md AND STARTER TEST
+// ============================================================================
+
+const renderReadme = (p, { dir }) => {
+  const features = [
+    ...p.widgets.map((w) => `- **${w.name}** (\`${w.slot}\`) - \`${w.component}\``),
+    ...(p.page ? [`- **Plugin page** at \`${p.route}\` - \`${p.page}\` (default export)`] : []),
+    ...(p.settings ? [`- **Settings page** at \`${p.settingsRoute}\` - \`${p.settingsPage}\`, editable by users with \`${p.adminPermission}\``] : []),
+    ...(p.hooks.length ? [`- **Lifecycle hooks**: ${p.hooks.map((hook) => `\`${hook}\``).join(', ')}`] : [])
+  ];
+  return `# ${p.name}
+${p.description ? `\n${p.description}\n` : ''}
+## Features
+
+${features.length ? features.join('\n') : '- None yet: add widgets to plugin.json and export them from index.js'}
+
+## Development
+
+The plugin id and version live in \`pluginInfo\` (index.js) and in
+plugin.json. Change both when releasing; the starter test fails while they
+differ.
+
+\`\`\`bash
+# Check plugin.json, the exports of index.js and the events
+node tools/plugin-cli.mjs validate ${dir}
+
+# Check the code for security and compatibility issues
+node tools/plugin-cli.mjs scan ${dir}
+
+# Run the starter test (needs Vue 3: npm install --no-save vue@3)
+node --import ./tools/plugin-test-env.mjs --test ${dir}/index.test.mjs
+
+# Build ${p.id}.zip
+node tools/plugin-cli.mjs pack ${dir}
+\`\`\`
+
+Outside the portal, set \`window.__PLUGIN_MOCK_MODE__ = true\` before loading
+index.js to run the components on the in-memory mock context.
+
+## Events
+
+See [EVENTS.md](EVENTS.md); regenerate it with
+\`node tools/plugin-cli.mjs events ${dir}\` after changing \`events\` in plugin.json.
+`;
+};
+
+const renderTest = (p) => `/**
+ * Starter tests for ${p.name}.
+ *
+ * Run from the repository root (needs Vue 3: npm install --no-save vue@3):
+ *   node --import ./tools/plugin-test-env.mjs --test <plugin-dir>/index.test.mjs
+ *
+ * Test files (*.test.mjs) are not packaged.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createMockPluginContext } from './shared/mock-plugin-context.js';
+
+const manifest = JSON.parse(readFileSync(new URL('./plugin.json', import.meta.url), 'utf8'));
+
+// Hand the plugin a mock context the tests can inspect${p.settings ? `, as an administrator` : ''}
+const context = createMockPluginContext(manifest.id, { manifest${p.settings ? ', permissions: manifest.permissions.provided' : ''} });
+window.usePluginContext = () => context;
+const plugin = await import('./index.js');
+
+test('pluginInfo matches plugin.json', () => {
+  assert.equal(plugin.pluginInfo.id, manifest.id);
+  assert.equal(plugin.pluginInfo.version, manifest.version);
+  assert.equal(plugin.pluginInfo.name, manifest.name);
+});
+
+test('every component declared in plugin.json is exported', () => {
+  for (const widget of manifest.widgets) {
+    assert.equal(typeof plugin[widget.component], 'object', \`\${widget.component} is not exported\`);
+  }
+  if (manifest.menus.length) assert.equal(typeof plugin.default, 'object', 'the plugin page is not the default export');
+});
+
+test('hooks declared in plugin.json are exported and run', async () => {
+  for (const [hook, enabled] of Object.entries(manifest.hooks)) {
+    assert.equal(typeof plugin[hook], enabled ? 'function' : 'undefined', \`hooks.\${hook} is \${enabled}\`);
+  }${p.hooks.includes('onInstall') ? `
+  await plugin.onInstall();` : ''}${p.hooks.includes('onUpdate') ? `
+  await plugin.onUpdate(manifest.version, manifest.version);` : ''}${p.hooks.includes('onUninstall') ? `
+  await plugin.onUninstall();` : ''}
+});
+`;
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Shared modules a set of files imports, transitively, as archive paths
+ * ("shared/plugin-bootstrap.js").
+ * @param {string[]} sources - Sources of the plugin's own modules
+ */
+export const sharedModulesFor = (sources) => {
+  const needed = new Set();
+  // The plugin's own modules import "./shared/x.js", shared modules "./x.js"
+  const importsOf = (source, prefix) => scanModule(source).imports
+    .map((i) => i.specifier)
+    .filter((specifier) => specifier.startsWith(prefix))
+    .map((specifier) => specifier.slice(prefix.length));
+  const queue = sources.flatMap((source) => importsOf(source, './shared/'));
+  while (queue.length) {
+    const name = queue.shift();
+    if (needed.has(name)) continue;
+    needed.add(name);
+    queue.push(...importsOf(readFileSync(join(TEMPLATE_SHARED_DIR, name), 'utf8'), './'));
+  }
+  return [...needed].filter((name) => name.endsWith('.js')).sort().map((name) => `shared/${name}`);
+};
+
+/**
+ * Render the files of a new plugin.
+ * @param {object} answers - Parsed SCAFFOLD_FIELDS values
+ * @param {object} options
+ * @param {string} options.dir - Plugin directory as shown in the README commands
+ * @returns {Array<{ name: string, content: string }>}
+ */
+export const renderScaffold = (answers, { dir }) => {
+  const p = describe(answers);
+  const manifest = buildManifest(p);
+  return [
+    { name: 'plugin.json', content: formatManifest(manifest) },
+    { name: 'index.js', content: renderIndex(p) },
+    { name: 'EVENTS.md', content: renderEventReference(manifest, { plugins: [manifest] }) },
+    { name: 'README.md', content: renderReadme(p, { dir }) },
+    { name: 'index.test.mjs', content: renderTest(p) }
+  ];
+};
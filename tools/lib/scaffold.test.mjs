@@ -0,0 +1,153 @@
+/**
+ * Plugin scaffolding: answer parsing, the files it renders and the
+ * `plugin-cli.mjs create` command
+ *
+ *   node --test tools/lib/scaffold.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { renderScaffold, SCAFFOLD_FIELDS, ScaffoldError, sharedModulesFor, TEMPLATE_SHARED_DIR } from './scaffold.mjs';
+import { scanPlugin } from './security-scan.mjs';
+import { validatePlugin } from './validate-plugin.mjs';
+
+const CLI = fileURLToPath(new URL('../plugin-cli.mjs', import.meta.url));
+
+const field = (key) => SCAFFOLD_FIELDS.find((f) => f.key === key);
+
+// Answers of `create --yes` for a directory, with `overrides` given as flags
+const answersFor = (dirName, overrides = {}) => {
+  const answers = { dirName, gitAuthor: 'Jane Doe' };
+  for (const f of SCAFFOLD_FIELDS) answers[f.key] = f.parse(overrides[f.key] ?? f.default(answers));
+  return answers;
+};
+
+// Write the rendered files (and the shared modules they use) into a temporary directory
+const withScaffold = (answers, check) => {
+  const dir = join(mkdtempSync(join(tmpdir(), 'plugin-scaffold-')), answers.id);
+  try {
+    const files = renderScaffold(answers, { dir });
+    const sources = files.filter((file) => /\.m?js$/.test(file.name)).map((file) => file.content);
+    for (const name of sharedModulesFor(sources)) {
+      files.push({ name, content: readFileSync(join(TEMPLATE_SHARED_DIR, name.slice('shared/'.length)), 'utf8') });
+    }
+    for (const file of files) {
+      mkdirSync(join(dir, file.name, '..'), { recursive: true });
+      writeFileSync(join(dir, file.name), file.content);
+    }
+    return check(dir, files);
+  } finally {
+    rmSync(join(dir, '..'), { recursive: true, force: true });
+  }
+};
+
+// Run `plugin-cli.mjs create` in an empty directory, with `gitName` as the git user.name
+const create = (args, { gitName = null } = {}) => {
+  const cwd = mkdtempSync(join(tmpdir(), 'plugin-create-'));
+  const gitConfig = join(cwd, 'gitconfig');
+  writeFileSync(gitConfig, gitName ? `[user]\n\tname = ${gitName}\n` : '');
+  const env = { ...process.env, GIT_CONFIG_GLOBAL: gitConfig, GIT_CONFIG_NOSYSTEM: '1', GIT_CEILING_DIRECTORIES: cwd };
+  const result = spawnSync(process.execPath, [CLI, 'create', 'demo-plugin', ...args], { cwd, env, encoding: 'utf8', timeout: 60000 });
+  const manifestFile = join(cwd, 'demo-plugin', 'plugin.json');
+  const manifest = existsSync(manifestFile) ? JSON.parse(readFileSync(manifestFile, 'utf8')) : null;
+  rmSync(cwd, { recursive: true, force: true });
+  return { status: result.status, output: result.stdout + result.stderr, manifest };
+};
+
+// ============================================================================
+// ANSWERS
+// ============================================================================
+
+test('answers default from the directory name and the earlier answers', () => {
+  assert.deepEqual(answersFor('stats-board-plugin'), {
+    dirName: 'stats-board-plugin',
+    gitAuthor: 'Jane Doe',
+    id: 'stats-board-plugin',
+    name: 'Stats Board Plugin',
+    description: 'Stats Board Plugin for the PE Investor Portal',
+    author: 'Jane Doe',
+    widgets: ['dashboard-stats'],
+    route: '/plugins/stats-board',
+    settings: false,
+    hooks: ['onInstall', 'onUninstall']
+  });
+});
+
+test('flag values are parsed, and invalid ones are refused with a ScaffoldError', () => {
+  assert.equal(field('settings').parse(true), true);
+  assert.equal(field('settings').parse('yes'), true);
+  assert.equal(field('settings').parse('n'), false);
+  assert.deepEqual(field('hooks').parse('onUninstall, onInstall,onUninstall'), ['onInstall', 'onUninstall']);
+  assert.deepEqual(field('hooks').parse('none'), []);
+  assert.deepEqual(field('widgets').parse('dashboard-top,dashboard-top , dashboard-main'), ['dashboard-top', 'dashboard-main']);
+  assert.equal(field('route').parse('none'), null);
+
+  for (const [key, text, message] of [
+    ['id', 'My_Plugin', /must be kebab-case/],
+    ['author', '  ', /pass --author or set git user.name/],
+    ['widgets', 'dashboard-footer', /Unknown widget slot\(s\): dashboard-footer/],
+    ['route', '/admin/demo', /must look like \/plugins\/my-plugin/],
+    ['settings', 'maybe', /Answer yes or no/],
+    ['hooks', 'onBoot', /Unknown hook\(s\): onBoot/]
+  ]) {
+    assert.throws(() => field(key).parse(text), (err) => err instanceof ScaffoldError && message.test(err.message), `${key}: ${text}`);
+  }
+});
+
+// ============================================================================
+// RENDERED FILES
+// ============================================================================
+
+test('every option combination renders a plugin that validates and scans cleanly', () => {
+  for (const overrides of [
+    {},
+    { widgets: 'none', route: 'none', settings: 'yes', hooks: 'none' },
+    { widgets: 'dashboard-top,dashboard-stats,dashboard-sidebar,dashboard-main', settings: 'yes', hooks: 'onInstall,onUpdate,onUninstall' }
+  ]) {
+    withScaffold(answersFor('demo-plugin', overrides), (dir, files) => {
+      const { manifest, diagnostics } = validatePlugin(dir);
+      assert.deepEqual(diagnostics, [], JSON.stringify(overrides));
+      assert.deepEqual(scanPlugin(dir, manifest).filter((f) => f.suppressed === undefined), [], JSON.stringify(overrides));
+      assert.ok(files.some((file) => file.name === 'shared/plugin-bootstrap.js'));
+    });
+  }
+});
+
+test('the manifest follows the settings and hooks answers', () => {
+  withScaffold(answersFor('demo-plugin', { settings: 'yes', hooks: 'onUpdate' }), (dir) => {
+    const manifest = JSON.parse(readFileSync(join(dir, 'plugin.json'), 'utf8'));
+    assert.deepEqual(manifest.hooks, { onInstall: false, onUpdate: true, onUninstall: false });
+    assert.equal(manifest.settings.configRoute, '/plugins/demo/settings');
+    assert.deepEqual(manifest.permissions.provided, ['DEMO_ADMIN']);
+    assert.deepEqual(manifest.menus.map((menu) => menu.route), ['/plugins/demo', '/plugins/demo/settings']);
+    assert.ok(manifest.events.emits['demo-plugin:settings-changed']);
+  });
+});
+
+// ============================================================================
+// create COMMAND
+// ============================================================================
+
+test('create --yes takes the author from git user.name and writes a plugin that passes validate and scan', () => {
+  const { status, output, manifest } = create(['--yes', '--settings', '--hooks', 'onInstall,onUpdate'], { gitName: 'Grace Hopper' });
+  assert.equal(status, 0, output);
+  assert.match(output, /demo-plugin: 0 error\(s\), 0 warning\(s\)/);
+  assert.match(output, /scan: 0 error\(s\), 0 warning\(s\)/);
+  assert.equal(manifest.author, 'Grace Hopper');
+  assert.deepEqual(manifest.hooks, { onInstall: true, onUpdate: true, onUninstall: false });
+  assert.ok(manifest.settings);
+});
+
+test('create --author wins over git user.name, and without either nothing is written', () => {
+  assert.equal(create(['--yes', '--author', 'Ada Lovelace'], { gitName: 'Grace Hopper' }).manifest.author, 'Ada Lovelace');
+
+  const { status, output, manifest } = create(['--yes']);
+  assert.equal(status, 1);
+  assert.match(output, /The author is required by plugin.json; pass --author or set git user.name/);
+  assert.equal(manifest, null);
+});
@@ -0,0 +1,771 @@
+/**
+ * Static security and compatibility scan of plugin code.
+ *
+ * Runs locally the checks the portal applies to uploads (see "Import
+ * Restrictions" and "Validation on Upload" in the guide): every module
+ * of the archive - shared ones included - is parsed with js-parser.mjs and
+ * its identifiers are resolved against their scopes, so a local variable
+ * named `fetch` or a `window.localStorage` alias is told apart from text that
+ * merely looks alike.
+ *
+ * A finding that is intended can be allowed in the code, with a reason, on
+ * the line itself or the line above:
+ *
+ *   // plugin-scan-allow no-direct-storage -- the store is injected in tests
+ *
+ * Allowed findings are still listed in SARIF output, as suppressed results.
+ */
+
+import { readFileSync } from 'node:fs';
+import { relative, sep } from 'node:path';
+import { resolvePluginFiles } from './module-graph.mjs';
+import { JsSyntaxError, parseModule, walk } from './js-parser.mjs';
+
+export const SEVERITIES = ['error', 'warning', 'note'];
+
+export const RULES = {
+  'no-eval': {
+    severity: 'error',
+    description: 'Code built from strings (eval, Function, string timers) cannot be reviewed and is rejected by the portal.'
+  },
+  'no-direct-storage': {
+    severity: 'error',
+    description: 'Browser storage and cookies bypass the plugin context; use context.getPluginData() / setPluginData().'
+  },
+  'no-external-network': {
+    severity: 'error',
+    description: 'Plugins may only call the portal API; build request URLs with context.getApiUrl().'
+  },
+  'undeclared-import': {
+    severity: 'error',
+    description: 'Vue and PrimeVue are provided by the portal; other packages must be declared in dependencies.external.'
+  },
+  'no-commonjs': {
+    severity: 'error',
+    description: 'Plugins are ES modules; require(), module.exports and exports are not available.'
+  },
+  'computed-global': {
+    severity: 'error',
+    description: 'Globals and document properties reached through a computed name (window[name], document[name]) cannot be checked; use them by name.'
+  },
+  'restricted-global': {
+    severity: 'warning',
+    description: 'Only the globals listed in the guide are guaranteed to exist in the portal, and plugins must not define new ones.'
+  },
+  'syntax-error': {
+    severity: 'error',
+    description: 'The module could not be parsed as an ES2022 module.'
+  },
+  'allow-directive': {
+    severity: 'warning',
+    description: 'plugin-scan-allow comments must name known rules, give a reason and allow an actual finding.'
+  }
+};
+
+// Names through which the global object can be reached: this window's own,
+// or another window of the page (parent, top, frames), as open to plugin code
+// as this one. `document.defaultView` is one more, checked in isGlobalObject.
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self', 'parent', 'top', 'frames']);
+
+const LANGUAGE_GLOBALS = [
+  'undefined', 'NaN', 'Infinity', 'Object', 'Function', 'Array', 'Number', 'String', 'Boolean', 'Symbol',
+  'BigInt', 'Math', 'Date', 'RegExp', 'JSON', 'Promise', 'Proxy', 'Reflect', 'Map', 'Set', 'WeakMap',
+  'WeakSet', 'WeakRef', 'FinalizationRegistry', 'Error', 'TypeError', 'RangeError', 'SyntaxError',
+  'ReferenceError', 'EvalError', 'URIError', 'AggregateError', 'ArrayBuffer', 'DataView', 'Int8Array',
+  'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+  'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'Intl', 'isNaN', 'isFinite',
+  'parseInt', 'parseFloat', 'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI',
+  'structuredClone', 'queueMicrotask'
+];
+
+const BROWSER_GLOBALS = [
+  'window', 'self', 'globalThis', 'document', 'navigator', 'console', 'setTimeout', 'clearTimeout',
+  'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback',
+  'cancelIdleCallback', 'addEventListener', 'removeEventListener', 'dispatchEvent', 'matchMedia',
+  'getComputedStyle', 'URL', 'URLSearchParams', 'Blob', 'File', 'FileReader', 'FormData', 'Headers',
+  'Request', 'Response', 'TextEncoder', 'TextDecoder', 'AbortController', 'AbortSignal', 'Event',
+  'CustomEvent', 'EventTarget', 'KeyboardEvent', 'MouseEvent', 'DOMException', 'crypto', 'performance',
+  'BroadcastChannel', 'MutationObserver', 'ResizeObserver', 'IntersectionObserver', 'PerformanceObserver',
+  'HTMLElement', 'Element', 'Node', 'atob', 'btoa',
+  // Checked by their own rules
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource'
+];
+
+// Provided by the portal (see "Import Restrictions" in the guide)
+const PORTAL_GLOBALS = ['Vue', 'PrimeVue', 'usePluginContext'];
+
+export const ALLOWED_GLOBALS = new Set([...LANGUAGE_GLOBALS, ...BROWSER_GLOBALS, ...PORTAL_GLOBALS]);
+
+const STORAGE_GLOBALS = new Set(['localStorage', 'sessionStorage', 'indexedDB']);
+const NETWORK_GLOBALS = new Set(['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource']);
+const COMMONJS_GLOBALS = new Set(['require', 'module', 'exports']);
+
+// Packages the portal provides as window globals
+const PROVIDED_PACKAGES = [
+  { pattern: /^(vue|@vue\/.+)$/, global: 'window.Vue' },
+  { pattern: /^primevue(\/.+)?$/, global: 'window.PrimeVue' }
+];
+
+const ALLOW_DIRECTIVE = /^\s*\*?\s*plugin-scan-allow\b(.*)$/;
+
+/**
+ * @typedef {object} Finding
+ * @property {string} ruleId
+ * @property {'error'|'warning'|'note'} severity
+ * @property {string} file - Path shown to the user
+ * @property {number} line
+ * @property {number} column
+ * @property {string} message
+ * @property {string} [suppressed] - Reason given by a plugin-scan-allow comment
+ */
+
+// ============================================================================
+// SCOPES
+// ============================================================================
+
+const isFunction = (node) =>
+  node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression';
+
+const createScope = (parent, kind) => ({ parent, kind, bindings: new Map() });
+
+const lookup = (scope, name) => {
+  for (let current = scope; current; current = current.parent) {
+    if (current.bindings.has(name)) return current.bindings.get(name);
+  }
+  return null;
+};
+
+// Names bound by a pattern, each with the value it gets when that value is
+// known: the initializer of `x = init`, or the default of a destructured `{ x = fallback }`
+const patternBindings = (pattern, init, names = []) => {
+  switch (pattern?.type) {
+    case 'Identifier': names.push({ id: pattern, init }); break;
+    case 'ObjectPattern': pattern.properties.forEach((p) => patternBindings(p.type === 'RestElement' ? p.argument : p.value, null, names)); break;
+    case 'ArrayPattern': pattern.elements.forEach((e) => patternBindings(e, null, names)); break;
+    case 'RestElement': patternBindings(pattern.argument, null, names); break;
+    case 'AssignmentPattern': patternBindings(pattern.left, init ?? pattern.right, names); break;
+  }
+  return names;
+};
+
+/**
+ * Resolve every identifier reference of a module against its scopes.
+ * @returns {{ references: Array<{ node: object, binding: object|null }>, parents: WeakMap<object, object> }}
+ */
+const analyzeScopes = (ast) => {
+  const references = [];
+  const parents = new WeakMap();
+
+  const declare = (scope, id, kind, init = null) => {
+    scope.bindings.set(id.name, { name: id.name, kind, init });
+  };
+  const declarePattern = (scope, pattern, kind, init) => {
+    for (const binding of patternBindings(pattern, init)) declare(scope, binding.id, kind, binding.init);
+  };
+
+  // `var` declarations of a function body, nested blocks included
+  const hoistVars = (body, scope) => {
+    const step = (node) => {
+      if (!node || typeof node.type !== 'string') return;
+      if (isFunction(node) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression') return;
+      if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+        node.declarations.forEach((d) => declarePattern(scope, d.id, 'var', d.init));
+      }
+      for (const value of Object.values(node)) {
+        if (Array.isArray(value)) value.forEach(step);
+        else if (value && typeof value.type === 'string') step(value);
+      }
+    };
+    body.forEach(step);
+  };
+
+  // let / const / class / function / import declarations directly in a block
+  const hoistLexical = (body, scope) => {
+    for (const statement of body) {
+      const node = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+      if (node.type === 'VariableDeclaration' && node.kind !== 'var') {
+        node.declarations.forEach((d) => declarePattern(scope, d.id, node.kind, d.init));
+      } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+        declare(scope, node.id, node.type === 'ClassDeclaration' ? 'class' : 'function');
+      } else if (node.type === 'ImportDeclaration') {
+        node.specifiers.forEach((s) => declare(scope, s.local, 'import'));
+      }
+    }
+  };
+
+  const children = (node, scope) => {
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) value.forEach((item) => item && typeof item.type === 'string' && visit(item, scope, node));
+      else if (value && typeof value.type === 'string') visit(value, scope, node);
+    }
+  };
+
+  // Destructuring targets: only defaults and computed keys are evaluated
+  const visitPattern = (pattern, scope, parent, assigning) => {
+    if (!pattern) return;
+    parents.set(pattern, parent);
+    switch (pattern.type) {
+      case 'Identifier':
+        if (assigning) references.push({ node: pattern, binding: lookup(scope, pattern.name) });
+        break;
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          parents.set(property, pattern);
+          if (property.type === 'RestElement') {
+            visitPattern(property.argument, scope, property, assigning);
+          } else {
+            if (property.computed) visit(property.key, scope, property);
+            visitPattern(property.value, scope, property, assigning);
+          }
+        }
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach((element) => visitPattern(element, scope, pattern, assigning));
+        break;
+      case 'RestElement':
+        visitPattern(pattern.argument, scope, pattern, assigning);
+        break;
+      case 'AssignmentPattern':
+        visitPattern(pattern.left, scope, pattern, assigning);
+        visit(pattern.right, scope, pattern);
+        break;
+      default:
+        // Member expressions as assignment targets
+        visit(pattern, scope, parent);
+    }
+  };
+
+  const visitFunction = (node, scope) => {
+    const inner = createScope(scope, 'function');
+    if (node.type === 'FunctionExpression' && node.id) declare(inner, node.id, 'function');
+    if (node.type !== 'ArrowFunctionExpression') declare(inner, { name: 'arguments' }, 'var');
+    node.params.forEach((param) => declarePattern(inner, param, 'param', null));
+    node.params.forEach((param) => visitPattern(param, inner, node, false));
+    if (node.body.type === 'BlockStatement') {
+      parents.set(node.body, node);
+      hoistVars(node.body.body, inner);
+      hoistLexical(node.body.body, inner);
+      node.body.body.forEach((statement) => visit(statement, inner, node.body));
+    } else {
+      visit(node.body, inner, node);
+    }
+  };
+
+  const visit = (node, scope, parent) => {
+    parents.set(node, parent);
+    switch (node.type) {
+      case 'Program':
+        hoistVars(node.body, scope);
+        hoistLexical(node.body, scope);
+        node.body.forEach((statement) => visit(statement, scope, node));
+        return;
+      case 'Identifier':
+        references.push({ node, binding: lookup(scope, node.name) });
+        return;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        return;
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        if (node.superClass) visit(node.superClass, scope, node);
+        const inner = createScope(scope, 'block');
+        if (node.id) declare(inner, node.id, 'class');
+        parents.set(node.body, node);
+        for (const member of node.body.body) {
+          parents.set(member, node.body);
+          if (member.computed) visit(member.key, inner, member);
+          if (member.type === 'StaticBlock') {
+            const block = createScope(inner, 'function');
+            hoistVars(member.body, block);
+            hoistLexical(member.body, block);
+            member.body.forEach((statement) => visit(statement, block, member));
+          } else if (member.value) {
+            visit(member.value, inner, member);
+          }
+        }
+        return;
+      }
+      case 'BlockStatement': {
+        const inner = createScope(scope, 'block');
+        hoistLexical(node.body, inner);
+        node.body.forEach((statement) => visit(statement, inner, node));
+        return;
+      }
+      case 'SwitchStatement': {
+        visit(node.discriminant, scope, node);
+        const inner = createScope(scope, 'block');
+        node.cases.forEach((c) => hoistLexical(c.consequent, inner));
+        node.cases.forEach((c) => visit(c, inner, node));
+        return;
+      }
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const inner = createScope(scope, 'block');
+        const head = node.type === 'ForStatement' ? node.init : node.left;
+        if (head?.type === 'VariableDeclaration' && head.kind !== 'var') {
+          head.declarations.forEach((d) => declarePattern(inner, d.id, head.kind, node.type === 'ForStatement' ? d.init : null));
+        }
+        if (head && head.type !== 'VariableDeclaration' && node.type !== 'ForStatement') {
+          visitPattern(head, inner, node, true);
+        } else if (head) {
+          visit(head, inner, node);
+        }
+        for (const key of ['test', 'update', 'right', 'body']) {
+          if (node[key]) visit(node[key], inner, node);
+        }
+        return;
+      }
+      case 'CatchClause': {
+        const inner = createScope(scope, 'block');
+        if (node.param) {
+          declarePattern(inner, node.param, 'let', null);
+          visitPattern(node.param, inner, node, false);
+        }
+        visit(node.body, inner, node);
+        return;
+      }
+      case 'VariableDeclarator':
+        visitPattern(node.id, scope, node, false);
+        if (node.init) visit(node.init, scope, node);
+        return;
+      case 'AssignmentExpression':
+        visitPattern(node.left, scope, node, true);
+        visit(node.right, scope, node);
+        return;
+      case 'MemberExpression':
+        visit(node.object, scope, node);
+        if (node.computed) visit(node.property, scope, node);
+        else parents.set(node.property, node);
+        return;
+      case 'Property':
+        if (node.computed) visit(node.key, scope, node);
+        visit(node.value, scope, node);
+        return;
+      case 'PropertyDefinition':
+      case 'MethodDefinition':
+        if (node.computed) visit(node.key, scope, node);
+        if (node.value) visit(node.value, scope, node);
+        return;
+      case 'LabeledStatement':
+        visit(node.body, scope, node);
+        return;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+      case 'MetaProperty':
+        return;
+      case 'ExportNamedDeclaration':
+        if (node.declaration) visit(node.declaration, scope, node);
+        else if (!node.source) node.specifiers.forEach((s) => visit(s.local, scope, s));
+        return;
+      default:
+        children(node, scope);
+    }
+  };
+
+  const program = createScope(null, 'function');
+  visit(ast, program, null);
+  return { references, parents };
+};
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+const stringValue = (node) => {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node?.type === 'TemplateLiteral' && !node.expressions.length) return node.quasis[0].value.cooked;
+  return null;
+};
+
+const propertyName = (member) => {
+  if (member.type !== 'MemberExpression') return null;
+  return member.computed ? stringValue(member.property) : member.property.name;
+};
+
+const packageName = (specifier) => specifier.split('/').slice(0, specifier.startsWith('@') ? 2 : 1).join('/');
+
+const scanAst = (ast, { external }) => {
+  const findings = [];
+  const { references, parents } = analyzeScopes(ast);
+  const resolved = new WeakMap(references.map((r) => [r.node, r.binding]));
+
+  const report = (ruleId, node, message, severity = RULES[ruleId].severity) =>
+    findings.push({ ruleId, severity, line: node.line, column: node.column, message });
+
+  // Does `node` evaluate to the global object (window, or a variable set to it)?
+  const isGlobalObject = (node, seen = new Set()) => {
+    if (node.type === 'Identifier') {
+      const binding = resolved.get(node);
+      if (binding === null) return GLOBAL_OBJECTS.has(node.name);
+      // Parameters count through their default value, the one used unless a caller overrides it
+      if (!binding?.init || seen.has(binding)) return false;
+      seen.add(binding);
+      return isGlobalObject(binding.init, seen);
+    }
+    if (node.type === 'ConditionalExpression') return isGlobalObject(node.consequent, seen) || isGlobalObject(node.alternate, seen);
+    if (node.type === 'LogicalExpression') return isGlobalObject(node.left, seen) || isGlobalObject(node.right, seen);
+    if (node.type === 'MemberExpression') {
+      const name = propertyName(node);
+      if (name === 'defaultView') return isDocument(node.object);
+      return GLOBAL_OBJECTS.has(name) && isGlobalObject(node.object, seen);
+    }
+    return false;
+  };
+
+  // Name of a property: written out, or a `const` set to a string (`window[FLAG]`)
+  const keyName = (key, computed) => {
+    if (!computed) return key.name ?? stringValue(key);
+    const binding = key.type === 'Identifier' ? resolved.get(key) : null;
+    return stringValue(binding?.kind === 'const' ? binding.init : key);
+  };
+
+  // Does `node` evaluate to document (directly, through the global object or a variable set to it)?
+  const isDocument = (node, seen = new Set()) => {
+    if (node.type === 'Identifier') {
+      const binding = resolved.get(node);
+      if (binding === null) return node.name === 'document';
+      if (!binding?.init || seen.has(binding)) return false;
+      seen.add(binding);
+      return isDocument(binding.init, seen);
+    }
+    if (node.type === 'MemberExpression') return propertyName(node) === 'document' && isGlobalObject(node.object);
+    return false;
+  };
+
+  // Where a network request goes: 'api' (getApiUrl), 'external', 'relative' or 'unknown'
+  const classifyUrl = (node, depth = 0) => {
+    if (!node || depth > 5) return { kind: 'unknown' };
+    const text = stringValue(node);
+    const prefix = text ?? (node.type === 'TemplateLiteral' ? node.quasis[0].value.cooked : null);
+    if (prefix) {
+      if (/^(https?|wss?):\/\/|^\/\//i.test(prefix)) {
+        // The host is only known when the literal part goes past it
+        const host = /^(?:[a-z]+:)?\/\/([^/?#]+)[/?#]/i.exec(text === null ? prefix : `${text}/`)?.[1];
+        return { kind: 'external', host: host?.toLowerCase() };
+      }
+      if (prefix.startsWith('/') || prefix.startsWith('.')) return { kind: 'relative', text: text ?? `${prefix}...` };
+      return { kind: 'unknown' };
+    }
+    switch (node.type) {
+      case 'TemplateLiteral':
+        return classifyUrl(node.expressions[0], depth + 1).kind === 'api' ? { kind: 'api' } : { kind: 'unknown' };
+      case 'BinaryExpression':
+        if (node.operator !== '+') return { kind: 'unknown' };
+        return classifyUrl(node.left, depth + 1);
+      case 'CallExpression': {
+        const callee = node.callee;
+        const name = callee.type === 'Identifier' ? callee.name : propertyName(callee);
+        return name === 'getApiUrl' ? { kind: 'api' } : { kind: 'unknown' };
+      }
+      case 'Identifier': {
+        const binding = resolved.get(node);
+        return binding?.init && binding.kind !== 'param' ? classifyUrl(binding.init, depth + 1) : { kind: 'unknown' };
+      }
+      default:
+        return { kind: 'unknown' };
+    }
+  };
+
+  const checkRequest = (name, node, argument) => {
+    const target = classifyUrl(argument);
+    if (target.kind === 'api') return;
+    if (target.kind === 'external') {
+      report('no-external-network', node, `${name} contacts ${target.host || 'an external host'}; plugins may only call the portal API (context.getApiUrl())`);
+    } else if (target.kind === 'relative') {
+      report('no-external-network', node, `${name} URL "${target.text}" is not built with context.getApiUrl()`, 'warning');
+    } else {
+      report('no-external-network', node, `${name} target cannot be checked; build its URL with context.getApiUrl()`, 'warning');
+    }
+  };
+
+  const isCallee = (node) => {
+    const parent = parents.get(node);
+    return (parent?.type === 'CallExpression' || parent?.type === 'NewExpression') && parent.callee === node && parent;
+  };
+
+  const isAssigned = (node) => {
+    const parent = parents.get(node);
+    return (parent?.type === 'AssignmentExpression' && parent.left === node) || parent?.type === 'UpdateExpression' ||
+      parent?.type === 'ObjectPattern' || parent?.type === 'ArrayPattern' || parent?.type === 'Property' && parents.get(parent)?.type === 'ObjectPattern' ||
+      ((parent?.type === 'ForInStatement' || parent?.type === 'ForOfStatement') && parent.left === node) ||
+      (parent?.type === 'UnaryExpression' && parent.operator === 'delete');
+  };
+
+  // A global used by name (`fetch`) or through the global object (`window.fetch`)
+  // A destructured global (`const { fetch } = window`) is only read: how it is used later is not followed
+  const checkGlobal = (name, node, { destructured = false } = {}) => {
+    const parent = destructured ? null : parents.get(node);
+    if (parent?.type === 'UnaryExpression' && parent.operator === 'typeof') return;
+    if (!destructured && isAssigned(node)) {
+      report('restricted-global', node, `Assigns the global "${name}"; keep plugin state in the plugin's own modules`);
+      return;
+    }
+    const call = destructured ? null : isCallee(node);
+    const member = parent?.type === 'MemberExpression' && parent.object === node ? propertyName(parent) : null;
+
+    if (name === 'eval') {
+      report('no-eval', node, 'eval() runs code built from strings');
+    } else if (name === 'Function') {
+      if (call || destructured) report('no-eval', node, `${call?.type === 'NewExpression' ? 'new ' : ''}Function() builds code from strings`);
+    } else if (name === 'setTimeout' || name === 'setInterval') {
+      const handler = call?.arguments[0];
+      if (handler && (handler.type === 'Literal' || handler.type === 'TemplateLiteral' || handler.type === 'BinaryExpression')) {
+        report('no-eval', node, `${name}() with a string handler evaluates it as code; pass a function`);
+      }
+    } else if (STORAGE_GLOBALS.has(name)) {
+      report('no-direct-storage', node, `${name} bypasses the plugin context; use context.getPluginData() / setPluginData()`);
+    } else if (name === 'navigator') {
+      const beacon = member === 'sendBeacon' && isCallee(parent);
+      if (beacon) checkRequest('navigator.sendBeacon()', parent, beacon.arguments[0]);
+    } else if (NETWORK_GLOBALS.has(name)) {
+      if (!call) {
+        report('no-external-network', node, `${name} is passed around; requests made through it cannot be checked`, 'note');
+      } else if (name === 'XMLHttpRequest') {
+        report('no-external-network', node, 'XMLHttpRequest targets cannot be checked; use fetch() with context.getApiUrl()', 'warning');
+      } else {
+        checkRequest(`${name}()`, node, call.arguments[0]);
+      }
+    } else if (COMMONJS_GLOBALS.has(name)) {
+      const usage = name === 'require' ? 'require()' : name === 'module' && member === 'exports' ? 'module.exports' : name;
+      report('no-commonjs', node, `CommonJS is not supported (${usage}); use ES module export/import`);
+    } else if (!ALLOWED_GLOBALS.has(name)) {
+      report('restricted-global', node, `"${name}" is not one of the globals available to plugins`);
+    }
+  };
+
+  for (const { node, binding } of references) {
+    if (binding === null) checkGlobal(node.name, node);
+  }
+  const reportComputed = (node, what = 'A global') =>
+    report('computed-global', node, `${what} reached through a computed name cannot be checked; use it by name`);
+  const reportCookie = (node) =>
+    report('no-direct-storage', node, 'document.cookie bypasses the plugin context; use context.getPluginData() / setPluginData()');
+
+  // Properties read by destructuring the global object or document:
+  // `const { localStorage } = window`, `({ cookie } = document)`, `({ fetch } = globalThis) => ...`
+  const checkPattern = (pattern, source) => {
+    for (const property of pattern.properties) {
+      if (property.type !== 'Property') continue;
+      const name = keyName(property.key, property.computed);
+      const target = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+      if (source === 'document') {
+        if (name === 'cookie') reportCookie(property);
+      } else if (name === null) {
+        reportComputed(property);
+      } else if (target.type === 'ObjectPattern' && (name === 'document' || GLOBAL_OBJECTS.has(name))) {
+        checkPattern(target, name === 'document' ? 'document' : 'global');
+      } else if (!GLOBAL_OBJECTS.has(name)) {
+        checkGlobal(name, property, { destructured: true });
+      }
+    }
+  };
+  const destructure = (pattern, init) => {
+    if (pattern?.type !== 'ObjectPattern' || !init) return;
+    if (isGlobalObject(init)) checkPattern(pattern, 'global');
+    else if (isDocument(init)) checkPattern(pattern, 'document');
+  };
+
+  walk(ast, (node) => {
+    if (node.type === 'MemberExpression' && isGlobalObject(node.object)) {
+      const name = keyName(node.property, node.computed);
+      if (name === null) reportComputed(node);
+      else if (!GLOBAL_OBJECTS.has(name)) checkGlobal(name, node);
+    } else if (node.type === 'MemberExpression' && isDocument(node.object)) {
+      const name = keyName(node.property, node.computed);
+      if (name === null) reportComputed(node, 'A document property');
+      else if (name === 'cookie') reportCookie(node);
+    } else if (node.type === 'VariableDeclarator') {
+      destructure(node.id, node.init);
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      destructure(node.left, node.right);
+    } else if (node.type === 'AssignmentPattern') {
+      destructure(node.left, node.right);
+    }
+  });
+
+  // Imports
+  const checkSpecifier = (node, source) => {
+    const specifier = stringValue(source);
+    if (specifier === null) {
+      report('undeclared-import', node, 'import() of a computed specifier cannot be checked', 'warning');
+      return;
+    }
+    if (specifier.startsWith('./') || specifier.startsWith('../')) return;
+    const provided = PROVIDED_PACKAGES.find((p) => p.pattern.test(specifier));
+    if (provided) {
+      report('undeclared-import', source, `Do not import "${specifier}"; the portal provides it as ${provided.global}`);
+    } else if (/^[a-z][a-z\d+.-]*:|^\/\//i.test(specifier)) {
+      report('undeclared-import', source, `Remote module "${specifier}" is not allowed; ship the code inside the plugin`);
+    } else if (specifier.startsWith('/')) {
+      report('undeclared-import', source, `Absolute import "${specifier}" is not allowed; use a relative path`);
+    } else if (!external.has(packageName(specifier))) {
+      report('undeclared-import', source, `"${packageName(specifier)}" is not declared in dependencies.external`);
+    }
+  };
+  walk(ast, (node) => {
+    if (node.type === 'ImportExpression') checkSpecifier(node, node.source);
+    else if ((node.type === 'ImportDeclaration' || node.type.startsWith('Export')) && node.source) checkSpecifier(node, node.source);
+  });
+
+  return findings;
+};
+
+// ============================================================================
+// ALLOW DIRECTIVES
+// ============================================================================
+
+/**
+ * Read the `plugin-scan-allow <rule>[, <rule>] -- <reason>` comments of a module.
+ * A directive covers its own line and the next one.
+ */
+const readDirectives = (comments, report) => {
+  const directives = [];
+  for (const comment of comments) {
+    const match = ALLOW_DIRECTIVE.exec(comment.value);
+    if (!match) continue;
+    const [list, reason = ''] = match[1].split(/\s--\s?/);
+    const rules = list.split(',').map((rule) => rule.trim()).filter(Boolean);
+    const unknown = rules.filter((rule) => !Object.hasOwn(RULES, rule));
+    if (!rules.length || unknown.length) {
+      report(comment, unknown.length ? `Unknown rule(s) in plugin-scan-allow: ${unknown.join(', ')}` : 'plugin-scan-allow needs at least one rule');
+      continue;
+    }
+    if (!reason.trim()) {
+      report(comment, `plugin-scan-allow ${rules.join(', ')} needs a reason: "-- <why this is safe>"`);
+      continue;
+    }
+    const line = comment.endLine ?? comment.line;
+    directives.push({ comment, rules, reason: reason.trim(), lines: [line, line + 1], used: false });
+  }
+  return directives;
+};
+
+// ============================================================================
+// SCANNING
+// ============================================================================
+
+const rank = (finding) => SEVERITIES.indexOf(finding.severity);
+
+/**
+ * Sort findings errors first, then by file and position.
+ * @param {Finding[]} findings
+ */
+export const sortFindings = (findings) =>
+  findings.sort((a, b) =>
+    rank(a) - rank(b) || a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+
+/**
+ * Scan the source of one module.
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string} [options.file] - Path reported with the findings
+ * @param {Iterable<string>} [options.external] - Package names declared in dependencies.external
+ * @returns {Finding[]}
+ */
+export const scanSource = (source, { file = '', external = [] } = {}) => {
+  let parsed;
+  try {
+    parsed = parseModule(source);
+  } catch (err) {
+    if (!(err instanceof JsSyntaxError)) throw err;
+    return [{ ruleId: 'syntax-error', severity: 'error', file, line: err.line, column: err.column, message: err.message }];
+  }
+
+  const findings = [];
+  const directives = readDirectives(parsed.comments, (comment, message) =>
+    findings.push({ ruleId: 'allow-directive', severity: 'warning', file, line: comment.line, column: comment.column, message }));
+
+  for (const finding of scanAst(parsed.ast, { external: new Set(external) })) {
+    const directive = directives.find((d) => d.lines.includes(finding.line) && d.rules.includes(finding.ruleId));
+    if (directive) directive.used = true;
+    findings.push({ ...finding, file, ...(directive && { suppressed: directive.reason }) });
+  }
+  for (const { comment, rules, used } of directives) {
+    if (!used) {
+      findings.push({
+        ruleId: 'allow-directive', severity: 'warning', file, line: comment.line, column: comment.column,
+        message: `plugin-scan-allow ${rules.join(', ')} does not allow any finding; remove it`
+      });
+    }
+  }
+  return sortFindings(findings);
+};
+
+/**
+ * Scan every module of a plugin archive, shared modules included.
+ * @param {string} dir - Plugin directory
+ * @param {object|null} manifest - Parsed plugin.json, for dependencies.external
+ * @returns {Finding[]} Findings with `file` relative to the working directory
+ */
+export const scanPlugin = (dir, manifest) => {
+  const external = (manifest?.dependencies?.external ?? [])
+    .filter((dep) => typeof dep === 'string')
+    .map((dep) => dep.slice(0, dep.lastIndexOf('@')));
+  const findings = [];
+  for (const { name, source } of resolvePluginFiles(dir).files) {
+    if (!/\.m?js$/.test(name)) continue;
+    const file = relative(process.cwd(), source).split(sep).join('/');
+    findings.push(...scanSource(readFileSync(source, 'utf8'), { file, external }));
+  }
+  return sortFindings(findings);
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Format findings as `file:line:column severity [rule] message` lines.
+ * Allowed findings are left out.
+ * @param {Finding[]} findings
+ */
+export const formatFindings = (findings) =>
+  findings
+    .filter((f) => f.suppressed === undefined)
+    .map((f) => `${f.file}:${f.line}:${f.column} ${f.severity} [${f.ruleId}] ${f.message}`)
+    .join('\n');
+
+/**
+ * Convert findings to a SARIF 2.1.0 log, for code scanning services.
+ * @param {Finding[]} findings
+ * @param {object} [options]
+ * @param {string} [options.version] - Version reported for the tool
+ */
+export const toSarif = (findings, { version } = {}) => {
+  const ruleIds = Object.keys(RULES);
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'plugin-scan',
+          ...(version && { version }),
+          rules: ruleIds.map((id) => ({
+            id,
+            shortDescription: { text: RULES[id].description },
+            defaultConfiguration: { level: RULES[id].severity }
+          }))
+        }
+      },
+      results: findings.map((f) => ({
+        ruleId: f.ruleId,
+        ruleIndex: ruleIds.indexOf(f.ruleId),
+        level: f.severity,
+        message: { text: f.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: f.file },
+            region: { startLine: f.line, startColumn: f.column }
+          }
+        }],
+        ...(f.suppressed !== undefined && { suppressions: [{ kind: 'inSource', justification: f.suppressed }] })
+      }))
+    }]
+  };
+};
@@ -0,0 +1,302 @@
+/**
+ * Security scan: globals reached by name, through the global object,
+ * by destructuring and through computed names; each rule on a fixture
+ * plugin, the plugin-scan-allow comments and the SARIF output
+ *
+ *   node --test tools/lib/security-scan.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, join } from 'node:path';
+import { RULES, formatFindings, scanPlugin, scanSource, toSarif } from './security-scan.mjs';
+
+const rules = (source) => scanSource(source).map((finding) => finding.ruleId);
+
+// ============================================================================
+// BY NAME AND THROUGH THE GLOBAL OBJECT
+// ============================================================================
+
+test('globals are reported by name and through window or an alias of it', () => {
+  assert.deepEqual(rules('eval("1");'), ['no-eval']);
+  assert.deepEqual(rules('document.cookie = "a=1";'), ['no-direct-storage']);
+  assert.deepEqual(rules('window.localStorage.getItem("k");'), ['no-direct-storage']);
+  assert.deepEqual(rules('const win = window; win.eval("1");'), ['no-eval']);
+  assert.deepEqual(rules('const fetch = () => null; fetch("https://example.com");'), []);
+});
+
+test('document.defaultView, parent, top, self and frames are the global object', () => {
+  assert.deepEqual(rules('document.defaultView.localStorage.getItem("k");'), ['no-direct-storage']);
+  assert.deepEqual(rules('document.defaultView.eval("1");'), ['no-eval']);
+  assert.deepEqual(rules('window.parent.localStorage;'), ['no-direct-storage']);
+  assert.deepEqual(rules('window.top.frames.self.eval("1");'), ['no-eval']);
+  assert.deepEqual(rules('const win = document.defaultView; const { fetch } = win;'), ['no-external-network']);
+  assert.deepEqual(rules('const { localStorage } = window.parent;'), ['no-direct-storage']);
+  assert.deepEqual(rules('top.eval("1");'), ['no-eval', 'restricted-global']);
+  assert.deepEqual(rules('const view = { defaultView: {} }; view.defaultView.eval("1");'), []);
+});
+
+// ============================================================================
+// DESTRUCTURING
+// ============================================================================
+
+test('reading document.cookie by destructuring is reported', () => {
+  assert.deepEqual(rules('const { cookie } = document;'), ['no-direct-storage']);
+  assert.deepEqual(rules('let jar; ({ cookie: jar } = document);'), ['no-direct-storage']);
+  assert.deepEqual(rules('const { cookie } = window.document;'), ['no-direct-storage']);
+  assert.deepEqual(rules('const doc = document; const { ["cookie"]: jar } = doc;'), ['no-direct-storage']);
+  assert.deepEqual(rules('const { document: { cookie } } = window;'), ['no-direct-storage']);
+  assert.deepEqual(rules('const { title, body } = document;'), []);
+});
+
+test('globals destructured from window, globalThis or self are reported', () => {
+  assert.deepEqual(rules('const { eval: run } = window;'), ['no-eval']);
+  assert.deepEqual(rules('const { localStorage } = globalThis;'), ['no-direct-storage']);
+  assert.deepEqual(rules('const { Function: F } = self;'), ['no-eval']);
+  assert.deepEqual(rules('const { fetch } = window;'), ['no-external-network']);
+  assert.deepEqual(rules('const read = ({ sessionStorage } = window) => sessionStorage;'), ['no-direct-storage']);
+  assert.deepEqual(rules('const { setTimeout: later, ...rest } = window;'), []);
+});
+
+test('a destructured local object is not the global object', () => {
+  assert.deepEqual(rules('const store = { eval: 1, cookie: 2 }; const { eval: e, cookie } = store;'), []);
+  assert.deepEqual(rules('const read = (win) => { const { localStorage } = win; return localStorage; };'), []);
+});
+
+// ============================================================================
+// COMPUTED NAMES
+// ============================================================================
+
+test('computed names on the global object are reported unless they are known', () => {
+  assert.deepEqual(rules('window["ev" + "al"]("1");'), ['computed-global']);
+  assert.deepEqual(rules('const key = "eval"; globalThis[key]("1");'), ['no-eval']);
+  assert.deepEqual(rules('const read = (key) => globalThis[key];'), ['computed-global']);
+  assert.deepEqual(rules('const key = `x${1}`; self[key];'), ['computed-global']);
+  assert.deepEqual(rules('let name = "eval"; name = "Vue"; window[name];'), ['computed-global']);
+  assert.deepEqual(rules('const { ["ev" + "al"]: run } = window;'), ['computed-global']);
+  assert.deepEqual(rules('window["localStorage"];'), ['no-direct-storage']);
+  assert.deepEqual(rules('const FLAG = "Vue"; window[FLAG];'), []);
+});
+
+test('computed names on document are resolved like those on the global object', () => {
+  assert.deepEqual(rules('const key = "cookie"; document[key] = "a=1";'), ['no-direct-storage']);
+  assert.deepEqual(rules('document[`cookie`];'), ['no-direct-storage']);
+  assert.deepEqual(rules('document["coo" + "kie"] = "a=1";'), ['computed-global']);
+  assert.deepEqual(rules('const read = (key) => window.document[key];'), ['computed-global']);
+  assert.deepEqual(rules('const doc = document; const key = "cookie"; doc[key];'), ['no-direct-storage']);
+  assert.deepEqual(rules('const KEY = "title"; document[KEY];'), []);
+});
+
+test('computed names on other objects are left alone', () => {
+  assert.deepEqual(rules('const table = {}; const read = (key) => table[key];'), []);
+});
+
+// ============================================================================
+// FIXTURE PLUGIN
+// ============================================================================
+
+// One module per rule, imported from index.js like a real plugin's
+const FIXTURE = {
+  'index.js': [
+    "import './eval.js';",
+    "import './network.js';",
+    "import './imports.js';",
+    "import './commonjs.js';",
+    "import './allowed.js';",
+    'export default { name: "FixturePage" };'
+  ],
+  'eval.js': [
+    'export const run = (code) => eval(code);',
+    'export const build = (body) => new Function("a", body);',
+    'export const later = () => setTimeout("tick()", 10);',
+    'export const safe = () => setTimeout(() => null, 10);'
+  ],
+  'network.js': [
+    'export const api = (context) => fetch(context.getApiUrl("/stats"));',
+    'export const tracker = () => fetch("https://tracker.example.com/collect");',
+    'export const socket = () => new WebSocket("wss://relay.example.com/room");',
+    'export const beacon = () => navigator.sendBeacon("https://metrics.example.com/", "1");',
+    'export const relative = () => fetch("/api/stats");',
+    'export const unknown = (url) => fetch(url);'
+  ],
+  'imports.js': [
+    "import { ref } from 'vue';",
+    "import { Chart } from 'chart.js';",
+    "import dayjs from 'dayjs';",
+    "import remote from 'https://cdn.example.com/lib.js';",
+    "import absolute from '/lib/shared.js';",
+    "export const load = (name) => import(name);"
+  ],
+  'commonjs.js': [
+    "const helpers = require('./helpers');",
+    'module.exports = { helpers };',
+    'exports.extra = true;'
+  ],
+  'allowed.js': [
+    '// plugin-scan-allow no-direct-storage -- the fixture keeps a draft between reloads',
+    'export const save = (draft) => localStorage.setItem("draft", draft);',
+    'export const read = () => localStorage.getItem("draft"); // plugin-scan-allow no-direct-storage -- same draft',
+    '// plugin-scan-allow no-eval',
+    '// plugin-scan-allow no-sql -- not a rule',
+    '// plugin-scan-allow no-external-network -- nothing to allow below',
+    'export const none = () => null;'
+  ]
+};
+
+const FIXTURE_MANIFEST = { id: 'fixture-plugin', dependencies: { external: ['chart.js@4.4.0'] } };
+
+// Write the fixture plugin, scan it and clean up; findings grouped by module
+const scanFixture = () => {
+  const dir = mkdtempSync(join(tmpdir(), 'plugin-scan-'));
+  try {
+    writeFileSync(join(dir, 'plugin.json'), JSON.stringify(FIXTURE_MANIFEST));
+    for (const [name, lines] of Object.entries(FIXTURE)) writeFileSync(join(dir, name), `${lines.join('\n')}\n`);
+    return scanPlugin(dir, FIXTURE_MANIFEST).map((finding) => ({ ...finding, file: basename(finding.file) }));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const findings = scanFixture();
+const inModule = (name) => findings
+  .filter((finding) => finding.file === name)
+  .map(({ ruleId, severity, line, message }) => ({ ruleId, severity, line, message }))
+  .sort((a, b) => a.line - b.line);
+
+test('the fixture index only imports its modules', () => {
+  assert.deepEqual(inModule('index.js'), []);
+});
+
+test('no-eval: eval, Function and string timers', () => {
+  assert.deepEqual(inModule('eval.js'), [
+    { ruleId: 'no-eval', severity: 'error', line: 1, message: 'eval() runs code built from strings' },
+    { ruleId: 'no-eval', severity: 'error', line: 2, message: 'new Function() builds code from strings' },
+    { ruleId: 'no-eval', severity: 'error', line: 3, message: 'setTimeout() with a string handler evaluates it as code; pass a function' }
+  ]);
+});
+
+test('no-external-network: hosts other than the portal API, and targets it cannot check', () => {
+  assert.deepEqual(inModule('network.js'), [
+    {
+      ruleId: 'no-external-network', severity: 'error', line: 2,
+      message: 'fetch() contacts tracker.example.com; plugins may only call the portal API (context.getApiUrl())'
+    },
+    {
+      ruleId: 'no-external-network', severity: 'error', line: 3,
+      message: 'WebSocket() contacts relay.example.com; plugins may only call the portal API (context.getApiUrl())'
+    },
+    {
+      ruleId: 'no-external-network', severity: 'error', line: 4,
+      message: 'navigator.sendBeacon() contacts metrics.example.com; plugins may only call the portal API (context.getApiUrl())'
+    },
+    {
+      ruleId: 'no-external-network', severity: 'warning', line: 5,
+      message: 'fetch() URL "/api/stats" is not built with context.getApiUrl()'
+    },
+    {
+      ruleId: 'no-external-network', severity: 'warning', line: 6,
+      message: 'fetch() target cannot be checked; build its URL with context.getApiUrl()'
+    }
+  ]);
+});
+
+test('undeclared-import: portal packages, undeclared packages, remote and absolute modules', () => {
+  assert.deepEqual(inModule('imports.js'), [
+    { ruleId: 'undeclared-import', severity: 'error', line: 1, message: 'Do not import "vue"; the portal provides it as window.Vue' },
+    { ruleId: 'undeclared-import', severity: 'error', line: 3, message: '"dayjs" is not declared in dependencies.external' },
+    {
+      ruleId: 'undeclared-import', severity: 'error', line: 4,
+      message: 'Remote module "https://cdn.example.com/lib.js" is not allowed; ship the code inside the plugin'
+    },
+    { ruleId: 'undeclared-import', severity: 'error', line: 5, message: 'Absolute import "/lib/shared.js" is not allowed; use a relative path' },
+    { ruleId: 'undeclared-import', severity: 'warning', line: 6, message: 'import() of a computed specifier cannot be checked' }
+  ]);
+});
+
+test('no-commonjs: require(), module.exports and exports', () => {
+  assert.deepEqual(inModule('commonjs.js'), [
+    { ruleId: 'no-commonjs', severity: 'error', line: 1, message: 'CommonJS is not supported (require()); use ES module export/import' },
+    { ruleId: 'no-commonjs', severity: 'error', line: 2, message: 'CommonJS is not supported (module.exports); use ES module export/import' },
+    { ruleId: 'no-commonjs', severity: 'error', line: 3, message: 'CommonJS is not supported (exports); use ES module export/import' }
+  ]);
+});
+
+test('plugin-scan-allow covers its own line and the next, and needs a known rule, a reason and a finding', () => {
+  const allowed = findings.filter((finding) => finding.file === 'allowed.js');
+  assert.deepEqual(allowed.filter((f) => f.suppressed !== undefined).map((f) => [f.ruleId, f.line, f.suppressed]), [
+    ['no-direct-storage', 2, 'the fixture keeps a draft between reloads'],
+    ['no-direct-storage', 3, 'same draft']
+  ]);
+  assert.deepEqual(inModule('allowed.js').filter((f) => f.ruleId === 'allow-directive'), [
+    { ruleId: 'allow-directive', severity: 'warning', line: 4, message: 'plugin-scan-allow no-eval needs a reason: "-- <why this is safe>"' },
+    { ruleId: 'allow-directive', severity: 'warning', line: 5, message: 'Unknown rule(s) in plugin-scan-allow: no-sql' },
+    {
+      ruleId: 'allow-directive', severity: 'warning', line: 6,
+      message: 'plugin-scan-allow no-external-network does not allow any finding; remove it'
+    }
+  ]);
+  // Allowed findings stay out of the text report
+  assert.doesNotMatch(formatFindings(allowed), /no-direct-storage/);
+  assert.match(formatFindings(allowed), /^allowed\.js:4:1 warning \[allow-directive\]/);
+});
+
+test('an allow comment only covers the rules it names', () => {
+  const source = '// plugin-scan-allow no-eval -- templates are compiled at build time\nlocalStorage.clear();\n';
+  assert.deepEqual(scanSource(source).map((f) => [f.ruleId, f.suppressed]), [
+    ['no-direct-storage', undefined],
+    ['allow-directive', undefined]
+  ]);
+});
+
+// ============================================================================
+// SARIF
+// ============================================================================
+
+test('SARIF output lists every rule, every finding with its location, and allowed ones as suppressed', () => {
+  const log = toSarif(findings, { version: '1.2.3' });
+  assert.equal(log.version, '2.1.0');
+  const [run] = log.runs;
+  assert.equal(run.tool.driver.name, 'plugin-scan');
+  assert.equal(run.tool.driver.version, '1.2.3');
+  assert.deepEqual(run.tool.driver.rules.map((rule) => rule.id), Object.keys(RULES));
+  assert.deepEqual(run.tool.driver.rules.find((rule) => rule.id === 'no-eval').defaultConfiguration, { level: 'error' });
+
+  assert.equal(run.results.length, findings.length);
+  const tracker = run.results.find((result) => /tracker\.example\.com/.test(result.message.text));
+  assert.deepEqual(tracker.locations, [
+    { physicalLocation: { artifactLocation: { uri: 'network.js' }, region: { startLine: 2, startColumn: 30 } } }
+  ]);
+  assert.equal(tracker.level, 'error');
+  assert.equal(run.tool.driver.rules[tracker.ruleIndex].id, 'no-external-network');
+  assert.equal(tracker.suppressions, undefined);
+
+  assert.deepEqual(run.results.filter((result) => result.suppressions).map((result) => result.suppressions), [
+    [{ kind: 'inSource', justification: 'the fixture keeps a draft between reloads' }],
+    [{ kind: 'inSource', justification: 'same draft' }]
+  ]);
+});
+
+// ============================================================================
+// SAMPLE PLUGINS
+// ============================================================================
+
+// A new suppression in the samples must be added here, with its reason reviewed
+test('the sample plugins rely on five reviewed suppressions and nothing else', () => {
+  const sample = (name) => scanPlugin(new URL(`../../sample-plugins/${name}`, import.meta.url).pathname, null);
+  const unique = new Map();
+  for (const finding of [...sample('hello-world-plugin'), ...sample('morpion-plugin')]) {
+    unique.set(`${finding.file}:${finding.line}:${finding.ruleId}`, finding);
+  }
+  const all = [...unique.values()];
+
+  assert.deepEqual(all.filter((f) => f.suppressed === undefined), []);
+  assert.deepEqual(all.map((f) => [basename(f.file), f.ruleId]).sort(), [
+    ['plugin-api.js', 'no-external-network'],
+    ['plugin-bootstrap.js', 'restricted-global'],
+    ['plugin-bootstrap.js', 'undeclared-import'],
+    ['sync-transport.js', 'no-direct-storage'],
+    ['sync-transport.js', 'no-external-network']
+  ]);
+});
@@ -0,0 +1,27 @@
+/**
+ * Module resolution hooks for running plugin code in Node.
+ *
+ * A `./shared/...` import that does not exist inside the plugin directory
+ * resolves from the `shared/` directory next to the plugin, the same
+ * fallback `pack` uses to copy shared modules into the archive (see
+ * module-graph.mjs). Registered by tools/plugin-test-env.mjs.
+ */
+
+import { existsSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const relative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (relative && context.parentURL?.startsWith('file:')) {
+    const target = fileURLToPath(new URL(specifier, context.parentURL));
+    // <plugin>/shared/<file> -> <plugin>/../shared/<file>
+    let shared = dirname(target);
+    while (shared !== dirname(shared) && basename(shared) !== 'shared') shared = dirname(shared);
+    if (basename(shared) === 'shared' && !existsSync(target)) {
+      const fallback = join(dirname(dirname(shared)), 'shared', target.slice(shared.length + 1));
+      if (existsSync(fallback)) return nextResolve(pathToFileURL(fallback).href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+};
@@ -0,0 +1,175 @@
+/**
+ * Theme checks (see sample-plugins/shared/plugin-theme.js).
+ *
+ * Reports:
+ * - class names built at runtime, like `bg-${color}-100` (warning: the
+ *   portal's Tailwind build cannot see them, so they are never styled)
+ * - for plugins that ship the theme:
+ *   - token pairs of THEME_CONTRAST below their minimum contrast ratio in
+ *     either mode (error)
+ *   - the same for the text / background pairs the templates put together:
+ *     a `plugin-text-*` class on an element that has, or is inside one that
+ *     has, a `plugin-bg-*` class (error)
+ *   - Tailwind palette colors (`bg-white`, `text-gray-500`...) in the
+ *     plugin's own modules (warning: they ignore dark mode; use the
+ *     matching `plugin-*` class)
+ *
+ * The theme is an ES module, so it is loaded with import() and the check is
+ * asynchronous, like checkCatalogs().
+ */
+
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { resolvePluginFiles, SHARED_PREFIX } from './module-graph.mjs';
+
+export const THEME_MODULE = `${SHARED_PREFIX}plugin-theme.js`;
+
+const COLOR_UTILITY = '(?:bg|text|border|divide|ring|from|via|to|placeholder)';
+const PALETTE = '(?:white|black|(?:slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-\\d{2,3})';
+// `hover:bg-gray-50`, `text-white`; not `plugin-text-muted`
+const PALETTE_CLASS = new RegExp(`(?<![\\w:-])(?:[a-z-]+:)*${COLOR_UTILITY}-${PALETTE}(?![\\w-])`, 'g');
+// `bg-${color}-100`, `text-${tone}`
+const DYNAMIC_CLASS = new RegExp(`(?<![\\w-])${COLOR_UTILITY}-\\$\\{`, 'g');
+
+// Vue templates of a module, and the tags in them. Quoted attribute values
+// may contain `>` (`@click="() => open = true"`).
+const TEMPLATE = /template:\s*`([^`]*)`/g;
+const TAG = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const start = { line: 1, column: 1 };
+
+const lineColumnAt = (text, offset) => {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Class lists an element can have: its static `class` with each string of
+ * its `:class` binding (the branches of a ternary exclude each other), and
+ * alone when the binding may add nothing (object syntax).
+ */
+const classVariants = (attributes) => {
+  const fixed = /(?:^|\s)class="([^"]*)"/.exec(attributes)?.[1].split(/\s+/) ?? [];
+  const bound = /(?:^|\s):class="([^"]*)"/.exec(attributes)?.[1].trim() ?? '';
+  const strings = [...bound.matchAll(/'([^']*)'/g)].map((match) => [...fixed, ...match[1].split(/\s+/)]);
+  return !strings.length || bound.startsWith('{') ? [fixed, ...strings] : strings;
+};
+
+/**
+ * Text / background token pairs put together by a template: each color an
+ * element sets, on the backgrounds it sets or inherits from its ancestors.
+ * @param {string} template
+ * @param {Object<string, { color: string|null, backgrounds: string[] }>} classColors - themeClassColors()
+ * @returns {Array<{ foreground: string, background: string, icon: boolean, offset: number }>}
+ */
+export const templatePairs = (template, classColors) => {
+  const pairs = [];
+  const stack = [{ tag: null, backgrounds: [] }];
+  for (const match of template.matchAll(TAG)) {
+    const [, closing, name, attributes] = match;
+    if (closing) {
+      const open = stack.findLastIndex((element) => element.tag === name);
+      if (open > 0) stack.length = open;
+      continue;
+    }
+    const inherited = stack[stack.length - 1].backgrounds;
+    const backgrounds = new Set();
+    for (const classes of classVariants(attributes)) {
+      const themed = classes.filter((className) => classColors[className]);
+      const own = themed.flatMap((className) => classColors[className].backgrounds);
+      // A plugin-text-* class takes precedence over the color of a plugin-bg-* class
+      const text = themed.filter((className) => className.startsWith('plugin-text'));
+      const colors = (text.length ? text : themed).map((className) => classColors[className].color).filter(Boolean);
+      const on = own.length ? own : inherited;
+      for (const foreground of new Set(colors)) {
+        for (const background of new Set(on)) {
+          pairs.push({ foreground, background, icon: name === 'i' && classes.includes('pi'), offset: match.index });
+        }
+      }
+      on.forEach((background) => backgrounds.add(background));
+    }
+    if (!VOID_ELEMENTS.has(name.toLowerCase()) && !attributes.trim().endsWith('/')) {
+      stack.push({ tag: name, backgrounds: [...backgrounds] });
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Check the theme and the color classes of the plugin in `dir`.
+ * @param {string} dir
+ * @returns {Promise<import('./validate-plugin.mjs').Diagnostic[]>}
+ */
+export const checkTheme = async (dir) => {
+  const diagnostics = [];
+  const report = (severity, file, position, message) => {
+    diagnostics.push({ severity, file, line: position.line, column: position.column, message });
+  };
+
+  const { files } = resolvePluginFiles(dir);
+  const theme = files.find(({ name }) => name === THEME_MODULE);
+
+  // --- Contrast of the theme's tokens --------------------------------------
+  let themeModule = null;
+  if (theme) {
+    const source = readFileSync(theme.source, 'utf8');
+    try {
+      themeModule = await import(`${pathToFileURL(theme.source).href}?t=${Date.now()}`);
+      const { checkThemeContrast } = themeModule;
+      for (const { mode, foreground, background, ratio, minimum } of checkThemeContrast()) {
+        const offset = source.indexOf(`['${foreground}', '${background}',`);
+        report('error', THEME_MODULE, offset >= 0 ? lineColumnAt(source, offset) : start,
+          `"${foreground}" on "${background}" has a contrast of ${ratio.toFixed(2)}:1 in ${mode} mode (minimum ${minimum}:1)`);
+      }
+    } catch (err) {
+      report('error', THEME_MODULE, start, `Cannot load the theme: ${err.message}`);
+    }
+  }
+
+  // --- Color classes of the plugin's modules -------------------------------
+  // Shared modules are left out, as for the message catalogs.
+  const modules = files.filter(({ name }) => name.endsWith('.js') && !name.startsWith(SHARED_PREFIX));
+  for (const { name, source } of modules) {
+    const text = readFileSync(source, 'utf8');
+    for (const match of text.matchAll(DYNAMIC_CLASS)) {
+      report('warning', name, lineColumnAt(text, match.index),
+        'Class name built at runtime: Tailwind cannot generate it; list the full class names or use a plugin-* theme class');
+    }
+    if (!theme) continue;
+    for (const match of text.matchAll(PALETTE_CLASS)) {
+      report('warning', name, lineColumnAt(text, match.index),
+        `"${match[0]}" ignores dark mode: use a plugin-* theme class instead`);
+    }
+  }
+
+  // --- Text on background in the templates ---------------------------------
+  // Shared modules included: their templates are shown in the plugin's
+  // widgets. A pair of THEME_CONTRAST keeps its minimum; otherwise text
+  // needs 4.5:1 and icons 3:1.
+  if (themeModule?.themeClassColors) {
+    const { THEME_CONTRAST, THEME_MODES, THEME_TOKENS, contrastRatio, themeClassColors } = themeModule;
+    const classColors = themeClassColors();
+    const listed = new Map(THEME_CONTRAST.map(([foreground, background, minimum]) => [`${foreground} ${background}`, minimum]));
+    const reported = new Set();
+    for (const { name, source } of files.filter((file) => file.name.endsWith('.js'))) {
+      const text = readFileSync(source, 'utf8');
+      for (const template of text.matchAll(TEMPLATE)) {
+        const base = template.index + template[0].indexOf('`') + 1;
+        for (const { foreground, background, icon, offset } of templatePairs(template[1], classColors)) {
+          const minimum = icon ? 3 : listed.get(`${foreground} ${background}`) ?? 4.5;
+          for (const mode of THEME_MODES) {
+            const ratio = contrastRatio(THEME_TOKENS[mode][foreground], THEME_TOKENS[mode][background]);
+            const key = `${name} ${foreground} ${background} ${mode}`;
+            if (ratio >= minimum || reported.has(key)) continue;
+            reported.add(key);
+            report('error', name, lineColumnAt(text, base + offset),
+              `"${foreground}" on "${background}" has a contrast of ${ratio.toFixed(2)}:1 in ${mode} mode (minimum ${minimum}:1)`);
+          }
+        }
+      }
+    }
+  }
+
+  return diagnostics;
+};
@@ -0,0 +1,69 @@
+/**
+ * Theme: when the dark variant applies, and the text / background pairs
+ * found in templates
+ *
+ *   node --test tools/lib/theme-check.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { themeClassColors, themeStylesheet } from '../../sample-plugins/shared/plugin-theme.js';
+import { templatePairs } from './theme-check.mjs';
+
+const classColors = themeClassColors();
+const pairs = (template) => templatePairs(template, classColors)
+  .map(({ foreground, background, icon }) => `${foreground} on ${background}${icon ? ' (icon)' : ''}`);
+
+test('the dark variant follows the host marker, the system preference only when asked', () => {
+  const rules = themeStylesheet().split('\n');
+  const dark = rules.filter((rule) => rule.includes('--plugin-color-scheme: dark'));
+  assert.deepEqual(dark.map((rule) => rule.slice(0, rule.indexOf('{ --plugin'))), [
+    ':root.dark, :root[data-theme="dark"] ',
+    '@media (prefers-color-scheme: dark) { :root[data-theme="system"] '
+  ]);
+});
+
+test('theme classes give their text and background tokens', () => {
+  assert.deepEqual(classColors['plugin-card'], { color: 'text', backgrounds: ['surface'] });
+  assert.deepEqual(classColors['plugin-text-warning'], { color: 'warning-text', backgrounds: [] });
+  assert.deepEqual(classColors['plugin-bg-hero'], { color: 'on-hero', backgrounds: ['hero-from', 'hero-to'] });
+  assert.equal(classColors['plugin-hover-text'], undefined);
+});
+
+test('text is paired with the background of its element or of an ancestor', () => {
+  assert.deepEqual(pairs(`
+    <div class="plugin-bg-primary-soft p-2">
+      <p><i class="pi pi-trophy plugin-text-warning"></i> <span class="plugin-text-muted">1</span></p>
+    </div>
+    <span class="plugin-text-muted">outside</span>`), [
+    'text on primary-soft',
+    'warning-text on primary-soft (icon)',
+    'text-muted on primary-soft'
+  ]);
+});
+
+test('the branches of a :class ternary are not mixed', () => {
+  assert.deepEqual(pairs(`
+    <button class="px-2" :class="on ? 'plugin-bg-primary plugin-text-on-primary' : 'plugin-bg-surface plugin-text-secondary'">
+      <span class="plugin-text" @click="() => count > 1 && reset()">x</span>
+    </button>`), [
+    'on-primary on primary',
+    'text-secondary on surface',
+    'text on primary',
+    'text on surface'
+  ]);
+});
+
+test('void and self-closing elements do not hold a background', () => {
+  assert.deepEqual(pairs(`
+    <div class="plugin-card">
+      <input class="plugin-input" />
+      <img class="plugin-bg-primary">
+      <span class="plugin-text-muted">hint</span>
+    </div>`), [
+    'text on surface',
+    'text on surface',
+    'on-primary on primary',
+    'text-muted on surface'
+  ]);
+});
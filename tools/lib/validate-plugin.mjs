@@ -0,0 +1,139 @@
+/**
+ * Validate a plugin directory the way the backend does on upload, plus the
+ * manifest <-> index.js cross-checks the backend only discovers at load time.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { JsonSyntaxError, locate, parseJsonWithLocations } from './json-locate.mjs';
+import { HOOK_NAMES, validateManifest } from './manifest.mjs';
+import { resolvePluginFiles } from './module-graph.mjs';
+import { scanModule } from './module-scan.mjs';
+
+export const MANIFEST_FILE = 'plugin.json';
+export const ENTRY_FILE = 'index.js';
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {'error' | 'warning'} severity
+ * @property {string} file - Path relative to the plugin directory
+ * @property {number} line
+ * @property {number} column
+ * @property {string} message
+ */
+
+/**
+ * Validate the plugin in `dir`.
+ * @param {string} dir
+ * @returns {{ manifest: object | null, diagnostics: Diagnostic[] }}
+ */
+export const validatePlugin = (dir) => {
+  const diagnostics = [];
+  const report = (severity, file, position, message) => {
+    diagnostics.push({ severity, file, line: position.line, column: position.column, message });
+  };
+  const start = { line: 1, column: 1 };
+
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    report('error', dir, start, 'Plugin directory not found');
+    return { manifest: null, diagnostics };
+  }
+
+  // --- plugin.json ---------------------------------------------------------
+  const manifestPath = join(dir, MANIFEST_FILE);
+  let manifest = null;
+  let locations = new Map();
+  if (!existsSync(manifestPath)) {
+    const nested = readdirSync(dir, { withFileTypes: true })
+      .find((entry) => entry.isDirectory() && existsSync(join(dir, entry.name, MANIFEST_FILE)));
+    const hint = nested ? ` (found ${nested.name}/${MANIFEST_FILE}; validate that directory instead)` : '';
+    report('error', MANIFEST_FILE, start, `plugin.json not found - it must be at the root of the plugin directory${hint}`);
+  } else {
+    try {
+      ({ value: manifest, locations } = parseJsonWithLocations(readFileSync(manifestPath, 'utf8')));
+    } catch (err) {
+      if (!(err instanceof JsonSyntaxError)) throw err;
+      report('error', MANIFEST_FILE, err, `Invalid JSON in plugin.json: ${err.message}`);
+    }
+  }
+
+  if (manifest !== null) {
+    for (const problem of validateManifest(manifest)) {
+      report(problem.severity, MANIFEST_FILE, locate(locations, problem.path), problem.message);
+    }
+    if (typeof manifest.icon === 'string' && manifest.icon && !existsSync(join(dir, manifest.icon))) {
+      report('error', MANIFEST_FILE, locate(locations, 'icon'), `icon file "${manifest.icon}" not found`);
+    }
+  }
+
+  // --- index.js ------------------------------------------------------------
+  const entryPath = join(dir, ENTRY_FILE);
+  if (!existsSync(entryPath)) {
+    report('error', ENTRY_FILE, start, 'index.js not found - it must be at the root of the plugin directory');
+    return { manifest, diagnostics };
+  }
+
+  const scan = scanModule(readFileSync(entryPath, 'utf8'));
+  for (const usage of scan.commonJs) {
+    report('error', ENTRY_FILE, usage, `CommonJS is not supported (${usage.text}); use ES module export/import`);
+  }
+  for (const entry of scan.exportAll) {
+    report('warning', ENTRY_FILE, entry, `"export * from '${entry.specifier}'" cannot be checked against the manifest`);
+  }
+  if (!scan.exports.length) {
+    report('error', ENTRY_FILE, start, 'index.js has no ES module exports');
+  }
+  for (const entry of resolvePluginFiles(dir).unresolved) {
+    report('error', entry.file, entry, `Cannot resolve import '${entry.specifier}': ${entry.reason}`);
+  }
+
+  if (manifest === null || typeof manifest !== 'object') return { manifest, diagnostics };
+
+  const exported = new Map(scan.exports.map((e) => [e.name, e]));
+  const canCheckExports = !scan.exportAll.length;
+  const hooks = manifest.hooks && typeof manifest.hooks === 'object' ? manifest.hooks : {};
+
+  // --- Cross-checks --------------------------------------------------------
+  if (canCheckExports) {
+    if (Array.isArray(manifest.widgets)) {
+      manifest.widgets.forEach((widget, i) => {
+        if (typeof widget?.component !== 'string' || exported.has(widget.component)) return;
+        report('error', MANIFEST_FILE, locate(locations, `widgets[${i}].component`),
+          `Widget "${widget.id}" uses component "${widget.component}", which is not exported by index.js`);
+      });
+    }
+
+    if (Array.isArray(manifest.menus) && manifest.menus.length && !exported.has('default')) {
+      report('error', MANIFEST_FILE, locate(locations, 'menus'),
+        'Manifest declares menu routes but index.js has no default export for the plugin page');
+    }
+
+    for (const hook of HOOK_NAMES) {
+      if (hooks[hook] === true && !exported.has(hook)) {
+        report('error', MANIFEST_FILE, locate(locations, `hooks.${hook}`),
+          `hooks.${hook} is true but index.js does not export "${hook}"`);
+      }
+    }
+  }
+
+  for (const hook of HOOK_NAMES) {
+    if (exported.has(hook) && hooks[hook] !== true) {
+      report('warning', ENTRY_FILE, exported.get(hook),
+        `index.js exports "${hook}" but hooks.${hook} is not true in plugin.json, so it will never be called`);
+    }
+  }
+
+  diagnostics.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  return { manifest, diagnostics };
+};
+
+/**
+ * Format diagnostics as `file:line:column severity message` lines.
+ * @param {Diagnostic[]} diagnostics
+ * @param {string} [prefix] - Prepended to each file name (e.g. the plugin directory)
+ */
+export const formatDiagnostics = (diagnostics, prefix = '') =>
+  diagnostics
+    .map((d) => `${prefix ? join(prefix, d.file) : d.file}:${d.line}:${d.column} ${d.severity} ${d.message}`)
+    .join('\n');
@@ -0,0 +1,122 @@
+/**
+ * Plugin validator: plugin.json locations and schema, the index.js export
+ * scan and the manifest <-> index.js cross-checks
+ *
+ *   node --test tools/lib/validate-plugin.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { JsonSyntaxError, locate, parseJsonWithLocations } from './json-locate.mjs';
+import { isSemverRange, validateManifest } from './manifest.mjs';
+import { maskNonCode, scanModule } from './module-scan.mjs';
+import { validatePlugin } from './validate-plugin.mjs';
+
+const MANIFEST = {
+  id: 'demo-plugin',
+  name: 'Demo',
+  version: '1.0.0',
+  author: 'Jane Doe',
+  coreVersion: '>=1.0.0',
+  widgets: [{ id: 'demo-widget', name: 'Demo', slot: 'dashboard-main', component: 'DemoWidget', order: 1 }]
+};
+
+// Write a plugin directory, validate it and clean up
+const validate = (manifest, entry) => {
+  const dir = mkdtempSync(join(tmpdir(), 'plugin-validate-'));
+  try {
+    writeFileSync(join(dir, 'plugin.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest, null, 2));
+    writeFileSync(join(dir, 'index.js'), entry);
+    return validatePlugin(dir).diagnostics;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const errors = (diagnostics) => diagnostics.filter((d) => d.severity === 'error').map((d) => d.message);
+const exportNames = (source) => scanModule(source).exports.map((e) => e.name);
+
+// ============================================================================
+// PLUGIN.JSON
+// ============================================================================
+
+test('JSON values are located by property path, and missing paths fall back to their parent', () => {
+  const { value, locations } = parseJsonWithLocations('{\n  "id": "demo",\n  "widgets": [\n    { "component": "A" }\n  ]\n}');
+  assert.equal(value.widgets[0].component, 'A');
+  assert.deepEqual(locations.get('id'), { line: 2, column: 9 });
+  assert.deepEqual(locate(locations, 'widgets[0].component'), { line: 4, column: 20 });
+  assert.deepEqual(locate(locations, 'widgets[0].slot'), locations.get('widgets[0]'));
+  assert.deepEqual(locate(locations, 'hooks.onInstall'), { line: 1, column: 1 });
+});
+
+test('JSON syntax errors carry their line and column', () => {
+  assert.throws(() => parseJsonWithLocations('{\n  "id": "demo",\n}'), (err) =>
+    err instanceof JsonSyntaxError && err.line === 3 && err.column === 1);
+});
+
+test('manifests report missing fields, bad values and unknown hooks by path', () => {
+  assert.deepEqual(validateManifest(MANIFEST), []);
+  const problems = validateManifest({ ...MANIFEST, author: undefined, version: '1.0', hooks: { onBoot: true } });
+  assert.deepEqual(problems.map((p) => `${p.severity} ${p.path}`).sort(), ['error author', 'error version', 'warning hooks.onBoot']);
+  assert.equal(isSemverRange('>=1.0.0 <2.0.0 || 3.x'), true);
+  assert.equal(isSemverRange('latest'), false);
+});
+
+// ============================================================================
+// INDEX.JS SCAN
+// ============================================================================
+
+test('exports are found by declaration, default and list', () => {
+  assert.deepEqual(exportNames('export const A = 1;\nexport async function b() {}\nexport { c as C, d };\nexport default A;'),
+    ['A', 'b', 'C', 'd', 'default']);
+  assert.deepEqual(scanModule('export * from "./a.js";').exportAll.map((e) => e.specifier), ['./a.js']);
+});
+
+test('exports written in comments, strings and templates are ignored', () => {
+  assert.deepEqual(exportNames('// export const A = 1;\nconst s = "export const B = 2";\nconst t = `export const ${"C"} = 3`;'), []);
+});
+
+test('regular expression literals are masked, so the code after them is still scanned', () => {
+  assert.deepEqual(exportNames("const trim = (s) => s.replace(/\\/*$/, '');\nexport const Foo = {};\nexport default Foo;\n"),
+    ['Foo', 'default']);
+  assert.deepEqual(exportNames('const tick = /`/;\nexport const A = 1;'), ['A']);
+  assert.deepEqual(exportNames('const quote = /["\']/g;\nexport const A = 1;'), ['A']);
+  assert.deepEqual(exportNames('if (x) /\\/*/.test(s);\nexport const A = 1;'), ['A']);
+  assert.deepEqual(exportNames('function f() {}\n/`/.test(s);\nexport const A = 1;'), ['A']);
+});
+
+test('a slash after a value is a division, not a regex', () => {
+  assert.equal(maskNonCode('const a = (b) / c / d;'), 'const a = (b) / c / d;');
+  assert.equal(maskNonCode('const a = b[0] / 2 / c;'), 'const a = b[0] / 2 / c;');
+  assert.deepEqual(exportNames('const r = a / 2; /* / */\nexport const A = x / y;'), ['A']);
+});
+
+// ============================================================================
+// CROSS-CHECKS
+// ============================================================================
+
+test('a plugin using regex literals in index.js validates', () => {
+  const entry = "const trim = (s) => s.replace(/\\/*$/, '');\nexport const DemoWidget = { name: trim('Demo//') };\nexport default DemoWidget;\n";
+  assert.deepEqual(errors(validate(MANIFEST, entry)), []);
+});
+
+test('widget components, menus and hooks must be exported by index.js', () => {
+  const manifest = { ...MANIFEST, menus: [{ id: 'demo', label: 'Demo', icon: 'pi pi-star', route: '/plugins/demo', type: 'main', order: 1 }], hooks: { onInstall: true } };
+  assert.deepEqual(errors(validate(manifest, 'export const Other = {};')), [
+    'Widget "demo-widget" uses component "DemoWidget", which is not exported by index.js',
+    'Manifest declares menu routes but index.js has no default export for the plugin page',
+    'hooks.onInstall is true but index.js does not export "onInstall"'
+  ]);
+});
+
+test('an index.js without ES module exports, or with CommonJS, is refused', () => {
+  assert.deepEqual(errors(validate(MANIFEST, 'module.exports = {};')), [
+    'CommonJS is not supported (module.exports); use ES module export/import',
+    'index.js has no ES module exports',
+    'Widget "demo-widget" uses component "DemoWidget", which is not exported by index.js'
+  ]);
+  assert.match(errors(validate('{ "id": ', 'export default {};'))[0], /^Invalid JSON in plugin\.json/);
+});
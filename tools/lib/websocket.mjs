@@ -0,0 +1,135 @@
+/**
+ * Minimal WebSocket server side (RFC 6455), enough for development tools:
+ * handshake, text frames, ping/pong and close. No extensions, no
+ * fragmented messages.
+ */
+
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Value of the Sec-WebSocket-Accept header for a client key.
+ */
+export const acceptKey = (key) => createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+
+/**
+ * Encode a server-to-client (unmasked) frame.
+ * @param {Buffer|string} payload
+ * @param {number} [opcode]
+ */
+export const encodeFrame = (payload, opcode = OPCODES.text) => {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Decode every complete frame at the start of `buffer`.
+ * @returns {{ frames: Array<{ fin: boolean, opcode: number, payload: Buffer }>, rest: Buffer }}
+ */
+export const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Complete the handshake of an HTTP `upgrade` request and wrap the socket.
+ * @param {import('node:http').IncomingMessage} request
+ * @param {import('node:net').Socket} socket
+ * @param {object} handlers
+ * @param {(text: string) => void} [handlers.onText]
+ * @param {() => void} [handlers.onClose]
+ * @returns {{ send(text: string): void, close(): void } | null} null when the request is not a WebSocket upgrade
+ */
+export const acceptWebSocket = (request, socket, { onText = () => {}, onClose = () => {} } = {}) => {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  let pending = Buffer.alloc(0);
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    socket.end(encodeFrame(Buffer.alloc(0), OPCODES.close));
+    onClose();
+  };
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const frame of frames) {
+      if (frame.opcode === OPCODES.text && frame.fin) onText(frame.payload.toString('utf8'));
+      else if (frame.opcode === OPCODES.ping) socket.write(encodeFrame(frame.payload, OPCODES.pong));
+      else if (frame.opcode === OPCODES.close) close();
+    }
+  });
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send(text) {
+      if (!closed) socket.write(encodeFrame(text));
+    },
+    close
+  };
+};
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Plugin developer CLI
+ *
+ * Usage:
+ *   node tools/plugin-cli.mjs validate <plugin-dir>...
+ *   node tools/plugin-cli.mjs pack <plugin-dir> [--out <file.zip>]
+ *   node tools/plugin-cli.mjs events <plugin-dir>... [--check]
+ *   node tools/plugin-cli.mjs scan <plugin-dir>... [--format text|sarif] [--out <file>]
+ *   node tools/plugin-cli.mjs create <plugin-dir> [--id <id>] [--name <name>] ... [--yes]
+ *
+ * `validate` checks plugin.json against the manifest specification in
+ * docs/PLUGIN_DEVELOPMENT_GUIDE.md, cross-checks it with the exports of
+ * index.js, checks the message catalogs under locales/ and the theme colors
+ * (contrast, classes that ignore dark mode). `pack` validates first and then writes a correctly rooted ZIP
+ * (defaults to <id>.zip next to the plugin directory). `events` checks the
+ * events each plugin consumes against the plugins that emit them and writes
+ * each plugin's EVENTS.md reference from its manifest. `scan` runs the static
+ * security and compatibility checks on every module a plugin ships; `pack`
+ * runs it too and refuses to package a plugin with errors. `create` writes a
+ * new plugin from the answers to a few questions (or from flags).
+ */
+
+import { execFileSync } from 'node:child_process';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join, resolve } from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+import { formatDiagnostics, MANIFEST_FILE, validatePlugin } from './lib/validate-plugin.mjs';
+import { checkCatalogs } from './lib/i18n-check.mjs';
+import { checkTheme } from './lib/theme-check.mjs';
+import { checkEvents, crossCheckEvents, REFERENCE_FILE, renderEventReference } from './lib/event-catalog.mjs';
+import { locate, parseJsonWithLocations } from './lib/json-locate.mjs';
+import { packPlugin } from './lib/pack-plugin.mjs';
+import { formatFindings, scanPlugin, sortFindings, toSarif } from './lib/security-scan.mjs';
+import { renderScaffold, SCAFFOLD_FIELDS, ScaffoldError, sharedModulesFor, TEMPLATE_SHARED_DIR } from './lib/scaffold.mjs';
+import { sharedDirFor } from './lib/module-graph.mjs';
+
+const USAGE = `Usage:
+  node tools/plugin-cli.mjs validate <plugin-dir>... [--strict]
+  node tools/plugin-cli.mjs pack <plugin-dir> [--out <file.zip>] [--strict]
+  node tools/plugin-cli.mjs events <plugin-dir>... [--check] [--strict]
+  node tools/plugin-cli.mjs scan <plugin-dir>... [--format text|sarif] [--out <file>] [--strict]
+  node tools/plugin-cli.mjs create <plugin-dir> [--id <id>] [--name <name>] [--description <text>]
+      [--author <name>] [--widgets <slot,...>|none] [--route <path>|none] [--settings]
+      [--hooks <hook,...>|none] [--yes]
+
+Options:
+  --strict    Treat warnings as errors
+  --out, -o   Output path for the ZIP archive (pack) or the report (scan)
+  --check     Fail if an EVENTS.md is out of date instead of writing it (events only)
+  --format    Report format of scan: text (default) or sarif
+  --yes, -y   Use the defaults for the answers not given as flags instead of asking (create only;
+              the author defaults to git user.name)`;
+
+class UsageError extends Error {}
+
+const summarize = (diagnostics) => {
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  const warnings = diagnostics.filter((d) => d.severity === 'warning').length;
+  return { errors, warnings, text: `${errors} error(s), ${warnings} warning(s)` };
+};
+
+/**
+ * Validate one directory and print its diagnostics.
+ * @returns {{ ok: boolean, manifest: object | null }}
+ */
+const runValidation = async (dir, { strict }) => {
+  const { manifest, diagnostics } = validatePlugin(dir);
+  if (manifest !== null) diagnostics.push(...await checkCatalogs(dir), ...await checkTheme(dir), ...checkEvents(dir, manifest));
+  if (diagnostics.length) console.log(formatDiagnostics(diagnostics, dir));
+  const { errors, warnings, text } = summarize(diagnostics);
+  const ok = errors === 0 && (!strict || warnings === 0);
+  console.log(`${ok ? '✔' : '✖'} ${dir}: ${text}`);
+  return { ok, manifest };
+};
+
+/**
+ * Scan one validated directory and print the findings that were not allowed.
+ * @returns {boolean} Whether the plugin passes
+ */
+const runScan = (dir, manifest, { strict }) => {
+  const findings = scanPlugin(dir, manifest).filter((f) => f.suppressed === undefined);
+  if (findings.length) console.log(formatFindings(findings));
+  const { errors, warnings, text } = summarize(findings);
+  const ok = errors === 0 && (!strict || warnings === 0);
+  console.log(`${ok ? '✔' : '✖'} ${dir} scan: ${text}`);
+  return ok;
+};
+
+const commands = {
+  async validate(positionals, values) {
+    if (!positionals.length) throw new UsageError('validate needs at least one plugin directory');
+    let ok = true;
+    for (const dir of positionals) {
+      ok = (await runValidation(dir, values)).ok && ok;
+    }
+    return ok ? 0 : 1;
+  },
+
+  async pack(positionals, values) {
+    if (positionals.length !== 1) throw new UsageError('pack needs exactly one plugin directory');
+    const dir = positionals[0];
+    const { ok, manifest } = await runValidation(dir, values);
+    if (!ok || !runScan(dir, manifest, values)) {
+      console.error('Not packaging: fix the errors above first.');
+      return 1;
+    }
+    const out = values.out || join(dirname(resolve(dir)), `${manifest.id}.zip`);
+    const { files, buffer } = packPlugin(dir);
+    writeFileSync(out, buffer);
+    for (const file of files) console.log(`  ${file}`);
+    console.log(`Packaged ${manifest.id}@${manifest.version} -> ${out} (${files.length} files, ${buffer.length} bytes)`);
+    return 0;
+  },
+
+  async events(positionals, values) {
+    if (!positionals.length) throw new UsageError('events needs at least one plugin directory');
+    const plugins = [];
+    let ok = true;
+    for (const dir of positionals) {
+      const result = await runValidation(dir, values);
+      ok = result.ok && ok;
+      if (result.manifest === null) continue;
+      const { locations } = parseJsonWithLocations(readFileSync(join(dir, MANIFEST_FILE), 'utf8'));
+      plugins.push({ dir, manifest: result.manifest, locations });
+    }
+    if (!ok) {
+      console.error('Not checking events: fix the errors above first.');
+      return 1;
+    }
+
+    const problems = crossCheckEvents(plugins);
+    for (const { dir, manifest, locations } of plugins) {
+      const diagnostics = problems.get(dir).map(({ severity, path, message }) =>
+        ({ severity, file: MANIFEST_FILE, ...locate(locations, path), message }));
+      if (diagnostics.length) console.log(formatDiagnostics(diagnostics, dir));
+      const { errors, warnings, text } = summarize(diagnostics);
+      ok = errors === 0 && (!values.strict || warnings === 0) && ok;
+
+      const out = join(dir, REFERENCE_FILE);
+      const reference = renderEventReference(manifest, { plugins: plugins.map((p) => p.manifest) });
+      if (values.check) {
+        const current = existsSync(out) ? readFileSync(out, 'utf8') : null;
+        if (current !== reference) {
+          console.log(`✖ ${out} is out of date; run without --check to regenerate it`);
+          ok = false;
+        }
+      } else {
+        writeFileSync(out, reference);
+        console.log(`Wrote ${out}`);
+      }
+      console.log(`${errors || (values.strict && warnings) ? '✖' : '✔'} ${dir} events: ${text}`);
+    }
+    return ok ? 0 : 1;
+  },
+
+  async scan(positionals, values) {
+    if (!positionals.length) throw new UsageError('scan needs at least one plugin directory');
+    if (values.format !== 'text' && values.format !== 'sarif') {
+      throw new UsageError(`Unknown format "${values.format}" (expected "text" or "sarif")`);
+    }
+    const findings = [];
+    for (const dir of positionals) {
+      const { manifest } = validatePlugin(dir);
+      if (manifest === null) {
+        console.error(`✖ ${dir}: ${MANIFEST_FILE} is missing or invalid; run validate first`);
+        return 1;
+      }
+      findings.push(...scanPlugin(dir, manifest));
+    }
+    // Shared modules are scanned once per plugin that ships them
+    const unique = sortFindings([...new Map(findings.map((f) => [`${f.file}:${f.line}:${f.column}:${f.ruleId}:${f.message}`, f])).values()]);
+    const active = unique.filter((f) => f.suppressed === undefined);
+
+    const report = values.format === 'sarif'
+      ? `${JSON.stringify(toSarif(unique), null, 2)}\n`
+      : `${formatFindings(active)}${active.length ? '\n' : ''}`;
+    if (values.out) writeFileSync(values.out, report);
+    else process.stdout.write(report);
+
+    const { errors, warnings, text } = summarize(active);
+    const allowed = unique.length - active.length;
+    const summary = `${text}, ${active.length - errors - warnings} note(s)${allowed ? `, ${allowed} allowed` : ''}`;
+    // Keep stdout valid SARIF
+    (values.format === 'sarif' && !values.out ? console.error : console.log)(
+      `${errors || (values.strict && warnings) ? '✖' : '✔'} scan: ${summary}`);
+    return errors || (values.strict && warnings) ? 1 : 0;
+  },
+
+  async create(positionals, values) {
+    if (positionals.length !== 1) throw new UsageError('create needs exactly one plugin directory');
+    const dir = positionals[0];
+    if (existsSync(dir) && readdirSync(dir).length) {
+      console.error(`Not creating: ${dir} already exists and is not empty.`);
+      return 1;
+    }
+    let answers;
+    try {
+      answers = await askScaffoldQuestions(dir, values);
+    } catch (err) {
+      if (err instanceof ScaffoldError) throw new UsageError(err.message);
+      if (err.name === 'AbortError') {
+        console.error('\nCancelled: nothing was written.');
+        return 1;
+      }
+      throw err;
+    }
+
+    const files = renderScaffold(answers, { dir });
+    // Outside sample-plugins/ there is no shared/ directory to fall back to:
+    // give the plugin its own copy of the shared modules it uses
+    if (!existsSync(sharedDirFor(dir))) {
+      const sources = files.filter((file) => /\.m?js$/.test(file.name)).map((file) => file.content);
+      for (const name of sharedModulesFor(sources)) {
+        files.push({ name, from: join(TEMPLATE_SHARED_DIR, name.slice('shared/'.length)) });
+      }
+    }
+    for (const file of files) {
+      const out = join(dir, file.name);
+      mkdirSync(dirname(out), { recursive: true });
+      if (file.from) copyFileSync(file.from, out);
+      else writeFileSync(out, file.content);
+      console.log(`  ${out}`);
+    }
+    console.log(`Created ${answers.id} in ${dir}\n`);
+
+    const { ok } = await runValidation(dir, values);
+    return ok && runScan(dir, JSON.parse(readFileSync(join(dir, MANIFEST_FILE), 'utf8')), values) ? 0 : 1;
+  }
+};
+
+// Default author of `create`; empty without git or a configured user.name
+const gitUserName = () => {
+  try {
+    return execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Collect the answers of `create`: flags first, then prompts on a terminal
+ * (unless --yes), then defaults.
+ */
+const askScaffoldQuestions = async (dir, values) => {
+  const answers = { dirName: basename(resolve(dir)), gitAuthor: values.author === undefined ? gitUserName() : '' };
+  const prompt = process.stdin.isTTY && !values.yes
+    ? createInterface({ input: process.stdin, output: process.stdout })
+    : null;
+  try {
+    for (const field of SCAFFOLD_FIELDS) {
+      const fallback = field.default(answers);
+      if (values[field.key] !== undefined) {
+        answers[field.key] = field.parse(values[field.key]);
+        continue;
+      }
+      if (!prompt) {
+        answers[field.key] = field.parse(fallback);
+        continue;
+      }
+      for (;;) {
+        const text = await prompt.question(`${field.prompt}${fallback ? ` [${fallback}]` : ''}: `);
+        try {
+          answers[field.key] = field.parse(text.trim() || fallback);
+          break;
+        } catch (err) {
+          if (!(err instanceof ScaffoldError)) throw err;
+          console.log(`  ${err.message}`);
+        }
+      }
+    }
+  } finally {
+    prompt?.close();
+  }
+  return answers;
+};
+
+const main = async (argv) => {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return command ? 0 : 1;
+  }
+  if (!Object.hasOwn(commands, command)) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 1;
+  }
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      allowPositionals: true,
+      options: {
+        strict: { type: 'boolean', default: false },
+        check: { type: 'boolean', default: false },
+        format: { type: 'string', default: 'text' },
+        yes: { type: 'boolean', short: 'y' },
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        author: { type: 'string' },
+        widgets: { type: 'string' },
+        route: { type: 'string' },
+        settings: { type: 'boolean' },
+        hooks: { type: 'string' },
+        out: { type: 'string', short: 'o' }
+      }
+    });
+    return await commands[command](positionals, values);
+  } catch (err) {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return 1;
+    }
+    throw err;
+  }
+};
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,178 @@
+/**
+ * Node environment for plugin tests
+ *
+ * Usage:
+ *   node --import ./tools/plugin-test-env.mjs --test <plugin-dir>/index.test.mjs
+ *   node --import ./tools/plugin-test-env.mjs --test      # every *.test.mjs of the repository
+ *
+ * Sets up what the portal provides to plugin modules:
+ * - `window` with `window.Vue`, loaded from the `vue` package installed where
+ *   the command runs (npm install --no-save vue@3)
+ * - a DOM (document, events, localStorage) when the `jsdom` package is
+ *   installed too (npm install --no-save jsdom), so tests can mount
+ *   components with mount() below
+ * - `./shared/...` imports resolved from the shared/ directory next to the
+ *   plugin when the plugin has no copy of its own, as `pack` does
+ *
+ * Without jsdom, `window` is the global object and components cannot be
+ * mounted: tests check exports, stores and hooks. Tests hand the plugin its
+ * context through window.usePluginContext, usually a mock context
+ * (shared/mock-plugin-context.js) they can inspect:
+ *
+ *   import { mount, click } from '../../tools/plugin-test-env.mjs';
+ *
+ *   const context = createMockPluginContext('my-plugin', { manifest });
+ *   window.usePluginContext = () => context;
+ *   const { MyWidget } = await import('./index.js');
+ *
+ *   const widget = await mount(MyWidget);
+ *   await click(widget.button('Save'));
+ *   assert.match(widget.text(), /Saved/);
+ *
+ * Files the plugin downloads (backups, CSV exports) are not saved: they are
+ * listed in `downloads` instead.
+ */
+
+import { resolveObjectURL } from 'node:buffer';
+import { createRequire, register } from 'node:module';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+register('./lib/shared-resolve-hooks.mjs', import.meta.url);
+
+const require = createRequire(join(process.cwd(), 'noop.js'));
+
+let vuePath;
+try {
+  vuePath = require.resolve('vue');
+} catch {
+  console.error('plugin-test-env: the "vue" package was not found; install Vue 3 first (npm install --no-save vue@3)');
+  process.exit(1);
+}
+
+// Globals the DOM provides to components; the rest (fetch, performance,
+// BroadcastChannel...) stay Node's own
+const DOM_GLOBALS = [
+  'document', 'navigator', 'location', 'localStorage', 'sessionStorage', 'getComputedStyle', 'requestAnimationFrame',
+  'cancelAnimationFrame', 'Node', 'Element', 'HTMLElement', 'SVGElement', 'HTMLInputElement', 'HTMLSelectElement',
+  'HTMLTextAreaElement', 'HTMLFormElement', 'HTMLAnchorElement', 'Event', 'CustomEvent', 'UIEvent', 'MouseEvent',
+  'KeyboardEvent', 'FocusEvent', 'InputEvent', 'StorageEvent', 'MutationObserver', 'DOMParser', 'XMLSerializer'
+];
+
+let jsdomPath = null;
+try {
+  jsdomPath = require.resolve('jsdom');
+} catch {
+  // No DOM: exports, stores and hooks only
+}
+
+/**
+ * Files downloaded since the tests started: { fileName, blob }, oldest first.
+ * Read one with `await download.blob.text()`.
+ */
+export const downloads = [];
+
+if (jsdomPath) {
+  const { JSDOM } = await import(pathToFileURL(jsdomPath).href);
+  const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', { url: 'http://localhost/', pretendToBeVisual: true });
+  globalThis.window = dom.window;
+  for (const name of DOM_GLOBALS) {
+    if (name in dom.window) Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+  // Downloads go through a link to an object URL (shared/plugin-backup.js):
+  // keep the file instead of navigating, which jsdom does not implement
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest?.('a[download]');
+    if (!link) return;
+    event.preventDefault();
+    downloads.push({ fileName: link.download, blob: resolveObjectURL(link.href) ?? null });
+  }, true);
+} else {
+  globalThis.window = globalThis;
+}
+
+// Loaded after the DOM: Vue's renderer looks for `document` when it loads
+const Vue = await import(pathToFileURL(vuePath).href);
+window.Vue = Vue.default ?? Vue;
+
+export const hasDom = !!jsdomPath;
+
+// ============================================================================
+// MOUNTING
+// ============================================================================
+
+/**
+ * Let pending promises, timers of 0 ms and Vue updates run.
+ */
+export const flush = async () => {
+  for (let i = 0; i < 3; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await window.Vue.nextTick();
+  }
+};
+
+/**
+ * Mount a component in the document (needs jsdom).
+ * @param {object} component
+ * @param {object} [props]
+ * @returns {Promise<object>} { root, text, html, find, findAll, button, unmount }; `root` is the
+ *   element the component was mounted in
+ */
+export const mount = async (component, props = {}) => {
+  if (!hasDom) throw new Error('plugin-test-env: mounting needs the "jsdom" package (npm install --no-save jsdom)');
+  const root = document.createElement('div');
+  document.body.appendChild(root);
+  const app = window.Vue.createApp(component, props);
+  app.mount(root);
+  await flush();
+
+  const findAll = (selector) => [...root.querySelectorAll(selector)];
+  return {
+    root,
+    text: () => root.textContent.replace(/\s+/g, ' ').trim(),
+    html: () => root.innerHTML,
+    find: (selector) => root.querySelector(selector),
+    findAll,
+    /** First button whose text, aria-label or title contains `label`; null if there is none */
+    button: (label) => findAll('button').find((el) =>
+      [el.textContent, el.getAttribute('aria-label'), el.getAttribute('title')].some((name) => name?.includes(label))) || null,
+    unmount: () => {
+      app.unmount();
+      root.remove();
+    }
+  };
+};
+
+/**
+ * Click an element, then let the component update.
+ * @param {Element} element
+ */
+export const click = async (element) => {
+  if (!element) throw new Error('plugin-test-env: nothing to click');
+  element.click();
+  await flush();
+};
+
+/**
+ * Press a key on an element (keydown, bubbling), then let the component update.
+ * @param {Element} element
+ * @param {string} key - KeyboardEvent.key ('ArrowRight', 'Enter', '7'...)
+ * @param {object} [init] - Other KeyboardEvent fields ({ code, shiftKey... })
+ */
+export const press = async (element, key, init = {}) => {
+  element.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+  await flush();
+};
+
+/**
+ * Type a value into an input or select (input and change events), then let
+ * the component update.
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @param {string} value
+ */
+export const type = async (element, value) => {
+  element.value = value;
+  element.dispatchEvent(new window.Event('input', { bubbles: true }));
+  element.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await flush();
+};
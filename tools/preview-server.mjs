@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Local preview host for plugins
+ *
+ * Usage:
+ *   node tools/preview-server.mjs <plugin-dir>... [--port 5173] [--host 127.0.0.1]
+ *
+ * Serves a page that plays the portal's part without its backend: it loads
+ * each plugin's index.js as an ES module, provides window.Vue and
+ * window.usePluginContext, renders the widgets in the four dashboard slots
+ * and the default export on the manifest's menu routes, and answers the
+ * /api/plugins/* endpoints from sample-plugins/shared/mock-plugin-backend.js.
+ * Install / Uninstall buttons run the plugin's hooks. The page reloads when
+ * a file of a plugin (or of the shared modules it falls back to) changes.
+ *
+ * Plugin files are served under /plugin/<id>/, with the same `./shared/`
+ * fallback as `plugin-cli.mjs pack` (see lib/module-graph.mjs).
+ */
+
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, statSync, watch } from 'node:fs';
+import { createRequire } from 'node:module';
+import { extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { acceptWebSocket } from './lib/websocket.mjs';
+import { SHARED_PREFIX, sharedDirFor } from './lib/module-graph.mjs';
+import { MANIFEST_FILE } from './lib/validate-plugin.mjs';
+import { createMockPluginBackend } from '../sample-plugins/shared/mock-plugin-backend.js';
+
+const HOST_DIR = fileURLToPath(new URL('./preview/', import.meta.url));
+const TEMPLATE_SHARED_DIR = fileURLToPath(new URL('../sample-plugins/shared/', import.meta.url));
+const RELOAD_PATH = '/__preview/reload';
+
+// Used when no `vue` package is installed where the server runs
+const VUE_CDN_URL = 'https://unpkg.com/vue@3/dist/vue.esm-browser.js';
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+};
+
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Plugin preview</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <link rel="stylesheet" href="https://unpkg.com/primeicons/primeicons.css">
+</head>
+<body class="bg-gray-50">
+  <div id="app"></div>
+  <script type="module" src="/__preview/host.js"></script>
+</body>
+</html>
+`;
+
+/**
+ * Path of the browser build of Vue (with the template compiler) installed
+ * where the command runs, or null.
+ */
+const findLocalVue = () => {
+  try {
+    const entry = createRequire(join(process.cwd(), 'noop.js')).resolve('vue/package.json');
+    const build = join(entry, '..', 'dist', 'vue.esm-browser.js');
+    return existsSync(build) ? build : null;
+  } catch {
+    return null;
+  }
+};
+
+// `root` + `relativePath`, or null when it escapes `root` or is not a file
+const fileInside = (root, relativePath) => {
+  const full = resolve(root, relativePath);
+  if (full !== resolve(root) && !full.startsWith(resolve(root) + sep)) return null;
+  return existsSync(full) && statSync(full).isFile() ? full : null;
+};
+
+/**
+ * Load the plugins to preview.
+ * @param {string[]} dirs
+ * @returns {Array<{ id: string, dir: string, manifest: object }>}
+ */
+const loadPlugins = (dirs) => dirs.map((dir) => {
+  const file = join(dir, MANIFEST_FILE);
+  if (!existsSync(file)) throw new Error(`${dir}: ${MANIFEST_FILE} not found`);
+  const manifest = JSON.parse(readFileSync(file, 'utf8'));
+  if (typeof manifest.id !== 'string') throw new Error(`${file}: "id" is missing`);
+  return { id: manifest.id, dir: resolve(dir), manifest };
+});
+
+/**
+ * Create the preview server (not yet listening).
+ * @param {string[]} dirs - Plugin directories
+ * @param {object} [options]
+ * @param {(line: string) => void} [options.log]
+ * @param {boolean} [options.watch] - Reload the page when files change
+ * @returns {import('node:http').Server}
+ */
+export const createPreviewServer = (dirs, { log = () => {}, watch: watchFiles = true } = {}) => {
+  let plugins = loadPlugins(dirs);
+  const backend = createMockPluginBackend({
+    plugins: plugins.map(({ id, manifest }) => ({ pluginId: id, name: manifest.name, version: manifest.version, status: 'UPLOADED', manifest }))
+  });
+  const localVue = findLocalVue();
+  if (!localVue) log(`vue not installed here; the page loads it from ${VUE_CDN_URL}`);
+
+  const send = (response, status, body, type = 'text/plain; charset=utf-8') => {
+    response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    response.end(body);
+  };
+  const sendFile = (response, file) =>
+    send(response, 200, readFileSync(file), CONTENT_TYPES[extname(file)] || 'application/octet-stream');
+
+  // None of the mock backend's routes reads a request body; Node discards it
+  const handleApi = async (request, response, url) => {
+    const result = await backend.fetch(`${url.pathname}${url.search}`, { method: request.method });
+    send(response, result.status, JSON.stringify(await result.json()), CONTENT_TYPES['.json']);
+  };
+
+  const servePluginFile = (response, id, path) => {
+    const plugin = plugins.find((p) => p.id === id);
+    if (!plugin) return send(response, 404, `Unknown plugin ${id}\n`);
+    const file = fileInside(plugin.dir, path) ||
+      (path.startsWith(SHARED_PREFIX) && fileInside(sharedDirFor(plugin.dir), path.slice(SHARED_PREFIX.length)));
+    if (!file) return send(response, 404, `${path} not found in ${id}\n`);
+    sendFile(response, file);
+  };
+
+  const server = createServer((request, response) => {
+    const url = new URL(request.url, 'http://preview');
+    let path;
+    try {
+      path = decodeURIComponent(url.pathname);
+    } catch {
+      return send(response, 400, 'Malformed URL\n');
+    }
+    if (path.startsWith('/api/')) {
+      handleApi(request, response, url).catch((err) => send(response, 500, `${err.message}\n`));
+      return;
+    }
+    if (request.method !== 'GET') return send(response, 405, 'Method not allowed\n');
+    if (path === '/' || path === '/index.html') return send(response, 200, PAGE, CONTENT_TYPES['.html']);
+    if (path === '/__preview/plugins') {
+      const list = plugins.map(({ id, manifest }) => ({ id, manifest, entry: `/plugin/${encodeURIComponent(id)}/index.js` }));
+      return send(response, 200, JSON.stringify(list), CONTENT_TYPES['.json']);
+    }
+    if (path === '/__preview/vue.js') {
+      if (localVue) return sendFile(response, localVue);
+      response.writeHead(302, { Location: VUE_CDN_URL });
+      return response.end();
+    }
+    if (path.startsWith('/__preview/shared/')) {
+      const file = fileInside(TEMPLATE_SHARED_DIR, path.slice('/__preview/shared/'.length));
+      return file ? sendFile(response, file) : send(response, 404, 'Not found\n');
+    }
+    if (path.startsWith('/__preview/')) {
+      const file = fileInside(HOST_DIR, path.slice('/__preview/'.length));
+      return file ? sendFile(response, file) : send(response, 404, 'Not found\n');
+    }
+    const match = /^\/plugin\/([^/]+)\/(.+)$/.exec(path);
+    if (match) return servePluginFile(response, match[1], match[2]);
+    send(response, 404, 'Not found\n');
+  });
+
+  // Live reload: every page keeps a WebSocket open and reloads on "reload"
+  const clients = new Set();
+  server.on('upgrade', (request, socket) => {
+    if (new URL(request.url, 'http://preview').pathname !== RELOAD_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const client = acceptWebSocket(request, socket, { onClose: () => clients.delete(client) });
+    if (client) clients.add(client);
+  });
+
+  if (watchFiles) {
+    let timer = null;
+    const reload = (changed) => {
+      clearTimeout(timer);
+      // Editors write files in several steps: wait for the last one
+      timer = setTimeout(() => {
+        try {
+          plugins = loadPlugins(dirs);
+        } catch (err) {
+          log(`! ${err.message}`);
+          return;
+        }
+        log(`~ ${changed}: reloading ${clients.size} page(s)`);
+        for (const client of clients) client.send('reload');
+      }, 100);
+    };
+    const watched = new Set([...plugins.map((p) => p.dir), ...plugins.map((p) => sharedDirFor(p.dir)), HOST_DIR]);
+    const watchers = [...watched].filter((dir) => existsSync(dir)).map((dir) =>
+      watch(dir, { recursive: true }, (event, file) => reload(file ? join(dir, file) : dir)));
+    server.on('close', () => {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+    });
+  }
+
+  return server;
+};
+
+const main = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port: { type: 'string', short: 'p', default: '5173' },
+      host: { type: 'string', default: '127.0.0.1' }
+    }
+  });
+  if (!positionals.length) {
+    console.error('Usage: node tools/preview-server.mjs <plugin-dir>... [--port 5173] [--host 127.0.0.1]');
+    process.exitCode = 2;
+    return;
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port: ${values.port}`);
+    process.exitCode = 2;
+    return;
+  }
+  let server;
+  try {
+    server = createPreviewServer(positionals, { log: (line) => console.log(line) });
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+  server.listen(port, values.host, () => {
+    console.log(`Previewing ${positionals.join(', ')} on http://${values.host}:${server.address().port}/`);
+  });
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,51 @@
+/**
+ * Preview server: routes of the host page and of the plugin files
+ *
+ *   node --test tools/preview-server.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { createPreviewServer } from './preview-server.mjs';
+
+const HELLO_WORLD = fileURLToPath(new URL('../sample-plugins/hello-world-plugin', import.meta.url));
+
+const server = createPreviewServer([HELLO_WORLD], { watch: false });
+server.listen(0, '127.0.0.1');
+await once(server, 'listening');
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+test('the plugin list and plugin files are served', async () => {
+  const list = await (await fetch(`${base}/__preview/plugins`)).json();
+  assert.deepEqual(list.map((plugin) => plugin.entry), ['/plugin/hello-world-plugin/index.js']);
+
+  const entry = await fetch(`${base}${list[0].entry}`);
+  assert.equal(entry.status, 200);
+  assert.match(entry.headers.get('content-type'), /text\/javascript/);
+  assert.equal((await fetch(`${base}/plugin/hello-world-plugin/missing.js`)).status, 404);
+});
+
+test('a malformed percent-encoding is answered with 400 and the server keeps running', async () => {
+  const response = await fetch(`${base}/%E0%A4%A`);
+  assert.equal(response.status, 400);
+  assert.equal(await response.text(), 'Malformed URL\n');
+
+  assert.equal((await fetch(`${base}/`)).status, 200);
+});
+
+test('API requests reach the mock backend, which keeps their effect', async () => {
+  const installed = await fetch(`${base}/api/plugins/hello-world-plugin/install`, { method: 'POST', body: '{}' });
+  assert.equal(installed.status, 200);
+  assert.equal((await installed.json()).success, true);
+
+  const list = await (await fetch(`${base}/api/plugins/installed`)).json();
+  assert.deepEqual(list.map((plugin) => plugin.pluginId), ['hello-world-plugin']);
+  assert.equal((await fetch(`${base}/api/plugins/missing-plugin`)).status, 404);
+});
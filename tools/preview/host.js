@@ -0,0 +1,361 @@
+/**
+ * Browser side of tools/preview-server.mjs
+ *
+ * Plays the portal's part for the previewed plugins:
+ * - window.Vue and window.usePluginContext, set before any plugin loads
+ * - One context per plugin (mock context with a shared event bus, plugin
+ *   data kept in localStorage across reloads, hash-based routing, toasts)
+ * - The four dashboard slots, showing the widgets of installed plugins
+ * - The manifests' menu routes, rendering the plugin's default export
+ * - Install / Uninstall buttons running the lifecycle hooks and the
+ *   /api/plugins/:id/install|uninstall endpoints
+ * - A theme switch setting `data-theme` on <html> like the portal does, so
+ *   the plugins' dark mode can be checked (see shared/plugin-theme.js)
+ * - Reload when the server reports a file change
+ */
+
+const Vue = await import('/__preview/vue.js');
+window.Vue = Vue;
+
+// Imported after window.Vue is set so the context's refs are reactive
+const { createMockEventBus, createMockPluginContext } = await import('/__preview/shared/mock-plugin-context.js');
+
+const { createApp, reactive, ref, computed, markRaw } = Vue;
+
+const DASHBOARD_ROUTE = '/dashboard';
+const ADMIN_ROLE = 'ADMIN';
+const USER = { id: 'preview-user', firstName: 'Preview', lastName: 'User', email: 'preview@example.com' };
+
+const storageKey = (pluginId) => `plugin-preview:${pluginId}`;
+
+const readStoredData = (pluginId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(pluginId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+// ============================================================================
+// ROUTING (location.hash)
+// ============================================================================
+
+const currentPath = ref(location.hash.slice(1) || DASHBOARD_ROUTE);
+window.addEventListener('hashchange', () => {
+  currentPath.value = location.hash.slice(1) || DASHBOARD_ROUTE;
+});
+
+const navigateTo = async (path) => {
+  location.hash = path;
+};
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+const toasts = reactive([]);
+let nextToastId = 1;
+
+const addToast = (pluginId, { severity = 'info', summary, detail }) => {
+  const toast = { id: nextToastId++, pluginId, severity, summary, detail };
+  toasts.push(toast);
+  setTimeout(() => {
+    const index = toasts.findIndex((entry) => entry.id === toast.id);
+    if (index !== -1) toasts.splice(index, 1);
+  }, 4000);
+};
+
+const TOAST_CLASSES = {
+  success: 'bg-green-50 border-green-300 text-green-800',
+  info: 'bg-blue-50 border-blue-300 text-blue-800',
+  warn: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+  error: 'bg-red-50 border-red-300 text-red-800'
+};
+
+// ============================================================================
+// PLUGIN CONTEXTS
+// ============================================================================
+
+const bus = createMockEventBus();
+const admin = ref(localStorage.getItem('plugin-preview:admin') === 'true');
+const locale = ref(localStorage.getItem('plugin-preview:locale') || null);
+// 'light', 'dark', 'system' (the system preference decides), or null for no marker
+const theme = ref(localStorage.getItem('plugin-preview:theme') || null);
+
+const applyTheme = () => {
+  if (theme.value) document.documentElement.dataset.theme = theme.value;
+  else delete document.documentElement.dataset.theme;
+};
+applyTheme();
+
+/**
+ * Context handed to a plugin: the mock context with the host's routing,
+ * notifications and persistent storage.
+ */
+const createPreviewContext = (pluginId, manifest) => {
+  const context = createMockPluginContext(pluginId, {
+    user: USER,
+    manifest,
+    bus,
+    data: readStoredData(pluginId),
+    locale: locale.value
+  });
+  const persist = () => localStorage.setItem(storageKey(pluginId), JSON.stringify(context.dumpPluginData()));
+  const notify = (severity) => (summary, detail) => addToast(pluginId, { severity, summary, detail });
+
+  return Object.assign(context, {
+    router: {
+      push: (to) => navigateTo(typeof to === 'string' ? to : to.path || `/${to.name || ''}`),
+      back: () => history.back(),
+      currentRoute: computed(() => ({ path: currentPath.value }))
+    },
+    navigateTo,
+    navigateBack: () => history.back(),
+    toast: { add: (message) => addToast(pluginId, message) },
+    showSuccess: notify('success'),
+    showError: notify('error'),
+    showWarning: notify('warn'),
+    showInfo: notify('info'),
+    setPluginData: ((setPluginData) => (key, value) => { setPluginData(key, value); persist(); })(context.setPluginData),
+    removePluginData: ((removePluginData) => (key) => { removePluginData(key); persist(); })(context.removePluginData),
+    clearPluginData: ((clearPluginData) => () => { clearPluginData(); persist(); })(context.clearPluginData)
+  });
+};
+
+// Grants (or revokes) the admin role and every permission the plugins provide
+const applyUser = (context) => {
+  const permissions = admin.value
+    ? plugins.flatMap((plugin) => plugin.manifest.permissions?.provided || [])
+    : [];
+  context.setUser(USER, { roles: admin.value ? [ADMIN_ROLE] : [], permissions });
+};
+
+// ============================================================================
+// PLUGIN LOADING
+// ============================================================================
+
+const plugins = await (await fetch('/__preview/plugins')).json();
+const contexts = new Map(plugins.map(({ id, manifest }) => [id, createPreviewContext(id, manifest)]));
+contexts.forEach(applyUser);
+
+window.usePluginContext = (pluginId) => {
+  const context = contexts.get(pluginId);
+  if (!context) throw new Error(`No context for plugin ${pluginId}`);
+  return context;
+};
+
+const fetchStatus = async (pluginId) => {
+  const response = await fetch(`/api/plugins/${encodeURIComponent(pluginId)}`);
+  return response.ok ? (await response.json()).status : 'FAILED';
+};
+
+const loaded = await Promise.all(plugins.map(async (plugin) => {
+  const state = { ...plugin, module: null, error: null, status: await fetchStatus(plugin.id) };
+  try {
+    state.module = markRaw({ ...(await import(plugin.entry)) });
+  } catch (err) {
+    console.error(`[preview] ${plugin.id} failed to load`, err);
+    state.error = err.message;
+  }
+  return state;
+}));
+
+// ============================================================================
+// HOST APP
+// ============================================================================
+
+const SLOTS = ['dashboard-top', 'dashboard-stats', 'dashboard-main', 'dashboard-sidebar'];
+
+const App = {
+  setup() {
+    const states = reactive(loaded);
+    const busy = ref(null);
+
+    const canSee = (pluginId, permissions = []) => {
+      const context = contexts.get(pluginId);
+      return permissions.every((permission) => context.hasPermission(permission));
+    };
+
+    const widgetsBySlot = computed(() => {
+      const bySlot = Object.fromEntries(SLOTS.map((slot) => [slot, []]));
+      for (const state of states) {
+        if (state.status !== 'INSTALLED' || !state.module) continue;
+        for (const widget of state.manifest.widgets || []) {
+          const component = state.module[widget.component];
+          if (!component || !bySlot[widget.slot] || !canSee(state.id, widget.permissions)) continue;
+          bySlot[widget.slot].push({ key: `${state.id}:${widget.id}`, order: widget.order ?? 0, component, props: widget.props || {} });
+        }
+      }
+      Object.values(bySlot).forEach((widgets) => widgets.sort((a, b) => a.order - b.order));
+      return bySlot;
+    });
+
+    const menus = computed(() => states
+      .filter((state) => state.status === 'INSTALLED')
+      .flatMap((state) => (state.manifest.menus || [])
+        .filter((menu) => canSee(state.id, menu.permissions))
+        .map((menu) => ({ ...menu, pluginId: state.id })))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0)));
+
+    // Plugin page for the current route: the longest matching menu route wins
+    const page = computed(() => {
+      const path = currentPath.value;
+      const match = states
+        .filter((state) => state.status === 'INSTALLED' && state.module?.default)
+        .flatMap((state) => (state.manifest.menus || []).map((menu) => ({ state, route: menu.route })))
+        .filter(({ route }) => route && (path === route || path.startsWith(`${route}/`)))
+        .sort((a, b) => b.route.length - a.route.length)[0];
+      return match ? { key: match.state.id, component: match.state.module.default } : null;
+    });
+
+    const runLifecycle = async (state, hook, action, event) => {
+      busy.value = state.id;
+      try {
+        await state.module?.[hook]?.();
+        const response = await fetch(`/api/plugins/${encodeURIComponent(state.id)}/${action}`, { method: 'POST' });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+        state.status = await fetchStatus(state.id);
+        bus.emit(event, { pluginId: state.id });
+        addToast(state.id, { severity: 'success', summary: `${state.manifest.name}: ${hook} done` });
+      } catch (err) {
+        console.error(`[preview] ${state.id} ${hook} failed`, err);
+        addToast(state.id, { severity: 'error', summary: `${state.manifest.name}: ${hook} failed`, detail: err.message });
+      } finally {
+        busy.value = null;
+      }
+    };
+
+    const install = (state) => runLifecycle(state, 'onInstall', 'install', 'plugin:installed');
+    const uninstall = (state) => runLifecycle(state, 'onUninstall', 'uninstall', 'plugin:uninstalled');
+
+    const toggleAdmin = () => {
+      admin.value = !admin.value;
+      localStorage.setItem('plugin-preview:admin', String(admin.value));
+      contexts.forEach(applyUser);
+    };
+
+    const changeLocale = (event) => {
+      locale.value = event.target.value || null;
+      localStorage.setItem('plugin-preview:locale', event.target.value);
+      contexts.forEach((context) => context.setLocale(locale.value));
+    };
+
+    const changeTheme = (event) => {
+      theme.value = event.target.value || null;
+      localStorage.setItem('plugin-preview:theme', event.target.value);
+      applyTheme();
+    };
+
+    return {
+      states, busy, widgetsBySlot, menus, page, currentPath, toasts, admin, locale, theme,
+      DASHBOARD_ROUTE, TOAST_CLASSES, install, uninstall, toggleAdmin, changeLocale, changeTheme
+    };
+  },
+  template: `
+    <div class="min-h-screen">
+      <header class="bg-white border-b border-gray-200 px-6 py-3 flex flex-wrap items-center gap-4">
+        <span class="font-semibold text-gray-900"><i class="pi pi-eye mr-2"></i>Plugin preview</span>
+        <nav class="flex flex-wrap gap-1 text-sm">
+          <a :href="'#' + DASHBOARD_ROUTE"
+             :class="['px-3 py-1 rounded-md', currentPath === DASHBOARD_ROUTE ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100']">
+            <i class="pi pi-home mr-1"></i>Dashboard
+          </a>
+          <a v-for="menu in menus" :key="menu.pluginId + ':' + menu.id" :href="'#' + menu.route"
+             :class="['px-3 py-1 rounded-md', currentPath === menu.route ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100']">
+            <i :class="[menu.icon, 'mr-1']"></i>{{ menu.label }}
+            <span v-if="menu.type === 'admin'" class="ml-1 text-xs text-gray-400">(admin)</span>
+          </a>
+        </nav>
+        <div class="ml-auto flex items-center gap-3 text-sm">
+          <select :value="locale || ''" @change="changeLocale" class="border border-gray-300 rounded-md px-2 py-1">
+            <option value="">Browser locale</option>
+            <option value="en">en</option>
+            <option value="fr">fr</option>
+          </select>
+          <select :value="theme || ''" @change="changeTheme" class="border border-gray-300 rounded-md px-2 py-1">
+            <option value="">No theme marker</option>
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+            <option value="system">System theme</option>
+          </select>
+          <button @click="toggleAdmin"
+                  :class="['px-3 py-1 rounded-md border', admin ? 'bg-purple-100 border-purple-300 text-purple-800' : 'border-gray-300 text-gray-600']">
+            <i class="pi pi-shield mr-1"></i>{{ admin ? 'Admin' : 'User' }}
+          </button>
+        </div>
+      </header>
+
+      <section class="bg-white border-b border-gray-200 px-6 py-2 flex flex-wrap gap-4 text-sm">
+        <div v-for="state in states" :key="state.id" class="flex items-center gap-2">
+          <span class="font-medium text-gray-800">{{ state.manifest.name || state.id }}</span>
+          <span class="text-gray-400">v{{ state.manifest.version }}</span>
+          <span v-if="state.error" class="text-red-600" :title="state.error"><i class="pi pi-times-circle mr-1"></i>load error</span>
+          <span v-else class="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">{{ state.status }}</span>
+          <button v-if="state.status !== 'INSTALLED'" @click="install(state)" :disabled="busy === state.id || !!state.error"
+                  class="px-2 py-0.5 rounded-md bg-blue-600 text-white disabled:opacity-50">Install</button>
+          <button v-else @click="uninstall(state)" :disabled="busy === state.id"
+                  class="px-2 py-0.5 rounded-md bg-gray-200 text-gray-800 disabled:opacity-50">Uninstall</button>
+        </div>
+      </section>
+
+      <main class="p-6">
+        <div v-if="page" :key="page.key">
+          <component :is="page.component" />
+        </div>
+
+        <div v-else-if="currentPath === DASHBOARD_ROUTE" class="space-y-6">
+          <div class="space-y-4">
+            <component v-for="widget in widgetsBySlot['dashboard-top']" :key="widget.key" :is="widget.component" v-bind="widget.props" />
+          </div>
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <component v-for="widget in widgetsBySlot['dashboard-stats']" :key="widget.key" :is="widget.component" v-bind="widget.props" />
+          </div>
+          <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div class="lg:col-span-2 space-y-6">
+              <component v-for="widget in widgetsBySlot['dashboard-main']" :key="widget.key" :is="widget.component" v-bind="widget.props" />
+            </div>
+            <div class="space-y-6">
+              <component v-for="widget in widgetsBySlot['dashboard-sidebar']" :key="widget.key" :is="widget.component" v-bind="widget.props" />
+            </div>
+          </div>
+          <p v-if="!states.some((state) => state.status === 'INSTALLED')" class="text-gray-500 text-center py-12">
+            Install a plugin to see its widgets.
+          </p>
+        </div>
+
+        <div v-else class="text-gray-500 text-center py-12">
+          No installed plugin handles {{ currentPath }}.
+        </div>
+      </main>
+
+      <div class="fixed bottom-4 right-4 space-y-2 w-80">
+        <div v-for="toast in toasts" :key="toast.id" :class="['border rounded-md px-4 py-2 shadow', TOAST_CLASSES[toast.severity] || TOAST_CLASSES.info]">
+          <p class="font-medium">{{ toast.summary }}</p>
+          <p v-if="toast.detail" class="text-sm">{{ toast.detail }}</p>
+        </div>
+      </div>
+    </div>
+  `
+};
+
+createApp(App).mount('#app');
+
+// ============================================================================
+// LIVE RELOAD
+// ============================================================================
+
+const connectReload = () => {
+  const socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/__preview/reload`);
+  socket.addEventListener('message', (event) => {
+    if (event.data === 'reload') location.reload();
+  });
+  // Server restarted: reconnect, then reload to pick up whatever changed
+  socket.addEventListener('close', () => {
+    setTimeout(() => {
+      fetch('/__preview/plugins').then(() => location.reload(), connectReload);
+    }, 1000);
+  });
+};
+
+connectReload();
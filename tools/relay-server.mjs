@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Local relay server for plugin sync transports
+ *
+ * Usage:
+ *   node tools/relay-server.mjs [--port 8787] [--host 127.0.0.1]
+ *
+ * Stands in for a real WebSocket backend during development: every client
+ * connects to ws://<host>:<port>/<room>, and each text message is forwarded
+ * as-is to the other clients of the same room. Point a plugin's
+ * createWebSocketTransport() (sample-plugins/shared/sync-transport.js) at it,
+ * e.g. the Morpion "Serveur de jeu en ligne" setting.
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { acceptWebSocket } from './lib/websocket.mjs';
+
+/**
+ * Create the relay (not yet listening).
+ * @param {object} [options]
+ * @param {(line: string) => void} [options.log]
+ * @returns {import('node:http').Server}
+ */
+export const createRelayServer = ({ log = () => {} } = {}) => {
+  const rooms = new Map();
+
+  const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This endpoint only accepts WebSocket connections\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    let room;
+    try {
+      room = decodeURIComponent(new URL(request.url, 'http://relay').pathname.slice(1)) || 'default';
+    } catch {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const members = rooms.get(room) || new Set();
+
+    const client = acceptWebSocket(request, socket, {
+      onText(text) {
+        for (const member of members) {
+          if (member !== client) member.send(text);
+        }
+      },
+      onClose() {
+        members.delete(client);
+        if (!members.size) rooms.delete(room);
+        log(`- ${room} (${members.size} left)`);
+      }
+    });
+    // The room only exists once a client is in it: a refused handshake leaves no empty room behind
+    if (!client) return;
+    rooms.set(room, members);
+    members.add(client);
+    log(`+ ${room} (${members.size} connected)`);
+  });
+
+  return server;
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '8787' },
+      host: { type: 'string', default: '127.0.0.1' }
+    }
+  });
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port: ${values.port}`);
+    process.exitCode = 2;
+    return;
+  }
+  const server = createRelayServer({ log: (line) => console.log(line) });
+  server.listen(port, values.host, () => {
+    console.log(`Relay listening on ws://${values.host}:${server.address().port}/<room>`);
+  });
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
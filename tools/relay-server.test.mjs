@@ -0,0 +1,85 @@
+/**
+ * Relay server: handshakes, rooms and relayed messages, over raw sockets
+ *
+ *   node --test tools/relay-server.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { connect } from 'node:net';
+import { decodeFrames, encodeFrame } from './lib/websocket.mjs';
+import { createRelayServer } from './relay-server.mjs';
+
+const startRelay = async () => {
+  const lines = [];
+  const server = createRelayServer({ log: (line) => lines.push(line) });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, lines, port: server.address().port };
+};
+
+// Upgrade request on a raw socket; resolves with the socket and the status line of the answer
+const upgrade = async (port, path, headers = { 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }) => {
+  const socket = connect(port, '127.0.0.1');
+  await once(socket, 'connect');
+  socket.write([
+    `GET ${path} HTTP/1.1`,
+    'Host: relay',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    '', ''
+  ].join('\r\n'));
+  const [chunk] = await once(socket, 'data');
+  return { socket, status: chunk.toString('latin1').split('\r\n')[0] };
+};
+
+const nextText = async (socket) => {
+  const [chunk] = await once(socket, 'data');
+  return decodeFrames(chunk).frames[0].payload.toString('utf8');
+};
+
+test('clients of the same room receive each other\'s messages', async () => {
+  const { server, lines, port } = await startRelay();
+  const first = await upgrade(port, '/table%201');
+  const second = await upgrade(port, '/table%201');
+  assert.equal(first.status, 'HTTP/1.1 101 Switching Protocols');
+  assert.deepEqual(lines, ['+ table 1 (1 connected)', '+ table 1 (2 connected)']);
+
+  const received = nextText(second.socket);
+  first.socket.write(encodeFrame('hello'));
+  assert.equal(await received, 'hello');
+
+  first.socket.destroy();
+  second.socket.destroy();
+  server.close();
+  server.closeAllConnections();
+});
+
+test('a malformed room name is refused with 400 and the relay keeps running', async () => {
+  const { server, lines, port } = await startRelay();
+  const refused = await upgrade(port, '/%E0%A4%A');
+  assert.equal(refused.status, 'HTTP/1.1 400 Bad Request');
+  assert.deepEqual(lines, []);
+
+  const accepted = await upgrade(port, '/lobby');
+  assert.equal(accepted.status, 'HTTP/1.1 101 Switching Protocols');
+  refused.socket.destroy();
+  accepted.socket.destroy();
+  server.close();
+  server.closeAllConnections();
+});
+
+test('a refused handshake does not join its room', async () => {
+  const { server, lines, port } = await startRelay();
+  const refused = await upgrade(port, '/lobby', {});
+  assert.equal(refused.status, 'HTTP/1.1 400 Bad Request');
+
+  const accepted = await upgrade(port, '/lobby');
+  assert.deepEqual(lines, ['+ lobby (1 connected)']);
+  refused.socket.destroy();
+  accepted.socket.destroy();
+  server.close();
+  server.closeAllConnections();
+});